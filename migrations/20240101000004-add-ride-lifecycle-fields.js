@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'started_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rides', 'completed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // The lifecycle sweeper scans by status and date on every tick
+    await queryInterface.addIndex('rides', ['status', 'ride_date', 'ride_time'], {
+      name: 'rides_lifecycle_sweep_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_lifecycle_sweep_idx');
+    await queryInterface.removeColumn('rides', 'completed_at');
+    await queryInterface.removeColumn('rides', 'started_at');
+  }
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ride_waitlist', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('waiting', 'offered', 'claimed', 'expired', 'cancelled'),
+        defaultValue: 'waiting'
+      },
+      pricing_option: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      queued_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      offered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      offer_expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      claimed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      payment_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_waitlist', ['ride_id', 'user_id'], {
+      unique: true,
+      name: 'ride_waitlist_unique'
+    });
+    await queryInterface.addIndex('ride_waitlist', ['ride_id', 'status', 'queued_at'], {
+      name: 'ride_waitlist_queue_idx'
+    });
+    await queryInterface.addIndex('ride_waitlist', ['status', 'offer_expires_at'], {
+      name: 'ride_waitlist_offer_expiry_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_waitlist');
+  }
+};
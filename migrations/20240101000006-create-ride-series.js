@@ -0,0 +1,134 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ride_series', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      creator_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      title: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      ride_template: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      frequency: {
+        type: Sequelize.ENUM('weekly', 'biweekly', 'monthly'),
+        allowNull: false
+      },
+      day_of_week: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      week_of_month: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      ride_time: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      starts_on: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      ends_on: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'cancelled'),
+        defaultValue: 'active'
+      },
+      materialized_until: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_series', ['creator_id'], {
+      name: 'ride_series_creator_idx'
+    });
+    await queryInterface.addIndex('ride_series', ['group_id'], {
+      name: 'ride_series_group_idx'
+    });
+    await queryInterface.addIndex('ride_series', ['status', 'materialized_until'], {
+      name: 'ride_series_materialize_idx'
+    });
+
+    await queryInterface.addColumn('rides', 'series_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'ride_series',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('rides', 'series_occurrence_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rides', 'is_series_exception', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    // One ride per scheduled date - keeps materialization idempotent
+    await queryInterface.addIndex('rides', ['series_id', 'series_occurrence_date'], {
+      unique: true,
+      name: 'rides_series_occurrence_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_series_occurrence_unique');
+    await queryInterface.removeColumn('rides', 'is_series_exception');
+    await queryInterface.removeColumn('rides', 'series_occurrence_date');
+    await queryInterface.removeColumn('rides', 'series_id');
+    await queryInterface.dropTable('ride_series');
+  }
+};
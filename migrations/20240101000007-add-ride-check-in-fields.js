@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ride_participants', 'checked_in_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ride_participants', 'check_in_location', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    // Attendance stats count a user's participations by status
+    await queryInterface.addIndex('ride_participants', ['user_id', 'status'], {
+      name: 'ride_participants_user_status_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('ride_participants', 'ride_participants_user_status_idx');
+    await queryInterface.removeColumn('ride_participants', 'check_in_location');
+    await queryInterface.removeColumn('ride_participants', 'checked_in_at');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// SQL expression turning a JSONB { latitude, longitude } into a geography point.
+// Rows with missing or non-numeric coordinates are left NULL.
+const NUMBER_PATTERN = `'^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$'`;
+
+const pointFrom = (json) => `ST_SetSRID(ST_MakePoint((${json}->>'longitude')::double precision, (${json}->>'latitude')::double precision), 4326)::geography`;
+
+const hasCoordinates = (json) => `(${json}->>'latitude') ~ ${NUMBER_PATTERN} AND (${json}->>'longitude') ~ ${NUMBER_PATTERN}`;
+
+const POINT_COLUMNS = [
+  { table: 'rides', source: 'start_location', column: 'start_point' },
+  { table: 'groups', source: 'location', column: 'location_point' },
+  { table: 'rentals', source: 'location', column: 'location_point' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis;');
+
+    for (const { table, source, column } of POINT_COLUMNS) {
+      await queryInterface.addColumn(table, column, {
+        type: Sequelize.GEOGRAPHY('POINT', 4326),
+        allowNull: true
+      });
+
+      await queryInterface.sequelize.query(`
+        UPDATE "${table}"
+        SET "${column}" = ${pointFrom(`"${source}"`)}
+        WHERE ${hasCoordinates(`"${source}"`)}
+      `);
+
+      await queryInterface.addIndex(table, [column], {
+        name: `${table}_${column}_gist_idx`,
+        using: 'gist'
+      });
+    }
+
+    await queryInterface.addColumn('rides', 'waypoint_points', {
+      type: Sequelize.GEOGRAPHY('MULTIPOINT', 4326),
+      allowNull: true
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE "rides" AS r
+      SET "waypoint_points" = w.points
+      FROM (
+        SELECT rides.id, ST_Multi(ST_Collect(${pointFrom('waypoint')}::geometry))::geography AS points
+        FROM "rides", jsonb_array_elements(rides.waypoints) AS waypoint
+        WHERE jsonb_typeof(rides.waypoints) = 'array' AND ${hasCoordinates('waypoint')}
+        GROUP BY rides.id
+      ) AS w
+      WHERE r.id = w.id
+    `);
+
+    await queryInterface.addIndex('rides', ['waypoint_points'], {
+      name: 'rides_waypoint_points_gist_idx',
+      using: 'gist'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_waypoint_points_gist_idx');
+    await queryInterface.removeColumn('rides', 'waypoint_points');
+
+    for (const { table, column } of [...POINT_COLUMNS].reverse()) {
+      await queryInterface.removeIndex(table, `${table}_${column}_gist_idx`);
+      await queryInterface.removeColumn(table, column);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const NUMBER_PATTERN = `'^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$'`;
+
+const hasCoordinates = (json) => `(${json}->>'latitude') ~ ${NUMBER_PATTERN} AND (${json}->>'longitude') ~ ${NUMBER_PATTERN}`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'route_line', {
+      type: Sequelize.GEOGRAPHY('LINESTRING', 4326),
+      allowNull: true
+    });
+
+    // Rides with a polyline follow it
+    await queryInterface.sequelize.query(`
+      UPDATE "rides"
+      SET "route_line" = ST_LineFromEncodedPolyline("route_polyline")::geography
+      WHERE "route_polyline" IS NOT NULL AND "route_polyline" <> ''
+    `);
+
+    // Everything else gets the straight-line path start -> waypoints -> end
+    await queryInterface.sequelize.query(`
+      UPDATE "rides" AS r
+      SET "route_line" = p.line
+      FROM (
+        SELECT rides.id, ST_MakeLine(
+          ST_SetSRID(ST_MakePoint((stop.location->>'longitude')::double precision, (stop.location->>'latitude')::double precision), 4326)
+          ORDER BY stop.position
+        )::geography AS line
+        FROM "rides"
+        CROSS JOIN LATERAL (
+          SELECT 0::bigint AS position, rides.start_location AS location
+          UNION ALL
+          SELECT waypoint.position, waypoint.location
+          FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(rides.waypoints) = 'array' THEN rides.waypoints ELSE '[]'::jsonb END
+          ) WITH ORDINALITY AS waypoint(location, position)
+          UNION ALL
+          SELECT 9223372036854775807, rides.end_location
+        ) AS stop
+        WHERE ${hasCoordinates('stop.location')}
+        GROUP BY rides.id
+        HAVING count(*) >= 2
+      ) AS p
+      WHERE r.id = p.id AND r."route_line" IS NULL
+    `);
+
+    await queryInterface.addIndex('rides', ['route_line'], {
+      name: 'rides_route_line_gist_idx',
+      using: 'gist'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_route_line_gist_idx');
+    await queryInterface.removeColumn('rides', 'route_line');
+  }
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'join_mode', {
+      type: Sequelize.ENUM('instant', 'approval', 'invite_only'),
+      allowNull: false,
+      defaultValue: 'instant'
+    });
+
+    await queryInterface.createTable('ride_join_requests', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'invited', 'approved', 'declined', 'cancelled'),
+        defaultValue: 'pending'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      pricing_option: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      decline_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      requested_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      decided_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      payment_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_join_requests', ['ride_id', 'user_id'], {
+      unique: true,
+      name: 'ride_join_requests_unique'
+    });
+    await queryInterface.addIndex('ride_join_requests', ['ride_id', 'status', 'requested_at'], {
+      name: 'ride_join_requests_queue_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_join_requests');
+    await queryInterface.removeColumn('rides', 'join_mode');
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'date_of_birth', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'experience_level', {
+      type: Sequelize.ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'documents', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    });
+
+    await queryInterface.createTable('ride_requirement_waivers', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      requirements: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      granted_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_requirement_waivers', ['ride_id', 'user_id'], {
+      unique: true,
+      name: 'ride_requirement_waivers_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_requirement_waivers');
+    await queryInterface.removeColumn('users', 'documents');
+    await queryInterface.removeColumn('users', 'experience_level');
+    await queryInterface.removeColumn('users', 'date_of_birth');
+  }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('payment_refunds', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      payment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      refund_reference: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      cashfree_refund_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      trigger: {
+        type: Sequelize.ENUM('ride_cancelled', 'ride_full', 'participant_left'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'success', 'failed'),
+        defaultValue: 'pending'
+      },
+      refund_percentage: {
+        type: Sequelize.INTEGER,
+        defaultValue: 100
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      gateway_response: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('payment_refunds', ['payment_id'], {
+      name: 'payment_refunds_payment_id_idx'
+    });
+    await queryInterface.addIndex('payment_refunds', ['ride_id'], {
+      name: 'payment_refunds_ride_id_idx'
+    });
+    await queryInterface.addIndex('payment_refunds', ['status', 'updated_at'], {
+      name: 'payment_refunds_status_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('payment_refunds');
+  }
+};
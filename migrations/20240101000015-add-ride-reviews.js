@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ride_reviews', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewer_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewee_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewee_role: {
+        type: Sequelize.ENUM('organiser', 'rider'),
+        allowNull: false
+      },
+      punctuality: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      riding_safety: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      friendliness: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      overall_rating: {
+        type: Sequelize.DECIMAL(3, 2),
+        allowNull: false
+      },
+      comment: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reply: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      replied_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_reviews', ['ride_id', 'reviewer_id', 'reviewee_id'], {
+      unique: true,
+      name: 'ride_reviews_unique'
+    });
+    await queryInterface.addIndex('ride_reviews', ['reviewee_id', 'created_at'], {
+      name: 'ride_reviews_reviewee_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_reviews');
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ride_participants', 'role', {
+      type: Sequelize.ENUM('rider', 'co_organiser', 'lead', 'sweep', 'medic'),
+      allowNull: false,
+      defaultValue: 'rider'
+    });
+
+    await queryInterface.addColumn('ride_participants', 'role_assigned_by', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Crew lookups on the roster and in permission checks
+    await queryInterface.addIndex('ride_participants', ['ride_id', 'role'], {
+      name: 'ride_participants_ride_role_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('ride_participants', 'ride_participants_ride_role_idx');
+    await queryInterface.removeColumn('ride_participants', 'role_assigned_by');
+    await queryInterface.removeColumn('ride_participants', 'role');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ride_participants_role";');
+  }
+};
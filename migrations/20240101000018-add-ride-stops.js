@@ -0,0 +1,85 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ride_stops', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      stop_type: {
+        type: Sequelize.ENUM('fuel', 'food', 'photo', 'overnight', 'rest', 'other'),
+        allowNull: false,
+        defaultValue: 'other'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      location: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      planned_arrival: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      planned_departure: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_stops', ['ride_id', 'position'], {
+      name: 'ride_stops_ride_position_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_stops');
+  }
+};
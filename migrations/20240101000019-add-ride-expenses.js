@@ -0,0 +1,191 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userColumn = () => ({
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    const rideColumn = () => ({
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rides',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    const timestamps = () => ({
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('ride_expenses', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: rideColumn(),
+      created_by: userColumn(),
+      paid_by: userColumn(),
+      description: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.ENUM('fuel', 'toll', 'food', 'accommodation', 'parking', 'repair', 'other'),
+        allowNull: false,
+        defaultValue: 'other'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      split_type: {
+        type: Sequelize.ENUM('equal', 'shares', 'exact'),
+        allowNull: false,
+        defaultValue: 'equal'
+      },
+      spent_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.createTable('ride_expense_shares', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      expense_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ride_expenses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: userColumn(),
+      share_units: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.createTable('ride_settlements', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: rideColumn(),
+      from_user_id: userColumn(),
+      to_user_id: userColumn(),
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      method: {
+        type: Sequelize.ENUM('manual', 'cashfree'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      payment_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      settled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('ride_expenses', ['ride_id', 'spent_at'], {
+      name: 'ride_expenses_ride_spent_idx'
+    });
+    await queryInterface.addIndex('ride_expenses', ['paid_by'], {
+      name: 'ride_expenses_paid_by_idx'
+    });
+    await queryInterface.addIndex('ride_expense_shares', ['expense_id', 'user_id'], {
+      unique: true,
+      name: 'ride_expense_shares_unique'
+    });
+    await queryInterface.addIndex('ride_expense_shares', ['user_id'], {
+      name: 'ride_expense_shares_user_idx'
+    });
+    await queryInterface.addIndex('ride_settlements', ['ride_id', 'status'], {
+      name: 'ride_settlements_ride_status_idx'
+    });
+    await queryInterface.addIndex('ride_settlements', ['payment_id'], {
+      name: 'ride_settlements_payment_idx'
+    });
+
+    // Settling a balance online goes through the regular payment flow
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_payments_payment_type" ADD VALUE IF NOT EXISTS 'expense_settlement';`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop a single enum value; expense_settlement stays on payments
+    await queryInterface.dropTable('ride_settlements');
+    await queryInterface.dropTable('ride_expense_shares');
+    await queryInterface.dropTable('ride_expenses');
+  }
+};
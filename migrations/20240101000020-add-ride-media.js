@@ -0,0 +1,114 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ride_media', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ride_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'rides',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      uploaded_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      media_type: {
+        type: Sequelize.ENUM('photo', 'video'),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      public_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      thumbnail_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      duration_seconds: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      caption: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      location: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      taken_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_highlight: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      highlighted_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      highlighted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ride_media', ['ride_id', 'created_at'], {
+      name: 'ride_media_ride_created_idx'
+    });
+    await queryInterface.addIndex('ride_media', ['ride_id', 'is_highlight'], {
+      name: 'ride_media_ride_highlight_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ride_media');
+  }
+};
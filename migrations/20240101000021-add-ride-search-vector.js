@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Title matches rank above description matches, which rank above the rules.
+    // Generated, so every insert and update keeps it current without application code.
+    await queryInterface.sequelize.query(`
+      ALTER TABLE "rides"
+      ADD COLUMN "search_vector" tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce("description", '')), 'B') ||
+        setweight(to_tsvector('english', coalesce("rules", '')), 'C')
+      ) STORED
+    `);
+
+    await queryInterface.addIndex('rides', ['search_vector'], {
+      name: 'rides_search_vector_idx',
+      using: 'gin'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_search_vector_idx');
+    await queryInterface.removeColumn('rides', 'search_vector');
+  }
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, allowNull, onDelete) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    const timestamps = () => ({
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('promo_codes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      created_by: reference('users', false, 'CASCADE'),
+      scope: {
+        type: Sequelize.ENUM('ride', 'group', 'all'),
+        allowNull: false
+      },
+      ride_id: reference('rides', true, 'CASCADE'),
+      group_id: reference('groups', true, 'CASCADE'),
+      description: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      discount_type: {
+        type: Sequelize.ENUM('percentage', 'fixed'),
+        allowNull: false
+      },
+      discount_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      max_discount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      max_uses: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      per_user_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      used_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.createTable('promo_code_redemptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      promo_code_id: reference('promo_codes', false, 'CASCADE'),
+      user_id: reference('users', false, 'CASCADE'),
+      payment_id: reference('payments', true, 'SET NULL'),
+      ride_id: reference('rides', true, 'SET NULL'),
+      group_id: reference('groups', true, 'SET NULL'),
+      original_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      final_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'redeemed', 'released'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      redeemed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('promo_codes', ['code'], {
+      unique: true,
+      name: 'promo_codes_code_unique'
+    });
+    await queryInterface.addIndex('promo_codes', ['created_by'], {
+      name: 'promo_codes_created_by_idx'
+    });
+    await queryInterface.addIndex('promo_codes', ['ride_id'], {
+      name: 'promo_codes_ride_idx'
+    });
+    await queryInterface.addIndex('promo_codes', ['group_id'], {
+      name: 'promo_codes_group_idx'
+    });
+    await queryInterface.addIndex('promo_code_redemptions', ['promo_code_id', 'status'], {
+      name: 'promo_code_redemptions_code_status_idx'
+    });
+    await queryInterface.addIndex('promo_code_redemptions', ['promo_code_id', 'user_id'], {
+      name: 'promo_code_redemptions_code_user_idx'
+    });
+    await queryInterface.addIndex('promo_code_redemptions', ['payment_id'], {
+      name: 'promo_code_redemptions_payment_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('promo_code_redemptions');
+    await queryInterface.dropTable('promo_codes');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ride_date stays the first day; single-day rides keep end_date null
+    await queryInterface.addColumn('rides', 'end_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rides', 'day_segments', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: []
+    });
+
+    await queryInterface.addIndex('rides', ['end_date'], {
+      name: 'rides_end_date_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', 'rides_end_date_idx');
+    await queryInterface.removeColumn('rides', 'day_segments');
+    await queryInterface.removeColumn('rides', 'end_date');
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'own_bike_slots', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rides', 'organiser_bike_slots', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Existing participants all came on their own bikes
+    await queryInterface.addColumn('ride_participants', 'slot_type', {
+      type: Sequelize.ENUM('own_bike', 'pillion', 'organiser_bike'),
+      allowNull: false,
+      defaultValue: 'own_bike'
+    });
+
+    await queryInterface.addColumn('ride_participants', 'offers_pillion', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('ride_participants', 'pillion_host_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Requests and waitlist entries remember the kind of place asked for, like the pricing option
+    await queryInterface.addColumn('ride_join_requests', 'slot_type', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ride_waitlist', 'slot_type', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('ride_participants', ['ride_id', 'slot_type'], {
+      name: 'ride_participants_ride_slot_type_idx'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('ride_participants', 'ride_participants_ride_slot_type_idx');
+    await queryInterface.removeColumn('ride_waitlist', 'slot_type');
+    await queryInterface.removeColumn('ride_join_requests', 'slot_type');
+    await queryInterface.removeColumn('ride_participants', 'pillion_host_id');
+    await queryInterface.removeColumn('ride_participants', 'offers_pillion');
+    await queryInterface.removeColumn('ride_participants', 'slot_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ride_participants_slot_type";');
+    await queryInterface.removeColumn('rides', 'organiser_bike_slots');
+    await queryInterface.removeColumn('rides', 'own_bike_slots');
+  }
+};
@@ -4,6 +4,13 @@ const { sequelize, syncDatabase } = require('./src/models');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const socketHandlers = require('./src/sockets/socketHandlers');
+const { setSocketServer } = require('./src/sockets/socketEmitter');
+const { startRideLifecycleScheduler, stopRideLifecycleScheduler } = require('./src/services/rideLifecycleService');
+const { startWaitlistExpiryScheduler, stopWaitlistExpiryScheduler } = require('./src/services/waitlistService');
+const { startRideSeriesScheduler, stopRideSeriesScheduler } = require('./src/services/rideSeriesService');
+const { startRefundRetryScheduler, stopRefundRetryScheduler } = require('./src/services/refundService');
+const { startRideReminderScheduler, stopRideReminderScheduler } = require('./src/services/rideReminderService');
+const { startWeatherScheduler, stopWeatherScheduler } = require('./src/services/weatherService');
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -23,12 +30,21 @@ const io = new Server(server, {
 
 // Initialize socket handlers
 socketHandlers(io);
+setSocketServer(io);
 
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Stop background jobs
+    stopRideLifecycleScheduler();
+    stopWaitlistExpiryScheduler();
+    stopRideSeriesScheduler();
+    stopRefundRetryScheduler();
+    stopRideReminderScheduler();
+    stopWeatherScheduler();
+
     // Close server first
     server.close(() => {
       console.log('HTTP server closed.');
@@ -98,6 +114,24 @@ const startServer = async () => {
         console.log(`🔗 API available at: http://localhost:${PORT}`);
       }
     });
+
+    // Auto-start and auto-complete rides based on their schedule
+    startRideLifecycleScheduler();
+
+    // Expire unclaimed waitlist offers and pass their slots on
+    startWaitlistExpiryScheduler();
+
+    // Keep recurring series stocked with upcoming rides
+    startRideSeriesScheduler();
+
+    // Retry failed refunds and check on ones still processing
+    startRefundRetryScheduler();
+
+    // Remind riders before their rides start
+    startRideReminderScheduler();
+
+    // Keep ride weather forecasts fresh and warn riders about severe weather
+    startWeatherScheduler();
     
     // Handle server errors
     server.on('error', (error) => {
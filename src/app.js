@@ -8,10 +8,13 @@ const { errorHandler } = require('./middleware/errorHandler');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const rideRoutes = require('./routes/rides');
+const rideSeriesRoutes = require('./routes/rideSeries');
+const rideTemplateRoutes = require('./routes/rideTemplates');
 const groupRoutes = require('./routes/groups');
 const chatRoutes = require('./routes/chat');
 const rentalRoutes = require('./routes/rentals');
 const paymentRoutes = require('./routes/payments');
+const promoCodeRoutes = require('./routes/promoCodes');
 const FriendSystem = require('./routes/FriendSystem');
 
 const app = express();
@@ -34,10 +37,13 @@ app.use(compression());
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/rides', rideRoutes);
+app.use('/api/ride-series', rideSeriesRoutes);
+app.use('/api/ride-templates', rideTemplateRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/rentals', rentalRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
 app.use('/api/friends', FriendSystem);
 
 
@@ -6,7 +6,7 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-const uploadToCloudinary = async (file, folder = 'rider-app') => {
+const uploadToCloudinary = async (file, folder = 'rider-app', options = {}) => {
   try {
     const result = await cloudinary.uploader.upload(file.path, {
       folder,
@@ -15,7 +15,8 @@ const uploadToCloudinary = async (file, folder = 'rider-app') => {
         { width: 1000, height: 1000, crop: 'limit' },
         { quality: 'auto' },
         { format: 'auto' }
-      ]
+      ],
+      ...options
     });
     return result;
   } catch (error) {
@@ -23,9 +24,9 @@ const uploadToCloudinary = async (file, folder = 'rider-app') => {
   }
 };
 
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, options = {}) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, options);
     return result;
   } catch (error) {
     throw new Error(`Cloudinary deletion failed: ${error.message}`);
@@ -0,0 +1,118 @@
+const { Ride } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  getRideExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  getRideBalances,
+  getRideSettlements,
+  recordSettlement
+} = require('../services/expenseService');
+
+const findRide = async (rideId) => {
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+  return ride;
+};
+
+// Expense ledger with totals per currency
+const getExpenses = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const { expenses, totals } = await getRideExpenses(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      expenses,
+      totals
+    }
+  });
+});
+
+const addExpense = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const expense = await createExpense(ride, req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Expense added',
+    data: {
+      expense
+    }
+  });
+});
+
+const editExpense = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const expense = await updateExpense(ride, req.params.expenseId, req.userId, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Expense updated successfully',
+    data: {
+      expense
+    }
+  });
+});
+
+const removeExpense = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  await deleteExpense(ride, req.params.expenseId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Expense deleted successfully'
+  });
+});
+
+// Who owes what, plus the transfers that would settle everyone up
+const getBalances = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const balances = await getRideBalances(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      balances
+    }
+  });
+});
+
+const getSettlements = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const settlements = await getRideSettlements(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settlements
+    }
+  });
+});
+
+const settleUp = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const { settlement, payment } = await recordSettlement(ride, req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: payment ? 'Settlement payment created' : 'Settlement recorded',
+    data: {
+      settlement,
+      ...(payment && { payment })
+    }
+  });
+});
+
+module.exports = {
+  getExpenses,
+  addExpense,
+  editExpense,
+  removeExpense,
+  getBalances,
+  getSettlements,
+  settleUp
+};
@@ -2,8 +2,10 @@ const { Group, User, Ride } = require('../models');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const { uploadToCloudinary } = require('../config/cloudinary');
 const { createPaymentOrder } = require('../services/paymentService');
+const { quotePromoCode, reservePromoCode, releasePromoRedemption, recordCoveredPayment } = require('../services/promoCodeService');
 const { sendGroupInvitation, notifyGroupMembers } = require('../services/notificationService');
 const { findNearbyGroups } = require('../services/locationService');
+const { buildGroupRideCalendar } = require('../services/calendarService');
 const { getPagination, getPagingData } = require('../utils/helpers');
 const { Op } = require('sequelize');
 const Joi = require('joi');
@@ -116,25 +118,28 @@ const getGroups = catchAsync(async (req, res, next) => {
 
 // Get nearby groups
 const getNearbyGroups = catchAsync(async (req, res, next) => {
-  const { latitude, longitude, radius = 50 } = req.query;
+  const { latitude, longitude, radius = 50, page = 1, limit = 20 } = req.query;
 
   if (!latitude || !longitude) {
     return next(new AppError('Latitude and longitude are required', 400));
   }
 
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
   try {
     const groups = await findNearbyGroups(
       parseFloat(latitude),
       parseFloat(longitude),
-      parseInt(radius)
+      parseFloat(radius),
+      { limit: limitNum, offset }
     );
 
+    const paging = getPagingData(groups, page - 1, limitNum);
+
     res.status(200).json({
       status: 'success',
-      data: {
-        groups,
-        count: groups.length
-      }
+      // groups and count are kept for clients written before paging
+      data: { groups: paging.items, count: paging.totalItems, ...paging }
     });
   } catch (error) {
     return next(new AppError('Failed to find nearby groups', 500));
@@ -357,6 +362,7 @@ const updateGroup = catchAsync(async (req, res, next) => {
 // Join group
 const joinGroup = catchAsync(async (req, res, next) => {
   const { groupId } = req.params;
+  const { promo_code } = req.body;
   console.log('Group ID:', groupId);
 
   const group = await Group.findByPk(groupId, {
@@ -390,8 +396,16 @@ const joinGroup = catchAsync(async (req, res, next) => {
     return next(new AppError('You are already a member of this group', 400));
   }
 
-  // Handle payment for paid groups
-  if (group.is_paid && group.membership_fee > 0) {
+  if (promo_code && !group.requiresPayment()) {
+    return next(new AppError('Promo codes only apply to paid groups', 400, 'PROMO_CODE_INVALID'));
+  }
+
+  const promoQuote = promo_code
+    ? await quotePromoCode(promo_code, req.userId, { group, amount: group.membership_fee })
+    : null;
+
+  // Handle payment for paid groups - a code covering the full fee skips payment
+  if (group.is_paid && group.membership_fee > 0 && !(promoQuote && promoQuote.final_amount <= 0)) {
     try {
       const paymentOrder = await createPaymentOrder({
         user_id: req.userId,
@@ -399,6 +413,7 @@ const joinGroup = catchAsync(async (req, res, next) => {
         payment_type: 'group_membership',
         group_id: groupId,
         recipient_id: group.admin_id,
+        promo_code: promoQuote ? promoQuote.promoCode.code : undefined,
         metadata: {
           group_name: group.name,
           membership_type: 'standard'
@@ -420,21 +435,44 @@ const joinGroup = catchAsync(async (req, res, next) => {
         }
       });
     } catch (error) {
+      if (error.code === 'PROMO_CODE_INVALID') {
+        return next(error);
+      }
       return next(new AppError('Failed to create payment order', 500));
     }
   }
 
+  const redemption = promoQuote ? await reservePromoCode(promoQuote, req.userId) : null;
+
   // Add user to group members for free groups
   const user = await User.findByPk(req.userId);
-  await group.addMember(user);
+  try {
+    await group.addMember(user);
+  } catch (error) {
+    // The code's use goes back when the rider did not get in
+    if (redemption) await releasePromoRedemption(redemption);
+    throw error;
+  }
   await group.increment('current_members');
 
+  if (redemption) {
+    await recordCoveredPayment(redemption, promoQuote, {
+      payment_type: 'group_membership',
+      recipient_id: group.admin_id,
+      metadata: { group_name: group.name, membership_type: 'standard' }
+    });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Successfully joined the group',
     data: {
       group_id: groupId,
-      payment_required: false
+      payment_required: false,
+      ...(promoQuote && {
+        promo_code: promoQuote.promoCode.code,
+        discount_amount: promoQuote.discount_amount
+      })
     }
   });
 });
@@ -807,6 +845,33 @@ const deleteGroup = catchAsync(async (req, res, next) => {
   });
 });
 
+// iCalendar feed of a group's rides. Private groups need a member's calendar token.
+const getGroupCalendarFeed = catchAsync(async (req, res, next) => {
+  const { groupId } = req.params;
+
+  const group = await Group.findByPk(groupId);
+  if (!group || !group.is_active) {
+    return next(new AppError('Group not found', 404));
+  }
+
+  const isMember = req.userId
+    ? group.admin_id === req.userId || await group.hasMember(req.userId)
+    : false;
+
+  if (group.group_type !== 'public' && !isMember) {
+    return next(new AppError('Group membership required', 403));
+  }
+
+  const calendar = await buildGroupRideCalendar(group, { isMember });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="group-${group.id}-rides.ics"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.status(200).send(calendar);
+});
+
 module.exports = {
   createGroup,
   getGroups,
@@ -821,5 +886,6 @@ module.exports = {
   transferAdmin,
   deleteGroup,
   getUserAdminGroups,
-  getUserAllGroups
+  getUserAllGroups,
+  getGroupCalendarFeed
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { Ride } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  getRideItinerary,
+  addStop,
+  updateStop,
+  removeStop,
+  reorderStops
+} = require('../services/itineraryService');
+const { hasRidePermission } = require('../services/rideCrewService');
+const { canUserViewRideContent } = require('../services/rideAccessService');
+
+// Loads the ride and checks that the user may change its itinerary
+const getEditableRide = async (rideId, userId) => {
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+
+  if (!await hasRidePermission(ride, userId, 'edit_ride')) {
+    throw new AppError('Only the organiser or a co-organiser can change the itinerary', 403);
+  }
+
+  return ride;
+};
+
+// Ordered stops with planned times and costs
+const getItinerary = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await canUserViewRideContent(ride, req.userId)) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  const itinerary = await getRideItinerary(ride);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      itinerary
+    }
+  });
+});
+
+const createStop = catchAsync(async (req, res, next) => {
+  const ride = await getEditableRide(req.params.rideId, req.userId);
+  const stop = await addStop(ride, req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Stop added to itinerary',
+    data: {
+      stop
+    }
+  });
+});
+
+const editStop = catchAsync(async (req, res, next) => {
+  const ride = await getEditableRide(req.params.rideId, req.userId);
+  const stop = await updateStop(ride, req.params.stopId, req.userId, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Stop updated successfully',
+    data: {
+      stop
+    }
+  });
+});
+
+const deleteStop = catchAsync(async (req, res, next) => {
+  const ride = await getEditableRide(req.params.rideId, req.userId);
+  const itinerary = await removeStop(ride, req.params.stopId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Stop removed from itinerary',
+    data: {
+      itinerary
+    }
+  });
+});
+
+const reorderItineraryStops = catchAsync(async (req, res, next) => {
+  const ride = await getEditableRide(req.params.rideId, req.userId);
+  const itinerary = await reorderStops(ride, req.body.stop_ids, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Itinerary reordered',
+    data: {
+      itinerary
+    }
+  });
+});
+
+module.exports = {
+  getItinerary,
+  createStop,
+  editStop,
+  deleteStop,
+  reorderItineraryStops
+};
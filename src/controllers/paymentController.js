@@ -1,4 +1,4 @@
-const { Payment, User, Ride, Group } = require('../models');
+const { Payment, PaymentRefund, User, Ride, Group } = require('../models');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const { createPaymentOrder, verifyPayment, handleWebhook } = require('../services/paymentService');
 const { getPagination, getPagingData } = require('../utils/helpers');
@@ -122,6 +122,12 @@ const getPaymentById = catchAsync(async (req, res, next) => {
         as: 'group',
         attributes: ['id', 'name'],
         required: false
+      },
+      {
+        model: PaymentRefund,
+        as: 'refunds',
+        attributes: ['id', 'amount', 'trigger', 'status', 'refund_percentage', 'reason', 'failure_reason', 'processed_at', 'created_at'],
+        required: false
       }
     ]
   });
@@ -402,6 +408,7 @@ const createPayment = catchAsync(async (req, res, next) => {
     group_id,
     rental_id,
     recipient_id,
+    promo_code,
     metadata
   } = req.body;
 
@@ -414,6 +421,7 @@ const createPayment = catchAsync(async (req, res, next) => {
       group_id,
       rental_id,
       recipient_id,
+      promo_code,
       metadata
     });
 
@@ -427,6 +435,9 @@ const createPayment = catchAsync(async (req, res, next) => {
 
   } catch (error) {
     console.error('Payment creation failed:', error);
+    if (error.code === 'PROMO_CODE_INVALID' || error.code === 'PROMO_CODE_COVERS_PRICE') {
+      return next(error);
+    }
     return next(new AppError('Failed to create payment order', 500));
   }
 });
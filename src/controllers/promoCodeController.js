@@ -0,0 +1,143 @@
+const { Ride, Group } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { resolveRidePricing } = require('../services/paymentService');
+const {
+  quotePromoCode,
+  createPromoCode: createCode,
+  getPromoCodeDetails,
+  getUserPromoCodes,
+  updatePromoCode: updateCode,
+  deletePromoCode: deleteCode
+} = require('../services/promoCodeService');
+const { getPagination, getPagingData } = require('../utils/helpers');
+
+const createPromoCode = catchAsync(async (req, res, next) => {
+  const promoCode = await createCode(req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Promo code created successfully',
+    data: {
+      promo_code: promoCode
+    }
+  });
+});
+
+// Codes the signed-in organiser has created
+const getMyPromoCodes = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, scope, ride_id, group_id } = req.query;
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
+  const promoCodes = await getUserPromoCodes(req.userId, { scope, ride_id, group_id, limit: limitNum, offset });
+
+  res.status(200).json({
+    status: 'success',
+    data: getPagingData(promoCodes, page - 1, limitNum)
+  });
+});
+
+const getPromoCodeById = catchAsync(async (req, res, next) => {
+  const promoCode = await getPromoCodeDetails(req.params.promoCodeId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      promo_code: promoCode
+    }
+  });
+});
+
+const updatePromoCode = catchAsync(async (req, res, next) => {
+  const promoCode = await updateCode(req.params.promoCodeId, req.userId, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Promo code updated successfully',
+    data: {
+      promo_code: promoCode
+    }
+  });
+});
+
+const deletePromoCode = catchAsync(async (req, res, next) => {
+  const { deactivated } = await deleteCode(req.params.promoCodeId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: deactivated
+      ? 'Promo code has been used, so it was deactivated instead of deleted'
+      : 'Promo code deleted successfully'
+  });
+});
+
+// What the rider would pay for a ride or group with the code, without using it up
+const checkPromoCode = catchAsync(async (req, res, next) => {
+  const { code, ride_id, group_id, pricing_option } = req.body;
+
+  let target;
+  let amount;
+
+  if (ride_id) {
+    const ride = await Ride.findByPk(ride_id);
+    if (!ride) {
+      return next(new AppError('Ride not found', 404));
+    }
+    if (!ride.is_paid) {
+      return next(new AppError('Promo codes only apply to paid rides', 400, 'PROMO_CODE_INVALID'));
+    }
+
+    const pricing = resolveRidePricing(ride, pricing_option);
+    if (pricing.requiresSelection) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please select a pricing option',
+        data: {
+          available_options: pricing.availableOptions,
+          requires_selection: true
+        }
+      });
+    }
+    if (!pricing.price) {
+      return next(new AppError('Invalid pricing configuration for this ride', 500));
+    }
+
+    target = { ride };
+    amount = pricing.price;
+  } else {
+    const group = await Group.findByPk(group_id);
+    if (!group) {
+      return next(new AppError('Group not found', 404));
+    }
+    if (!group.requiresPayment()) {
+      return next(new AppError('Promo codes only apply to paid groups', 400, 'PROMO_CODE_INVALID'));
+    }
+
+    target = { group };
+    amount = group.membership_fee;
+  }
+
+  const quote = await quotePromoCode(code, req.userId, { ...target, amount });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: quote.promoCode.code,
+      description: quote.promoCode.description,
+      discount_type: quote.promoCode.discount_type,
+      discount_value: parseFloat(quote.promoCode.discount_value),
+      original_amount: quote.original_amount,
+      discount_amount: quote.discount_amount,
+      final_amount: quote.final_amount,
+      payment_required: quote.final_amount > 0
+    }
+  });
+});
+
+module.exports = {
+  createPromoCode,
+  getMyPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode,
+  checkPromoCode
+};
@@ -107,7 +107,7 @@ const getRentals = catchAsync(async (req, res, next) => {
 
 // Get nearby rentals
 const getNearbyRentals = catchAsync(async (req, res, next) => {
-  const { latitude, longitude, radius = 50, category, min_price, max_price } = req.query;
+  const { latitude, longitude, radius = 50, category, min_price, max_price, page = 1, limit = 20 } = req.query;
 
   if (!latitude || !longitude) {
     return next(new AppError('Latitude and longitude are required', 400));
@@ -118,19 +118,22 @@ const getNearbyRentals = catchAsync(async (req, res, next) => {
   if (min_price) filters.min_price = min_price;
   if (max_price) filters.max_price = max_price;
 
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
   const rentals = await findNearbyRentals(
     parseFloat(latitude),
     parseFloat(longitude),
-    parseInt(radius),
-    filters
+    parseFloat(radius),
+    filters,
+    { limit: limitNum, offset }
   );
 
+  const paging = getPagingData(rentals, page - 1, limitNum);
+
   res.status(200).json({
     status: 'success',
-    data: {
-      rentals,
-      count: rentals.length
-    }
+    // rentals and count are kept for clients written before paging
+    data: { rentals: paging.items, count: paging.totalItems, ...paging }
   });
 });
 
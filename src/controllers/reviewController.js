@@ -0,0 +1,123 @@
+const { Ride, User } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  submitReview,
+  replyToReview,
+  getPendingReviewees,
+  getRideReviews,
+  getUserReviews,
+  getUserReviewSummary
+} = require('../services/reviewService');
+const { getPagination, getPagingData } = require('../utils/helpers');
+
+// Rate the organiser or a fellow rider after a completed ride
+const createRideReview = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const review = await submitReview(ride, req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Review submitted successfully',
+    data: {
+      review
+    }
+  });
+});
+
+// Reviews written on a ride
+const getRideReviewList = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
+  const ride = await Ride.findByPk(rideId, { attributes: ['id'] });
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const reviews = await getRideReviews(rideId, { limit: limitNum, offset });
+
+  res.status(200).json({
+    status: 'success',
+    data: getPagingData(reviews, page - 1, limitNum)
+  });
+});
+
+// People on the ride the current user can still review
+const getPendingRideReviews = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const reviewees = await getPendingReviewees(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      reviewees
+    }
+  });
+});
+
+// Organiser's reply to a review of them
+const replyToRideReview = catchAsync(async (req, res, next) => {
+  const { rideId, reviewId } = req.params;
+  const { reply } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const review = await replyToReview(ride, reviewId, req.userId, reply);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reply saved',
+    data: {
+      review
+    }
+  });
+});
+
+// Reviews a user has received, with per-category averages
+const getUserReviewList = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const [reviews, summary] = await Promise.all([
+    getUserReviews(userId, { limit: limitNum, offset }),
+    getUserReviewSummary(userId)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      summary,
+      ...getPagingData(reviews, page - 1, limitNum)
+    }
+  });
+});
+
+module.exports = {
+  createRideReview,
+  getRideReviewList,
+  getPendingRideReviews,
+  replyToRideReview,
+  getUserReviewList
+};
@@ -1,10 +1,71 @@
-const { Ride, User, Group, Payment } = require('../models');
+const { Ride, User, Group, RideWaitlist } = require('../models');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const { uploadToCloudinary } = require('../config/cloudinary');
-const { findVisibleRides, calculateDistance } = require('../services/locationService');
-const { createPaymentOrder } = require('../services/paymentService');
+const { findVisibleRides, findRidesAlongRoute } = require('../services/locationService');
+const { createPaymentOrder, resolveRidePricing } = require('../services/paymentService');
+const { markRideStarted, markRideCompleted } = require('../services/rideLifecycleService');
+const { canUserAccessRide } = require('../services/rideAccessService');
+const { searchRides: findMatchingRides } = require('../services/rideSearchService');
+const { quotePromoCode, reservePromoCode, releasePromoRedemption, recordCoveredPayment } = require('../services/promoCodeService');
+const { getRecommendedRides: findRecommendedRides } = require('../services/recommendationService');
+const {
+  getAvailableSlots,
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  promoteNextFromWaitlist,
+  closeRideWaitlist
+} = require('../services/waitlistService');
+const { generateCheckInCode, checkInParticipant, getRideAttendance } = require('../services/attendanceService');
+const {
+  getJoinRequest,
+  getJoinClearance,
+  requestToJoin,
+  recordInvitations,
+  approveJoinRequest,
+  declineJoinRequest,
+  cancelJoinRequest,
+  getApprovalPaymentOrder,
+  getRideJoinRequests,
+  closeRideJoinRequests
+} = require('../services/joinRequestService');
+const { refundCancelledRide, refundLeavingParticipant } = require('../services/refundService');
+const {
+  checkRideEligibility,
+  grantRequirementWaiver,
+  revokeRequirementWaiver,
+  verifyRiderDocument
+} = require('../services/rideRequirementService');
+const { cloneRide: cloneRideFromSource, markTemplateUsed } = require('../services/rideTemplateService');
+const {
+  getRideRole,
+  roleHasPermission,
+  getRidePermissions,
+  hasRidePermission,
+  getRideCrew,
+  assignCrewRole
+} = require('../services/rideCrewService');
+const {
+  SLOT_UNAVAILABLE,
+  getSlotAvailability,
+  resolveSlotType,
+  getSlotPricingOption,
+  takeRideSlot,
+  releaseRideSlot,
+  setPillionOffer,
+  getRideSlots,
+  assertCapacityCovers
+} = require('../services/rideSlotService');
 const { sendRideInvitation, notifyRideParticipants } = require('../services/notificationService');
-const { getPagination, getPagingData } = require('../utils/helpers');
+const { parseRouteFile, buildRouteFile } = require('../services/routeFileService');
+const {
+  applyRouteGeometry,
+  applyRouteGeometryUpdate,
+  decodeRoutePolyline,
+  calculatePathDistance
+} = require('../services/routeGeometryService');
+const { getPagination, getPagingData, generateSlug } = require('../utils/helpers');
+const fs = require('fs');
 const { Op } = require('sequelize');
 
 // Helper function to build visibility where clause based on user access
@@ -16,13 +77,13 @@ const buildVisibilityWhereClause = async (userId) => {
   const userGroups = await User.findByPk(userId, {
     include: [{
       model: Group,
-      as: 'groups',
+      as: 'joinedGroups',
       through: { attributes: [] },
       attributes: ['id']
     }]
   });
 
-  const userGroupIds = userGroups?.groups?.map(group => group.id) || [];
+  const userGroupIds = userGroups?.joinedGroups?.map(group => group.id) || [];
 
   const visibilityConditions = [
     { visibility: 'public' },
@@ -39,34 +100,26 @@ const buildVisibilityWhereClause = async (userId) => {
   return { [Op.or]: visibilityConditions };
 };
 
-// Helper function to check if user can access a specific ride
-const canUserAccessRide = async (ride, userId) => {
-  if (!ride) return false;
-
-  if (ride.visibility === 'public') return true;
-
-  if (!userId) return false;
-
-  if (ride.visibility === 'private') {
-    return ride.creator_id === userId;
-  }
-
-  if (ride.visibility === 'group_only' && ride.group_id) {
-    const userWithGroups = await User.findByPk(userId, {
-      include: [{
-        model: Group,
-        as: 'groups',
-        where: { id: ride.group_id },
-        through: { attributes: [] },
-        required: false
-      }]
-    });
-    
-    return userWithGroups?.groups?.length > 0;
+// Creator, participants and group for ride lists
+const getRideListingIncludes = () => [
+  {
+    model: User,
+    as: 'creator',
+    attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+  },
+  {
+    model: User,
+    as: 'participants',
+    through: { attributes: [] },
+    attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+  },
+  {
+    model: Group,
+    as: 'group',
+    attributes: ['id', 'name', 'group_type'],
+    required: false
   }
-
-  return false;
-};
+];
 
 // Create a new ride
 const createRide = catchAsync(async (req, res, next) => {
@@ -80,14 +133,14 @@ const createRide = catchAsync(async (req, res, next) => {
     const userWithGroup = await User.findByPk(req.userId, {
       include: [{
         model: Group,
-        as: 'groups',
+        as: 'joinedGroups',
         where: { id: rideData.group_id },
         through: { attributes: [] },
         required: false
       }]
     });
 
-    if (!userWithGroup?.groups?.length) {
+    if (!userWithGroup?.joinedGroups?.length) {
       return next(new AppError('You are not a member of this group', 403));
     }
   }
@@ -98,8 +151,15 @@ const createRide = catchAsync(async (req, res, next) => {
     rideData.cover_image = result.secure_url;
   }
 
+  // Distance and duration are derived from the route, not trusted from the client
+  Object.assign(rideData, applyRouteGeometry(rideData));
+
   const ride = await Ride.create(rideData);
 
+  if (req.rideTemplate) {
+    await markTemplateUsed(req.rideTemplate);
+  }
+
   // Include creator details in response
   const rideWithCreator = await Ride.findByPk(ride.id, {
     include: [
@@ -120,6 +180,37 @@ const createRide = catchAsync(async (req, res, next) => {
   });
 });
 
+// Copy a ride onto a new date - works from completed and cancelled rides too
+const cloneRide = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const source = await Ride.findByPk(rideId);
+  if (!source) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const ride = await cloneRideFromSource(source, req.userId, req.body);
+
+  const rideWithCreator = await Ride.findByPk(ride.id, {
+    include: [
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      }
+    ]
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Ride cloned successfully',
+    data: {
+      ride: rideWithCreator,
+      cloned_from: source.id
+    }
+  });
+});
+
 // Get all rides with proper visibility filtering
 const getRides = catchAsync(async (req, res, next) => {
   const {
@@ -150,14 +241,14 @@ const getRides = catchAsync(async (req, res, next) => {
       const userWithGroup = await User.findByPk(req.userId, {
         include: [{
           model: Group,
-          as: 'groups',
+          as: 'joinedGroups',
           where: { id: group_id },
           through: { attributes: [] },
           required: false
         }]
       });
       
-      if (userWithGroup?.groups?.length > 0) {
+      if (userWithGroup?.joinedGroups?.length > 0) {
         whereClause.group_id = group_id;
       } else {
         whereClause.group_id = group_id;
@@ -169,10 +260,9 @@ const getRides = catchAsync(async (req, res, next) => {
     }
   }
   
+  // Multi-day rides match on any of their days
   if (date_from || date_to) {
-    whereClause.ride_date = {};
-    if (date_from) whereClause.ride_date[Op.gte] = new Date(date_from);
-    if (date_to) whereClause.ride_date[Op.lte] = new Date(date_to);
+    whereClause[Op.and] = [Ride.spansDates(date_from, date_to)];
   }
 
   const rides = await Ride.findAndCountAll({
@@ -209,68 +299,121 @@ const getRides = catchAsync(async (req, res, next) => {
   });
 });
 
+// Full-text and filtered ride search, with facet counts for the filter UI
+const searchRides = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status = 'upcoming', ...filters } = req.query;
+
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+  const visibilityClause = await buildVisibilityWhereClause(req.userId);
+
+  const { facets, ...rides } = await findMatchingRides(filters, {
+    baseWhere: { status, ...visibilityClause },
+    include: getRideListingIncludes(),
+    limit: limitNum,
+    offset
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...getPagingData(rides, page - 1, limitNum),
+      facets
+    }
+  });
+});
+
+// "Rides for you": upcoming rides ranked for the signed-in rider, with the reasons behind each pick
+const getRecommendedRides = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, radius, latitude, longitude } = req.query;
+
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+  const visibilityClause = await buildVisibilityWhereClause(req.userId);
+
+  const rides = await findRecommendedRides(req.userId, {
+    latitude: latitude !== undefined ? parseFloat(latitude) : undefined,
+    longitude: longitude !== undefined ? parseFloat(longitude) : undefined,
+    radiusKm: radius ? parseFloat(radius) : undefined,
+    visibilityWhere: visibilityClause,
+    include: getRideListingIncludes(),
+    limit: limitNum,
+    offset
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: getPagingData(rides, page - 1, limitNum)
+  });
+});
+
 // Get nearby rides with proper visibility filtering
 const getNearbyRides = catchAsync(async (req, res, next) => {
-  const { latitude, longitude, radius = 50 } = req.query;
+  const { latitude, longitude, radius = 50, page = 1, limit = 20 } = req.query;
 
   if (!latitude || !longitude) {
     return next(new AppError('Latitude and longitude are required', 400));
   }
 
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
   const visibilityClause = await buildVisibilityWhereClause(req.userId);
 
-  const rides = await Ride.findAll({
-    where: {
-      status: 'upcoming',
-      start_location: { [Op.ne]: null },
-      ...visibilityClause
-    },
-    include: [
-      {
-        model: User,
-        as: 'creator',
-        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
-      },
-      {
-        model: User,
-        as: 'participants',
-        through: { attributes: [] },
-        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
-      },
-      {
-        model: Group,
-        as: 'group',
-        attributes: ['id', 'name', 'group_type'],
-        required: false
-      }
-    ]
+  const rides = await findVisibleRides(
+    parseFloat(latitude),
+    parseFloat(longitude),
+    parseFloat(radius),
+    {
+      where: visibilityClause,
+      include: getRideListingIncludes(),
+      limit: limitNum,
+      offset
+    }
+  );
+
+  const paging = getPagingData(rides, page - 1, limitNum);
+
+  res.status(200).json({
+    status: 'success',
+    // rides and count are kept for clients written before paging
+    data: { rides: paging.items, count: paging.totalItems, ...paging }
   });
+});
+
+// Find rides heading the same way as a trip, ranked by how much of it they cover
+const getRidesAlongRoute = catchAsync(async (req, res, next) => {
+  const {
+    polyline,
+    origin_latitude,
+    origin_longitude,
+    destination_latitude,
+    destination_longitude,
+    corridor_km = 2,
+    page = 1,
+    limit = 20
+  } = req.query;
 
-  const userLat = parseFloat(latitude);
-  const userLng = parseFloat(longitude);
-  const maxRadius = parseInt(radius);
+  const path = polyline
+    ? decodeRoutePolyline(polyline)
+    : [
+      { latitude: parseFloat(origin_latitude), longitude: parseFloat(origin_longitude) },
+      { latitude: parseFloat(destination_latitude), longitude: parseFloat(destination_longitude) }
+    ];
 
-  const nearbyRides = rides.filter(ride => {
-    if (!ride.start_location?.latitude || !ride.start_location?.longitude) {
-      return false;
-    }
+  if (calculatePathDistance(path) === 0) {
+    return next(new AppError('Origin and destination must be different places', 400));
+  }
 
-    const distance = calculateDistance(
-      userLat,
-      userLng,
-      ride.start_location.latitude,
-      ride.start_location.longitude
-    );
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+  const visibilityClause = await buildVisibilityWhereClause(req.userId);
 
-    return distance <= maxRadius;
+  const rides = await findRidesAlongRoute(path, parseFloat(corridor_km), {
+    where: visibilityClause,
+    include: getRideListingIncludes(),
+    limit: limitNum,
+    offset
   });
 
   res.status(200).json({
     status: 'success',
-    data: {
-      rides: nearbyRides,
-      count: nearbyRides.length
-    }
+    data: getPagingData(rides, page - 1, limitNum)
   });
 });
 
@@ -312,25 +455,37 @@ const getRideById = catchAsync(async (req, res, next) => {
   let userStatus = {
     is_creator: false,
     is_participant: false,
-    can_join: false
+    can_join: false,
+    ride_role: null,
+    permissions: []
   };
 
   if (req.userId) {
     const isParticipant = ride.participants?.some(p => p.id === req.userId) || false;
     const isCreator = ride.creator_id === req.userId;
+    const rideRole = await getRideRole(ride, req.userId);
 
     userStatus = {
       is_creator: isCreator,
       is_participant: isParticipant,
-      can_join: ride.canJoin() && !isParticipant && !isCreator
+      can_join: ride.canJoin() && !isParticipant && !isCreator,
+      ride_role: rideRole,
+      permissions: getRidePermissions(rideRole)
     };
   }
 
+  const [crew, slotAvailability] = await Promise.all([
+    getRideCrew(ride),
+    getSlotAvailability(ride, { userId: req.userId })
+  ]);
+
   res.status(200).json({
     status: 'success',
     data: {
       ride: {
         ...ride.toJSON(),
+        crew,
+        slot_availability: slotAvailability,
         user_status: userStatus
       }
     }
@@ -346,23 +501,48 @@ const updateRide = catchAsync(async (req, res, next) => {
     return next(new AppError('Ride not found', 404));
   }
 
-  if (!ride.canEdit(req.userId)) {
-    return next(new AppError('You can only edit your own upcoming rides', 403));
+  if (!await hasRidePermission(ride, req.userId, 'edit_ride')) {
+    return next(new AppError('Only the organiser or a co-organiser can edit this ride', 403));
+  }
+
+  // Once a multi-day ride is under way, only the days still ahead can be re-planned
+  const isReplanningDays = ride.status === 'ongoing' && ride.isMultiDay() &&
+    !req.file && Object.keys(req.body).every(field => field === 'day_segments');
+
+  if (!ride.isEditable() && !isReplanningDays) {
+    return next(new AppError('Only upcoming rides can be edited', 400));
   }
 
   const updateData = { ...req.body };
+
+  if (updateData.day_segments) {
+    const startedDays = ride.getStartedDayChanges(ride.day_segments, updateData.day_segments);
+    if (startedDays.length > 0) {
+      return next(new AppError(`Day ${startedDays.join(', ')} has already started and can no longer be changed`, 400));
+    }
+  }
+
+  if (updateData.own_bike_slots !== undefined || updateData.organiser_bike_slots !== undefined) {
+    await assertCapacityCovers(ride, updateData);
+  }
+
+  // Moving a multi-day ride keeps its length unless a new end date is given
+  if (updateData.ride_date && updateData.end_date === undefined && ride.isMultiDay()) {
+    updateData.end_date = ride.getEndDateFor(updateData.ride_date);
+  }
+
   if (updateData.visibility === 'group_only' && updateData.group_id) {
     const userWithGroup = await User.findByPk(req.userId, {
       include: [{
         model: Group,
-        as: 'groups',
+        as: 'joinedGroups',
         where: { id: updateData.group_id },
         through: { attributes: [] },
         required: false
       }]
     });
 
-    if (!userWithGroup?.groups?.length) {
+    if (!userWithGroup?.joinedGroups?.length) {
       return next(new AppError('You are not a member of this group', 403));
     }
   }
@@ -372,12 +552,20 @@ const updateRide = catchAsync(async (req, res, next) => {
     updateData.cover_image = result.secure_url;
   }
 
+  Object.assign(updateData, applyRouteGeometryUpdate(ride, updateData));
+
+  // Editing one occurrence detaches it from later "all future occurrences" updates.
+  // A ride under way no longer receives those, so re-planning its days leaves the flag alone.
+  if (ride.series_id && !isReplanningDays) {
+    updateData.is_series_exception = true;
+  }
+
   const updatedRide = await ride.update(updateData);
 
   const participants = await User.findAll({
     include: [{
       model: Ride,
-      as: 'joinedRides',
+      as: 'participatedRides',
       where: { id: rideId },
       through: { attributes: [] }
     }]
@@ -397,12 +585,24 @@ const updateRide = catchAsync(async (req, res, next) => {
   });
 });
 
+// Unmet requirements are returned as a list so the app can show every gap at once
+const sendRequirementsNotMet = (res, eligibility) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'You do not meet the requirements for this ride',
+    data: {
+      code: 'REQUIREMENTS_NOT_MET',
+      unmet_requirements: eligibility.unmet
+    }
+  });
+};
+
 // Join ride with proper payment handling for React Native
 const joinRide = catchAsync(async (req, res, next) => {
   const { rideId } = req.params;
-  const { pricing_option } = req.body;
+  const { pricing_option, slot_type, offers_pillion, message, promo_code } = req.body;
 
-  console.log('🚀 Join ride request:', { rideId, pricing_option, userId: req.userId });
+  console.log('🚀 Join ride request:', { rideId, pricing_option, slot_type, userId: req.userId });
 
   const ride = await Ride.findByPk(rideId, {
     include: [
@@ -439,76 +639,111 @@ const joinRide = catchAsync(async (req, res, next) => {
     return next(new AppError('You have already joined this ride', 400));
   }
 
-  if (ride.current_participants >= ride.max_participants) {
-    return next(new AppError('This ride is currently full', 400));
+  const eligibility = await checkRideEligibility(ride, req.userId);
+  if (!eligibility.eligible) {
+    return sendRequirementsNotMet(res, eligibility);
+  }
+
+  // Approval and invite-only rides need an approved request or an invitation first
+  let joinRequest = null;
+  if (ride.join_mode !== 'instant') {
+    joinRequest = await getJoinClearance(ride, req.userId);
+
+    if (!joinRequest) {
+      if (ride.join_mode === 'invite_only') {
+        return next(new AppError('This ride is invite only', 403, 'INVITE_ONLY'));
+      }
+
+      const request = await requestToJoin(ride, req.userId, {
+        pricingOption: pricing_option || null,
+        slotType: slot_type || null,
+        message: message || null
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        message: 'Join request sent to the ride organiser',
+        data: {
+          approval_required: true,
+          join_request: request
+        }
+      });
+    }
+  }
+
+  // Slots held for waitlist offers are not available to new joiners
+  if (await getAvailableSlots(ride) <= 0) {
+    return next(new AppError('This ride is currently full. You can join the waitlist instead.', 400, 'RIDE_FULL'));
+  }
+
+  // Own bike, pillion seat or organiser bike - the request remembers what an approved rider asked for
+  const slotType = resolveSlotType(await getSlotAvailability(ride, { userId: req.userId }), {
+    slotType: slot_type || joinRequest?.slot_type || null,
+    pricingOption: pricing_option || joinRequest?.pricing_option || null
+  });
+
+  if (promo_code && !ride.is_paid) {
+    return next(new AppError('Promo codes only apply to paid rides', 400, 'PROMO_CODE_INVALID'));
   }
 
   // Handle pricing for paid rides
   let selectedPrice = 0;
   let finalPricingOption = pricing_option;
+  let promoQuote = null;
 
   if (ride.is_paid) {
     console.log('💰 Processing paid ride pricing...');
-    
-    const pricingOptions = typeof ride.pricing_options === 'string' 
-      ? JSON.parse(ride.pricing_options) 
-      : ride.pricing_options || {};
-
-    console.log('📋 Available pricing options:', pricingOptions);
-
-    // Extract pricing options
-    const withBikePrice = pricingOptions.with_bike ? parseFloat(pricingOptions.with_bike) : null;
-    const withoutBikePrice = pricingOptions.without_bike ? parseFloat(pricingOptions.without_bike) : null;
-    const basePrice = ride.price ? parseFloat(ride.price) : null;
-
-    // Determine available options
-    const availableOptions = [];
-    if (withBikePrice && withBikePrice > 0) availableOptions.push('with_bike');
-    if (withoutBikePrice && withoutBikePrice > 0) availableOptions.push('without_bike');
 
-    console.log('✅ Available options:', availableOptions);
+    const pricing = resolveRidePricing(ride, getSlotPricingOption(ride, slotType) || pricing_option);
 
-    if (availableOptions.length > 1) {
+    if (pricing.requiresSelection) {
       // Multiple options - user must select
-      if (!pricing_option || !availableOptions.includes(pricing_option)) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Please select a pricing option',
-          data: {
-            available_options: availableOptions.map(option => ({
-              option,
-              price: pricingOptions[option],
-              label: option === 'with_bike' ? 'With Bike' : 'Without Bike'
-            })),
-            requires_selection: true
-          }
-        });
-      }
-      selectedPrice = pricingOptions[pricing_option];
-      finalPricingOption = pricing_option;
-    } else if (availableOptions.length === 1) {
-      // Single option - auto-select
-      const onlyOption = availableOptions[0];
-      selectedPrice = pricingOptions[onlyOption];
-      finalPricingOption = onlyOption;
-    } else if (basePrice && basePrice > 0) {
-      // Fallback to base price
-      selectedPrice = basePrice;
-      finalPricingOption = 'base_price';
-    } else {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please select a pricing option',
+        data: {
+          available_options: pricing.availableOptions,
+          requires_selection: true
+        }
+      });
+    }
+
+    if (!pricing.pricingOption) {
       return next(new AppError('Invalid pricing configuration for this ride', 500));
     }
 
+    selectedPrice = pricing.price;
+    finalPricingOption = pricing.pricingOption;
+
     // Validate price
     if (!selectedPrice || selectedPrice <= 0) {
       return next(new AppError('Invalid price calculated', 500));
     }
 
-    console.log('💵 Final pricing:', { selectedPrice, finalPricingOption });
+    if (promo_code) {
+      promoQuote = await quotePromoCode(promo_code, req.userId, { ride, amount: selectedPrice });
+    }
+  }
+
+  // Approval already opened a payment order - hand that one back, unless a code changes the price
+  if (ride.is_paid && joinRequest && !promoQuote) {
+    const approvalOrder = await getApprovalPaymentOrder(joinRequest);
+    if (approvalOrder && approvalOrder.pricing_option === finalPricingOption &&
+        (approvalOrder.slot_type || 'own_bike') === slotType) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment required to join ride',
+        data: {
+          payment_required: true,
+          payment_order: approvalOrder,
+          ride_id: rideId
+        }
+      });
+    }
   }
 
-  // Handle payment for paid rides
-  if (ride.is_paid && selectedPrice > 0) {
+  // Handle payment for paid rides - a code covering the full price skips payment
+  if (ride.is_paid && selectedPrice > 0 && !(promoQuote && promoQuote.final_amount <= 0)) {
     console.log('🔄 Creating Cashfree payment order for React Native...');
     
     try {
@@ -518,8 +753,11 @@ const joinRide = catchAsync(async (req, res, next) => {
         payment_type: 'ride_fee',
         ride_id: rideId,
         recipient_id: ride.creator_id,
+        promo_code: promoQuote ? promoQuote.promoCode.code : undefined,
         metadata: {
           pricing_option: finalPricingOption,
+          slot_type: slotType,
+          offers_pillion: slotType === 'own_bike' && !!offers_pillion,
           ride_title: ride.title,
           selected_price: selectedPrice
         }
@@ -537,8 +775,12 @@ const joinRide = catchAsync(async (req, res, next) => {
             payment_session_id: paymentOrder.payment_session_id,
             cashfree_token: paymentOrder.cashfree_token,
             amount: paymentOrder.amount,
+            original_amount: paymentOrder.original_amount,
+            discount_amount: paymentOrder.discount_amount,
+            promo_code: paymentOrder.promo_code,
             currency: paymentOrder.currency,
             pricing_option: finalPricingOption,
+            slot_type: slotType,
             expires_at: paymentOrder.expires_at,
             environment: paymentOrder.environment
           },
@@ -548,19 +790,42 @@ const joinRide = catchAsync(async (req, res, next) => {
 
     } catch (error) {
       console.error('❌ Cashfree payment order creation failed:', error);
+      // Promo code rejections are the rider's to fix
+      if (error.code === 'PROMO_CODE_INVALID') {
+        return next(error);
+      }
       return next(new AppError('Failed to create payment order. Please try again.', 500));
     }
   }
 
   // Free ride - add participant directly
   console.log('🆓 Processing free ride join...');
-  
+
+  let redemption = null;
+  let participant = null;
+
   try {
+    if (promoQuote) {
+      redemption = await reservePromoCode(promoQuote, req.userId);
+    }
+
     const user = await User.findByPk(req.userId);
     
-    // Add user to ride participants
-    await ride.addParticipant(user);
-    await ride.increment('current_participants');
+    // Add user to ride participants in the kind of place they asked for
+    participant = await takeRideSlot(ride, user, { slotType, offersPillion: offers_pillion });
+
+    if (redemption) {
+      await recordCoveredPayment(redemption, promoQuote, {
+        payment_type: 'ride_fee',
+        recipient_id: ride.creator_id,
+        metadata: {
+          pricing_option: finalPricingOption,
+          slot_type: participant.slot_type,
+          ride_title: ride.title,
+          selected_price: selectedPrice
+        }
+      });
+    }
 
     console.log('✅ Successfully joined free ride');
 
@@ -571,13 +836,28 @@ const joinRide = catchAsync(async (req, res, next) => {
         participant_id: user.id,
         ride_id: rideId,
         pricing_option: finalPricingOption,
-        amount_paid: selectedPrice,
+        slot_type: participant.slot_type,
+        offers_pillion: participant.offers_pillion,
+        pillion_host_id: participant.pillion_host_id,
+        amount_paid: promoQuote ? promoQuote.final_amount : selectedPrice,
+        ...(promoQuote && {
+          promo_code: promoQuote.promoCode.code,
+          discount_amount: promoQuote.discount_amount
+        }),
         payment_required: false,
         joined_at: new Date()
       }
     });
   } catch (error) {
     console.error('❌ Failed to join free ride:', error);
+    // The code's use goes back when no place was taken
+    if (redemption && !participant) {
+      await releasePromoRedemption(redemption);
+    }
+    // Someone else took the last place of this kind in the meantime, or the code ran out
+    if (error.code === SLOT_UNAVAILABLE || error.code === 'PROMO_CODE_INVALID') {
+      return next(error);
+    }
     return next(new AppError('Failed to join ride. Please try again.', 500));
   }
 });
@@ -609,31 +889,37 @@ const leaveRide = catchAsync(async (req, res, next) => {
     return next(new AppError('You are not a participant of this ride', 400));
   }
 
-  // Remove user from ride participants
-  const user = await User.findByPk(req.userId);
-  await ride.removeParticipant(user);
-  await ride.decrement('current_participants');
+  // Remove user from ride participants; anyone riding pillion with them is re-matched
+  await releaseRideSlot(ride, req.userId);
 
-  // Handle refund for paid rides (if applicable)
+  // Refund paid riders according to how much notice they gave
+  let refund = null;
   if (ride.is_paid) {
-    // Check for payment and process refund logic here
-    const payment = await Payment.findOne({
-      where: {
-        user_id: req.userId,
-        ride_id: rideId,
-        status: 'success'
-      }
-    });
-
-    if (payment) {
-      console.log('Processing refund for leaving paid ride:', payment.id);
-      // Implement refund logic based on your business rules
+    try {
+      refund = await refundLeavingParticipant(ride, req.userId);
+    } catch (error) {
+      console.error('Failed to refund leaving participant:', error);
     }
   }
 
+  // Offer the freed slot to the waitlist
+  try {
+    await promoteNextFromWaitlist(rideId);
+  } catch (error) {
+    console.error('Failed to promote from waitlist:', error);
+  }
+
   res.status(200).json({
     status: 'success',
-    message: 'Successfully left the ride'
+    message: 'Successfully left the ride',
+    data: {
+      refund: refund ? {
+        id: refund.id,
+        amount: parseFloat(refund.amount),
+        refund_percentage: refund.refund_percentage,
+        status: refund.status
+      } : null
+    }
   });
 });
 
@@ -656,8 +942,12 @@ const cancelRide = catchAsync(async (req, res, next) => {
     return next(new AppError('Ride not found', 404));
   }
 
-  if (!ride.canCancel(req.userId)) {
-    return next(new AppError('You can only cancel your own upcoming rides', 403));
+  if (!await hasRidePermission(ride, req.userId, 'cancel_ride')) {
+    return next(new AppError('Only the organiser can cancel this ride', 403));
+  }
+
+  if (!ride.isCancellable()) {
+    return next(new AppError('Only upcoming rides can be cancelled', 400));
   }
 
   // Update ride status
@@ -670,21 +960,27 @@ const cancelRide = catchAsync(async (req, res, next) => {
     }
   });
 
+  await closeRideWaitlist(rideId);
+  await closeRideJoinRequests(rideId);
+
   // Notify all participants
   if (ride.participants?.length > 0) {
     const message = `Ride "${ride.title}" has been cancelled. ${reason ? `Reason: ${reason}` : ''}`;
     await notifyRideParticipants(ride.participants, message);
   }
 
-  // Process refunds for paid rides
-  if (ride.is_paid && ride.participants?.length > 0) {
-    console.log('Processing refunds for cancelled ride:', rideId);
-    // Implement refund logic for all participants
+  // Refund every paid participant in full
+  let refunds = null;
+  if (ride.is_paid) {
+    refunds = await refundCancelledRide(ride, reason);
   }
 
   res.status(200).json({
     status: 'success',
-    message: 'Ride cancelled successfully'
+    message: 'Ride cancelled successfully',
+    data: {
+      refunds
+    }
   });
 });
 
@@ -707,8 +1003,8 @@ const inviteToRide = catchAsync(async (req, res, next) => {
     return next(new AppError('Ride not found', 404));
   }
 
-  if (ride.creator_id !== req.userId) {
-    return next(new AppError('Only ride creator can send invitations', 403));
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can send invitations', 403));
   }
 
   const invitations = [];
@@ -719,6 +1015,8 @@ const inviteToRide = catchAsync(async (req, res, next) => {
       where: { id: { [Op.in]: user_ids } }
     });
 
+    await recordInvitations(ride, users.map(user => user.id), req.userId);
+
     for (const user of users) {
       try {
         await sendRideInvitation(user, ride, ride.creator.getFullName());
@@ -735,6 +1033,8 @@ const inviteToRide = catchAsync(async (req, res, next) => {
       where: { phone_number: { [Op.in]: phone_numbers } }
     });
 
+    await recordInvitations(ride, users.map(user => user.id), req.userId);
+
     for (const user of users) {
       try {
         await sendRideInvitation(user, ride, ride.creator.getFullName());
@@ -768,8 +1068,8 @@ const getRideParticipants = catchAsync(async (req, res, next) => {
       {
         model: User,
         as: 'participants',
-        through: { attributes: [] },
-        attributes: ['id', 'first_name', 'last_name', 'profile_picture', 'phone_number']
+        through: { attributes: ['role', 'slot_type', 'offers_pillion', 'pillion_host_id'] },
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture', 'phone_number', 'emergency_contact']
       }
     ]
   });
@@ -783,18 +1083,34 @@ const getRideParticipants = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to view this ride', 403));
   }
 
+  // Emergency contacts and blood groups are only shown to the organisers and the medic
+  const showMedicalInfo = await hasRidePermission(ride, req.userId, 'view_medical_info');
+
+  const participants = (ride.participants || []).map(participant => {
+    const { RideParticipant: membership, emergency_contact, ...user } = participant.toJSON();
+    return {
+      ...user,
+      ...(showMedicalInfo && { emergency_contact }),
+      role: membership?.role || 'rider',
+      slot_type: membership?.slot_type || 'own_bike',
+      offers_pillion: membership?.offers_pillion || false,
+      pillion_host_id: membership?.pillion_host_id || null
+    };
+  });
+
   res.status(200).json({
     status: 'success',
     data: {
       creator: ride.creator,
-      participants: ride.participants || [],
-      total_participants: (ride.participants?.length || 0) + 1
+      participants,
+      crew: await getRideCrew(ride),
+      total_participants: participants.length + 1
     }
   });
 });
 
-// Delete ride
-const deleteRide = catchAsync(async (req, res, next) => {
+// Organiser and crew of a ride
+const getRideCrewList = catchAsync(async (req, res, next) => {
   const { rideId } = req.params;
 
   const ride = await Ride.findByPk(rideId);
@@ -802,19 +1118,772 @@ const deleteRide = catchAsync(async (req, res, next) => {
     return next(new AppError('Ride not found', 404));
   }
 
-  if (ride.creator_id !== req.userId) {
-    return next(new AppError('You can only delete your own rides', 403));
+  const canAccess = await canUserAccessRide(ride, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to view this ride', 403));
   }
 
-  if (ride.status !== 'upcoming') {
-    return next(new AppError('Only upcoming rides can be deleted', 400));
+  res.status(200).json({
+    status: 'success',
+    data: {
+      crew: await getRideCrew(ride)
+    }
+  });
+});
+
+// Make a participant co-organiser, lead, sweep or medic - or back to a plain rider
+const assignRideCrewRole = catchAsync(async (req, res, next) => {
+  const { rideId, userId } = req.params;
+  const { role } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
   }
 
-  await ride.destroy();
+  if (!await hasRidePermission(ride, req.userId, 'manage_crew')) {
+    return next(new AppError('Only the organiser can assign crew roles', 403));
+  }
+
+  const participant = await assignCrewRole(ride, userId, role, req.userId);
 
   res.status(200).json({
     status: 'success',
-    message: 'Ride deleted successfully'
+    message: role === 'rider' ? 'Crew role removed' : 'Crew role assigned',
+    data: {
+      user_id: participant.user_id,
+      role: participant.role,
+      permissions: getRidePermissions(participant.role)
+    }
+  });
+});
+
+// Own-bike, pillion and organiser-bike places, and who rides pillion with whom
+const getRideSlotList = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const canAccess = await canUserAccessRide(ride, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: await getRideSlots(ride)
+  });
+});
+
+// A participant on their own bike offers or withdraws a pillion seat
+const updatePillionOffer = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { offers_pillion } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const participant = await setPillionOffer(ride, req.userId, offers_pillion);
+
+  res.status(200).json({
+    status: 'success',
+    message: offers_pillion ? 'Pillion seat offered' : 'Pillion seat withdrawn',
+    data: {
+      offers_pillion: participant.offers_pillion,
+      slots: await getRideSlots(ride)
+    }
+  });
+});
+
+// Remove a participant from a ride (creator only)
+const removeRideParticipant = catchAsync(async (req, res, next) => {
+  const { rideId, userId } = req.params;
+
+  const ride = await Ride.findByPk(rideId, {
+    include: [
+      {
+        model: User,
+        as: 'participants',
+        through: { attributes: [] },
+        where: { id: userId },
+        required: false
+      }
+    ]
+  });
+
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const role = await getRideRole(ride, req.userId);
+  if (!roleHasPermission(role, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can remove participants', 403));
+  }
+
+  if (userId === ride.creator_id) {
+    return next(new AppError('Ride creator cannot be removed', 400));
+  }
+
+  const participant = ride.participants?.[0];
+  if (!participant) {
+    return next(new AppError('User is not a participant of this ride', 404));
+  }
+
+  // Co-organisers manage riders; only the organiser can remove crew
+  const removedRole = await getRideRole(ride, userId);
+  if (removedRole !== 'rider' && !roleHasPermission(role, 'manage_crew')) {
+    return next(new AppError('Only the organiser can remove crew members', 403));
+  }
+
+  await releaseRideSlot(ride, participant.id);
+
+  await notifyRideParticipants([participant], `You have been removed from ride "${ride.title}".`);
+
+  // Offer the freed slot to the waitlist
+  try {
+    await promoteNextFromWaitlist(rideId);
+  } catch (error) {
+    console.error('Failed to promote from waitlist:', error);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Participant removed successfully'
+  });
+});
+
+// Join the waitlist of a full ride
+const joinRideWaitlist = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { pricing_option, slot_type } = req.body;
+
+  const ride = await Ride.findByPk(rideId, {
+    include: [
+      {
+        model: User,
+        as: 'participants',
+        through: { attributes: [] },
+        attributes: ['id']
+      }
+    ]
+  });
+
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const canAccess = await canUserAccessRide(ride, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to join this ride', 403));
+  }
+
+  if (ride.status !== 'upcoming') {
+    return next(new AppError('Only upcoming rides have a waitlist', 400));
+  }
+
+  if (ride.creator_id === req.userId) {
+    return next(new AppError('Ride creators cannot join their own rides', 400));
+  }
+
+  if (ride.participants?.some(p => p.id === req.userId)) {
+    return next(new AppError('You have already joined this ride', 400));
+  }
+
+  const eligibility = await checkRideEligibility(ride, req.userId);
+  if (!eligibility.eligible) {
+    return sendRequirementsNotMet(res, eligibility);
+  }
+
+  if (ride.join_mode !== 'instant' && !await getJoinClearance(ride, req.userId)) {
+    return next(new AppError(
+      ride.join_mode === 'invite_only'
+        ? 'This ride is invite only'
+        : 'The organiser has to approve your join request before you can join the waitlist',
+      403
+    ));
+  }
+
+  // Capture the pricing choice now so a promotion can open the payment order directly
+  let pricingOption = null;
+  if (ride.is_paid) {
+    const pricing = resolveRidePricing(ride, pricing_option || getSlotPricingOption(ride, slot_type));
+
+    if (pricing.requiresSelection) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please select a pricing option',
+        data: {
+          available_options: pricing.availableOptions,
+          requires_selection: true
+        }
+      });
+    }
+
+    pricingOption = pricing.pricingOption;
+  }
+
+  const { entry, position } = await joinWaitlist(ride, req.userId, pricingOption, slot_type || null);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Added to the waitlist',
+    data: {
+      waitlist_entry: entry,
+      position
+    }
+  });
+});
+
+// Leave the waitlist (or give up a held slot)
+const leaveRideWaitlist = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  await leaveWaitlist(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Removed from the waitlist'
+  });
+});
+
+// Get waitlist - full queue for the creator, own position for everyone else
+const getRideWaitlist = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const canAccess = await canUserAccessRide(ride, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  const activeEntries = await RideWaitlist.findAll({
+    where: {
+      ride_id: rideId,
+      status: { [Op.in]: ['waiting', 'offered'] }
+    },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      }
+    ],
+    order: [['queued_at', 'ASC']]
+  });
+
+  const waitingEntries = activeEntries.filter(entry => entry.status === 'waiting');
+  const ownEntry = activeEntries.find(entry => entry.user_id === req.userId) || null;
+
+  const data = {
+    ride_id: rideId,
+    waiting_count: waitingEntries.length,
+    offered_count: activeEntries.length - waitingEntries.length,
+    my_entry: ownEntry,
+    my_position: ownEntry?.status === 'waiting'
+      ? waitingEntries.findIndex(entry => entry.id === ownEntry.id) + 1
+      : null
+  };
+
+  if (await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    data.entries = activeEntries;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data
+  });
+});
+
+// Claim a held waitlist slot - returns the payment order for paid rides
+const claimRideWaitlistOffer = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { pricing_option } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const result = await claimWaitlistOffer(ride, req.userId, pricing_option);
+
+  if (result.requiresSelection) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Please select a pricing option',
+      data: {
+        available_options: result.availableOptions,
+        requires_selection: true
+      }
+    });
+  }
+
+  if (result.joined) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Successfully joined the ride',
+      data: {
+        ride_id: rideId,
+        payment_required: false
+      }
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment required to claim your spot',
+    data: {
+      payment_required: true,
+      payment_order: result.paymentOrder,
+      ride_id: rideId
+    }
+  });
+});
+
+// List join requests - ride creator only
+const getRideJoinRequestList = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { status = 'pending' } = req.query;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can view join requests', 403));
+  }
+
+  const requests = await getRideJoinRequests(rideId, status);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ride_id: rideId,
+      join_mode: ride.join_mode,
+      requests,
+      count: requests.length
+    }
+  });
+});
+
+// Approve a join request - ride creator only
+const approveRideJoinRequest = catchAsync(async (req, res, next) => {
+  const { rideId, requestId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can approve join requests', 403));
+  }
+
+  const { request, joined, waitlistPosition, paymentOrder } = await approveJoinRequest(ride, requestId, req.userId);
+
+  let message = 'Join request approved. The rider has been added to the ride';
+  if (waitlistPosition) {
+    message = 'Join request approved. The ride is full, so the rider was added to the waitlist';
+  } else if (!joined) {
+    message = 'Join request approved. The rider joins once payment is complete';
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message,
+    data: {
+      join_request: request,
+      joined,
+      waitlist_position: waitlistPosition,
+      payment_order_created: !!paymentOrder
+    }
+  });
+});
+
+// Decline a join request with an optional reason - ride creator only
+const declineRideJoinRequest = catchAsync(async (req, res, next) => {
+  const { rideId, requestId } = req.params;
+  const { reason } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can decline join requests', 403));
+  }
+
+  const request = await declineJoinRequest(ride, requestId, req.userId, reason || null);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Join request declined',
+    data: {
+      join_request: request
+    }
+  });
+});
+
+// Get the current user's own join request, with the payment order once approved
+const getMyRideJoinRequest = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const request = await getJoinRequest(rideId, req.userId);
+  if (!request) {
+    return next(new AppError('You have not requested to join this ride', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      join_request: request,
+      payment_order: request.status === 'approved' ? await getApprovalPaymentOrder(request) : null
+    }
+  });
+});
+
+// Withdraw a pending join request
+const cancelMyRideJoinRequest = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  await cancelJoinRequest(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Join request withdrawn'
+  });
+});
+
+// Check the current user's profile against the ride requirements before joining
+const getRideEligibility = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const eligibility = await checkRideEligibility(ride, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      requirements: ride.requirements,
+      eligible: eligibility.eligible,
+      unmet_requirements: eligibility.unmet,
+      waived_requirements: eligibility.waived
+    }
+  });
+});
+
+// Let a rider join despite unmet requirements - ride creator only
+const grantRideRequirementWaiver = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { user_id, requirements, reason } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can waive ride requirements', 403));
+  }
+
+  const waiver = await grantRequirementWaiver(ride, user_id, req.userId, {
+    requirements: requirements || null,
+    reason: reason || null
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Requirement waiver granted',
+    data: {
+      waiver
+    }
+  });
+});
+
+// Mark a rider's license or insurance as checked, after seeing it
+const verifyRideDocument = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { user_id, document } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can verify rider documents', 403));
+  }
+
+  const verification = await verifyRiderDocument(ride, user_id, document, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document verified for this ride',
+    data: {
+      verification
+    }
+  });
+});
+
+// Remove a rider's requirement waiver - ride creator only
+const revokeRideRequirementWaiver = catchAsync(async (req, res, next) => {
+  const { rideId, userId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'manage_participants')) {
+    return next(new AppError('Only the organiser or a co-organiser can revoke requirement waivers', 403));
+  }
+
+  await revokeRequirementWaiver(ride, userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Requirement waiver revoked'
+  });
+});
+
+// Delete ride
+const deleteRide = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'delete_ride')) {
+    return next(new AppError('Only the organiser can delete this ride', 403));
+  }
+
+  if (ride.status !== 'upcoming') {
+    return next(new AppError('Only upcoming rides can be deleted', 400));
+  }
+
+  await ride.destroy();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride deleted successfully'
+  });
+});
+
+// Start ride (upcoming -> ongoing)
+const startRide = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'run_ride')) {
+    return next(new AppError('Only the organiser, a co-organiser or the lead rider can start the ride', 403));
+  }
+
+  const startedRide = await markRideStarted(ride);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride started',
+    data: {
+      ride: startedRide
+    }
+  });
+});
+
+// Complete ride (ongoing -> completed)
+const completeRide = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'run_ride')) {
+    return next(new AppError('Only the organiser, a co-organiser or the lead rider can complete the ride', 403));
+  }
+
+  const completedRide = await markRideCompleted(ride);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride completed',
+    data: {
+      ride: completedRide
+    }
+  });
+});
+
+// Import a GPX/KML route - replaces waypoints, polyline and distance
+const importRideRoute = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  if (!req.file) {
+    return next(new AppError('Please upload a GPX or KML file as route_file', 400));
+  }
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'edit_ride')) {
+    return next(new AppError('Only the organiser or a co-organiser can edit this ride', 403));
+  }
+
+  if (!ride.isEditable()) {
+    return next(new AppError('Only upcoming rides can be edited', 400));
+  }
+
+  const content = await fs.promises.readFile(req.file.path, 'utf-8');
+  const { format, name, point_count, updates } = parseRouteFile(content, req.file.originalname);
+  Object.assign(updates, applyRouteGeometryUpdate(ride, updates));
+
+  // Imported routes belong to this occurrence only
+  if (ride.series_id) {
+    updates.is_series_exception = true;
+  }
+
+  const updatedRide = await ride.update(updates);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Route imported successfully',
+    data: {
+      ride: updatedRide,
+      import: {
+        format,
+        route_name: name,
+        point_count,
+        waypoint_count: updates.waypoints.length,
+        distance_km: updates.distance_km
+      }
+    }
+  });
+});
+
+// Export the ride route as a GPX or KML download
+const exportRideRoute = catchAsync(async (req, res, next) => {
+  const { rideId, format } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const canAccess = await canUserAccessRide(ride, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  const { content, contentType } = buildRouteFile(ride, format);
+  const filename = `${generateSlug(ride.title) || 'ride'}.${format}`;
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(content);
+});
+
+// Signed, expiring QR for the organiser to display at the meeting point
+const getRideCheckInCode = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'check_in')) {
+    return next(new AppError('Only the ride crew can display the check-in code', 403));
+  }
+
+  const checkInCode = generateCheckInCode(ride);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ride_id: rideId,
+      ...checkInCode
+    }
+  });
+});
+
+// Participant scans the organiser's QR to confirm attendance
+const checkInToRide = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+  const { qr_data, location } = req.body;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  const { participant, alreadyCheckedIn } = await checkInParticipant(ride, req.userId, qr_data, location);
+
+  res.status(200).json({
+    status: 'success',
+    message: alreadyCheckedIn ? 'You have already checked in' : 'Checked in successfully',
+    data: {
+      ride_id: rideId,
+      status: participant.status,
+      checked_in_at: participant.checked_in_at,
+      check_in_location: participant.check_in_location
+    }
+  });
+});
+
+// Attendance report - creator only
+const getRideAttendanceReport = catchAsync(async (req, res, next) => {
+  const { rideId } = req.params;
+
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'check_in')) {
+    return next(new AppError('Only the ride crew can view attendance', 403));
+  }
+
+  const attendance = await getRideAttendance(ride);
+
+  res.status(200).json({
+    status: 'success',
+    data: attendance
   });
 });
 
@@ -850,8 +1919,12 @@ const checkUserAlreadyJoined = async (req, res, next) => {
 
 module.exports = {
   createRide,
+  cloneRide,
   getRides,
+  searchRides,
+  getRecommendedRides,
   getNearbyRides,
+  getRidesAlongRoute,
   getRideById,
   updateRide,
   joinRide,
@@ -859,6 +1932,31 @@ module.exports = {
   cancelRide,
   inviteToRide,
   getRideParticipants,
+  getRideCrewList,
+  assignRideCrewRole,
+  getRideSlotList,
+  updatePillionOffer,
+  removeRideParticipant,
+  joinRideWaitlist,
+  leaveRideWaitlist,
+  getRideWaitlist,
+  claimRideWaitlistOffer,
+  getRideJoinRequestList,
+  approveRideJoinRequest,
+  declineRideJoinRequest,
+  getMyRideJoinRequest,
+  cancelMyRideJoinRequest,
+  getRideEligibility,
+  grantRideRequirementWaiver,
+  revokeRideRequirementWaiver,
+  verifyRideDocument,
   deleteRide,
+  startRide,
+  completeRide,
+  getRideCheckInCode,
+  checkInToRide,
+  getRideAttendanceReport,
+  importRideRoute,
+  exportRideRoute,
   checkUserAlreadyJoined
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { Ride } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  canViewAlbum,
+  getRideAlbum,
+  uploadRideMedia,
+  updateMediaCaption,
+  setMediaHighlight,
+  deleteRideMedia
+} = require('../services/rideMediaService');
+const { getPagination, getPagingData } = require('../utils/helpers');
+
+const findRide = async (rideId) => {
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+  return ride;
+};
+
+// Photos and videos from the ride, optionally only the highlights
+const getRideMedia = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, highlights, media_type } = req.query;
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
+  const ride = await findRide(req.params.rideId);
+
+  if (!await canViewAlbum(ride, req.userId)) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  const media = await getRideAlbum(ride, {
+    highlights: String(highlights) === 'true',
+    media_type,
+    limit: limitNum,
+    offset
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: getPagingData(media, page - 1, limitNum)
+  });
+});
+
+const addRideMedia = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const media = await uploadRideMedia(ride, req.userId, req.files, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: `${media.length} item(s) added to the ride album`,
+    data: {
+      media
+    }
+  });
+});
+
+const editRideMediaCaption = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const media = await updateMediaCaption(ride, req.params.mediaId, req.userId, req.body.caption);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Caption updated successfully',
+    data: {
+      media
+    }
+  });
+});
+
+const highlightRideMedia = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  const media = await setMediaHighlight(ride, req.params.mediaId, req.userId, req.body.is_highlight);
+
+  res.status(200).json({
+    status: 'success',
+    message: media.is_highlight ? 'Added to highlights' : 'Removed from highlights',
+    data: {
+      media
+    }
+  });
+});
+
+const removeRideMedia = catchAsync(async (req, res, next) => {
+  const ride = await findRide(req.params.rideId);
+  await deleteRideMedia(ride, req.params.mediaId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Media removed from the ride album'
+  });
+});
+
+module.exports = {
+  getRideMedia,
+  addRideMedia,
+  editRideMediaCaption,
+  highlightRideMedia,
+  removeRideMedia
+};
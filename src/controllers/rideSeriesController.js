@@ -0,0 +1,222 @@
+const { sequelize, RideSeries, User, Group } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  toDateString,
+  materializeSeries,
+  getUpcomingOccurrences,
+  updateFutureOccurrences,
+  cancelSeries
+} = require('../services/rideSeriesService');
+const { applyRouteGeometry } = require('../services/routeGeometryService');
+
+const isGroupMember = async (userId, groupId) => {
+  const userWithGroup = await User.findByPk(userId, {
+    include: [{
+      model: Group,
+      as: 'joinedGroups',
+      where: { id: groupId },
+      through: { attributes: [] },
+      required: false
+    }]
+  });
+
+  return userWithGroup?.joinedGroups?.length > 0;
+};
+
+// Series follow the visibility of the rides they produce
+const canUserAccessSeries = async (series, userId) => {
+  if (series.creator_id === userId) return true;
+
+  const visibility = series.ride_template?.visibility || 'public';
+  if (visibility === 'public') return true;
+
+  if (visibility === 'group_only' && series.group_id) {
+    return isGroupMember(userId, series.group_id);
+  }
+
+  return false;
+};
+
+// Create a recurring ride series and its first occurrences
+const createRideSeries = catchAsync(async (req, res, next) => {
+  const { recurrence, title, ride_time, group_id, ...rideTemplate } = req.body;
+
+  // Validate group access for group_only rides
+  if (rideTemplate.visibility === 'group_only' && group_id) {
+    if (!await isGroupMember(req.userId, group_id)) {
+      return next(new AppError('You are not a member of this group', 403));
+    }
+  }
+
+  Object.assign(rideTemplate, applyRouteGeometry(rideTemplate));
+
+  const startsOn = recurrence.starts_on
+    ? toDateString(new Date(recurrence.starts_on))
+    : toDateString(new Date());
+
+  // Occurrences go through the Ride validation hooks - any failure rolls back the whole series
+  const { series, occurrences } = await sequelize.transaction(async (transaction) => {
+    const series = await RideSeries.create({
+      creator_id: req.userId,
+      group_id: group_id || null,
+      title,
+      ride_time,
+      ride_template: rideTemplate,
+      frequency: recurrence.frequency,
+      day_of_week: recurrence.day_of_week,
+      week_of_month: recurrence.week_of_month || null,
+      starts_on: startsOn,
+      ends_on: recurrence.ends_on ? toDateString(new Date(recurrence.ends_on)) : null
+    }, { transaction });
+
+    const occurrences = await materializeSeries(series, { transaction });
+
+    return { series, occurrences };
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Ride series created successfully',
+    data: {
+      series,
+      occurrences
+    }
+  });
+});
+
+// Get series created by the current user
+const getMyRideSeries = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const whereClause = { creator_id: req.userId };
+  if (status) whereClause.status = status;
+
+  const series = await RideSeries.findAll({
+    where: whereClause,
+    include: [
+      {
+        model: Group,
+        as: 'group',
+        attributes: ['id', 'name', 'group_type'],
+        required: false
+      }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series
+    }
+  });
+});
+
+// Get a series with its upcoming occurrences
+const getRideSeriesById = catchAsync(async (req, res, next) => {
+  const { seriesId } = req.params;
+
+  const series = await RideSeries.findByPk(seriesId, {
+    include: [
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      },
+      {
+        model: Group,
+        as: 'group',
+        attributes: ['id', 'name', 'group_type'],
+        required: false
+      }
+    ]
+  });
+
+  if (!series) {
+    return next(new AppError('Ride series not found', 404));
+  }
+
+  const canAccess = await canUserAccessSeries(series, req.userId);
+  if (!canAccess) {
+    return next(new AppError('You do not have permission to view this ride series', 403));
+  }
+
+  const occurrences = await getUpcomingOccurrences(series, toDateString(new Date()));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series,
+      occurrences
+    }
+  });
+});
+
+// Update all future occurrences - single occurrences are edited through PUT /api/rides/:rideId
+const updateRideSeries = catchAsync(async (req, res, next) => {
+  const { seriesId } = req.params;
+  const { from_date, ...updates } = req.body;
+
+  const series = await RideSeries.findByPk(seriesId);
+  if (!series) {
+    return next(new AppError('Ride series not found', 404));
+  }
+
+  if (!series.canEdit(req.userId)) {
+    return next(new AppError('You can only edit your own active ride series', 403));
+  }
+
+  const visibility = updates.visibility || series.ride_template?.visibility;
+  const groupId = updates.group_id !== undefined ? updates.group_id : series.group_id;
+  if (visibility === 'group_only' && groupId) {
+    if (!await isGroupMember(req.userId, groupId)) {
+      return next(new AppError('You are not a member of this group', 403));
+    }
+  }
+
+  if (updates.ends_on) updates.ends_on = toDateString(new Date(updates.ends_on));
+
+  const result = await updateFutureOccurrences(series, updates, {
+    fromDate: from_date ? toDateString(new Date(from_date)) : undefined
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride series updated successfully',
+    data: result
+  });
+});
+
+// Cancel the series and every occurrence that has not started yet
+const cancelRideSeries = catchAsync(async (req, res, next) => {
+  const { seriesId } = req.params;
+  const { reason } = req.body;
+
+  const series = await RideSeries.findByPk(seriesId);
+  if (!series) {
+    return next(new AppError('Ride series not found', 404));
+  }
+
+  if (series.creator_id !== req.userId) {
+    return next(new AppError('You can only cancel your own ride series', 403));
+  }
+
+  const cancelledCount = await cancelSeries(series, reason);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride series cancelled successfully',
+    data: {
+      series_id: series.id,
+      cancelled_occurrences: cancelledCount
+    }
+  });
+});
+
+module.exports = {
+  createRideSeries,
+  getMyRideSeries,
+  getRideSeriesById,
+  updateRideSeries,
+  cancelRideSeries
+};
@@ -0,0 +1,75 @@
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  getTemplateForUser,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getUserTemplates
+} = require('../services/rideTemplateService');
+const { getPagination, getPagingData } = require('../utils/helpers');
+
+// Save a template from explicit ride fields or from an existing ride
+const createRideTemplate = catchAsync(async (req, res, next) => {
+  const template = await createTemplate(req.userId, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Ride template saved successfully',
+    data: {
+      template
+    }
+  });
+});
+
+// Personal templates and templates of the user's groups
+const getMyRideTemplates = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, group_id } = req.query;
+  const { limit: limitNum, offset } = getPagination(page - 1, limit);
+
+  const templates = await getUserTemplates(req.userId, { group_id, limit: limitNum, offset });
+
+  res.status(200).json({
+    status: 'success',
+    data: getPagingData(templates, page - 1, limitNum)
+  });
+});
+
+const getRideTemplateById = catchAsync(async (req, res, next) => {
+  const template = await getTemplateForUser(req.params.templateId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template
+    }
+  });
+});
+
+const updateRideTemplate = catchAsync(async (req, res, next) => {
+  const template = await updateTemplate(req.params.templateId, req.userId, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride template updated successfully',
+    data: {
+      template
+    }
+  });
+});
+
+const deleteRideTemplate = catchAsync(async (req, res, next) => {
+  await deleteTemplate(req.params.templateId, req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ride template deleted successfully'
+  });
+});
+
+module.exports = {
+  createRideTemplate,
+  getMyRideTemplates,
+  getRideTemplateById,
+  updateRideTemplate,
+  deleteRideTemplate
+};
@@ -3,6 +3,13 @@ const { AppError, catchAsync } = require('../middleware/errorHandler');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 const { cacheSet, cacheDel } = require('../config/redis');
 const { sanitizeUser, getPagination, getPagingData } = require('../utils/helpers');
+const { getUserAttendanceStats } = require('../services/attendanceService');
+const {
+  getCalendarFeedUrls,
+  getOrCreateCalendarToken,
+  rotateCalendarToken,
+  buildUserRideCalendar
+} = require('../services/calendarService');
 const { Op } = require('sequelize');
 
 // Get current user profile
@@ -45,7 +52,10 @@ const updateProfile = catchAsync(async (req, res, next) => {
     bio,
     location,
     emergency_contact,
-    bike_info
+    bike_info,
+    date_of_birth,
+    experience_level,
+    documents
   } = req.body;
 
   const user = await User.findByPk(req.userId);
@@ -62,6 +72,14 @@ const updateProfile = catchAsync(async (req, res, next) => {
   if (location) updateData.location = location;
   if (emergency_contact) updateData.emergency_contact = emergency_contact;
   if (bike_info) updateData.bike_info = bike_info;
+  if (date_of_birth) updateData.date_of_birth = date_of_birth;
+  if (experience_level) updateData.experience_level = experience_level;
+
+  // Submitted documents count towards a ride's requirements once its organiser verifies them
+  // (POST /api/rides/:rideId/document-verifications)
+  if (documents) {
+    updateData.documents = { ...(user.documents || {}), ...documents };
+  }
 
   const updatedUser = await user.update(updateData);
 
@@ -263,6 +281,23 @@ const getUserRides = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get user's attendance record - check-ins and no-shows on completed rides
+const getUserAttendance = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const attendance = await getUserAttendanceStats(userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: attendance
+  });
+});
+
 // Get user's groups
 const getUserGroups = catchAsync(async (req, res, next) => {
   const { userId } = req.params;
@@ -390,6 +425,39 @@ const deleteAccount = catchAsync(async (req, res, next) => {
   });
 });
 
+// iCalendar feed of the user's rides - authenticated by the calendar token in the URL
+const getMyCalendarFeed = catchAsync(async (req, res, next) => {
+  const calendar = await buildUserRideCalendar(req.user);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="rides.ics"',
+    'Cache-Control': 'no-cache'
+  });
+  res.status(200).send(calendar);
+});
+
+// Subscription URL for the user's calendar feed
+const getMyCalendarLink = catchAsync(async (req, res, next) => {
+  const token = await getOrCreateCalendarToken(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: getCalendarFeedUrls(token)
+  });
+});
+
+// Replace the calendar token, e.g. after the feed URL was shared by mistake
+const rotateMyCalendarLink = catchAsync(async (req, res, next) => {
+  const token = await rotateCalendarToken(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Calendar link reset. Calendars subscribed with the old link will stop updating.',
+    data: getCalendarFeedUrls(token)
+  });
+});
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -398,8 +466,12 @@ module.exports = {
   getUserById,
   searchUsers,
   getUserRides,
+  getUserAttendance,
   getUserGroups,
   getUserRentals,
   deactivateAccount,
-  deleteAccount
+  deleteAccount,
+  getMyCalendarFeed,
+  getMyCalendarLink,
+  rotateMyCalendarLink
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const { Ride } = require('../models');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { refreshRideWeather } = require('../services/weatherService');
+const { canUserAccessRide } = require('../services/rideAccessService');
+const { hasRidePermission } = require('../services/rideCrewService');
+
+// Latest forecast snapshot for the start, waypoints and end
+const getRideWeather = catchAsync(async (req, res, next) => {
+  const ride = await Ride.findByPk(req.params.rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await canUserAccessRide(ride, req.userId)) {
+    return next(new AppError('You do not have permission to view this ride', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      weather: ride.weather_conditions
+    }
+  });
+});
+
+// Fetch a fresh forecast now instead of waiting for the scheduler
+const refreshWeather = catchAsync(async (req, res, next) => {
+  const ride = await Ride.findByPk(req.params.rideId);
+  if (!ride) {
+    return next(new AppError('Ride not found', 404));
+  }
+
+  if (!await hasRidePermission(ride, req.userId, 'edit_ride')) {
+    return next(new AppError('Only the organiser or a co-organiser can refresh the forecast', 403));
+  }
+
+  const weather = await refreshRideWeather(ride);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Weather forecast refreshed',
+    data: {
+      weather
+    }
+  });
+});
+
+module.exports = {
+  getRideWeather,
+  refreshWeather
+};
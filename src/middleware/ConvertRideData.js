@@ -10,6 +10,8 @@ export const convertRideFormData = (req, res, next) => {
     // Convert numeric fields from strings to numbers
     const numericFields = {
       'max_participants': 'int',
+      'own_bike_slots': 'int',
+      'organiser_bike_slots': 'int',
       'price': 'float',
       'distance_km': 'float',
       'estimated_duration_hours': 'float'
@@ -45,7 +47,8 @@ export const convertRideFormData = (req, res, next) => {
       'requirements', 
       'emergency_contacts', 
       'amenities', 
-      'pricing_options'
+      'pricing_options',
+      'day_segments'
     ];
     
     jsonFields.forEach(field => {
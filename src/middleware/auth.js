@@ -175,10 +175,41 @@ const checkGroupMembership = async (req, res, next) => {
   }
 };
 
+// Calendar feeds are fetched by calendar apps, which can only pass a token in the URL
+const authenticateCalendarToken = ({ required = true } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { token } = req.query;
+      const user = token
+        ? await User.findOne({ where: { calendar_token: token, is_active: true } })
+        : null;
+
+      if (!user && (required || token)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid calendar token'
+        });
+      }
+
+      if (user) {
+        req.user = user;
+        req.userId = user.id;
+      }
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Calendar authentication failed'
+      });
+    }
+  };
+};
+
 module.exports = {
   authenticate,
   optionalAuth,
   requireVerified,
   checkOwnership,
-  checkGroupMembership
+  checkGroupMembership,
+  authenticateCalendarToken
 };
\ No newline at end of file
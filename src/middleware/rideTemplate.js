@@ -0,0 +1,29 @@
+const Joi = require('joi');
+const { AppError, catchAsync } = require('./errorHandler');
+const { getTemplateForUser, mergeTemplateIntoRide } = require('../services/rideTemplateService');
+
+// Prefill a new ride from a saved template when the request names one with template_id.
+// Runs before validation so the merged ride is checked like any other.
+const applyRideTemplate = catchAsync(async (req, res, next) => {
+  const { template_id: templateId, ...rideData } = req.body;
+
+  if (!templateId) {
+    delete req.body.template_id;
+    return next();
+  }
+
+  if (Joi.string().uuid().validate(templateId).error) {
+    return next(new AppError('template_id must be a valid UUID', 400));
+  }
+
+  const template = await getTemplateForUser(templateId, req.userId);
+
+  req.body = mergeTemplateIntoRide(template, rideData);
+  req.rideTemplate = template;
+
+  next();
+});
+
+module.exports = {
+  applyRideTemplate
+};
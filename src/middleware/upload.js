@@ -34,6 +34,22 @@ const fileFilter = (req, file, cb) => {
     } else {
       cb(new Error(`Invalid attachment type. Allowed types: ${allowedAttachmentTypes.join(', ')}`), false);
     }
+  } else if (file.fieldname === 'media') {
+    // Ride album photos and videos
+    const allowedVideoTypes = process.env.ALLOWED_VIDEO_TYPES?.split(',') || ['mp4', 'mov', 'webm'];
+    if (allowedTypes.includes(fileExt) || allowedVideoTypes.includes(fileExt)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid media type. Allowed types: ${[...allowedTypes, ...allowedVideoTypes].join(', ')}`), false);
+    }
+  } else if (file.fieldname === 'route_file') {
+    // GPS route files for ride import
+    const allowedRouteTypes = ['gpx', 'kml'];
+    if (allowedRouteTypes.includes(fileExt)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid route file type. Allowed types: ${allowedRouteTypes.join(', ')}`), false);
+    }
   } else {
     cb(new Error('Invalid field name'), false);
   }
@@ -49,6 +65,16 @@ const upload = multer({
   }
 });
 
+// Ride album uploads include videos, so they get a bigger size limit
+const mediaUpload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_MEDIA_FILE_SIZE) || 100 * 1024 * 1024, // 100MB default
+    files: 10
+  }
+});
+
 // Upload configurations for different endpoints
 const uploadConfigs = {
   // Single image upload
@@ -73,7 +99,13 @@ const uploadConfigs = {
   groupCover: upload.single('cover_image'),
   
   // Chat attachment
-  chatAttachment: upload.single('attachment')
+  chatAttachment: upload.single('attachment'),
+
+  // Ride route import (GPX/KML)
+  routeFile: upload.single('route_file'),
+
+  // Ride album photos and videos
+  rideMedia: mediaUpload.array('media', 10)
 };
 
 // Error handler for multer
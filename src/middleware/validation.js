@@ -134,6 +134,9 @@ const schemas = {
       address: Joi.string().min(1).required()
     })).optional().default([]),
 
+    // Road-following path between the locations, e.g. from a route planner or a template
+    route_polyline: Joi.string().max(20000).optional().allow(null, ''),
+
     // Distance and Duration (auto-calculated but can be manually set)
     distance_km: Joi.alternatives().try(
       Joi.number().min(0).max(10000),
@@ -256,6 +259,11 @@ const schemas = {
       'any.only': 'Visibility must be public, group_only, or private'
     }),
 
+    // Who can join without the organiser's approval
+    join_mode: Joi.string().valid('instant', 'approval', 'invite_only').optional().default('instant').messages({
+      'any.only': 'Join mode must be instant, approval, or invite_only'
+    }),
+
     // Requirements
     requirements: Joi.object({
       min_age: Joi.alternatives().try(
@@ -376,6 +384,7 @@ const schemas = {
     max_participants: Joi.number().integer().min(1).max(100).optional(),
     price: Joi.number().min(0).optional(),
     visibility: Joi.string().valid('public', 'group_only', 'private').optional(),
+    join_mode: Joi.string().valid('instant', 'approval', 'invite_only').optional(),
     requirements: Joi.object().optional(),
     rules: Joi.string().max(1000).optional()
   }),
@@ -453,7 +462,8 @@ const schemas = {
     ride_id: Joi.string().uuid().optional(),
     group_id: Joi.string().uuid().optional(),
     rental_id: Joi.string().uuid().optional(),
-    recipient_id: Joi.string().uuid().optional()
+    recipient_id: Joi.string().uuid().optional(),
+    promo_code: Joi.string().trim().max(32).optional()
   }),
 
   // Query schemas
@@ -467,9 +477,29 @@ const schemas = {
   locationQuery: Joi.object({
     latitude: Joi.number().min(-90).max(90).required(),
     longitude: Joi.number().min(-180).max(180).required(),
-    radius: Joi.number().min(1).max(100).default(50)
+    radius: Joi.number().min(1).max(100).default(50),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
   }),
 
+  // A trip given either as an encoded polyline or as origin and destination
+  alongRouteQuery: Joi.object({
+    polyline: Joi.string().max(20000).optional(),
+    origin_latitude: Joi.number().min(-90).max(90),
+    origin_longitude: Joi.number().min(-180).max(180),
+    destination_latitude: Joi.number().min(-90).max(90),
+    destination_longitude: Joi.number().min(-180).max(180),
+    corridor_km: Joi.number().min(0.1).max(20).default(2),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+    .and('origin_latitude', 'origin_longitude', 'destination_latitude', 'destination_longitude')
+    .xor('polyline', 'origin_latitude')
+    .messages({
+      'object.xor': 'Provide either a polyline or origin and destination coordinates',
+      'object.missing': 'Provide either a polyline or origin and destination coordinates'
+    }),
+
   searchQuery: Joi.object({
     q: Joi.string().min(1).max(100).optional(),
     category: Joi.string().optional(),
@@ -482,6 +512,316 @@ const schemas = {
   })
 };
 
+// One day of a multi-day ride. The last day has no overnight stay; the model checks that
+// against the ride's end date.
+const daySegmentSchema = Joi.object({
+  day: Joi.number().integer().min(1).max(30).required(),
+  title: Joi.string().max(100).optional().allow(''),
+  start_location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    address: Joi.string().min(1).required()
+  }).required(),
+  end_location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    address: Joi.string().min(1).required()
+  }).required(),
+  distance_km: Joi.number().min(0).max(2000).optional(),
+  start_time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional().messages({
+    'string.pattern.base': 'Day start time must be in HH:MM format'
+  }),
+  estimated_duration_hours: Joi.number().min(0).max(24).optional(),
+  overnight_stay: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    address: Joi.string().max(255).optional().allow(''),
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    booking_reference: Joi.string().max(100).optional().allow(''),
+    notes: Joi.string().max(500).optional().allow('')
+  }).optional().allow(null),
+  notes: Joi.string().max(1000).optional().allow('')
+});
+
+const daySegmentsSchema = Joi.array().items(daySegmentSchema).unique('day').max(30).messages({
+  'array.unique': 'Each day can only be planned once',
+  'array.max': 'A ride can span at most 30 days'
+});
+
+// Multi-day rides: ride_date is the first day, end_date the last
+schemas.createRide = schemas.createRide.keys({
+  end_date: Joi.date().min(Joi.ref('ride_date')).optional().allow(null).messages({
+    'date.min': 'End date cannot be before the ride date'
+  }),
+  day_segments: daySegmentsSchema.optional()
+});
+
+schemas.updateRide = schemas.updateRide.keys({
+  end_date: Joi.when('ride_date', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('ride_date')),
+    otherwise: Joi.date()
+  }).optional().allow(null).messages({
+    'date.min': 'End date cannot be before the ride date'
+  }),
+  day_segments: daySegmentsSchema.optional()
+});
+
+// Separate capacities for riders on their own bike and on organiser bikes. Pillion seats
+// come from participants offering them, so they have no capacity of their own.
+const slotCapacityKeys = {
+  own_bike_slots: Joi.number().integer().min(0).max(100).optional().allow(null),
+  organiser_bike_slots: Joi.number().integer().min(0).max(100).optional()
+};
+
+schemas.createRide = schemas.createRide.keys(slotCapacityKeys);
+schemas.updateRide = schemas.updateRide.keys(slotCapacityKeys);
+
+// Ride series reuse the ride schema - occurrence dates come from the recurrence rule
+schemas.createRideSeries = schemas.createRide
+  .fork(['ride_date', 'end_date'], (schema) => schema.forbidden())
+  .keys({
+    recurrence: Joi.object({
+      frequency: Joi.string().valid('weekly', 'biweekly', 'monthly').required(),
+      day_of_week: Joi.number().integer().min(0).max(6).required().messages({
+        'number.base': 'Day of week must be 0 (Sunday) to 6 (Saturday)'
+      }),
+      week_of_month: Joi.when('frequency', {
+        is: 'monthly',
+        then: Joi.number().integer().valid(1, 2, 3, 4, -1).required(),
+        otherwise: Joi.forbidden()
+      }).messages({
+        'any.only': 'Week of month must be 1-4, or -1 for the last week'
+      }),
+      starts_on: Joi.date().min('now').optional(),
+      ends_on: Joi.date().greater(Joi.ref('starts_on')).optional().allow(null)
+    }).required()
+  });
+
+schemas.updateRideSeries = Joi.object({
+  title: Joi.string().min(3).max(100).optional(),
+  description: Joi.string().max(1000).optional().allow(''),
+  ride_time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  start_location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    address: Joi.string().min(1).required()
+  }).optional(),
+  end_location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    address: Joi.string().min(1).required()
+  }).optional(),
+  max_participants: Joi.number().integer().min(1).max(100).optional(),
+  price: Joi.number().min(0).optional(),
+  pricing_options: Joi.object({
+    with_bike: Joi.number().min(0).optional(),
+    without_bike: Joi.number().min(0).optional()
+  }).optional(),
+  visibility: Joi.string().valid('public', 'group_only', 'private').optional(),
+  join_mode: Joi.string().valid('instant', 'approval', 'invite_only').optional(),
+  group_id: Joi.string().uuid().optional().allow(null),
+  requirements: Joi.object().optional(),
+  rules: Joi.string().max(1000).optional().allow(''),
+  amenities: Joi.array().items(
+    Joi.string().valid('parking', 'food', 'fuel', 'mechanic', 'restroom', 'medical', 'photography', 'camping', 'wifi', 'charging')
+  ).unique().optional(),
+  ends_on: Joi.date().optional().allow(null),
+  from_date: Joi.date().optional()
+}).min(1);
+
+// Templates hold any ride field except the date, which is picked for each ride
+schemas.rideTemplateFields = schemas.createRide
+  .fork(['title', 'start_location', 'end_location', 'ride_time', 'max_participants'], (schema) => schema.optional())
+  .fork(['ride_date', 'end_date', 'group_id', 'distance_km'], (schema) => schema.forbidden());
+
+// Save a template from explicit fields, or from an existing ride
+schemas.createRideTemplate = Joi.object({
+  name: Joi.string().min(3).max(100).required(),
+  description: Joi.string().max(500).optional().allow(''),
+  group_id: Joi.string().uuid().optional().allow(null),
+  ride_id: Joi.string().uuid(),
+  template: schemas.rideTemplateFields
+}).xor('ride_id', 'template').messages({
+  'object.xor': 'Provide either a ride_id or template fields',
+  'object.missing': 'Provide either a ride_id or template fields'
+});
+
+schemas.updateRideTemplate = Joi.object({
+  name: Joi.string().min(3).max(100).optional(),
+  description: Joi.string().max(500).optional().allow(''),
+  template: schemas.rideTemplateFields.optional()
+}).min(1);
+
+// Itinerary stops - position is 1-based and defaults to the end of the list
+schemas.createRideStop = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  stop_type: Joi.string().valid('fuel', 'food', 'photo', 'overnight', 'rest', 'other').optional(),
+  position: Joi.number().integer().min(1).optional(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    address: Joi.string().max(500).optional().allow('')
+  }).optional().allow(null),
+  planned_arrival: Joi.date().iso().optional().allow(null),
+  planned_departure: Joi.date().iso().optional().allow(null).when('planned_arrival', {
+    is: Joi.date().required(),
+    then: Joi.date().min(Joi.ref('planned_arrival'))
+  }).messages({
+    'date.min': 'Planned departure cannot be before planned arrival'
+  }),
+  cost: Joi.number().min(0).optional().allow(null),
+  notes: Joi.string().max(1000).optional().allow('', null)
+});
+
+schemas.updateRideStop = schemas.createRideStop
+  .fork(['name'], (schema) => schema.optional())
+  .min(1);
+
+const expenseCurrency = Joi.string().valid('INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD');
+
+// Equal splits default to everyone on the ride; shares and exact splits need per-user values
+schemas.createRideExpense = Joi.object({
+  description: Joi.string().min(1).max(200).required(),
+  category: Joi.string().valid('fuel', 'toll', 'food', 'accommodation', 'parking', 'repair', 'other').optional(),
+  amount: Joi.number().min(0.01).precision(2).required(),
+  currency: expenseCurrency.optional(),
+  paid_by: Joi.string().uuid().optional(),
+  spent_at: Joi.date().iso().optional(),
+  notes: Joi.string().max(1000).optional().allow('', null),
+  split_type: Joi.string().valid('equal', 'shares', 'exact').optional(),
+  splits: Joi.array().min(1).items(Joi.object({
+    user_id: Joi.string().uuid().required(),
+    shares: Joi.number().greater(0).max(1000).precision(2)
+      .when('....split_type', { is: 'shares', then: Joi.required(), otherwise: Joi.forbidden() }),
+    amount: Joi.number().min(0).precision(2)
+      .when('....split_type', { is: 'exact', then: Joi.required(), otherwise: Joi.forbidden() })
+  })).when('split_type', { is: Joi.valid('shares', 'exact').required(), then: Joi.required() })
+});
+
+schemas.updateRideExpense = schemas.createRideExpense
+  .fork(['description', 'amount'], (schema) => schema.optional())
+  .min(1);
+
+// Manual: the receiver confirms money from from_user_id. Cashfree: the payer pays to_user_id.
+schemas.createRideSettlement = Joi.object({
+  method: Joi.string().valid('manual', 'cashfree').required(),
+  from_user_id: Joi.string().uuid().when('method', { is: 'manual', then: Joi.required(), otherwise: Joi.forbidden() }),
+  to_user_id: Joi.string().uuid().when('method', { is: 'cashfree', then: Joi.required(), otherwise: Joi.forbidden() }),
+  amount: Joi.number().min(0.01).precision(2).required(),
+  currency: expenseCurrency.optional()
+});
+
+schemas.rideMediaQuery = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  highlights: Joi.boolean().optional(),
+  media_type: Joi.string().valid('photo', 'video').optional()
+});
+
+// Lists may be sent comma-separated ("fuel,food") or as repeated query keys
+const queryList = (...values) => Joi.alternatives().try(
+  Joi.array().items(Joi.string().valid(...values)),
+  Joi.string().custom((value, helpers) => {
+    const invalid = value.split(',').map(item => item.trim()).filter(item => !values.includes(item));
+    return invalid.length ? helpers.message(`Unknown value(s): ${invalid.join(', ')}`) : value;
+  })
+);
+
+// Each range can be open at either end; an upper bound is checked against the lower one when both are sent
+schemas.rideSearchQuery = Joi.object({
+  q: Joi.string().trim().min(1).max(200).optional(),
+  amenities: queryList('parking', 'food', 'fuel', 'mechanic', 'restroom', 'medical', 'photography', 'camping', 'wifi', 'charging').optional(),
+  experience_level: queryList('Beginner', 'Intermediate', 'Advanced', 'Expert').optional(),
+  bike_type: queryList('Any', 'Cruiser', 'Sport', 'Touring', 'Adventure', 'Scooter', 'Electric').optional(),
+  price_min: Joi.number().min(0).optional(),
+  price_max: Joi.when('price_min', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('price_min')),
+    otherwise: Joi.number().min(0)
+  }).optional(),
+  distance_min: Joi.number().min(0).optional(),
+  distance_max: Joi.when('distance_min', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('distance_min')),
+    otherwise: Joi.number().min(0)
+  }).optional(),
+  date_from: Joi.date().iso().optional(),
+  date_to: Joi.when('date_from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('date_from')),
+    otherwise: Joi.date().iso()
+  }).optional(),
+  min_slots: Joi.number().integer().min(1).optional(),
+  is_paid: Joi.boolean().optional(),
+  status: Joi.string().valid('upcoming', 'ongoing', 'completed').default('upcoming'),
+  sort: Joi.string().valid('relevance', 'ride_date', 'price', 'distance_km', 'remaining_slots', 'created_at').optional(),
+  order: Joi.string().valid('ASC', 'DESC').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Location defaults to the rider's profile; both coordinates or neither
+schemas.recommendedRidesQuery = Joi.object({
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  radius: Joi.number().min(1).max(500).default(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+}).and('latitude', 'longitude');
+
+// Percentage codes can be capped with max_discount; fixed codes take off discount_value outright
+const promoCodeFields = {
+  description: Joi.string().max(200).optional().allow(''),
+  discount_type: Joi.string().valid('percentage', 'fixed'),
+  discount_value: Joi.number().positive().precision(2).when('discount_type', {
+    is: 'percentage',
+    then: Joi.number().max(100)
+  }),
+  max_discount: Joi.number().positive().precision(2).optional().allow(null),
+  max_uses: Joi.number().integer().min(1).optional().allow(null),
+  per_user_limit: Joi.number().integer().min(1).optional(),
+  starts_at: Joi.date().iso().optional().allow(null),
+  expires_at: Joi.date().iso().greater('now').optional().allow(null)
+};
+
+schemas.createPromoCode = Joi.object({
+  ...promoCodeFields,
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,32}$/).required().messages({
+    'string.pattern.base': 'Codes are 3-32 letters, digits, dashes or underscores'
+  }),
+  scope: Joi.string().valid('ride', 'group', 'all').required(),
+  ride_id: Joi.string().uuid().when('scope', { is: 'ride', then: Joi.required(), otherwise: Joi.forbidden() }),
+  group_id: Joi.string().uuid().when('scope', { is: 'group', then: Joi.required(), otherwise: Joi.forbidden() }),
+  discount_type: promoCodeFields.discount_type.required(),
+  discount_value: promoCodeFields.discount_value.required()
+});
+
+schemas.updatePromoCode = Joi.object({
+  ...promoCodeFields,
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+// Preview what a rider would pay with a code, before joining
+schemas.checkPromoCode = Joi.object({
+  code: Joi.string().trim().max(32).required(),
+  ride_id: Joi.string().uuid(),
+  group_id: Joi.string().uuid(),
+  pricing_option: Joi.string().valid('with_bike', 'without_bike').optional()
+}).xor('ride_id', 'group_id');
+
+// A copy of an existing ride on a new date
+schemas.cloneRide = Joi.object({
+  ride_date: Joi.date().greater('now').required().messages({
+    'date.greater': 'Ride date must be in the future',
+    'any.required': 'Ride date is required'
+  }),
+  ride_time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional().messages({
+    'string.pattern.base': 'Time must be in HH:MM format'
+  }),
+  title: Joi.string().min(3).max(100).optional()
+});
+
 module.exports = {
   validate,
   validateQuery,
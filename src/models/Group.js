@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { SRID, toGeographyPoint } = require('../utils/geography');
 
 module.exports = (sequelize) => {
   const Group = sequelize.define('Group', {
@@ -65,6 +66,11 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true
     },
+    // PostGIS copy of location for radius queries - set by the beforeSave hook
+    location_point: {
+      type: DataTypes.GEOGRAPHY('POINT', SRID),
+      allowNull: true
+    },
     rules: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -101,11 +107,22 @@ module.exports = (sequelize) => {
         fields: ['location'],
         using: 'gin'
       },
+      {
+        fields: ['location_point'],
+        using: 'gist'
+      },
       {
         fields: ['tags'],
         using: 'gin'
       }
-    ]
+    ],
+    hooks: {
+      beforeSave: (group, options) => {
+        if (group.isNewRecord || group.changed('location')) {
+          group.location_point = toGeographyPoint(group.location);
+        }
+      }
+    }
   });
 
   // Instance methods
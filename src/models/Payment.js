@@ -33,7 +33,7 @@ module.exports = (sequelize) => {
       defaultValue: 'INR'
     },
     payment_type: {
-      type: DataTypes.ENUM('ride_fee', 'group_membership', 'rental_payment', 'security_deposit'),
+      type: DataTypes.ENUM('ride_fee', 'group_membership', 'rental_payment', 'security_deposit', 'expense_settlement'),
       allowNull: false
     },
     payment_method: {
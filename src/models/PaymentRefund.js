@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PaymentRefund = sequelize.define('PaymentRefund', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    refund_reference: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      comment: 'refund_id sent to Cashfree - reused on retries so a refund is never issued twice'
+    },
+    cashfree_refund_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    trigger: {
+      type: DataTypes.ENUM('ride_cancelled', 'ride_full', 'participant_left'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'success', 'failed'),
+      defaultValue: 'pending'
+    },
+    refund_percentage: {
+      type: DataTypes.INTEGER,
+      defaultValue: 100,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    gateway_response: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'payment_refunds',
+    indexes: [
+      {
+        fields: ['payment_id']
+      },
+      {
+        fields: ['ride_id']
+      },
+      {
+        fields: ['status', 'updated_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  // Refunds that count against the payment balance
+  PaymentRefund.prototype.isActive = function() {
+    return ['pending', 'processing', 'success'].includes(this.status);
+  };
+
+  return PaymentRefund;
+};
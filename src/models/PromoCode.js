@@ -0,0 +1,140 @@
+const { DataTypes } = require('sequelize');
+
+const SCOPES = ['ride', 'group', 'all'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+module.exports = (sequelize) => {
+  const PromoCode = sequelize.define('PromoCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: 'Stored upper-case; codes are matched case-insensitively',
+      set(value) {
+        this.setDataValue('code', String(value).trim().toUpperCase());
+      },
+      validate: {
+        is: /^[A-Z0-9_-]{3,32}$/
+      }
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    scope: {
+      type: DataTypes.ENUM(...SCOPES),
+      allowNull: false,
+      comment: 'ride = one ride, group = one group membership, all = every ride and group of the creator'
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    group_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    discount_type: {
+      type: DataTypes.ENUM(...DISCOUNT_TYPES),
+      allowNull: false
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    max_discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Upper limit on a percentage discount'
+    },
+    max_uses: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Total redemptions across all riders, null for unlimited'
+    },
+    per_user_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    used_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Completed redemptions; pending ones are counted from promo_code_redemptions'
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'promo_codes',
+    indexes: [
+      {
+        unique: true,
+        fields: ['code']
+      },
+      {
+        fields: ['created_by']
+      },
+      {
+        fields: ['ride_id']
+      },
+      {
+        fields: ['group_id']
+      }
+    ],
+    validate: {
+      scopeTarget() {
+        if (this.scope === 'ride' && !this.ride_id) {
+          throw new Error('Ride promo codes need a ride_id');
+        }
+        if (this.scope === 'group' && !this.group_id) {
+          throw new Error('Group promo codes need a group_id');
+        }
+      },
+      percentageRange() {
+        if (this.discount_type === 'percentage' && parseFloat(this.discount_value) > 100) {
+          throw new Error('A percentage discount cannot exceed 100');
+        }
+      }
+    }
+  });
+
+  PromoCode.SCOPES = SCOPES;
+  PromoCode.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+  PromoCode.prototype.isExpired = function(now = new Date()) {
+    return !!this.expires_at && new Date(this.expires_at) <= now;
+  };
+
+  PromoCode.prototype.hasStarted = function(now = new Date()) {
+    return !this.starts_at || new Date(this.starts_at) <= now;
+  };
+
+  return PromoCode;
+};
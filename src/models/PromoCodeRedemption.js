@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PromoCodeRedemption = sequelize.define('PromoCodeRedemption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    promo_code_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Null when the code covered the full price and nothing was charged'
+      // Remove references - handle through associations in index file
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    group_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    original_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    final_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'redeemed', 'released'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'pending holds a use while its payment is open; released = superseded by a newer order'
+    },
+    redeemed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'promo_code_redemptions',
+    indexes: [
+      {
+        fields: ['promo_code_id', 'status']
+      },
+      {
+        fields: ['promo_code_id', 'user_id']
+      },
+      {
+        fields: ['payment_id']
+      }
+    ]
+  });
+
+  return PromoCodeRedemption;
+};
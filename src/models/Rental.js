@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { SRID, toGeographyPoint } = require('../utils/geography');
 
 module.exports = (sequelize) => {
   const Rental = sequelize.define('Rental', {
@@ -85,6 +86,11 @@ module.exports = (sequelize) => {
         }
       }
     },
+    // PostGIS copy of location for radius queries - set by the beforeSave hook
+    location_point: {
+      type: DataTypes.GEOGRAPHY('POINT', SRID),
+      allowNull: true
+    },
     availability: {
       type: DataTypes.JSONB,
       defaultValue: {
@@ -177,13 +183,24 @@ module.exports = (sequelize) => {
         fields: ['location'],
         using: 'gin'
       },
+      {
+        fields: ['location_point'],
+        using: 'gist'
+      },
       {
         fields: ['price_per_day']
       },
       {
         fields: ['rating']
       }
-    ]
+    ],
+    hooks: {
+      beforeSave: (rental, options) => {
+        if (rental.isNewRecord || rental.changed('location')) {
+          rental.location_point = toGeographyPoint(rental.location);
+        }
+      }
+    }
   });
 
   // Instance methods
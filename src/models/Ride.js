@@ -1,4 +1,53 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
+const {
+  SRID,
+  toGeographyPoint,
+  toGeographyMultiPoint,
+  toGeographyLineString,
+  distanceFrom,
+  withinRadius
+} = require('../utils/geography');
+const { getRidePath } = require('../services/routeGeometryService');
+
+// Fields that make up the path stored in route_line
+const ROUTE_LINE_FIELDS = ['start_location', 'end_location', 'waypoints', 'route_polyline'];
+
+const EXPERIENCE_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+const BIKE_TYPES = ['Any', 'Cruiser', 'Sport', 'Touring', 'Adventure', 'Scooter', 'Electric'];
+const AMENITIES = [
+  'parking', 'food', 'fuel', 'mechanic', 'restroom',
+  'medical', 'photography', 'camping', 'wifi', 'charging'
+];
+
+// Longest tour one ride can describe
+const MAX_RIDE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+// DATEONLY values arrive as strings or Dates; day arithmetic is done in UTC
+const toDateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+
+const addDays = (date, days) => toDateOnly(new Date(`${toDateOnly(date)}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) => {
+  return Math.round((Date.parse(`${toDateOnly(to)}T00:00:00Z`) - Date.parse(`${toDateOnly(from)}T00:00:00Z`)) / DAY_MS);
+};
+
+const isValidLocation = (location) => {
+  return !!location && typeof location === 'object' &&
+    Math.abs(parseFloat(location.latitude)) <= 90 &&
+    Math.abs(parseFloat(location.longitude)) <= 180;
+};
+
+// Key-order independent JSON, so a resent but unchanged day compares equal
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
 
 module.exports = (sequelize) => {
   const Ride = sequelize.define('Ride', {
@@ -93,6 +142,20 @@ module.exports = (sequelize) => {
         }
       }
     },
+    // PostGIS copies of start_location and waypoints for radius queries - set by the beforeSave hook
+    start_point: {
+      type: DataTypes.GEOGRAPHY('POINT', SRID),
+      allowNull: true
+    },
+    waypoint_points: {
+      type: DataTypes.GEOGRAPHY('MULTIPOINT', SRID),
+      allowNull: true
+    },
+    // The whole route (polyline, or start -> waypoints -> end) for along-route searches
+    route_line: {
+      type: DataTypes.GEOGRAPHY('LINESTRING', SRID),
+      allowNull: true
+    },
     ride_date: {
       type: DataTypes.DATEONLY,
       allowNull: false,
@@ -121,6 +184,57 @@ module.exports = (sequelize) => {
         }
       }
     },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Last day of a multi-day ride - null when the ride ends on ride_date'
+    },
+    day_segments: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [],
+      comment: 'Day-by-day plan: [{ day, title, start_location, end_location, distance_km, start_time, estimated_duration_hours, overnight_stay, notes }]',
+      validate: {
+        isValidDaySegments(value) {
+          if (!value) return;
+          if (!Array.isArray(value)) {
+            throw new Error('Day segments must be a list');
+          }
+
+          const days = new Set();
+          value.forEach((segment) => {
+            const day = Number(segment?.day);
+            if (!Number.isInteger(day) || day < 1 || day > MAX_RIDE_DAYS) {
+              throw new Error(`Invalid day number: ${segment?.day}`);
+            }
+            if (days.has(day)) {
+              throw new Error(`Day ${day} is planned more than once`);
+            }
+            days.add(day);
+
+            if (!isValidLocation(segment.start_location) || !isValidLocation(segment.end_location)) {
+              throw new Error(`Day ${day} needs a valid start and end location`);
+            }
+            if (segment.start_time && !TIME_PATTERN.test(segment.start_time)) {
+              throw new Error(`Invalid start time for day ${day}. Use HH:MM format`);
+            }
+            if (segment.distance_km !== undefined && segment.distance_km !== null &&
+                !(parseFloat(segment.distance_km) >= 0)) {
+              throw new Error(`Invalid distance for day ${day}`);
+            }
+            if (segment.estimated_duration_hours !== undefined && segment.estimated_duration_hours !== null) {
+              const hours = parseFloat(segment.estimated_duration_hours);
+              if (!(hours >= 0 && hours <= 24)) {
+                throw new Error(`Riding time for day ${day} must be between 0 and 24 hours`);
+              }
+            }
+            if (segment.overnight_stay && !segment.overnight_stay.name) {
+              throw new Error(`The overnight stay on day ${day} needs a name`);
+            }
+          });
+        }
+      }
+    },
     max_participants: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -144,6 +258,25 @@ module.exports = (sequelize) => {
         }
       }
     },
+    own_bike_slots: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+        isInt: true
+      },
+      comment: 'Places for riders on their own bike - null leaves them limited by max_participants only'
+    },
+    organiser_bike_slots: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        isInt: true
+      },
+      comment: 'Bikes the organiser provides for riders without one'
+    },
     is_paid: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -195,6 +328,11 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('public', 'group_only', 'private'),
       defaultValue: 'public'
     },
+    join_mode: {
+      type: DataTypes.ENUM('instant', 'approval', 'invite_only'),
+      defaultValue: 'instant',
+      comment: 'approval = organiser approves join requests, invite_only = only invited users can join'
+    },
     creator_id: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -245,8 +383,7 @@ module.exports = (sequelize) => {
               throw new Error('Minimum age cannot be greater than maximum age');
             }
             
-            const validExperienceLevels = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
-            if (experience_level && experience_level !== '' && !validExperienceLevels.includes(experience_level)) {
+            if (experience_level && experience_level !== '' && !EXPERIENCE_LEVELS.includes(experience_level)) {
               throw new Error('Invalid experience level');
             }
             
@@ -255,8 +392,7 @@ module.exports = (sequelize) => {
               throw new Error('Invalid fitness level');
             }
             
-            const validBikeTypes = ['Any', 'Cruiser', 'Sport', 'Touring', 'Adventure', 'Scooter', 'Electric'];
-            if (bike_type && bike_type !== '' && !validBikeTypes.includes(bike_type)) {
+            if (bike_type && bike_type !== '' && !BIKE_TYPES.includes(bike_type)) {
               throw new Error('Invalid bike type');
             }
           }
@@ -298,11 +434,7 @@ module.exports = (sequelize) => {
       validate: {
         isValidAmenities(value) {
           if (value && Array.isArray(value)) {
-            const validAmenities = [
-              'parking', 'food', 'fuel', 'mechanic', 'restroom', 
-              'medical', 'photography', 'camping', 'wifi', 'charging'
-            ];
-            const invalidAmenities = value.filter(amenity => !validAmenities.includes(amenity));
+            const invalidAmenities = value.filter(amenity => !AMENITIES.includes(amenity));
             if (invalidAmenities.length > 0) {
               throw new Error(`Invalid amenities: ${invalidAmenities.join(', ')}`);
             }
@@ -334,11 +466,68 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true,
       comment: 'Encoded polyline for route visualization'
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    series_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    series_occurrence_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Date the series scheduled this occurrence for - stays fixed if the ride is moved'
+    },
+    is_series_exception: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Edited individually - skipped by "all future occurrences" updates'
     }
   }, {
     tableName: 'rides',
     timestamps: true,
     paranoid: true,
+    validate: {
+      slotCapacity() {
+        const slots = (parseInt(this.own_bike_slots) || 0) + (parseInt(this.organiser_bike_slots) || 0);
+        if (this.own_bike_slots !== null && this.own_bike_slots !== undefined && slots < 1) {
+          throw new Error('A ride needs at least one own-bike or organiser-bike place');
+        }
+        if (this.max_participants && slots > this.max_participants) {
+          throw new Error('Own-bike and organiser-bike places cannot exceed maximum participants');
+        }
+      },
+
+      // end_date and day_segments are checked together, against ride_date
+      multiDaySchedule() {
+        if (this.end_date && this.ride_date) {
+          const span = daysBetween(this.ride_date, this.end_date);
+          if (span < 0) {
+            throw new Error('End date cannot be before the ride date');
+          }
+          if (span + 1 > MAX_RIDE_DAYS) {
+            throw new Error(`A ride can span at most ${MAX_RIDE_DAYS} days`);
+          }
+        }
+
+        const dayCount = this.getDayCount();
+        (this.day_segments || []).forEach((segment) => {
+          if (segment.day > dayCount) {
+            throw new Error(`Day ${segment.day} falls after the ride's end date`);
+          }
+          if (segment.day === dayCount && segment.overnight_stay) {
+            throw new Error('The last day of a ride cannot have an overnight stay');
+          }
+        });
+      }
+    },
     indexes: [
       {
         fields: ['creator_id']
@@ -361,6 +550,13 @@ module.exports = (sequelize) => {
       {
         fields: ['ride_date', 'status']
       },
+      {
+        fields: ['end_date']
+      },
+      {
+        fields: ['series_id', 'series_occurrence_date'],
+        unique: true
+      },
       {
         fields: ['start_location'],
         using: 'gin'
@@ -373,6 +569,18 @@ module.exports = (sequelize) => {
         fields: ['waypoints'],
         using: 'gin'
       },
+      {
+        fields: ['start_point'],
+        using: 'gist'
+      },
+      {
+        fields: ['waypoint_points'],
+        using: 'gist'
+      },
+      {
+        fields: ['route_line'],
+        using: 'gist'
+      },
       {
         fields: ['requirements'],
         using: 'gin'
@@ -381,12 +589,22 @@ module.exports = (sequelize) => {
         fields: ['amenities'],
         using: 'gin'
       }
+      // search_vector is a generated tsvector column with its own GIN index (migration 20240101000021).
+      // It stays off the model so inserts and updates never try to write it.
     ],
     hooks: {
       beforeValidate: (ride, options) => {
         if (ride.isNewRecord && !ride.current_participants) {
           ride.current_participants = 1;
         }
+
+        // A day plan running past day one makes the ride multi-day even without an explicit end_date
+        if (!ride.end_date && ride.ride_date && Array.isArray(ride.day_segments) && ride.day_segments.length > 0) {
+          const lastDay = Math.max(...ride.day_segments.map(segment => Number(segment.day) || 1));
+          if (lastDay > 1) {
+            ride.end_date = addDays(ride.ride_date, lastDay - 1);
+          }
+        }
         
         // Additional validation for paid rides
         if (ride.is_paid) {
@@ -401,19 +619,129 @@ module.exports = (sequelize) => {
       },
       beforeUpdate: (ride, options) => {
         if (ride.status !== 'upcoming' && ride.changed()) {
-          const allowedChanges = ['status', 'current_participants'];
+          const allowedChanges = ['status', 'current_participants', 'started_at', 'completed_at'];
+          // A tour under way can still re-plan the days ahead
+          if (ride.status === 'ongoing' && ride.isMultiDay()) {
+            allowedChanges.push('day_segments');
+          }
           const changedFields = ride.changed();
           const unauthorizedChanges = changedFields.filter(field => !allowedChanges.includes(field));
           
           if (unauthorizedChanges.length > 0) {
             throw new Error(`Cannot modify ${unauthorizedChanges.join(', ')} for ${ride.status} rides`);
           }
+
+          if (ride.changed('day_segments')) {
+            const startedDays = ride.getStartedDayChanges(ride.previous('day_segments'), ride.day_segments);
+            if (startedDays.length > 0) {
+              throw new Error(`Cannot modify day ${startedDays.join(', ')} after it has started`);
+            }
+          }
+        }
+      },
+      beforeSave: (ride, options) => {
+        if (ride.changed('day_segments') && Array.isArray(ride.day_segments)) {
+          ride.day_segments = [...ride.day_segments].sort((a, b) => a.day - b.day);
+        }
+        if (ride.isNewRecord || ride.changed('start_location')) {
+          ride.start_point = toGeographyPoint(ride.start_location);
+        }
+        if (ride.isNewRecord || ride.changed('waypoints')) {
+          ride.waypoint_points = toGeographyMultiPoint(ride.waypoints);
+        }
+        if (ride.isNewRecord || ROUTE_LINE_FIELDS.some(field => ride.changed(field))) {
+          ride.route_line = toGeographyLineString(getRidePath(ride));
         }
       }
     }
   });
 
+  // Allowed status transitions - completed and cancelled are terminal
+  Ride.STATUS_TRANSITIONS = {
+    upcoming: ['ongoing', 'cancelled'],
+    ongoing: ['completed'],
+    completed: [],
+    cancelled: []
+  };
+
+  // Used when a ride has no estimated_duration_hours
+  Ride.DEFAULT_DURATION_HOURS = 4;
+
+  Ride.MAX_RIDE_DAYS = MAX_RIDE_DAYS;
+
+  Ride.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+  Ride.BIKE_TYPES = BIKE_TYPES;
+  Ride.AMENITIES = AMENITIES;
+
   // Instance methods
+  // Geography columns only mirror the JSON route fields for spatial queries
+  Ride.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.start_point;
+    delete values.waypoint_points;
+    delete values.route_line;
+    return values;
+  };
+
+  Ride.prototype.canTransitionTo = function(status) {
+    return (Ride.STATUS_TRANSITIONS[this.status] || []).includes(status);
+  };
+
+  Ride.prototype.getScheduledStart = function() {
+    return new Date(`${this.ride_date}T${this.ride_time}`);
+  };
+
+  // Multi-day rides end after the last day's riding; its segment can set its own start and length
+  Ride.prototype.getScheduledEnd = function() {
+    if (this.isMultiDay()) {
+      const lastDay = this.getDaySegment(this.getDayCount());
+      const lastDayStart = new Date(`${toDateOnly(this.end_date)}T${lastDay?.start_time || this.ride_time}`);
+      const lastDayHours = parseFloat(lastDay?.estimated_duration_hours) || Ride.DEFAULT_DURATION_HOURS;
+      return new Date(lastDayStart.getTime() + lastDayHours * 60 * 60 * 1000);
+    }
+
+    const durationHours = parseFloat(this.estimated_duration_hours) || Ride.DEFAULT_DURATION_HOURS;
+    return new Date(this.getScheduledStart().getTime() + durationHours * 60 * 60 * 1000);
+  };
+
+  Ride.prototype.getEndDate = function() {
+    return this.end_date || this.ride_date;
+  };
+
+  Ride.prototype.getDayCount = function() {
+    if (!this.end_date || !this.ride_date) return 1;
+    return Math.max(daysBetween(this.ride_date, this.end_date) + 1, 1);
+  };
+
+  Ride.prototype.isMultiDay = function() {
+    return this.getDayCount() > 1;
+  };
+
+  Ride.prototype.getDaySegment = function(day) {
+    return (this.day_segments || []).find(segment => Number(segment.day) === day) || null;
+  };
+
+  // End date that keeps this ride's length when it moves to a new start date
+  Ride.prototype.getEndDateFor = function(rideDate) {
+    return this.isMultiDay() ? addDays(rideDate, this.getDayCount() - 1) : null;
+  };
+
+  // Days of an ongoing ride that have begun, and of those, the ones that differ between two plans
+  Ride.prototype.getStartedDayChanges = function(previousSegments, nextSegments, now = new Date()) {
+    if (this.status !== 'ongoing') return [];
+
+    const startedDays = Math.min(daysBetween(this.ride_date, now) + 1, this.getDayCount());
+    const byDay = (segments) => new Map((segments || []).map(segment => [Number(segment.day), canonicalJson(segment)]));
+    const before = byDay(previousSegments);
+    const after = byDay(nextSegments);
+
+    const changed = [];
+    for (let day = 1; day <= startedDays; day++) {
+      if (before.get(day) !== after.get(day)) changed.push(day);
+    }
+    return changed;
+  };
+
   Ride.prototype.canJoin = function() {
     return this.current_participants < this.max_participants && 
            this.status === 'upcoming' &&
@@ -424,15 +752,15 @@ module.exports = (sequelize) => {
     return this.current_participants >= this.max_participants;
   };
 
-  Ride.prototype.canEdit = function(userId) {
-    return this.creator_id === userId && 
-           this.status === 'upcoming' &&
+  // Who may edit or cancel is decided by the crew role matrix in rideCrewService;
+  // these only say whether the ride itself is still open to changes
+  Ride.prototype.isEditable = function() {
+    return this.status === 'upcoming' &&
            new Date(this.ride_date) >= new Date().toDateString();
   };
 
-  Ride.prototype.canCancel = function(userId) {
-    return this.creator_id === userId && 
-           this.status === 'upcoming' &&
+  Ride.prototype.isCancellable = function() {
+    return this.status === 'upcoming' &&
            new Date(this.ride_date) >= new Date().toDateString();
   };
 
@@ -487,6 +815,22 @@ module.exports = (sequelize) => {
   };
 
   // Class methods
+  // Where condition for rides with any day between from and to; either bound may be left out
+  Ride.spansDates = function(from, to) {
+    const conditions = [];
+    if (to) {
+      conditions.push({ ride_date: { [Op.lte]: to } });
+    }
+    if (from) {
+      conditions.push(sequelize.where(
+        sequelize.fn('COALESCE', sequelize.col('Ride.end_date'), sequelize.col('Ride.ride_date')),
+        Op.gte,
+        from
+      ));
+    }
+    return { [Op.and]: conditions };
+  };
+
   Ride.findUpcoming = function(limit = 10) {
     const today = new Date().toISOString().split('T')[0];
     return this.findAll({
@@ -501,11 +845,18 @@ module.exports = (sequelize) => {
     });
   };
 
-  Ride.findByLocation = function(latitude, longitude, radiusKm = 50) {
+  // Upcoming rides starting within radiusKm, nearest first, with distance_m on each row
+  Ride.findByLocation = function(latitude, longitude, radiusKm = 50, options = {}) {
+    const distance = distanceFrom('Ride.start_point', latitude, longitude);
+
     return this.findAll({
+      ...options,
+      attributes: { include: [[distance, 'distance_m']] },
       where: {
-        status: 'upcoming'
-      }
+        status: 'upcoming',
+        [Op.and]: [withinRadius('Ride.start_point', latitude, longitude, radiusKm)]
+      },
+      order: [[distance, 'ASC']]
     });
   };
 
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideDocumentVerification = sequelize.define('RideDocumentVerification', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    document: {
+      type: DataTypes.ENUM('driving_license', 'insurance'),
+      allowNull: false
+    },
+    document_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Number of the document that was checked - a different document needs a new check'
+    },
+    document_expires_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    verified_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'ride_document_verifications',
+    indexes: [
+      {
+        fields: ['ride_id', 'user_id', 'document'],
+        unique: true
+      }
+    ]
+  });
+
+  const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+  // Instance methods
+  RideDocumentVerification.prototype.covers = function(profileDocument) {
+    return !!profileDocument &&
+      profileDocument.number === this.document_number &&
+      toDateOnly(profileDocument.expires_on) === toDateOnly(this.document_expires_on);
+  };
+
+  return RideDocumentVerification;
+};
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideExpense = sequelize.define('RideExpense', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    paid_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      validate: {
+        len: [1, 200],
+        notEmpty: true
+      }
+    },
+    category: {
+      type: DataTypes.ENUM('fuel', 'toll', 'food', 'accommodation', 'parking', 'repair', 'other'),
+      allowNull: false,
+      defaultValue: 'other'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR'
+    },
+    split_type: {
+      type: DataTypes.ENUM('equal', 'shares', 'exact'),
+      allowNull: false,
+      defaultValue: 'equal'
+    },
+    spent_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_expenses',
+    indexes: [
+      {
+        fields: ['ride_id', 'spent_at']
+      },
+      {
+        fields: ['paid_by']
+      }
+    ]
+  });
+
+  RideExpense.CATEGORIES = ['fuel', 'toll', 'food', 'accommodation', 'parking', 'repair', 'other'];
+
+  return RideExpense;
+};
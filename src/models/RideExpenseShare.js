@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideExpenseShare = sequelize.define('RideExpenseShare', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    expense_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    share_units: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+      comment: 'Weight for split_type shares, null otherwise'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      },
+      comment: 'What this user owes towards the expense'
+    }
+  }, {
+    tableName: 'ride_expense_shares',
+    indexes: [
+      {
+        fields: ['expense_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return RideExpenseShare;
+};
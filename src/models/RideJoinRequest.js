@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideJoinRequest = sequelize.define('RideJoinRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'invited', 'approved', 'declined', 'cancelled'),
+      defaultValue: 'pending',
+      comment: 'invited = organiser invitation, lets the user join without approval'
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Note from the requester to the organiser'
+    },
+    pricing_option: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    slot_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'own_bike, pillion or organiser_bike - null picks one from the pricing option'
+    },
+    decline_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requested_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    decided_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_join_requests',
+    indexes: [
+      {
+        fields: ['ride_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['ride_id', 'status', 'requested_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  RideJoinRequest.prototype.isPending = function() {
+    return this.status === 'pending';
+  };
+
+  // Approved requests and invitations let the user take a seat on the ride
+  RideJoinRequest.prototype.allowsJoin = function() {
+    return ['approved', 'invited'].includes(this.status);
+  };
+
+  return RideJoinRequest;
+};
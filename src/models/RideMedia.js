@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideMedia = sequelize.define('RideMedia', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    uploaded_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    media_type: {
+      type: DataTypes.ENUM('photo', 'video'),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      validate: {
+        isUrl: true
+      }
+    },
+    public_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Cloudinary public id, used to delete the file'
+    },
+    thumbnail_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    duration_seconds: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true
+    },
+    caption: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      validate: {
+        len: [0, 500]
+      }
+    },
+    location: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Geotag read from the photo EXIF data'
+    },
+    taken_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Capture time read from the photo EXIF data'
+    },
+    is_highlight: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    highlighted_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    highlighted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_media',
+    indexes: [
+      {
+        fields: ['ride_id', 'created_at']
+      },
+      {
+        fields: ['ride_id', 'is_highlight']
+      }
+    ]
+  });
+
+  RideMedia.MEDIA_TYPES = ['photo', 'video'];
+
+  return RideMedia;
+};
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideParticipant = sequelize.define('RideParticipant', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    joined_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    status: {
+      type: DataTypes.ENUM('joined', 'confirmed', 'cancelled'),
+      defaultValue: 'joined',
+      comment: 'confirmed = checked in at the meeting point'
+    },
+    role: {
+      type: DataTypes.ENUM('rider', 'co_organiser', 'lead', 'sweep', 'medic'),
+      allowNull: false,
+      defaultValue: 'rider',
+      comment: 'Crew role on this ride - permissions per role live in rideCrewService'
+    },
+    role_assigned_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    slot_type: {
+      type: DataTypes.ENUM('own_bike', 'pillion', 'organiser_bike'),
+      allowNull: false,
+      defaultValue: 'own_bike',
+      comment: 'Kind of place the rider holds - pillion seats come from riders offering one'
+    },
+    offers_pillion: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Own-bike riders can carry one pillion rider'
+    },
+    pillion_host_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'For pillion riders: the rider carrying them, null until matched'
+      // Remove references - handle through associations in index file
+    },
+    checked_in_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    check_in_location: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      validate: {
+        isValidLocation(value) {
+          if (value === null || value === undefined) return;
+          const lat = parseFloat(value.latitude);
+          const lng = parseFloat(value.longitude);
+          if (isNaN(lat) || lat < -90 || lat > 90) {
+            throw new Error('Invalid latitude for check-in location');
+          }
+          if (isNaN(lng) || lng < -180 || lng > 180) {
+            throw new Error('Invalid longitude for check-in location');
+          }
+        }
+      }
+    }
+  }, {
+    tableName: 'ride_participants',
+    indexes: [
+      {
+        fields: ['ride_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id', 'status']
+      },
+      {
+        fields: ['ride_id', 'role']
+      },
+      {
+        fields: ['ride_id', 'slot_type']
+      }
+    ]
+  });
+
+  // Roles the organiser can hand out - plain participants are 'rider'
+  RideParticipant.CREW_ROLES = ['co_organiser', 'lead', 'sweep', 'medic'];
+
+  RideParticipant.SLOT_TYPES = ['own_bike', 'pillion', 'organiser_bike'];
+
+  // Instance methods
+  RideParticipant.prototype.isCheckedIn = function() {
+    return this.status === 'confirmed';
+  };
+
+  RideParticipant.prototype.isCrew = function() {
+    return RideParticipant.CREW_ROLES.includes(this.role);
+  };
+
+  RideParticipant.prototype.needsPillionHost = function() {
+    return this.slot_type === 'pillion' && !this.pillion_host_id;
+  };
+
+  return RideParticipant;
+};
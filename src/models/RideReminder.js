@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideReminder = sequelize.define('RideReminder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    offset_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Configured reminder offset this row covers, e.g. 24 or 2'
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'ride_reminders',
+    indexes: [
+      {
+        // One reminder per user, ride and offset - also the claim that stops duplicate sends
+        fields: ['ride_id', 'user_id', 'offset_hours'],
+        unique: true
+      }
+    ]
+  });
+
+  return RideReminder;
+};
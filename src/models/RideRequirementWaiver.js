@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideRequirementWaiver = sequelize.define('RideRequirementWaiver', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    requirements: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+      comment: 'Requirement keys waived for this user - null waives all of them'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    granted_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'ride_requirement_waivers',
+    indexes: [
+      {
+        fields: ['ride_id', 'user_id'],
+        unique: true
+      }
+    ]
+  });
+
+  // Instance methods
+  RideRequirementWaiver.prototype.waives = function(requirement) {
+    return !this.requirements || this.requirements.includes(requirement);
+  };
+
+  return RideRequirementWaiver;
+};
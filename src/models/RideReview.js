@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+const ratingField = {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  validate: {
+    min: 1,
+    max: 5
+  }
+};
+
+module.exports = (sequelize) => {
+  const RideReview = sequelize.define('RideReview', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    reviewer_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    reviewee_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    reviewee_role: {
+      type: DataTypes.ENUM('organiser', 'rider'),
+      allowNull: false
+    },
+    punctuality: ratingField,
+    riding_safety: ratingField,
+    friendliness: ratingField,
+    overall_rating: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: false,
+      comment: 'Mean of the three category ratings'
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reply: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Response from the organiser being reviewed'
+    },
+    replied_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_reviews',
+    indexes: [
+      {
+        // One review per reviewer, reviewee and ride
+        fields: ['ride_id', 'reviewer_id', 'reviewee_id'],
+        unique: true
+      },
+      {
+        fields: ['reviewee_id', 'created_at']
+      }
+    ],
+    hooks: {
+      beforeValidate: (review) => {
+        const { punctuality, riding_safety, friendliness } = review;
+        if (punctuality && riding_safety && friendliness) {
+          review.overall_rating = ((punctuality + riding_safety + friendliness) / 3).toFixed(2);
+        }
+      }
+    }
+  });
+
+  return RideReview;
+};
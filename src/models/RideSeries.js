@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideSeries = sequelize.define('RideSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    creator_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    group_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    title: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: [3, 100],
+        notEmpty: true
+      }
+    },
+    ride_template: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Ride attributes copied onto every occurrence (everything except ride_date)'
+    },
+    frequency: {
+      type: DataTypes.ENUM('weekly', 'biweekly', 'monthly'),
+      allowNull: false
+    },
+    day_of_week: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 6,
+        isInt: true
+      },
+      comment: '0 = Sunday ... 6 = Saturday'
+    },
+    week_of_month: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        isValidWeekOfMonth(value) {
+          if (value !== null && value !== undefined && ![1, 2, 3, 4, -1].includes(parseInt(value))) {
+            throw new Error('Week of month must be 1-4, or -1 for the last week');
+          }
+        }
+      },
+      comment: 'Monthly series only - e.g. 2 = second Sunday, -1 = last Sunday'
+    },
+    ride_time: {
+      type: DataTypes.TIME,
+      allowNull: false,
+      validate: {
+        isValidTime(value) {
+          const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+          if (!timeRegex.test(value)) {
+            throw new Error('Invalid time format. Use HH:MM format');
+          }
+        }
+      }
+    },
+    starts_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    ends_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      defaultValue: 'active'
+    },
+    materialized_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Occurrences up to this date already exist as rides'
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_series',
+    indexes: [
+      {
+        fields: ['creator_id']
+      },
+      {
+        fields: ['group_id']
+      },
+      {
+        fields: ['status', 'materialized_until']
+      }
+    ],
+    hooks: {
+      beforeValidate: (series, options) => {
+        if (series.frequency === 'monthly' && !series.week_of_month) {
+          throw new Error('Monthly series must specify week_of_month');
+        }
+        if (series.frequency !== 'monthly') {
+          series.week_of_month = null;
+        }
+        if (series.ends_on && series.starts_on && series.ends_on < series.starts_on) {
+          throw new Error('Series end date cannot be before its start date');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  RideSeries.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  RideSeries.prototype.canEdit = function(userId) {
+    return this.creator_id === userId && this.isActive();
+  };
+
+  return RideSeries;
+};
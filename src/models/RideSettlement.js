@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideSettlement = sequelize.define('RideSettlement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    from_user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    to_user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR'
+    },
+    method: {
+      type: DataTypes.ENUM('manual', 'cashfree'),
+      allowNull: false,
+      comment: 'manual = cash or direct transfer confirmed by the receiver'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'failed'),
+      defaultValue: 'pending'
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+      // Remove references - handle through associations in index file
+    },
+    settled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_settlements',
+    indexes: [
+      {
+        fields: ['ride_id', 'status']
+      },
+      {
+        fields: ['payment_id']
+      }
+    ]
+  });
+
+  RideSettlement.prototype.isCompleted = function() {
+    return this.status === 'completed';
+  };
+
+  return RideSettlement;
+};
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideStop = sequelize.define('RideStop', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        isInt: true
+      },
+      comment: '1-based order of the stop along the ride'
+    },
+    stop_type: {
+      type: DataTypes.ENUM('fuel', 'food', 'photo', 'overnight', 'rest', 'other'),
+      allowNull: false,
+      defaultValue: 'other'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: [1, 100],
+        notEmpty: true
+      }
+    },
+    location: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      validate: {
+        isValidLocation(value) {
+          if (value === null || value === undefined) return;
+          const lat = parseFloat(value.latitude);
+          const lng = parseFloat(value.longitude);
+          if (isNaN(lat) || lat < -90 || lat > 90) {
+            throw new Error('Invalid latitude for stop location');
+          }
+          if (isNaN(lng) || lng < -180 || lng > 180) {
+            throw new Error('Invalid longitude for stop location');
+          }
+        }
+      }
+    },
+    planned_arrival: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    planned_departure: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'Expected cost per rider, in the ride currency'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: [0, 1000]
+      }
+    }
+  }, {
+    tableName: 'ride_stops',
+    indexes: [
+      {
+        fields: ['ride_id', 'position']
+      }
+    ],
+    validate: {
+      // Checked on the row so an update to either time is compared with the stored other one
+      departureAfterArrival() {
+        if (this.planned_arrival && this.planned_departure &&
+            new Date(this.planned_departure) < new Date(this.planned_arrival)) {
+          throw new Error('Planned departure cannot be before planned arrival');
+        }
+      }
+    }
+  });
+
+  RideStop.STOP_TYPES = ['fuel', 'food', 'photo', 'overnight', 'rest', 'other'];
+
+  return RideStop;
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideTemplate = sequelize.define('RideTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    creator_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    group_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Set for templates shared with a group, null for personal templates'
+      // Remove references - handle through associations in index file
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: [3, 100],
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    template: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Ride attributes used to prefill new rides (everything except ride_date)'
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_templates',
+    indexes: [
+      {
+        fields: ['creator_id']
+      },
+      {
+        fields: ['group_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  RideTemplate.prototype.isGroupTemplate = function() {
+    return !!this.group_id;
+  };
+
+  return RideTemplate;
+};
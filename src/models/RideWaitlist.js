@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RideWaitlist = sequelize.define('RideWaitlist', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ride_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Remove references - handle through associations in index file
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'offered', 'claimed', 'expired', 'cancelled'),
+      defaultValue: 'waiting'
+    },
+    pricing_option: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    slot_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'own_bike, pillion or organiser_bike - null picks one from the pricing option'
+    },
+    queued_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Queue order - reset when a user re-joins the waitlist'
+    },
+    offered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    offer_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    claimed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ride_waitlist',
+    indexes: [
+      {
+        fields: ['ride_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['ride_id', 'status', 'queued_at']
+      },
+      {
+        fields: ['status', 'offer_expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  RideWaitlist.prototype.isActive = function() {
+    return ['waiting', 'offered'].includes(this.status);
+  };
+
+  RideWaitlist.prototype.isOfferExpired = function() {
+    return this.status === 'offered' &&
+           this.offer_expires_at &&
+           new Date() > new Date(this.offer_expires_at);
+  };
+
+  // Static methods
+  RideWaitlist.getPosition = async function(entry) {
+    if (entry.status !== 'waiting') return null;
+
+    const ahead = await RideWaitlist.count({
+      where: {
+        ride_id: entry.ride_id,
+        status: 'waiting',
+        queued_at: { [sequelize.Sequelize.Op.lt]: entry.queued_at }
+      }
+    });
+
+    return ahead + 1;
+  };
+
+  RideWaitlist.countActiveOffers = function(rideId) {
+    return RideWaitlist.count({
+      where: { ride_id: rideId, status: 'offered' }
+    });
+  };
+
+  return RideWaitlist;
+};
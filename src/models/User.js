@@ -90,6 +90,27 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true
     },
+    date_of_birth: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    experience_level: {
+      type: DataTypes.ENUM('Beginner', 'Intermediate', 'Advanced', 'Expert'),
+      allowNull: true
+    },
+    // { driving_license: { number, expires_on, document_url }, insurance: { ... } }
+    // Organisers verify them per ride - see RideDocumentVerification
+    documents: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    },
+    calendar_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      comment: 'Secret for the subscribable calendar feed URL - calendar apps cannot send auth headers'
+    },
     is_verified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -166,6 +187,7 @@ module.exports = (sequelize) => {
     delete values.password;
     delete values.verification_code;
     delete values.reset_password_token;
+    delete values.calendar_token;
     return values;
   };
 
@@ -6,6 +6,23 @@ const Chat = require('./Chat');
 const Rental = require('./Rental');
 const Payment = require('./Payment');
 const UserConnection = require('./UserConnection');
+const RideWaitlist = require('./RideWaitlist');
+const RideSeries = require('./RideSeries');
+const RideParticipant = require('./RideParticipant');
+const RideJoinRequest = require('./RideJoinRequest');
+const RideRequirementWaiver = require('./RideRequirementWaiver');
+const RideDocumentVerification = require('./RideDocumentVerification');
+const PaymentRefund = require('./PaymentRefund');
+const RideReminder = require('./RideReminder');
+const RideReview = require('./RideReview');
+const RideTemplate = require('./RideTemplate');
+const RideStop = require('./RideStop');
+const RideExpense = require('./RideExpense');
+const RideExpenseShare = require('./RideExpenseShare');
+const RideSettlement = require('./RideSettlement');
+const RideMedia = require('./RideMedia');
+const PromoCode = require('./PromoCode');
+const PromoCodeRedemption = require('./PromoCodeRedemption');
 
 // Initialize models
 const models = {
@@ -15,12 +32,29 @@ const models = {
   Chat: Chat(sequelize),
   Rental: Rental(sequelize),
   Payment: Payment(sequelize),
-  UserConnection: UserConnection(sequelize)
+  UserConnection: UserConnection(sequelize),
+  RideWaitlist: RideWaitlist(sequelize),
+  RideSeries: RideSeries(sequelize),
+  RideParticipant: RideParticipant(sequelize),
+  RideJoinRequest: RideJoinRequest(sequelize),
+  RideRequirementWaiver: RideRequirementWaiver(sequelize),
+  RideDocumentVerification: RideDocumentVerification(sequelize),
+  PaymentRefund: PaymentRefund(sequelize),
+  RideReminder: RideReminder(sequelize),
+  RideReview: RideReview(sequelize),
+  RideTemplate: RideTemplate(sequelize),
+  RideStop: RideStop(sequelize),
+  RideExpense: RideExpense(sequelize),
+  RideExpenseShare: RideExpenseShare(sequelize),
+  RideSettlement: RideSettlement(sequelize),
+  RideMedia: RideMedia(sequelize),
+  PromoCode: PromoCode(sequelize),
+  PromoCodeRedemption: PromoCodeRedemption(sequelize)
 };
 
 // Define associations
 const defineAssociations = () => {
-  const { User, Ride, Group, Chat, Rental, Payment, UserConnection } = models;
+  const { User, Ride, Group, Chat, Rental, Payment, UserConnection, RideWaitlist, RideSeries, RideParticipant, RideJoinRequest, RideRequirementWaiver, RideDocumentVerification, PaymentRefund, RideReminder, RideReview, RideTemplate, RideStop, RideExpense, RideExpenseShare, RideSettlement, RideMedia, PromoCode, PromoCodeRedemption } = models;
 
   // User associations
   User.hasMany(Ride, { foreignKey: 'creator_id', as: 'createdRides' });
@@ -30,6 +64,7 @@ const defineAssociations = () => {
   User.hasMany(Payment, { foreignKey: 'user_id', as: 'payments' });
   User.hasMany(Payment, { foreignKey: 'recipient_id', as: 'receivedPayments' });
   User.hasMany(Group, { foreignKey: 'admin_id', as: 'administeredGroups' });
+  User.hasMany(RideSeries, { foreignKey: 'creator_id', as: 'createdRideSeries' });
 
   // FIXED: User connection associations with proper aliases
   User.hasMany(UserConnection, { 
@@ -54,7 +89,7 @@ const defineAssociations = () => {
 
   // User <-> Ride association through ride_participants
   User.belongsToMany(Ride, {
-    through: 'ride_participants',
+    through: RideParticipant,
     foreignKey: 'user_id',
     otherKey: 'ride_id',
     as: 'participatedRides',
@@ -74,13 +109,15 @@ const defineAssociations = () => {
   Ride.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
   Ride.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
   Ride.belongsToMany(User, {
-    through: 'ride_participants',
+    through: RideParticipant,
     foreignKey: 'ride_id',
     otherKey: 'user_id',
     as: 'participants'
   });
   Ride.hasMany(Chat, { foreignKey: 'ride_id', as: 'messages' });
   Ride.hasMany(Payment, { foreignKey: 'ride_id', as: 'payments' });
+  Ride.hasMany(RideWaitlist, { foreignKey: 'ride_id', as: 'waitlist' });
+  Ride.belongsTo(RideSeries, { foreignKey: 'series_id', as: 'series' });
 
   // Group associations
   Group.belongsTo(User, { foreignKey: 'admin_id', as: 'admin' });
@@ -91,6 +128,7 @@ const defineAssociations = () => {
     as: 'members'
   });
   Group.hasMany(Ride, { foreignKey: 'group_id', as: 'rides' });
+  Group.hasMany(RideSeries, { foreignKey: 'group_id', as: 'rideSeries' });
   Group.hasMany(Chat, { foreignKey: 'group_id', as: 'messages' });
   Group.hasMany(Payment, { foreignKey: 'group_id', as: 'payments' });
 
@@ -145,6 +183,105 @@ const defineAssociations = () => {
   Payment.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
   Payment.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
   Payment.belongsTo(Rental, { foreignKey: 'rental_id', as: 'rental' });
+  Payment.hasMany(PaymentRefund, { foreignKey: 'payment_id', as: 'refunds' });
+
+  // Refund associations
+  PaymentRefund.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+  PaymentRefund.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  PaymentRefund.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+
+  // Ride waitlist associations
+  RideWaitlist.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideWaitlist.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  RideWaitlist.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+
+  // Ride series associations
+  RideSeries.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+  RideSeries.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
+  RideSeries.hasMany(Ride, { foreignKey: 'series_id', as: 'occurrences' });
+
+  // Ride participant associations - direct access to the junction rows for attendance
+  RideParticipant.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideParticipant.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  RideParticipant.belongsTo(User, { foreignKey: 'role_assigned_by', as: 'roleAssigner' });
+  RideParticipant.belongsTo(User, { foreignKey: 'pillion_host_id', as: 'pillionHost' });
+  Ride.hasMany(RideParticipant, { foreignKey: 'ride_id', as: 'participantRecords' });
+  User.hasMany(RideParticipant, { foreignKey: 'user_id', as: 'rideParticipations' });
+
+  // Ride join request associations
+  RideJoinRequest.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideJoinRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  RideJoinRequest.belongsTo(User, { foreignKey: 'decided_by', as: 'decider' });
+  RideJoinRequest.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+  Ride.hasMany(RideJoinRequest, { foreignKey: 'ride_id', as: 'joinRequests' });
+
+  // Requirement waivers organisers grant to individual riders
+  RideRequirementWaiver.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideRequirementWaiver.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  RideRequirementWaiver.belongsTo(User, { foreignKey: 'granted_by', as: 'grantedBy' });
+  Ride.hasMany(RideRequirementWaiver, { foreignKey: 'ride_id', as: 'requirementWaivers' });
+
+  // License and insurance checks organisers did for one ride
+  RideDocumentVerification.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideDocumentVerification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  RideDocumentVerification.belongsTo(User, { foreignKey: 'verified_by', as: 'verifier' });
+  Ride.hasMany(RideDocumentVerification, { foreignKey: 'ride_id', as: 'documentVerifications' });
+
+  // Reminders already sent, per user and offset
+  RideReminder.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideReminder.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  Ride.hasMany(RideReminder, { foreignKey: 'ride_id', as: 'reminders' });
+
+  // Post-ride peer reviews
+  RideReview.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideReview.belongsTo(User, { foreignKey: 'reviewer_id', as: 'reviewer' });
+  RideReview.belongsTo(User, { foreignKey: 'reviewee_id', as: 'reviewee' });
+  Ride.hasMany(RideReview, { foreignKey: 'ride_id', as: 'reviews' });
+  User.hasMany(RideReview, { foreignKey: 'reviewee_id', as: 'receivedReviews' });
+  User.hasMany(RideReview, { foreignKey: 'reviewer_id', as: 'writtenReviews' });
+
+  // Saved ride templates, personal or shared with a group
+  RideTemplate.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+  RideTemplate.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
+  User.hasMany(RideTemplate, { foreignKey: 'creator_id', as: 'rideTemplates' });
+  Group.hasMany(RideTemplate, { foreignKey: 'group_id', as: 'rideTemplates' });
+
+  // Itinerary stops along a ride
+  RideStop.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideStop.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+  Ride.hasMany(RideStop, { foreignKey: 'ride_id', as: 'stops' });
+
+  // Shared ride expenses, each split into per-user shares, and the transfers that settle them
+  RideExpense.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideExpense.belongsTo(User, { foreignKey: 'paid_by', as: 'payer' });
+  RideExpense.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+  RideExpense.hasMany(RideExpenseShare, { foreignKey: 'expense_id', as: 'shares', onDelete: 'CASCADE' });
+  RideExpenseShare.belongsTo(RideExpense, { foreignKey: 'expense_id', as: 'expense' });
+  RideExpenseShare.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  Ride.hasMany(RideExpense, { foreignKey: 'ride_id', as: 'expenses' });
+
+  RideSettlement.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideSettlement.belongsTo(User, { foreignKey: 'from_user_id', as: 'fromUser' });
+  RideSettlement.belongsTo(User, { foreignKey: 'to_user_id', as: 'toUser' });
+  RideSettlement.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+  Ride.hasMany(RideSettlement, { foreignKey: 'ride_id', as: 'settlements' });
+
+  // Ride photo and video album
+  RideMedia.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  RideMedia.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+  RideMedia.belongsTo(User, { foreignKey: 'highlighted_by', as: 'highlighter' });
+  Ride.hasMany(RideMedia, { foreignKey: 'ride_id', as: 'media' });
+
+  // Promo codes and their uses
+  PromoCode.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+  PromoCode.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  PromoCode.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
+  PromoCode.hasMany(PromoCodeRedemption, { foreignKey: 'promo_code_id', as: 'redemptions' });
+  PromoCodeRedemption.belongsTo(PromoCode, { foreignKey: 'promo_code_id', as: 'promoCode' });
+  PromoCodeRedemption.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  PromoCodeRedemption.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+  PromoCodeRedemption.belongsTo(Ride, { foreignKey: 'ride_id', as: 'ride' });
+  PromoCodeRedemption.belongsTo(Group, { foreignKey: 'group_id', as: 'group' });
 };
 
 // Initialize associations
@@ -165,7 +302,13 @@ const syncDatabase = async (options = {}) => {
       console.log('⚠️  Force sync detected - temporarily disabling foreign key checks');
       await sequelize.query('SET foreign_key_checks = 0;', { logging: false });
     }
-    
+
+    // Rides, groups and rentals store their locations as PostGIS geography
+    if (dialectName === 'postgres') {
+      await sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis;', { logging: false });
+      console.log('✅ PostGIS extension available');
+    }
+
     // Step 1: Sync base models (no foreign key dependencies)
     console.log('📝 Syncing User model...');
     await models.User.sync(options);
@@ -185,7 +328,11 @@ const syncDatabase = async (options = {}) => {
     await models.UserConnection.sync(options);
     console.log('✅ UserConnection model synced');
 
-    // Step 3: Sync Ride model (depends on User and Group)
+    console.log('📝 Syncing RideSeries model...');
+    await models.RideSeries.sync(options);
+    console.log('✅ RideSeries model synced');
+
+    // Step 3: Sync Ride model (depends on User, Group and RideSeries)
     console.log('📝 Syncing Ride model...');
     await models.Ride.sync(options);
     console.log('✅ Ride model synced');
@@ -199,6 +346,66 @@ const syncDatabase = async (options = {}) => {
     await models.Payment.sync(options);
     console.log('✅ Payment model synced');
 
+    console.log('📝 Syncing PaymentRefund model...');
+    await models.PaymentRefund.sync(options);
+    console.log('✅ PaymentRefund model synced');
+
+    console.log('📝 Syncing RideWaitlist model...');
+    await models.RideWaitlist.sync(options);
+    console.log('✅ RideWaitlist model synced');
+
+    console.log('📝 Syncing RideJoinRequest model...');
+    await models.RideJoinRequest.sync(options);
+    console.log('✅ RideJoinRequest model synced');
+
+    console.log('📝 Syncing RideRequirementWaiver model...');
+    await models.RideRequirementWaiver.sync(options);
+    console.log('✅ RideRequirementWaiver model synced');
+
+    console.log('📝 Syncing RideDocumentVerification model...');
+    await models.RideDocumentVerification.sync(options);
+    console.log('✅ RideDocumentVerification model synced');
+
+    console.log('📝 Syncing RideReminder model...');
+    await models.RideReminder.sync(options);
+    console.log('✅ RideReminder model synced');
+
+    console.log('📝 Syncing RideReview model...');
+    await models.RideReview.sync(options);
+    console.log('✅ RideReview model synced');
+
+    console.log('📝 Syncing RideTemplate model...');
+    await models.RideTemplate.sync(options);
+    console.log('✅ RideTemplate model synced');
+
+    console.log('📝 Syncing RideStop model...');
+    await models.RideStop.sync(options);
+    console.log('✅ RideStop model synced');
+
+    console.log('📝 Syncing RideExpense model...');
+    await models.RideExpense.sync(options);
+    console.log('✅ RideExpense model synced');
+
+    console.log('📝 Syncing RideExpenseShare model...');
+    await models.RideExpenseShare.sync(options);
+    console.log('✅ RideExpenseShare model synced');
+
+    console.log('📝 Syncing RideSettlement model...');
+    await models.RideSettlement.sync(options);
+    console.log('✅ RideSettlement model synced');
+
+    console.log('📝 Syncing RideMedia model...');
+    await models.RideMedia.sync(options);
+    console.log('✅ RideMedia model synced');
+
+    console.log('📝 Syncing PromoCode model...');
+    await models.PromoCode.sync(options);
+    console.log('✅ PromoCode model synced');
+
+    console.log('📝 Syncing PromoCodeRedemption model...');
+    await models.PromoCodeRedemption.sync(options);
+    console.log('✅ PromoCodeRedemption model synced');
+
     // Step 5: Re-enable foreign key checks and sync junction tables
     if (options.force && (dialectName === 'mysql' || dialectName === 'mariadb')) {
       console.log('🔄 Re-enabling foreign key checks');
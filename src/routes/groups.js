@@ -1,6 +1,6 @@
 const express = require('express');
 const { validate, validateQuery, schemas } = require('../middleware/validation');
-const { authenticate, requireVerified, checkGroupMembership } = require('../middleware/auth');
+const { authenticate, requireVerified, checkGroupMembership, authenticateCalendarToken } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError, cleanupTempFiles } = require('../middleware/upload');
 const {
   createGroup,
@@ -16,7 +16,8 @@ const {
   transferAdmin,
   deleteGroup,
   getUserAdminGroups,
-  getUserAllGroups
+  getUserAllGroups,
+  getGroupCalendarFeed
 } = require('../controllers/groupController');
 const Joi = require('joi');
 
@@ -35,6 +36,9 @@ router.get('/nearby',
 
 router.get('/:groupId', getGroupById);
 
+// Subscribable ride calendar - pass a member's calendar token for private groups
+router.get('/:groupId/calendar.ics', authenticateCalendarToken({ required: false }), getGroupCalendarFeed);
+
 // Protected routes
 router.use(authenticate);
 
@@ -62,7 +66,13 @@ router.put('/:groupId',
 );
 
 // Group membership
-router.post('/:groupId/join', requireVerified, joinGroup);
+router.post('/:groupId/join',
+  requireVerified,
+  validate(Joi.object({
+    promo_code: Joi.string().trim().max(32).optional()
+  })),
+  joinGroup
+);
 router.delete('/:groupId/leave', leaveGroup);
 
 // Group management
@@ -0,0 +1,52 @@
+const express = require('express');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
+const { authenticate, requireVerified } = require('../middleware/auth');
+const {
+  createPromoCode,
+  getMyPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode,
+  checkPromoCode
+} = require('../controllers/promoCodeController');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// All promo code routes require authentication
+router.use(authenticate);
+
+// Riders: preview a code against a ride or group before joining
+router.post('/check',
+  validate(schemas.checkPromoCode),
+  checkPromoCode
+);
+
+// Organisers: manage their own codes
+router.post('/',
+  requireVerified,
+  validate(schemas.createPromoCode),
+  createPromoCode
+);
+
+router.get('/',
+  validateQuery(Joi.object({
+    scope: Joi.string().valid('ride', 'group', 'all').optional(),
+    ride_id: Joi.string().uuid().optional(),
+    group_id: Joi.string().uuid().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })),
+  getMyPromoCodes
+);
+
+router.get('/:promoCodeId', getPromoCodeById);
+
+router.put('/:promoCodeId',
+  validate(schemas.updatePromoCode),
+  updatePromoCode
+);
+
+router.delete('/:promoCodeId', deletePromoCode);
+
+module.exports = router;
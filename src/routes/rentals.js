@@ -28,7 +28,11 @@ router.get('/',
 );
 
 router.get('/nearby',
-  validateQuery(schemas.locationQuery),
+  validateQuery(schemas.locationQuery.keys({
+    category: Joi.string().optional(),
+    min_price: Joi.number().min(0).optional(),
+    max_price: Joi.number().min(0).optional()
+  })),
   getNearbyRentals
 );
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, requireVerified } = require('../middleware/auth');
+const {
+  createRideSeries,
+  getMyRideSeries,
+  getRideSeriesById,
+  updateRideSeries,
+  cancelRideSeries
+} = require('../controllers/rideSeriesController');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// All ride series routes require authentication
+router.use(authenticate);
+
+router.post('/',
+  requireVerified,
+  validate(schemas.createRideSeries),
+  createRideSeries
+);
+
+router.get('/', getMyRideSeries);
+router.get('/:seriesId', getRideSeriesById);
+
+// Edits every future occurrence - edit a single occurrence via PUT /api/rides/:rideId
+router.put('/:seriesId',
+  requireVerified,
+  validate(schemas.updateRideSeries),
+  updateRideSeries
+);
+
+router.post('/:seriesId/cancel',
+  validate(Joi.object({
+    reason: Joi.string().max(500).optional()
+  })),
+  cancelRideSeries
+);
+
+module.exports = router;
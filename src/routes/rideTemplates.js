@@ -0,0 +1,42 @@
+const express = require('express');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
+const { authenticate, requireVerified } = require('../middleware/auth');
+const {
+  createRideTemplate,
+  getMyRideTemplates,
+  getRideTemplateById,
+  updateRideTemplate,
+  deleteRideTemplate
+} = require('../controllers/rideTemplateController');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// All ride template routes require authentication
+router.use(authenticate);
+
+router.post('/',
+  requireVerified,
+  validate(schemas.createRideTemplate),
+  createRideTemplate
+);
+
+router.get('/',
+  validateQuery(Joi.object({
+    group_id: Joi.string().uuid().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })),
+  getMyRideTemplates
+);
+
+router.get('/:templateId', getRideTemplateById);
+
+router.put('/:templateId',
+  validate(schemas.updateRideTemplate),
+  updateRideTemplate
+);
+
+router.delete('/:templateId', deleteRideTemplate);
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
 const { validate, validateQuery, schemas } = require('../middleware/validation');
-const { authenticate, requireVerified, checkOwnership } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireVerified, checkOwnership } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError, cleanupTempFiles } = require('../middleware/upload');
-const { Ride } = require('../models');
+const { Ride, RideParticipant } = require('../models');
 const {
   createRide,
+  cloneRide,
   getRides,
+  searchRides,
+  getRecommendedRides,
   getNearbyRides,
+  getRidesAlongRoute,
   getRideById,
   updateRide,
   joinRide,
@@ -14,11 +18,68 @@ const {
   cancelRide,
   inviteToRide,
   getRideParticipants,
+  getRideCrewList,
+  assignRideCrewRole,
+  getRideSlotList,
+  updatePillionOffer,
+  removeRideParticipant,
+  joinRideWaitlist,
+  leaveRideWaitlist,
+  getRideWaitlist,
+  claimRideWaitlistOffer,
+  getRideJoinRequestList,
+  approveRideJoinRequest,
+  declineRideJoinRequest,
+  getMyRideJoinRequest,
+  cancelMyRideJoinRequest,
+  getRideEligibility,
+  grantRideRequirementWaiver,
+  revokeRideRequirementWaiver,
+  verifyRideDocument,
   deleteRide,
+  startRide,
+  completeRide,
+  getRideCheckInCode,
+  checkInToRide,
+  getRideAttendanceReport,
+  importRideRoute,
+  exportRideRoute,
   checkUserAlreadyJoined
 } = require('../controllers/rideController');
 const Joi = require('joi');
+const {
+  createRideReview,
+  getRideReviewList,
+  getPendingRideReviews,
+  replyToRideReview
+} = require('../controllers/reviewController');
 const { convertRideFormData } = require('../middleware/ConvertRideData');
+const { applyRideTemplate } = require('../middleware/rideTemplate');
+const {
+  getItinerary,
+  createStop,
+  editStop,
+  deleteStop,
+  reorderItineraryStops
+} = require('../controllers/itineraryController');
+const {
+  getExpenses,
+  addExpense,
+  editExpense,
+  removeExpense,
+  getBalances,
+  getSettlements,
+  settleUp
+} = require('../controllers/expenseController');
+const {
+  getRideMedia,
+  addRideMedia,
+  editRideMediaCaption,
+  highlightRideMedia,
+  removeRideMedia
+} = require('../controllers/rideMediaController');
+const { getRideWeather, refreshWeather } = require('../controllers/weatherController');
+const { REQUIREMENT_KEYS } = require('../services/rideRequirementService');
 
 const router = express.Router();
 
@@ -35,8 +96,41 @@ router.get('/nearby',
   getNearbyRides
 );
 
+router.get('/search',
+  optionalAuth,
+  validateQuery(schemas.rideSearchQuery),
+  searchRides
+);
+
+router.get('/recommended',
+  authenticate,
+  validateQuery(schemas.recommendedRidesQuery),
+  getRecommendedRides
+);
+
+router.get('/along-route',
+  validateQuery(schemas.alongRouteQuery),
+  getRidesAlongRoute
+);
+
 router.get('/:rideId', getRideById);
 
+// Route export for GPS devices and navigation apps - signed-in users can export group/private rides
+router.get('/:rideId/route.:format(gpx|kml)', optionalAuth, exportRideRoute);
+
+// Ordered itinerary stops - signed-in users can view group/private rides
+router.get('/:rideId/itinerary', optionalAuth, getItinerary);
+
+// Forecast for the start, waypoints and end - signed-in users can view group/private rides
+router.get('/:rideId/weather', optionalAuth, getRideWeather);
+
+// Ride photo album - same visibility rules as the ride
+router.get('/:rideId/media',
+  optionalAuth,
+  validateQuery(schemas.rideMediaQuery),
+  getRideMedia
+);
+
 // Protected routes
 router.use(authenticate);
 
@@ -47,10 +141,18 @@ router.post('/',
   handleUploadError,
   cleanupTempFiles,
   convertRideFormData,  // 👈 NEW: Convert FormData types before validation
+  applyRideTemplate,    // Prefill from a saved template when template_id is sent
   validate(schemas.createRide),
   createRide
 );
 
+// Copy an existing ride, in any status, onto a new date
+router.post('/:rideId/clone',
+  requireVerified,
+  validate(schemas.cloneRide),
+  cloneRide
+);
+
 // Update ride - WITH FORMDATA CONVERSION MIDDLEWARE
 router.put('/:rideId',
   requireVerified,
@@ -63,9 +165,74 @@ router.put('/:rideId',
 );
 
 // Ride participation
-router.post('/:rideId/join', requireVerified, joinRide);
+router.post('/:rideId/join',
+  requireVerified,
+  validate(Joi.object({
+    pricing_option: Joi.string().valid('with_bike', 'without_bike').optional(),
+    slot_type: Joi.string().valid(...RideParticipant.SLOT_TYPES).optional(),
+    offers_pillion: Joi.boolean().optional(),
+    message: Joi.string().max(500).optional().allow(''),
+    promo_code: Joi.string().trim().max(32).optional()
+  })),
+  joinRide
+);
 router.delete('/:rideId/leave', leaveRide);
 
+// Ride waitlist
+router.get('/:rideId/waitlist', getRideWaitlist);
+router.post('/:rideId/waitlist',
+  requireVerified,
+  validate(Joi.object({
+    pricing_option: Joi.string().valid('with_bike', 'without_bike').optional(),
+    slot_type: Joi.string().valid(...RideParticipant.SLOT_TYPES).optional()
+  })),
+  joinRideWaitlist
+);
+router.delete('/:rideId/waitlist', leaveRideWaitlist);
+router.post('/:rideId/waitlist/claim',
+  requireVerified,
+  validate(Joi.object({
+    pricing_option: Joi.string().valid('with_bike', 'without_bike').optional()
+  })),
+  claimRideWaitlistOffer
+);
+
+// Join requests (approval and invite-only rides)
+router.get('/:rideId/join-request', getMyRideJoinRequest);
+router.delete('/:rideId/join-request', cancelMyRideJoinRequest);
+router.get('/:rideId/join-requests',
+  validateQuery(Joi.object({
+    status: Joi.string().valid('pending', 'invited', 'approved', 'declined', 'cancelled').optional()
+  })),
+  getRideJoinRequestList
+);
+router.post('/:rideId/join-requests/:requestId/approve', approveRideJoinRequest);
+router.post('/:rideId/join-requests/:requestId/decline',
+  validate(Joi.object({
+    reason: Joi.string().max(500).optional().allow('')
+  })),
+  declineRideJoinRequest
+);
+
+// Ride requirements
+router.get('/:rideId/eligibility', getRideEligibility);
+router.post('/:rideId/requirement-waivers',
+  validate(Joi.object({
+    user_id: Joi.string().uuid().required(),
+    requirements: Joi.array().items(Joi.string().valid(...REQUIREMENT_KEYS)).unique().optional(),
+    reason: Joi.string().max(500).optional().allow('')
+  })),
+  grantRideRequirementWaiver
+);
+router.delete('/:rideId/requirement-waivers/:userId', revokeRideRequirementWaiver);
+router.post('/:rideId/document-verifications',
+  validate(Joi.object({
+    user_id: Joi.string().uuid().required(),
+    document: Joi.string().valid('driving_license', 'insurance').required()
+  })),
+  verifyRideDocument
+);
+
 // Ride management
 router.post('/:rideId/cancel',
   validate(Joi.object({
@@ -74,6 +241,58 @@ router.post('/:rideId/cancel',
   cancelRide
 );
 
+// Ride lifecycle
+router.post('/:rideId/start', startRide);
+router.post('/:rideId/complete', completeRide);
+
+// Route import (GPX/KML)
+router.post('/:rideId/route/import',
+  requireVerified,
+  uploadConfigs.routeFile,
+  handleUploadError,
+  cleanupTempFiles,
+  importRideRoute
+);
+
+// Check-in and attendance
+router.get('/:rideId/check-in-code', getRideCheckInCode);
+router.post('/:rideId/check-in',
+  validate(Joi.object({
+    qr_data: Joi.string().max(2000).required(),
+    location: Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required()
+    }).optional()
+  })),
+  checkInToRide
+);
+router.get('/:rideId/attendance', getRideAttendanceReport);
+
+// Post-ride reviews
+const ratingSchema = Joi.number().integer().min(1).max(5).required();
+router.get('/:rideId/reviews',
+  validateQuery(schemas.paginationQuery),
+  getRideReviewList
+);
+router.get('/:rideId/reviews/pending', getPendingRideReviews);
+router.post('/:rideId/reviews',
+  requireVerified,
+  validate(Joi.object({
+    reviewee_id: Joi.string().uuid().required(),
+    punctuality: ratingSchema,
+    riding_safety: ratingSchema,
+    friendliness: ratingSchema,
+    comment: Joi.string().max(1000).optional().allow('')
+  })),
+  createRideReview
+);
+router.put('/:rideId/reviews/:reviewId/reply',
+  validate(Joi.object({
+    reply: Joi.string().min(1).max(1000).required()
+  })),
+  replyToRideReview
+);
+
 router.post('/:rideId/invite',
   requireVerified,
   validate(Joi.object({
@@ -86,6 +305,87 @@ router.post('/:rideId/invite',
 // Ride participants
 router.get('/:rideId/participants', getRideParticipants);
 router.get('/:rideId/check-user-joined', checkUserAlreadyJoined);
+router.delete('/:rideId/participants/:userId', removeRideParticipant);
+
+// Itinerary stops (fuel, food, photo, overnight)
+router.post('/:rideId/stops',
+  validate(schemas.createRideStop),
+  createStop
+);
+router.put('/:rideId/stops/order',
+  validate(Joi.object({
+    stop_ids: Joi.array().items(Joi.string().uuid()).min(1).required()
+  })),
+  reorderItineraryStops
+);
+router.put('/:rideId/stops/:stopId',
+  validate(schemas.updateRideStop),
+  editStop
+);
+router.delete('/:rideId/stops/:stopId', deleteStop);
+
+// Shared expenses and settle-up
+router.get('/:rideId/expenses', getExpenses);
+router.get('/:rideId/expenses/balances', getBalances);
+router.post('/:rideId/expenses',
+  validate(schemas.createRideExpense),
+  addExpense
+);
+router.put('/:rideId/expenses/:expenseId',
+  validate(schemas.updateRideExpense),
+  editExpense
+);
+router.delete('/:rideId/expenses/:expenseId', removeExpense);
+router.get('/:rideId/settlements', getSettlements);
+router.post('/:rideId/settlements',
+  validate(schemas.createRideSettlement),
+  settleUp
+);
+
+// Refresh the weather forecast now
+router.post('/:rideId/weather/refresh', refreshWeather);
+
+// Ride photo album uploads
+router.post('/:rideId/media',
+  uploadConfigs.rideMedia,
+  handleUploadError,
+  cleanupTempFiles,
+  validate(Joi.object({
+    caption: Joi.string().max(500).optional().allow('')
+  })),
+  addRideMedia
+);
+router.put('/:rideId/media/:mediaId',
+  validate(Joi.object({
+    caption: Joi.string().max(500).required().allow('', null)
+  })),
+  editRideMediaCaption
+);
+router.put('/:rideId/media/:mediaId/highlight',
+  validate(Joi.object({
+    is_highlight: Joi.boolean().required()
+  })),
+  highlightRideMedia
+);
+router.delete('/:rideId/media/:mediaId', removeRideMedia);
+
+// Ride crew: co-organisers, lead and sweep riders, medics
+router.get('/:rideId/crew', getRideCrewList);
+router.put('/:rideId/crew/:userId',
+  validate(Joi.object({
+    role: Joi.string().valid('rider', ...RideParticipant.CREW_ROLES).required()
+  })),
+  assignRideCrewRole
+);
+
+// Own-bike, pillion and organiser-bike places
+router.get('/:rideId/slots', getRideSlotList);
+router.put('/:rideId/pillion-offer',
+  validate(Joi.object({
+    offers_pillion: Joi.boolean().required()
+  })),
+  updatePillionOffer
+);
 
 // Delete ride
 router.delete('/:rideId',
@@ -1,6 +1,6 @@
 const express = require('express');
 const { validate, validateQuery, schemas } = require('../middleware/validation');
-const { authenticate, requireVerified } = require('../middleware/auth');
+const { authenticate, requireVerified, authenticateCalendarToken } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError, cleanupTempFiles } = require('../middleware/upload');
 const {
   getProfile,
@@ -10,18 +10,33 @@ const {
   getUserById,
   searchUsers,
   getUserRides,
+  getUserAttendance,
   getUserGroups,
   getUserRentals,
   deactivateAccount,
-  deleteAccount
+  deleteAccount,
+  getMyCalendarFeed,
+  getMyCalendarLink,
+  rotateMyCalendarLink
 } = require('../controllers/userController');
+const { getUserReviewList } = require('../controllers/reviewController');
 const Joi = require('joi');
 
 const router = express.Router();
 
+// Calendar feed - calendar apps authenticate with the token in the URL
+router.get('/me/calendar.ics', authenticateCalendarToken(), getMyCalendarFeed);
+
 // Apply authentication to all routes
 router.use(authenticate);
 
+// Driving license / insurance details - verification happens separately
+const profileDocument = Joi.object({
+  number: Joi.string().max(50).required(),
+  expires_on: Joi.date().iso().optional(),
+  document_url: Joi.string().uri().optional()
+});
+
 // Enhanced validation schemas
 const userSchemas = {
   updateProfile: Joi.object({
@@ -47,9 +62,16 @@ const userSchemas = {
       model: Joi.string().max(50).optional(),
       year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).optional(),
       type: Joi.string().valid('motorcycle', 'scooter', 'electric', 'bicycle', 'other').optional(),
+      bike_type: Joi.string().valid('Cruiser', 'Sport', 'Touring', 'Adventure', 'Scooter', 'Electric').optional(),
       engine_size: Joi.string().max(20).optional(),
       color: Joi.string().max(30).optional(),
       license_plate: Joi.string().max(20).optional()
+    }).optional(),
+    date_of_birth: Joi.date().iso().max('now').optional(),
+    experience_level: Joi.string().valid('Beginner', 'Intermediate', 'Advanced', 'Expert').optional(),
+    documents: Joi.object({
+      driving_license: profileDocument.optional(),
+      insurance: profileDocument.optional()
     }).optional()
   }),
 
@@ -92,6 +114,10 @@ router.post('/upload/cover-picture',
   uploadCoverPicture
 );
 
+// Calendar subscription link
+router.get('/me/calendar', getMyCalendarLink);
+router.post('/me/calendar/rotate', rotateMyCalendarLink);
+
 // Public user routes (enhanced with friend system)
 router.get('/search',
   validateQuery(userSchemas.searchUsers),
@@ -107,6 +133,13 @@ router.get('/:userId/rides',
   getUserRides
 );
 
+router.get('/:userId/attendance', getUserAttendance);
+
+router.get('/:userId/reviews',
+  validateQuery(userSchemas.paginationQuery),
+  getUserReviewList
+);
+
 router.get('/:userId/groups',
   validateQuery(userSchemas.paginationQuery),
   getUserGroups
@@ -0,0 +1,170 @@
+const { Ride, User, RideParticipant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateRideQRData, verifyQRData } = require('../utils/helpers');
+const { calculateDistance } = require('./locationService');
+const { EARLY_START_WINDOW_HOURS } = require('./rideLifecycleService');
+const { emitToRide } = require('../sockets/socketEmitter');
+
+// Organisers refresh the code on screen, so keep it short-lived
+const CHECK_IN_QR_TTL_MINUTES = 15;
+
+const CHECK_IN_QR_TYPE = 'ride_check_in';
+
+// Check-in opens at the same time organisers may start the ride
+const assertCheckInOpen = (ride, now = new Date()) => {
+  if (!['upcoming', 'ongoing'].includes(ride.status)) {
+    throw new AppError(`Check-in is closed for ${ride.status} rides`, 400);
+  }
+
+  const opensAt = new Date(ride.getScheduledStart().getTime() - EARLY_START_WINDOW_HOURS * 60 * 60 * 1000);
+  if (now < opensAt) {
+    throw new AppError(`Check-in opens ${EARLY_START_WINDOW_HOURS} hours before the ride starts`, 400);
+  }
+};
+
+const generateCheckInCode = (ride) => {
+  assertCheckInOpen(ride);
+
+  const qrData = generateRideQRData(ride.id, ride.creator_id, {
+    type: CHECK_IN_QR_TYPE,
+    expiresInMinutes: CHECK_IN_QR_TTL_MINUTES
+  });
+
+  return {
+    qr_data: qrData,
+    expires_at: new Date(Date.now() + CHECK_IN_QR_TTL_MINUTES * 60 * 1000)
+  };
+};
+
+const checkInParticipant = async (ride, userId, qrData, location) => {
+  assertCheckInOpen(ride);
+
+  const payload = verifyQRData(qrData);
+  if (!payload || payload.type !== CHECK_IN_QR_TYPE || payload.ride_id !== ride.id) {
+    throw new AppError('Invalid or expired check-in code', 400, 'INVALID_CHECK_IN_CODE');
+  }
+
+  const participant = await RideParticipant.findOne({
+    where: { ride_id: ride.id, user_id: userId }
+  });
+
+  if (!participant) {
+    throw new AppError('Only ride participants can check in', 403);
+  }
+
+  // Scanning twice is harmless - keep the first check-in
+  if (participant.isCheckedIn()) {
+    return { participant, alreadyCheckedIn: true };
+  }
+
+  let checkInLocation = null;
+  if (location) {
+    checkInLocation = {
+      latitude: location.latitude,
+      longitude: location.longitude
+    };
+
+    if (ride.start_location?.latitude && ride.start_location?.longitude) {
+      checkInLocation.distance_from_start_km = parseFloat(calculateDistance(
+        location.latitude,
+        location.longitude,
+        parseFloat(ride.start_location.latitude),
+        parseFloat(ride.start_location.longitude)
+      ).toFixed(3));
+    }
+  }
+
+  await participant.update({
+    status: 'confirmed',
+    checked_in_at: new Date(),
+    check_in_location: checkInLocation
+  });
+
+  emitToRide(ride.id, 'participant_checked_in', {
+    ride_id: ride.id,
+    user_id: userId,
+    checked_in_at: participant.checked_in_at
+  });
+
+  return { participant, alreadyCheckedIn: false };
+};
+
+// Participants who never checked in only count as no-shows once the ride is over
+const getRideAttendance = async (ride) => {
+  const records = await RideParticipant.findAll({
+    where: { ride_id: ride.id },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      }
+    ],
+    order: [['checked_in_at', 'ASC'], ['joined_at', 'ASC']]
+  });
+
+  const rideOver = ride.status === 'completed';
+  const checkedIn = records.filter(record => record.isCheckedIn());
+
+  return {
+    ride_id: ride.id,
+    ride_status: ride.status,
+    summary: {
+      total_participants: records.length,
+      checked_in: checkedIn.length,
+      not_checked_in: records.length - checkedIn.length,
+      no_shows: rideOver ? records.length - checkedIn.length : 0,
+      attendance_rate: records.length > 0
+        ? parseFloat((checkedIn.length / records.length * 100).toFixed(2))
+        : 0
+    },
+    participants: records.map(record => ({
+      user: record.user,
+      status: record.status,
+      joined_at: record.joined_at,
+      checked_in_at: record.checked_in_at,
+      check_in_location: record.check_in_location,
+      no_show: rideOver && !record.isCheckedIn()
+    }))
+  };
+};
+
+// Attendance across a user's completed rides
+const getUserAttendanceStats = async (userId) => {
+  const countByStatus = (status) => RideParticipant.count({
+    where: { user_id: userId, status },
+    include: [
+      {
+        model: Ride,
+        as: 'ride',
+        where: { status: 'completed' },
+        attributes: []
+      }
+    ]
+  });
+
+  const [attended, noShows] = await Promise.all([
+    countByStatus('confirmed'),
+    countByStatus('joined')
+  ]);
+
+  const completedRides = attended + noShows;
+
+  return {
+    user_id: userId,
+    completed_rides: completedRides,
+    attended,
+    no_shows: noShows,
+    attendance_rate: completedRides > 0
+      ? parseFloat((attended / completedRides * 100).toFixed(2))
+      : null
+  };
+};
+
+module.exports = {
+  CHECK_IN_QR_TTL_MINUTES,
+  generateCheckInCode,
+  checkInParticipant,
+  getRideAttendance,
+  getUserAttendanceStats
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Ride, User, RideParticipant } = require('../models');
+const { cacheDel } = require('../config/redis');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Past rides stay in the feed this long so recent history remains visible
+const FEED_HISTORY_DAYS = 90;
+
+const EVENT_UID_DOMAIN = 'rider-management';
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+const getCalendarFeedUrls = (token) => {
+  const feedUrl = `${process.env.BASE_URL}/api/users/me/calendar.ics?token=${token}`;
+
+  return {
+    feed_url: feedUrl,
+    webcal_url: feedUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+const getOrCreateCalendarToken = async (user) => {
+  // req.user may come from the cache, which never holds the token
+  const { calendar_token: token } = await User.findByPk(user.id, { attributes: ['id', 'calendar_token'] });
+  return token || rotateCalendarToken(user);
+};
+
+// A new token invalidates every calendar already subscribed with the old URL
+const rotateCalendarToken = async (user) => {
+  const token = generateCalendarToken();
+  await User.update({ calendar_token: token }, { where: { id: user.id } });
+  await cacheDel(`user:${user.id}`);
+  return token;
+};
+
+const getHistoryCutoff = () => {
+  return new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+};
+
+// "Day 2: Manali to Kaza (200 km), overnight at Hotel Deyzor"
+const describeDaySegment = (segment) => {
+  const route = [segment.start_location?.address, segment.end_location?.address].filter(Boolean).join(' to ');
+  let line = `Day ${segment.day}: ${segment.title || route || 'Riding day'}`;
+  if (segment.title && route) line += ` - ${route}`;
+  if (segment.distance_km) line += ` (${parseFloat(segment.distance_km)} km)`;
+  if (segment.overnight_stay?.name) line += `, overnight at ${segment.overnight_stay.name}`;
+  return line;
+};
+
+const buildRideDescription = (ride) => {
+  const lines = [];
+
+  if (ride.description) lines.push(ride.description, '');
+  if (ride.start_location?.address) lines.push(`Meeting point: ${ride.start_location.address}`);
+  if (ride.end_location?.address) lines.push(`Destination: ${ride.end_location.address}`);
+  if (ride.distance_km) lines.push(`Distance: ${parseFloat(ride.distance_km)} km`);
+  if (ride.creator) lines.push(`Organiser: ${ride.creator.first_name} ${ride.creator.last_name}`);
+  if (ride.isMultiDay()) {
+    lines.push('', `${ride.getDayCount()}-day ride, ${ride.ride_date} to ${ride.end_date}`);
+    (ride.day_segments || []).forEach((segment) => lines.push(describeDaySegment(segment)));
+  }
+  if (ride.status === 'cancelled') lines.push('', 'This ride has been cancelled.');
+
+  return lines.join('\n');
+};
+
+// updated_at moves on every edit, so the SEQUENCE tells calendar apps to replace their copy
+const getEventSequence = (ride) => {
+  const created = new Date(ride.createdAt).getTime();
+  const updated = new Date(ride.updatedAt).getTime();
+  return Math.max(0, Math.floor((updated - created) / 1000));
+};
+
+const rideToEvent = (ride) => {
+  const cancelled = ride.status === 'cancelled';
+  const latitude = parseFloat(ride.start_location?.latitude);
+  const longitude = parseFloat(ride.start_location?.longitude);
+
+  return {
+    uid: `ride-${ride.id}@${EVENT_UID_DOMAIN}`,
+    start: ride.started_at || ride.getScheduledStart(),
+    end: ride.completed_at || ride.getScheduledEnd(),
+    summary: cancelled ? `Cancelled: ${ride.title}` : ride.title,
+    description: buildRideDescription(ride),
+    location: ride.start_location?.address,
+    geo: !isNaN(latitude) && !isNaN(longitude) ? { latitude, longitude } : null,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: getEventSequence(ride),
+    lastModified: ride.updatedAt
+  };
+};
+
+const creatorInclude = {
+  model: User,
+  as: 'creator',
+  attributes: ['id', 'first_name', 'last_name']
+};
+
+// Every ride the user created or joined, including cancelled ones so calendars drop them
+const buildUserRideCalendar = async (user) => {
+  const participations = await RideParticipant.findAll({
+    where: { user_id: user.id },
+    attributes: ['ride_id']
+  });
+
+  const rides = await Ride.findAll({
+    where: {
+      [Op.or]: [
+        { creator_id: user.id },
+        { id: { [Op.in]: participations.map(p => p.ride_id) } }
+      ],
+      // Multi-day rides stay while any of their days is inside the window
+      ...Ride.spansDates(getHistoryCutoff())
+    },
+    include: [creatorInclude],
+    order: [['ride_date', 'ASC'], ['ride_time', 'ASC']]
+  });
+
+  return buildCalendar({
+    name: 'My Rides',
+    description: `Rides for ${user.first_name} ${user.last_name}`,
+    events: rides.map(rideToEvent)
+  });
+};
+
+// Group rides visible to the viewer: public ones for everyone, group_only ones for members
+const buildGroupRideCalendar = async (group, { isMember = false } = {}) => {
+  const visibility = isMember ? ['public', 'group_only'] : ['public'];
+
+  const rides = await Ride.findAll({
+    where: {
+      group_id: group.id,
+      visibility: { [Op.in]: visibility },
+      // Multi-day rides stay while any of their days is inside the window
+      ...Ride.spansDates(getHistoryCutoff())
+    },
+    include: [creatorInclude],
+    order: [['ride_date', 'ASC'], ['ride_time', 'ASC']]
+  });
+
+  return buildCalendar({
+    name: `${group.name} Rides`,
+    description: group.description,
+    events: rides.map(rideToEvent)
+  });
+};
+
+module.exports = {
+  FEED_HISTORY_DAYS,
+  getCalendarFeedUrls,
+  getOrCreateCalendarToken,
+  rotateCalendarToken,
+  rideToEvent,
+  buildUserRideCalendar,
+  buildGroupRideCalendar
+};
@@ -0,0 +1,464 @@
+const { Op } = require('sequelize');
+const { sequelize, User, Payment, RideParticipant, RideExpense, RideExpenseShare, RideSettlement } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { hasRidePermission } = require('./rideCrewService');
+const { createPaymentOrder } = require('./paymentService');
+
+const EXPENSE_FIELDS = ['description', 'category', 'amount', 'currency', 'paid_by', 'spent_at', 'notes'];
+
+const expenseUserAttributes = ['id', 'first_name', 'last_name', 'profile_picture'];
+
+// Amounts are split and summed in paise/cents so shares always add up to the expense
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => parseFloat((cents / 100).toFixed(2));
+
+const pickExpenseFields = (data) => Object.fromEntries(
+  EXPENSE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// The organiser plus everyone who has not dropped out of the ride
+const getRideMemberIds = async (ride) => {
+  const participants = await RideParticipant.findAll({
+    where: { ride_id: ride.id, status: { [Op.ne]: 'cancelled' } },
+    attributes: ['user_id']
+  });
+
+  return [...new Set([ride.creator_id, ...participants.map(participant => participant.user_id)])];
+};
+
+const assertRideMember = async (ride, userId) => {
+  const memberIds = await getRideMemberIds(ride);
+  if (!memberIds.includes(userId)) {
+    throw new AppError('Only ride participants can access ride expenses', 403);
+  }
+  return memberIds;
+};
+
+// Hands out leftover cents one at a time, biggest remainders first
+const distributeRemainder = (shares, remainders, leftover) => {
+  const order = remainders
+    .map((remainder, index) => ({ remainder, index }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; i < leftover; i++) {
+    shares[order[i % order.length].index] += 1;
+  }
+  return shares;
+};
+
+// Turns the requested split into what each user owes, in cents
+const calculateShares = (totalCents, splitType, splits) => {
+  if (new Set(splits.map(split => split.user_id)).size !== splits.length) {
+    throw new AppError('Each user can only appear once in an expense split', 400);
+  }
+
+  if (splitType === 'exact') {
+    const amounts = splits.map(split => toCents(split.amount));
+    const sum = amounts.reduce((total, amount) => total + amount, 0);
+    if (sum !== totalCents) {
+      throw new AppError(`Exact split amounts add up to ${fromCents(sum)}, not ${fromCents(totalCents)}`, 400);
+    }
+    return splits.map((split, index) => ({ user_id: split.user_id, share_units: null, cents: amounts[index] }));
+  }
+
+  const units = splits.map(split => (splitType === 'shares' ? parseFloat(split.shares) : 1));
+  const totalUnits = units.reduce((total, unit) => total + unit, 0);
+  if (!(totalUnits > 0)) {
+    throw new AppError('Expense shares must add up to more than zero', 400);
+  }
+
+  const exact = units.map(unit => (totalCents * unit) / totalUnits);
+  const shares = exact.map(Math.floor);
+  const leftover = totalCents - shares.reduce((total, cents) => total + cents, 0);
+  distributeRemainder(shares, exact.map((value, index) => value - shares[index]), leftover);
+
+  return splits.map((split, index) => ({
+    user_id: split.user_id,
+    share_units: splitType === 'shares' ? units[index] : null,
+    cents: shares[index]
+  }));
+};
+
+const findExpense = async (ride, expenseId, transaction) => {
+  const expense = await RideExpense.findOne({
+    where: { id: expenseId, ride_id: ride.id },
+    include: [{ model: RideExpenseShare, as: 'shares' }],
+    transaction
+  });
+  if (!expense) {
+    throw new AppError('Expense not found', 404);
+  }
+  return expense;
+};
+
+const getExpenseWithDetails = (expenseId) => {
+  return RideExpense.findByPk(expenseId, {
+    include: [
+      { model: User, as: 'payer', attributes: expenseUserAttributes },
+      {
+        model: RideExpenseShare,
+        as: 'shares',
+        attributes: ['user_id', 'share_units', 'amount'],
+        include: [{ model: User, as: 'user', attributes: expenseUserAttributes }]
+      }
+    ]
+  });
+};
+
+// Whoever logged or paid the expense can change it, as can crew allowed to manage expenses
+const assertCanModifyExpense = async (ride, expense, userId) => {
+  if (expense.created_by === userId || expense.paid_by === userId) return;
+
+  if (!await hasRidePermission(ride, userId, 'manage_expenses')) {
+    throw new AppError('You can only change expenses you logged or paid for', 403);
+  }
+};
+
+// Payer and everyone in the split must be on the ride
+const assertMembers = (memberIds, userIds) => {
+  const outsiders = userIds.filter(id => !memberIds.includes(id));
+  if (outsiders.length > 0) {
+    throw new AppError('Expenses can only be paid by or split among ride participants', 400);
+  }
+};
+
+const saveShares = async (expense, shares, transaction) => {
+  await RideExpenseShare.destroy({ where: { expense_id: expense.id }, transaction });
+  await RideExpenseShare.bulkCreate(shares.map(share => ({
+    expense_id: expense.id,
+    user_id: share.user_id,
+    share_units: share.share_units,
+    amount: fromCents(share.cents)
+  })), { transaction });
+};
+
+const getRideExpenses = async (ride, userId) => {
+  await assertRideMember(ride, userId);
+
+  const expenses = await RideExpense.findAll({
+    where: { ride_id: ride.id },
+    include: [
+      { model: User, as: 'payer', attributes: expenseUserAttributes },
+      {
+        model: RideExpenseShare,
+        as: 'shares',
+        attributes: ['user_id', 'share_units', 'amount'],
+        include: [{ model: User, as: 'user', attributes: expenseUserAttributes }]
+      }
+    ],
+    order: [['spent_at', 'DESC'], ['created_at', 'DESC']]
+  });
+
+  const totals = {};
+  for (const expense of expenses) {
+    totals[expense.currency] = (totals[expense.currency] || 0) + toCents(expense.amount);
+  }
+
+  return {
+    expenses,
+    totals: Object.entries(totals).map(([currency, cents]) => ({ currency, amount: fromCents(cents) }))
+  };
+};
+
+const createExpense = async (ride, userId, { split_type = 'equal', splits, ...data }) => {
+  const memberIds = await assertRideMember(ride, userId);
+  const paidBy = data.paid_by || userId;
+
+  // An equal split without a list covers everyone on the ride
+  const splitList = splits || memberIds.map(id => ({ user_id: id }));
+  assertMembers(memberIds, [paidBy, ...splitList.map(split => split.user_id)]);
+
+  const shares = calculateShares(toCents(data.amount), split_type, splitList);
+
+  const expense = await sequelize.transaction(async (transaction) => {
+    const created = await RideExpense.create({
+      ...pickExpenseFields(data),
+      ride_id: ride.id,
+      created_by: userId,
+      paid_by: paidBy,
+      currency: data.currency || ride.currency,
+      split_type
+    }, { transaction });
+
+    await saveShares(created, shares, transaction);
+    return created;
+  });
+
+  return getExpenseWithDetails(expense.id);
+};
+
+const updateExpense = async (ride, expenseId, userId, { split_type, splits, ...data }) => {
+  const memberIds = await assertRideMember(ride, userId);
+
+  await sequelize.transaction(async (transaction) => {
+    const expense = await findExpense(ride, expenseId, transaction);
+    await assertCanModifyExpense(ride, expense, userId);
+
+    if (data.paid_by) {
+      assertMembers(memberIds, [data.paid_by]);
+    }
+
+    const splitType = split_type || expense.split_type;
+    const needsResplit = splits !== undefined || split_type !== undefined || data.amount !== undefined;
+
+    if (needsResplit) {
+      if (!splits && splitType === 'exact') {
+        throw new AppError('Send the exact split amounts when changing an exact split', 400);
+      }
+      if (!splits && splitType !== expense.split_type) {
+        throw new AppError('Send the splits when changing the split type', 400);
+      }
+
+      // Without new splits, the same people share the new amount on the same terms
+      const splitList = splits || expense.shares.map(share => ({
+        user_id: share.user_id,
+        shares: share.share_units
+      }));
+      if (splits) {
+        assertMembers(memberIds, splits.map(split => split.user_id));
+      }
+
+      const amount = data.amount !== undefined ? data.amount : expense.amount;
+      await saveShares(expense, calculateShares(toCents(amount), splitType, splitList), transaction);
+    }
+
+    await expense.update({ ...pickExpenseFields(data), split_type: splitType }, { transaction });
+  });
+
+  return getExpenseWithDetails(expenseId);
+};
+
+const deleteExpense = async (ride, expenseId, userId) => {
+  await assertRideMember(ride, userId);
+
+  await sequelize.transaction(async (transaction) => {
+    const expense = await findExpense(ride, expenseId, transaction);
+    await assertCanModifyExpense(ride, expense, userId);
+
+    await RideExpenseShare.destroy({ where: { expense_id: expense.id }, transaction });
+    await expense.destroy({ transaction });
+  });
+};
+
+// Net position per user and currency, in cents: positive means the user is owed money
+const calculateNetBalances = async (rideId) => {
+  const [expenses, settlements] = await Promise.all([
+    RideExpense.findAll({
+      where: { ride_id: rideId },
+      include: [{ model: RideExpenseShare, as: 'shares', attributes: ['user_id', 'amount'] }]
+    }),
+    RideSettlement.findAll({ where: { ride_id: rideId, status: 'completed' } })
+  ]);
+
+  const ledgers = {};
+  const entry = (currency, userId) => {
+    ledgers[currency] = ledgers[currency] || {};
+    ledgers[currency][userId] = ledgers[currency][userId] || { paid: 0, owed: 0, sent: 0, received: 0 };
+    return ledgers[currency][userId];
+  };
+
+  for (const expense of expenses) {
+    entry(expense.currency, expense.paid_by).paid += toCents(expense.amount);
+    for (const share of expense.shares) {
+      entry(expense.currency, share.user_id).owed += toCents(share.amount);
+    }
+  }
+
+  for (const settlement of settlements) {
+    entry(settlement.currency, settlement.from_user_id).sent += toCents(settlement.amount);
+    entry(settlement.currency, settlement.to_user_id).received += toCents(settlement.amount);
+  }
+
+  for (const users of Object.values(ledgers)) {
+    for (const ledger of Object.values(users)) {
+      ledger.net = ledger.paid - ledger.owed + ledger.sent - ledger.received;
+    }
+  }
+
+  return ledgers;
+};
+
+// Greedy largest-debtor-to-largest-creditor matching. Each transfer clears at least one
+// person, so n people settle in at most n - 1 transfers. It is not guaranteed to find the
+// absolute minimum (that is NP-hard), but it is what most bill-splitting apps use.
+const suggestTransfers = (users) => {
+  const creditors = [];
+  const debtors = [];
+  for (const [userId, ledger] of Object.entries(users)) {
+    if (ledger.net > 0) creditors.push({ user_id: userId, cents: ledger.net });
+    if (ledger.net < 0) debtors.push({ user_id: userId, cents: -ledger.net });
+  }
+  creditors.sort((a, b) => b.cents - a.cents);
+  debtors.sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const cents = Math.min(creditors[c].cents, debtors[d].cents);
+    transfers.push({ from_user_id: debtors[d].user_id, to_user_id: creditors[c].user_id, cents });
+
+    creditors[c].cents -= cents;
+    debtors[d].cents -= cents;
+    if (creditors[c].cents === 0) c++;
+    if (debtors[d].cents === 0) d++;
+  }
+  return transfers;
+};
+
+const getRideBalances = async (ride, userId) => {
+  await assertRideMember(ride, userId);
+
+  const ledgers = await calculateNetBalances(ride.id);
+
+  const userIds = new Set();
+  for (const users of Object.values(ledgers)) {
+    Object.keys(users).forEach(id => userIds.add(id));
+  }
+  const users = await User.findAll({ where: { id: [...userIds] }, attributes: expenseUserAttributes });
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return Object.entries(ledgers).map(([currency, ledger]) => ({
+    currency,
+    balances: Object.entries(ledger).map(([id, balance]) => ({
+      user: usersById.get(id) || { id },
+      paid: fromCents(balance.paid),
+      owed: fromCents(balance.owed),
+      settled_out: fromCents(balance.sent),
+      settled_in: fromCents(balance.received),
+      net: fromCents(balance.net)
+    })),
+    transfers: suggestTransfers(ledger).map(transfer => ({
+      from_user: usersById.get(transfer.from_user_id) || { id: transfer.from_user_id },
+      to_user: usersById.get(transfer.to_user_id) || { id: transfer.to_user_id },
+      amount: fromCents(transfer.cents)
+    }))
+  }));
+};
+
+const getRideSettlements = async (ride, userId) => {
+  await assertRideMember(ride, userId);
+
+  return RideSettlement.findAll({
+    where: { ride_id: ride.id },
+    include: [
+      { model: User, as: 'fromUser', attributes: expenseUserAttributes },
+      { model: User, as: 'toUser', attributes: expenseUserAttributes }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+// Online settlements whose payment can still go through
+const getOpenSettlements = (rideId, currency) => {
+  return RideSettlement.findAll({
+    where: {
+      ride_id: rideId,
+      currency,
+      status: 'pending',
+      '$payment.status$': { [Op.in]: ['pending', 'processing'] },
+      '$payment.expires_at$': { [Op.gt]: new Date() }
+    },
+    include: [{ model: Payment, as: 'payment', attributes: [] }]
+  });
+};
+
+const sumSettlementCents = (settlements) => {
+  return settlements.reduce((total, settlement) => total + toCents(settlement.amount), 0);
+};
+
+// Nobody can pay more than they owe, or be paid more than they are owed. Open online
+// settlements count as paid, so several checkouts cannot add up to more than the debt.
+const assertSettleable = async (rideId, fromUserId, toUserId, currency, amount) => {
+  if (fromUserId === toUserId) {
+    throw new AppError('You cannot settle up with yourself', 400);
+  }
+
+  const [ledgers, openSettlements] = await Promise.all([
+    calculateNetBalances(rideId),
+    getOpenSettlements(rideId, currency)
+  ]);
+  const ledger = ledgers[currency] || {};
+  const debt = -((ledger[fromUserId] || {}).net || 0) -
+    sumSettlementCents(openSettlements.filter(settlement => settlement.from_user_id === fromUserId));
+  const credit = ((ledger[toUserId] || {}).net || 0) -
+    sumSettlementCents(openSettlements.filter(settlement => settlement.to_user_id === toUserId));
+  const cents = toCents(amount);
+
+  if (debt <= 0 || credit <= 0) {
+    throw new AppError(`There is no outstanding ${currency} balance to settle between these riders`, 400);
+  }
+  if (cents > Math.min(debt, credit)) {
+    throw new AppError(`At most ${fromCents(Math.min(debt, credit))} ${currency} can be settled between these riders`, 400);
+  }
+};
+
+// Manual settlements (cash, direct UPI) are confirmed by the person who received the money.
+// Online settlements are started by the payer and complete when the Cashfree payment succeeds.
+const recordSettlement = async (ride, userId, { method, from_user_id, to_user_id, amount, currency }) => {
+  await assertRideMember(ride, userId);
+  const settlementCurrency = currency || ride.currency;
+
+  if (method === 'manual') {
+    await assertSettleable(ride.id, from_user_id, userId, settlementCurrency, amount);
+
+    const settlement = await RideSettlement.create({
+      ride_id: ride.id,
+      from_user_id,
+      to_user_id: userId,
+      amount,
+      currency: settlementCurrency,
+      method,
+      status: 'completed',
+      settled_at: new Date()
+    });
+
+    return { settlement };
+  }
+
+  if (settlementCurrency !== 'INR') {
+    throw new AppError('Online settlement is only available for INR balances', 400);
+  }
+  await assertSettleable(ride.id, userId, to_user_id, settlementCurrency, amount);
+
+  const settlement = await RideSettlement.create({
+    ride_id: ride.id,
+    from_user_id: userId,
+    to_user_id,
+    amount,
+    currency: settlementCurrency,
+    method,
+    status: 'pending'
+  });
+
+  try {
+    const order = await createPaymentOrder({
+      user_id: userId,
+      amount,
+      payment_type: 'expense_settlement',
+      ride_id: ride.id,
+      recipient_id: to_user_id,
+      metadata: {
+        settlement_id: settlement.id
+      }
+    });
+
+    await settlement.update({ payment_id: order.payment_id });
+    return { settlement, payment: order };
+  } catch (error) {
+    await settlement.update({ status: 'failed' });
+    throw error;
+  }
+};
+
+module.exports = {
+  calculateShares,
+  suggestTransfers,
+  getRideExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  getRideBalances,
+  getRideSettlements,
+  recordSettlement
+};
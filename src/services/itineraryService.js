@@ -0,0 +1,180 @@
+const { sequelize, RideStop } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { emitToRide } = require('../sockets/socketEmitter');
+
+const STOP_FIELDS = ['stop_type', 'name', 'location', 'planned_arrival', 'planned_departure', 'cost', 'notes'];
+
+const pickStopFields = (data) => Object.fromEntries(
+  STOP_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// Stops can still move around mid-ride, e.g. a different fuel stop
+const assertItineraryEditable = (ride) => {
+  if (!['upcoming', 'ongoing'].includes(ride.status)) {
+    throw new AppError(`Itineraries of ${ride.status} rides cannot be changed`, 400);
+  }
+};
+
+const getOrderedStops = (rideId, options = {}) => {
+  return RideStop.findAll({
+    where: { ride_id: rideId },
+    order: [['position', 'ASC'], ['created_at', 'ASC']],
+    ...options
+  });
+};
+
+// Persist the array order as positions 1..n, touching only stops that moved
+const saveStopOrder = async (stops, transaction) => {
+  for (const [index, stop] of stops.entries()) {
+    if (stop.position !== index + 1) {
+      await stop.update({ position: index + 1 }, { transaction });
+    }
+  }
+};
+
+// Clamp a requested 1-based position into the list
+const toIndex = (position, length) => {
+  if (!position) return length;
+  return Math.min(Math.max(parseInt(position) - 1, 0), length);
+};
+
+const getRideItinerary = async (ride) => {
+  const stops = await getOrderedStops(ride.id);
+  const totalCost = stops.reduce((sum, stop) => sum + (parseFloat(stop.cost) || 0), 0);
+
+  return {
+    ride_id: ride.id,
+    title: ride.title,
+    currency: ride.currency,
+    stop_count: stops.length,
+    total_cost: parseFloat(totalCost.toFixed(2)),
+    stops
+  };
+};
+
+// Everyone in the ride room gets the full itinerary, so clients never merge partial updates
+const broadcastItinerary = async (ride, action, userId, stopId = null) => {
+  const itinerary = await getRideItinerary(ride);
+
+  emitToRide(ride.id, 'ride_itinerary_updated', {
+    ride_id: ride.id,
+    action,
+    stop_id: stopId,
+    user_id: userId,
+    itinerary
+  });
+
+  return itinerary;
+};
+
+const findStop = async (ride, stopId, transaction) => {
+  const stop = await RideStop.findOne({ where: { id: stopId, ride_id: ride.id }, transaction });
+  if (!stop) {
+    throw new AppError('Stop not found', 404);
+  }
+  return stop;
+};
+
+const addStop = async (ride, userId, { position, ...data }) => {
+  assertItineraryEditable(ride);
+
+  const stop = await sequelize.transaction(async (transaction) => {
+    const stops = await getOrderedStops(ride.id, { transaction });
+
+    const created = await RideStop.create({
+      ...pickStopFields(data),
+      ride_id: ride.id,
+      created_by: userId,
+      position: stops.length + 1
+    }, { transaction });
+
+    stops.splice(toIndex(position, stops.length), 0, created);
+    await saveStopOrder(stops, transaction);
+
+    return created;
+  });
+
+  await broadcastItinerary(ride, 'stop_added', userId, stop.id);
+  return stop;
+};
+
+const updateStop = async (ride, stopId, userId, { position, ...data }) => {
+  assertItineraryEditable(ride);
+
+  const stop = await sequelize.transaction(async (transaction) => {
+    const stop = await findStop(ride, stopId, transaction);
+
+    await stop.update(pickStopFields(data), { transaction });
+
+    if (position !== undefined) {
+      const stops = await getOrderedStops(ride.id, { transaction });
+      const remaining = stops.filter(other => other.id !== stop.id);
+      remaining.splice(toIndex(position, remaining.length), 0, stops.find(other => other.id === stop.id));
+      await saveStopOrder(remaining, transaction);
+    }
+
+    return stop;
+  });
+
+  await stop.reload();
+  await broadcastItinerary(ride, 'stop_updated', userId, stop.id);
+  return stop;
+};
+
+const removeStop = async (ride, stopId, userId) => {
+  assertItineraryEditable(ride);
+
+  await sequelize.transaction(async (transaction) => {
+    const stop = await findStop(ride, stopId, transaction);
+    await stop.destroy({ transaction });
+
+    const stops = await getOrderedStops(ride.id, { transaction });
+    await saveStopOrder(stops, transaction);
+  });
+
+  return broadcastItinerary(ride, 'stop_removed', userId, stopId);
+};
+
+// stopIds must list every stop of the ride exactly once, in the new order
+const reorderStops = async (ride, stopIds, userId) => {
+  assertItineraryEditable(ride);
+
+  await sequelize.transaction(async (transaction) => {
+    const stops = await getOrderedStops(ride.id, { transaction });
+    const byId = new Map(stops.map(stop => [stop.id, stop]));
+
+    const isPermutation = stopIds.length === stops.length &&
+      new Set(stopIds).size === stopIds.length &&
+      stopIds.every(id => byId.has(id));
+
+    if (!isPermutation) {
+      throw new AppError('stop_ids must list every stop of this ride exactly once', 400);
+    }
+
+    await saveStopOrder(stopIds.map(id => byId.get(id)), transaction);
+  });
+
+  return broadcastItinerary(ride, 'stops_reordered', userId);
+};
+
+// Short summary stored on itinerary chat cards - the stops themselves stay in ride_stops
+const getItineraryReference = async (ride) => {
+  const stopCount = await RideStop.count({ where: { ride_id: ride.id } });
+
+  return {
+    id: ride.id,
+    source: 'ride',
+    ride_id: ride.id,
+    title: `${ride.title} itinerary`,
+    stop_count: stopCount
+  };
+};
+
+module.exports = {
+  getRideItinerary,
+  addStop,
+  updateStop,
+  removeStop,
+  reorderStops,
+  getItineraryReference
+};
@@ -0,0 +1,310 @@
+const { User, Payment, RideJoinRequest } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { createPaymentOrder, resolveRidePricing } = require('./paymentService');
+const { getAvailableSlots, formatPaymentOrder, joinWaitlist } = require('./waitlistService');
+const { getSlotAvailability, pickSlotType, getSlotPricingOption, takeRideSlot } = require('./rideSlotService');
+const { notifyRideParticipants } = require('./notificationService');
+const { emitToUser } = require('../sockets/socketEmitter');
+
+const getJoinRequest = (rideId, userId) => {
+  return RideJoinRequest.findOne({
+    where: { ride_id: rideId, user_id: userId }
+  });
+};
+
+// The request that lets a user join a non-instant ride, or null
+const getJoinClearance = async (ride, userId) => {
+  const request = await getJoinRequest(ride.id, userId);
+  return request?.allowsJoin() ? request : null;
+};
+
+const notifyUser = async (userId, message) => {
+  const user = await User.findByPk(userId);
+  if (user) {
+    await notifyRideParticipants([user], message);
+  }
+};
+
+// Ask the organiser for a seat on an approval-mode ride
+const requestToJoin = async (ride, userId, { pricingOption = null, slotType = null, message = null } = {}) => {
+  const existing = await getJoinRequest(ride.id, userId);
+
+  if (existing?.isPending()) {
+    throw new AppError('You have already requested to join this ride', 400);
+  }
+
+  // Declined riders do not get to ask again
+  if (existing?.status === 'declined') {
+    throw new AppError('Your request to join this ride was declined', 403, 'JOIN_REQUEST_DECLINED');
+  }
+
+  const requestData = {
+    status: 'pending',
+    message,
+    pricing_option: pricingOption,
+    slot_type: slotType,
+    requested_at: new Date(),
+    decline_reason: null,
+    decided_at: null,
+    decided_by: null,
+    payment_id: null
+  };
+
+  const request = existing
+    ? await existing.update(requestData)
+    : await RideJoinRequest.create({ ...requestData, ride_id: ride.id, user_id: userId });
+
+  const requester = await User.findByPk(userId, { attributes: ['id', 'first_name', 'last_name'] });
+
+  emitToUser(ride.creator_id, 'join_request_received', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    request_id: request.id,
+    user: requester
+  });
+
+  await notifyUser(
+    ride.creator_id,
+    `${requester?.first_name || 'A rider'} asked to join your ride "${ride.title}". Review the request in the app.`
+  );
+
+  return request;
+};
+
+// Let invited users skip approval. Existing approvals are left alone.
+const recordInvitations = async (ride, userIds, inviterId) => {
+  for (const userId of userIds) {
+    const existing = await getJoinRequest(ride.id, userId);
+    if (existing?.allowsJoin()) continue;
+
+    const invitationData = {
+      status: 'invited',
+      decided_at: new Date(),
+      decided_by: inviterId,
+      decline_reason: null
+    };
+
+    if (existing) {
+      await existing.update(invitationData);
+    } else {
+      await RideJoinRequest.create({ ...invitationData, ride_id: ride.id, user_id: userId });
+    }
+  }
+};
+
+const findPendingRequest = async (ride, requestId) => {
+  const request = await RideJoinRequest.findOne({
+    where: { id: requestId, ride_id: ride.id }
+  });
+
+  if (!request) {
+    throw new AppError('Join request not found', 404);
+  }
+
+  if (!request.isPending()) {
+    throw new AppError(`This join request has already been ${request.status}`, 400);
+  }
+
+  return request;
+};
+
+// Open the payment order for an approved request on a paid ride.
+// Returns null when the rider still has to pick a pricing option.
+const createApprovalPaymentOrder = async (ride, request, slotType) => {
+  const pricing = resolveRidePricing(ride, getSlotPricingOption(ride, slotType) || request.pricing_option);
+  if (pricing.requiresSelection) return null;
+
+  if (!pricing.price || pricing.price <= 0) {
+    throw new AppError('Invalid pricing configuration for this ride', 500);
+  }
+
+  const paymentOrder = await createPaymentOrder({
+    user_id: request.user_id,
+    amount: pricing.price,
+    payment_type: 'ride_fee',
+    ride_id: ride.id,
+    recipient_id: ride.creator_id,
+    metadata: {
+      pricing_option: pricing.pricingOption,
+      ride_title: ride.title,
+      selected_price: pricing.price,
+      slot_type: slotType,
+      join_request_id: request.id
+    }
+  });
+
+  await request.update({
+    payment_id: paymentOrder.payment_id,
+    pricing_option: pricing.pricingOption,
+    slot_type: slotType
+  });
+
+  return { ...paymentOrder, pricing_option: pricing.pricingOption, slot_type: slotType };
+};
+
+// Free rides: the rider joins on approval. Paid rides: approval opens the payment
+// order and the rider joins once it is paid, like any other paid join.
+// On a full ride, or one with no free place of the kind they asked for, the approved rider
+// goes onto the waitlist instead.
+const approveJoinRequest = async (ride, requestId, organiserId) => {
+  const request = await findPendingRequest(ride, requestId);
+
+  if (ride.status !== 'upcoming') {
+    throw new AppError('Only upcoming rides accept new riders', 400);
+  }
+
+  const user = await User.findByPk(request.user_id);
+  if (!user) {
+    await request.update({ status: 'cancelled' });
+    throw new AppError('The requesting user no longer exists', 404);
+  }
+
+  // Conditional update so a double click cannot approve twice
+  const [affectedRows] = await RideJoinRequest.update(
+    { status: 'approved', decided_at: new Date(), decided_by: organiserId },
+    { where: { id: request.id, status: 'pending' } }
+  );
+  if (affectedRows === 0) {
+    throw new AppError('This join request has already been handled', 409);
+  }
+  await request.reload();
+
+  const availability = await getSlotAvailability(ride, { userId: request.user_id });
+  const slotType = pickSlotType(availability, { slotType: request.slot_type, pricingOption: request.pricing_option });
+
+  if (await getAvailableSlots(ride) <= 0 || !slotType) {
+    const { position } = await joinWaitlist(ride, request.user_id, request.pricing_option, request.slot_type);
+
+    emitToUser(request.user_id, 'join_request_approved', {
+      ride_id: ride.id,
+      ride_title: ride.title,
+      joined: false,
+      waitlisted: true,
+      waitlist_position: position
+    });
+
+    await notifyRideParticipants(
+      [user],
+      `Your request to join "${ride.title}" was approved. The ride is full, so you are number ${position} on the waitlist.`
+    );
+
+    return { request, joined: false, waitlistPosition: position, paymentOrder: null };
+  }
+
+  let paymentOrder = null;
+
+  if (ride.is_paid) {
+    try {
+      paymentOrder = await createApprovalPaymentOrder(ride, request, slotType);
+    } catch (error) {
+      // The rider can still join, which retries the order
+      console.error(`Failed to create payment order for join request ${request.id}:`, error.message);
+    }
+  } else {
+    await takeRideSlot(ride, user, { slotType });
+  }
+
+  emitToUser(request.user_id, 'join_request_approved', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    joined: !ride.is_paid,
+    payment_required: ride.is_paid,
+    payment_order: paymentOrder
+  });
+
+  await notifyRideParticipants(
+    [user],
+    ride.is_paid
+      ? `Your request to join "${ride.title}" was approved. Complete payment in the app to confirm your spot.`
+      : `Your request to join "${ride.title}" was approved. See you on the ride!`
+  );
+
+  return { request, joined: !ride.is_paid, waitlistPosition: null, paymentOrder };
+};
+
+const declineJoinRequest = async (ride, requestId, organiserId, reason = null) => {
+  const request = await findPendingRequest(ride, requestId);
+
+  await request.update({
+    status: 'declined',
+    decline_reason: reason,
+    decided_at: new Date(),
+    decided_by: organiserId
+  });
+
+  emitToUser(request.user_id, 'join_request_declined', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    reason
+  });
+
+  await notifyUser(
+    request.user_id,
+    `Your request to join "${ride.title}" was declined.${reason ? ` Reason: ${reason}` : ''}`
+  );
+
+  return request;
+};
+
+// The requester withdraws a pending request
+const cancelJoinRequest = async (ride, userId) => {
+  const request = await RideJoinRequest.findOne({
+    where: { ride_id: ride.id, user_id: userId, status: 'pending' }
+  });
+
+  if (!request) {
+    throw new AppError('You do not have a pending request for this ride', 400);
+  }
+
+  await request.update({ status: 'cancelled' });
+  return request;
+};
+
+// Pending payment order opened when the request was approved, if it is still usable
+const getApprovalPaymentOrder = async (request) => {
+  if (!request?.payment_id) return null;
+
+  const payment = await Payment.findByPk(request.payment_id);
+  if (payment && payment.status === 'pending' && !payment.isExpired() && payment.cashfree_order_id) {
+    return formatPaymentOrder(payment);
+  }
+
+  return null;
+};
+
+const getRideJoinRequests = (rideId, status = 'pending') => {
+  return RideJoinRequest.findAll({
+    where: { ride_id: rideId, status },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      }
+    ],
+    order: [['requested_at', 'ASC']]
+  });
+};
+
+// Pending requests lapse when a ride is cancelled or starts
+const closeRideJoinRequests = async (rideId) => {
+  const [affectedRows] = await RideJoinRequest.update(
+    { status: 'cancelled' },
+    { where: { ride_id: rideId, status: 'pending' } }
+  );
+
+  return affectedRows;
+};
+
+module.exports = {
+  getJoinRequest,
+  getJoinClearance,
+  requestToJoin,
+  recordInvitations,
+  approveJoinRequest,
+  declineJoinRequest,
+  cancelJoinRequest,
+  getApprovalPaymentOrder,
+  getRideJoinRequests,
+  closeRideJoinRequests
+};
@@ -1,4 +1,5 @@
-const { Op } = require('sequelize');
+const { Op, fn, col, cast } = require('sequelize');
+const { makePoint, makeLine, distanceFrom, withinRadius } = require('../utils/geography');
 
 // Calculate distance between two points using Haversine formula
 const calculateDistance = (lat1, lon1, lat2, lon2) => {
@@ -68,85 +69,161 @@ const isWithinWaypoints = (userLat, userLon, waypoints, radiusKm = 50) => {
   });
 };
 
-// Find rides visible to user based on location
-const findVisibleRides = async (userLat, userLon, radiusKm = 50) => {
-  const { Ride } = require('../models');
-  
-  const bbox = getBoundingBox(userLat, userLon, radiusKm);
-  
-  // Find rides where user is within radius of start location or waypoints
-  const rides = await Ride.findAll({
+// Round metres from PostGIS to km with one decimal
+const metresToKm = (metres) => Math.round(parseFloat(metres) / 100) / 10;
+
+// Upcoming rides that start or pass a waypoint within radiusKm of the user, nearest first.
+// Returns { count, rows } for getPagingData. Extra conditions (e.g. visibility) go in where.
+const findVisibleRides = async (userLat, userLon, radiusKm = 50, { where = {}, include, limit = 20, offset = 0 } = {}) => {
+  const { Ride, User } = require('../models');
+
+  const startDistance = distanceFrom('Ride.start_point', userLat, userLon);
+  const waypointDistance = distanceFrom('Ride.waypoint_points', userLat, userLon);
+
+  // Page through ids first - the participant includes would otherwise force a subquery around the ordering
+  const { count, rows: matches } = await Ride.findAndCountAll({
+    attributes: [
+      'id',
+      [startDistance, 'start_distance_m'],
+      [waypointDistance, 'waypoint_distance_m']
+    ],
     where: {
+      ...where,
       status: 'upcoming',
-      ride_date: { [Op.gte]: new Date() },
-      [Op.or]: [
-        // Within start location radius
+      ride_date: { [Op.gte]: new Date().toISOString().split('T')[0] },
+      [Op.and]: [
+        ...(where[Op.and] || []),
         {
-          [Op.and]: [
-            { 'start_location.latitude': { [Op.between]: [bbox.minLat, bbox.maxLat] } },
-            { 'start_location.longitude': { [Op.between]: [bbox.minLon, bbox.maxLon] } }
+          [Op.or]: [
+            withinRadius('Ride.start_point', userLat, userLon, radiusKm),
+            withinRadius('Ride.waypoint_points', userLat, userLon, radiusKm)
           ]
-        },
-        // Within waypoints radius (if waypoints exist)
-        {
-          waypoints: {
-            [Op.contains]: [{
-              latitude: { [Op.between]: [bbox.minLat, bbox.maxLat] },
-              longitude: { [Op.between]: [bbox.minLon, bbox.maxLon] }
-            }]
-          }
         }
       ]
     },
-    include: [
+    // LEAST ignores the NULL distance of rides without waypoints
+    order: [[fn('LEAST', startDistance, waypointDistance), 'ASC'], ['ride_date', 'ASC']],
+    limit,
+    offset
+  });
+
+  if (matches.length === 0) return { count, rows: [] };
+
+  const rides = await Ride.findAll({
+    where: { id: { [Op.in]: matches.map(match => match.id) } },
+    include: include || [
       {
-        model: require('../models').User,
+        model: User,
         as: 'creator',
         attributes: ['id', 'first_name', 'last_name', 'profile_picture']
       }
+    ]
+  });
+  const ridesById = new Map(rides.map(ride => [ride.id, ride]));
+
+  const rows = matches
+    .filter(match => ridesById.has(match.id))
+    .map(match => {
+      const startDistanceKm = metresToKm(match.get('start_distance_m'));
+      const waypointDistanceM = match.get('waypoint_distance_m');
+      const waypointDistanceKm = waypointDistanceM === null ? Infinity : metresToKm(waypointDistanceM);
+
+      // distance_km is the ride's own length, so the distance to the user gets its own field
+      return {
+        ...ridesById.get(match.id).toJSON(),
+        distance_from_user_km: Math.min(startDistanceKm, waypointDistanceKm),
+        distance_from: startDistanceKm <= waypointDistanceKm ? 'start' : 'waypoint'
+      };
+    });
+
+  return { count, rows };
+};
+
+// Upcoming rides whose route runs within corridorKm of the given path, ranked by how
+// much of the path they cover. path is [{ latitude, longitude }] with at least two points.
+// Returns { count, rows } for getPagingData. Extra conditions (e.g. visibility) go in where.
+const findRidesAlongRoute = async (path, corridorKm = 2, { where = {}, include, limit = 20, offset = 0 } = {}) => {
+  const { Ride, User } = require('../models');
+
+  const corridorM = corridorKm * 1000;
+  const tripLine = makeLine(path);
+  const routeLine = col('Ride.route_line');
+  const routeGeometry = cast(routeLine, 'geometry');
+
+  // Length of the trip that lies inside the corridor around the ride's route
+  const overlap = fn('ST_Length', fn('ST_Intersection', tripLine, fn('ST_Buffer', routeLine, corridorM)));
+
+  // Where the trip's ends fall along the ride's route (0 = ride start, 1 = ride end)
+  const locate = (point) => fn('ST_LineLocatePoint', routeGeometry, cast(makePoint(point.latitude, point.longitude), 'geometry'));
+
+  // Page through ids first - the participant includes would otherwise force a subquery around the ordering
+  const { count, rows: matches } = await Ride.findAndCountAll({
+    attributes: [
+      'id',
+      [overlap, 'overlap_m'],
+      [fn('ST_Length', tripLine), 'trip_length_m'],
+      [fn('ST_Distance', routeLine, tripLine), 'distance_m'],
+      [locate(path[0]), 'origin_position'],
+      [locate(path[path.length - 1]), 'destination_position']
     ],
-    order: [['ride_date', 'ASC']]
+    where: {
+      ...where,
+      status: 'upcoming',
+      ride_date: { [Op.gte]: new Date().toISOString().split('T')[0] },
+      [Op.and]: [
+        ...(where[Op.and] || []),
+        fn('ST_DWithin', routeLine, tripLine, corridorM)
+      ]
+    },
+    order: [[overlap, 'DESC'], ['ride_date', 'ASC']],
+    limit,
+    offset
   });
 
-  // Filter by exact distance and add distance field
-  return rides.map(ride => {
-    const startDistance = calculateDistance(
-      userLat, userLon,
-      ride.start_location.latitude,
-      ride.start_location.longitude
-    );
-
-    let waypointDistance = Infinity;
-    if (ride.waypoints && ride.waypoints.length > 0) {
-      waypointDistance = Math.min(...ride.waypoints.map(wp => 
-        calculateDistance(userLat, userLon, wp.latitude, wp.longitude)
-      ));
-    }
-
-    const minDistance = Math.min(startDistance, waypointDistance);
-    
-    return {
-      ...ride.toJSON(),
-      distance_km: Math.round(minDistance * 10) / 10,
-      distance_from: startDistance <= waypointDistance ? 'start' : 'waypoint'
-    };
-  }).filter(ride => ride.distance_km <= radiusKm)
-    .sort((a, b) => a.distance_km - b.distance_km);
+  if (matches.length === 0) return { count, rows: [] };
+
+  const rides = await Ride.findAll({
+    where: { id: { [Op.in]: matches.map(match => match.id) } },
+    include: include || [
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'first_name', 'last_name', 'profile_picture']
+      }
+    ]
+  });
+  const ridesById = new Map(rides.map(ride => [ride.id, ride]));
+
+  const rows = matches
+    .filter(match => ridesById.has(match.id))
+    .map(match => {
+      const overlapM = parseFloat(match.get('overlap_m')) || 0;
+      const tripLengthM = parseFloat(match.get('trip_length_m'));
+
+      return {
+        ...ridesById.get(match.id).toJSON(),
+        overlap_km: metresToKm(overlapM),
+        overlap_percentage: tripLengthM > 0
+          ? Math.min(100, Math.round(overlapM / tripLengthM * 1000) / 10)
+          : 100,
+        distance_from_route_km: metresToKm(match.get('distance_m')),
+        same_direction: parseFloat(match.get('origin_position')) <= parseFloat(match.get('destination_position'))
+      };
+    });
+
+  return { count, rows };
 };
 
-// Find nearby rentals
-const findNearbyRentals = async (userLat, userLon, radiusKm = 50, filters = {}) => {
-  const { Rental } = require('../models');
-  
-  const bbox = getBoundingBox(userLat, userLon, radiusKm);
-  
+// Find nearby rentals, nearest first. Returns { count, rows } for getPagingData.
+const findNearbyRentals = async (userLat, userLon, radiusKm = 50, filters = {}, { limit = 20, offset = 0 } = {}) => {
+  const { Rental, User } = require('../models');
+
+  const distance = distanceFrom('Rental.location_point', userLat, userLon);
+
   const whereClause = {
     is_available: true,
     status: 'active',
-    [Op.and]: [
-      { 'location.latitude': { [Op.between]: [bbox.minLat, bbox.maxLat] } },
-      { 'location.longitude': { [Op.between]: [bbox.minLon, bbox.maxLon] } }
-    ]
+    [Op.and]: [withinRadius('Rental.location_point', userLat, userLon, radiusKm)]
   };
 
   // Apply additional filters
@@ -159,81 +236,70 @@ const findNearbyRentals = async (userLat, userLon, radiusKm = 50, filters = {})
     };
   }
 
-  const rentals = await Rental.findAll({
+  const { count, rows } = await Rental.findAndCountAll({
+    attributes: { include: [[distance, 'distance_m']] },
     where: whereClause,
     include: [
       {
-        model: require('../models').User,
+        model: User,
         as: 'owner',
         attributes: ['id', 'first_name', 'last_name', 'profile_picture', 'phone_number']
       }
     ],
-    order: [['created_at', 'DESC']]
+    order: [[distance, 'ASC']],
+    limit,
+    offset
   });
 
-  // Add distance and filter by exact radius
-  return rentals.map(rental => {
-    const distance = calculateDistance(
-      userLat, userLon,
-      rental.location.latitude,
-      rental.location.longitude
-    );
-
-    return {
-      ...rental.toJSON(),
-      distance_km: Math.round(distance * 10) / 10
-    };
-  }).filter(rental => rental.distance_km <= radiusKm)
-    .sort((a, b) => a.distance_km - b.distance_km);
+  return {
+    count,
+    rows: rows.map(rental => {
+      const { distance_m: distanceM, ...data } = rental.toJSON();
+      return { ...data, distance_km: metresToKm(distanceM) };
+    })
+  };
 };
 
-// Find nearby groups
-const findNearbyGroups = async (userLat, userLon, radiusKm = 50) => {
-  const { Group } = require('../models');
-  
-  const bbox = getBoundingBox(userLat, userLon, radiusKm);
-  
-  const groups = await Group.findAll({
+// Find nearby public and invite-only groups, nearest first. Returns { count, rows } for getPagingData.
+const findNearbyGroups = async (userLat, userLon, radiusKm = 50, { limit = 20, offset = 0 } = {}) => {
+  const { Group, User } = require('../models');
+
+  const distance = distanceFrom('Group.location_point', userLat, userLon);
+
+  const { count, rows } = await Group.findAndCountAll({
+    attributes: { include: [[distance, 'distance_m']] },
     where: {
       is_active: true,
       group_type: { [Op.in]: ['public', 'invite_only'] },
-      location: {
-        [Op.and]: [
-          { latitude: { [Op.between]: [bbox.minLat, bbox.maxLat] } },
-          { longitude: { [Op.between]: [bbox.minLon, bbox.maxLon] } }
-        ]
-      }
+      [Op.and]: [withinRadius('Group.location_point', userLat, userLon, radiusKm)]
     },
     include: [
       {
-        model: require('../models').User,
+        model: User,
         as: 'admin',
         attributes: ['id', 'first_name', 'last_name', 'profile_picture']
       }
     ],
-    order: [['created_at', 'DESC']]
+    order: [[distance, 'ASC']],
+    limit,
+    offset
   });
 
-  // Add distance and filter by exact radius
-  return groups.map(group => {
-    const distance = calculateDistance(
-      userLat, userLon,
-      group.location.latitude,
-      group.location.longitude
-    );
-
-    return {
-      ...group.toJSON(),
-      distance_km: Math.round(distance * 10) / 10
-    };
-  }).filter(group => group.distance_km <= radiusKm)
-    .sort((a, b) => a.distance_km - b.distance_km);
+  return {
+    count,
+    rows: rows.map(group => {
+      const { distance_m: distanceM, ...data } = group.toJSON();
+      return { ...data, distance_km: metresToKm(distanceM) };
+    })
+  };
 };
 
 // Get route suggestions (simplified - in production, use Google Maps API)
-const getRouteSuggestions = (startLat, startLon, endLat, endLon) => {
+const getRouteSuggestions = (startLat, startLon, endLat, endLon, bikeType = 'Any') => {
+  const { estimateDurationHours } = require('./routeGeometryService');
+
   const distance = calculateDistance(startLat, startLon, endLat, endLon);
-  const estimatedTime = distance / 50; // Assuming 50 km/h average speed
+  const estimatedTime = estimateDurationHours(distance, bikeType);
   
   return {
     distance_km: Math.round(distance * 10) / 10,
@@ -264,6 +330,7 @@ module.exports = {
   buildLocationWhereClause,
   isWithinWaypoints,
   findVisibleRides,
+  findRidesAlongRoute,
   findNearbyRentals,
   findNearbyGroups,
   getRouteSuggestions,
@@ -118,7 +118,7 @@ const sendGroupInvitation = async (user, group, inviterName) => {
 
 // Send ride reminder
 const sendRideReminder = async (user, ride, hoursBeforeRide) => {
-  const message = `Reminder: Your ride "${ride.title}" starts in ${hoursBeforeRide} hours. Meeting point: ${ride.start_location.address}`;
+  const message = `Reminder: Your ride "${ride.title}" starts in ${hoursBeforeRide} hours. Meeting point: ${ride.start_location?.address || 'see the ride details'}`;
   
   try {
     // await sendSMS(user.phone_number, message);
@@ -1,8 +1,17 @@
 const { cashfreeAPI } = require('../config/cashfree');
-const { Payment, User, Ride, Group, Rental } = require('../models');
+const { Payment, User, Ride, Group, Rental, RideWaitlist, RideSettlement } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 const { v4: uuidv4 } = require('uuid');
 const { Op } = require('sequelize');
+const { refundPayment, refundOverCapacityPayment, handleRefundWebhook } = require('./refundService');
+const {
+  quotePromoCode,
+  toPaymentMetadata,
+  reservePromoCode,
+  confirmPromoRedemption,
+  findPromoTarget
+} = require('./promoCodeService');
+const { takeRideSlot, SLOT_UNAVAILABLE } = require('./rideSlotService');
 
 // Helper function to safely extract payment method
 const extractPaymentMethod = (paymentMethodData, paymentGroup = null) => {
@@ -31,6 +40,47 @@ const extractPaymentMethod = (paymentMethodData, paymentGroup = null) => {
   return null;
 };
 
+// Resolve what a user pays to join a ride from its pricing options or base price.
+// Returns { requiresSelection, availableOptions } when the user still has to pick an option.
+const resolveRidePricing = (ride, pricingOption) => {
+  const pricingOptions = typeof ride.pricing_options === 'string'
+    ? JSON.parse(ride.pricing_options)
+    : ride.pricing_options || {};
+
+  const withBikePrice = pricingOptions.with_bike ? parseFloat(pricingOptions.with_bike) : null;
+  const withoutBikePrice = pricingOptions.without_bike ? parseFloat(pricingOptions.without_bike) : null;
+  const basePrice = ride.price ? parseFloat(ride.price) : null;
+
+  const availableOptions = [];
+  if (withBikePrice && withBikePrice > 0) availableOptions.push('with_bike');
+  if (withoutBikePrice && withoutBikePrice > 0) availableOptions.push('without_bike');
+
+  if (availableOptions.length > 1) {
+    if (!pricingOption || !availableOptions.includes(pricingOption)) {
+      return {
+        requiresSelection: true,
+        availableOptions: availableOptions.map(option => ({
+          option,
+          price: pricingOptions[option],
+          label: option === 'with_bike' ? 'With Bike' : 'Without Bike'
+        }))
+      };
+    }
+    return { price: parseFloat(pricingOptions[pricingOption]), pricingOption };
+  }
+
+  if (availableOptions.length === 1) {
+    const onlyOption = availableOptions[0];
+    return { price: parseFloat(pricingOptions[onlyOption]), pricingOption: onlyOption };
+  }
+
+  if (basePrice && basePrice > 0) {
+    return { price: basePrice, pricingOption: 'base_price' };
+  }
+
+  return { price: null, pricingOption: null };
+};
+
 // Create payment order with Cashfree for React Native SDK
 const createPaymentOrder = async (paymentData) => {
   try {
@@ -42,6 +92,7 @@ const createPaymentOrder = async (paymentData) => {
       group_id,
       rental_id,
       recipient_id,
+      promo_code,
       metadata = {}
     } = paymentData;
 
@@ -54,11 +105,24 @@ const createPaymentOrder = async (paymentData) => {
       throw new AppError('Payment amount must be greater than 0', 400);
     }
 
+    // amount is the full price; a promo code brings down what is actually charged
+    let chargeAmount = amount;
+    let promoQuote = null;
+    if (promo_code) {
+      const target = await findPromoTarget({ payment_type, ride_id, group_id });
+      promoQuote = await quotePromoCode(promo_code, user_id, { ...target, amount });
+
+      if (promoQuote.final_amount <= 0) {
+        throw new AppError('This promo code covers the full price, so no payment is needed', 400, 'PROMO_CODE_COVERS_PRICE');
+      }
+      chargeAmount = promoQuote.final_amount;
+    }
+
     // Create payment record first
     const payment = await Payment.create({
       id: uuidv4(),
       user_id,
-      amount,
+      amount: chargeAmount,
       payment_type,
       ride_id,
       group_id,
@@ -66,9 +130,19 @@ const createPaymentOrder = async (paymentData) => {
       recipient_id,
       status: 'pending',
       expires_at: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes
-      metadata
+      metadata: promoQuote ? { ...metadata, promo: toPaymentMetadata(promoQuote) } : metadata
     });
 
+    // Hold one use of the code for this order; the last use may have gone since the quote
+    if (promoQuote) {
+      try {
+        await reservePromoCode(promoQuote, user_id, { payment });
+      } catch (error) {
+        await payment.update({ status: 'failed', failure_reason: error.message });
+        throw error;
+      }
+    }
+
     // Get user details for Cashfree order
     const user = await User.findByPk(user_id);
     if (!user) {
@@ -90,7 +164,7 @@ const createPaymentOrder = async (paymentData) => {
     // Prepare Cashfree order data for React Native SDK
     const orderData = {
       order_id: orderId,
-      order_amount: parseFloat(amount).toFixed(2),
+      order_amount: parseFloat(chargeAmount).toFixed(2),
       order_currency: 'INR',
       customer_details: {
         customer_id: user_id,
@@ -132,8 +206,13 @@ const createPaymentOrder = async (paymentData) => {
         payment_id: payment.id,
         order_id: response.data.order_id,
         payment_session_id: response.data.payment_session_id,
-        amount: parseFloat(amount),
+        amount: parseFloat(chargeAmount),
         currency: 'INR',
+        ...(promoQuote && {
+          original_amount: promoQuote.original_amount,
+          discount_amount: promoQuote.discount_amount,
+          promo_code: promoQuote.promoCode.code
+        }),
         expires_at: payment.expires_at,
         cashfree_token: response.data.payment_session_id, // Required for RN SDK
         environment: process.env.CASHFREE_BASE_URL?.includes('sandbox') ? 'SANDBOX' : 'PRODUCTION'
@@ -260,6 +339,11 @@ const handleWebhook = async (webhookData) => {
   try {
     console.log('Processing webhook:', webhookData);
 
+    // Refund status updates arrive on the same webhook URL
+    if (webhookData.data?.refund) {
+      return handleRefundWebhook(webhookData.data.refund);
+    }
+
     // Extract data from webhook - handle both old and new structures
     let orderId = null;
     let paymentStatus = null;
@@ -390,6 +474,10 @@ const processPostPaymentActions = async (payment) => {
   try {
     console.log(`Processing post-payment actions for payment: ${payment.id}`);
 
+    if (payment.metadata?.promo) {
+      await confirmPromoRedemption(payment);
+    }
+
     switch (payment.payment_type) {
       case 'ride_fee':
         await handleRidePaymentSuccess(payment);
@@ -407,6 +495,10 @@ const processPostPaymentActions = async (payment) => {
         await handleSecurityDepositSuccess(payment);
         break;
 
+      case 'expense_settlement':
+        await handleExpenseSettlementSuccess(payment);
+        break;
+
       default:
         console.log('Unknown payment type:', payment.payment_type);
     }
@@ -431,10 +523,17 @@ const handleRidePaymentSuccess = async (payment) => {
       return;
     }
 
+    // Payment completed after the ride was cancelled
+    if (ride.status === 'cancelled') {
+      console.error('Ride is cancelled, refunding payment:', payment.id);
+      await refundPayment(payment, ride, { trigger: 'ride_cancelled' });
+      return;
+    }
+
     // Check if ride is still joinable
     if (ride.current_participants >= ride.max_participants) {
-      console.error('Ride is full, cannot add participant');
-      // Handle refund logic here
+      console.error('Ride is full, refunding payment:', payment.id);
+      await refundOverCapacityPayment(payment, ride);
       return;
     }
 
@@ -447,9 +546,27 @@ const handleRidePaymentSuccess = async (payment) => {
       });
 
       if (existingParticipants.length === 0) {
-        await ride.addParticipant(user);
-        await ride.increment('current_participants');
+        try {
+          await takeRideSlot(ride, user, {
+            slotType: payment.metadata?.slot_type || 'own_bike',
+            offersPillion: payment.metadata?.offers_pillion
+          });
+        } catch (error) {
+          // The kind of place paid for went to someone else while the payment was open
+          if (error.code !== SLOT_UNAVAILABLE) throw error;
+          console.error('No place of the paid kind left, refunding payment:', payment.id);
+          await refundOverCapacityPayment(payment, ride);
+          return;
+        }
         console.log(`✅ User ${user.id} added to ride ${ride.id} after payment success`);
+
+        // Payment was for a waitlist offer - mark the slot as claimed
+        if (payment.metadata?.waitlist_entry_id) {
+          await RideWaitlist.update(
+            { status: 'claimed', claimed_at: new Date() },
+            { where: { id: payment.metadata.waitlist_entry_id, status: 'offered' } }
+          );
+        }
       } else {
         console.log(`ℹ️ User ${user.id} already participant of ride ${ride.id}`);
       }
@@ -511,6 +628,23 @@ const handleSecurityDepositSuccess = async (payment) => {
   console.log(`✅ Security deposit processed for payment: ${payment.id}`);
 };
 
+// Handle successful ride expense settlement
+const handleExpenseSettlementSuccess = async (payment) => {
+  try {
+    // Verify and webhook can both land here, so only a pending settlement is completed
+    const [updated] = await RideSettlement.update(
+      { status: 'completed', settled_at: payment.processed_at || new Date() },
+      { where: { payment_id: payment.id, status: 'pending' } }
+    );
+
+    if (updated) {
+      console.log(`✅ Expense settlement completed for payment ${payment.id}`);
+    }
+  } catch (error) {
+    console.error('Error handling expense settlement success:', error);
+  }
+};
+
 // Send payment success notification
 const sendPaymentSuccessNotification = async (payment) => {
   try {
@@ -556,12 +690,15 @@ const getPaymentDescription = (paymentType, context) => {
       return 'Rental booking payment';
     case 'security_deposit':
       return 'Security deposit';
+    case 'expense_settlement':
+      return 'Ride expense settlement';
     default:
       return 'Payment';
   }
 };
 
 module.exports = {
+  resolveRidePricing,
   createPaymentOrder,
   verifyPayment,
   handleWebhook,
@@ -0,0 +1,401 @@
+const { Op } = require('sequelize');
+const { sequelize, PromoCode, PromoCodeRedemption, Payment, Ride, Group } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const PROMO_CODE_FIELDS = [
+  'description',
+  'discount_type',
+  'discount_value',
+  'max_discount',
+  'max_uses',
+  'per_user_limit',
+  'starts_at',
+  'expires_at',
+  'is_active'
+];
+
+// A pending use holds its place only while the rider can still pay for it
+const OPEN_PAYMENT_STATUSES = ['pending', 'processing'];
+
+// Rejections share a code so the app can show them next to the code field
+const INVALID_CODE = 'PROMO_CODE_INVALID';
+
+// Discounts are worked out in paise/cents so the charged amount never drifts
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => parseFloat((cents / 100).toFixed(2));
+
+const pickPromoCodeFields = (data) => Object.fromEntries(
+  PROMO_CODE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// What the rider pays with the code applied; never below zero
+const calculateDiscount = (promoCode, amount) => {
+  const originalCents = toCents(amount);
+
+  let discountCents = promoCode.discount_type === 'percentage'
+    ? Math.round(originalCents * parseFloat(promoCode.discount_value) / 100)
+    : toCents(promoCode.discount_value);
+
+  if (promoCode.max_discount !== null && promoCode.max_discount !== undefined) {
+    discountCents = Math.min(discountCents, toCents(promoCode.max_discount));
+  }
+  discountCents = Math.min(discountCents, originalCents);
+
+  return {
+    original_amount: fromCents(originalCents),
+    discount_amount: fromCents(discountCents),
+    final_amount: fromCents(originalCents - discountCents)
+  };
+};
+
+// Ride codes cover one ride, group codes one group's membership, and "all" codes every
+// ride and group the creator runs
+const appliesToListing = (promoCode, { ride, group }) => {
+  switch (promoCode.scope) {
+    case 'ride':
+      return !!ride && promoCode.ride_id === ride.id;
+    case 'group':
+      return !!group && promoCode.group_id === group.id;
+    case 'all':
+      return (!!ride && ride.creator_id === promoCode.created_by) ||
+        (!!group && group.admin_id === promoCode.created_by);
+    default:
+      return false;
+  }
+};
+
+const getTarget = ({ ride, group }) => ({
+  ride_id: ride ? ride.id : null,
+  group_id: group ? group.id : null
+});
+
+// Completed uses plus uses whose payment is still open. A rider's own pending use for the
+// same ride or group does not count: a new order replaces it.
+const countActiveUses = (promoCode, userId, target, transaction, where = {}) => {
+  return PromoCodeRedemption.count({
+    where: {
+      ...where,
+      promo_code_id: promoCode.id,
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { status: 'redeemed' },
+            {
+              status: 'pending',
+              '$payment.status$': { [Op.in]: OPEN_PAYMENT_STATUSES },
+              '$payment.expires_at$': { [Op.gt]: new Date() }
+            }
+          ]
+        },
+        { [Op.not]: { user_id: userId, status: 'pending', ...target } }
+      ]
+    },
+    include: [{ model: Payment, as: 'payment', attributes: [], required: false }],
+    transaction
+  });
+};
+
+const assertUsesLeft = async (promoCode, userId, target, transaction) => {
+  if (promoCode.max_uses !== null &&
+      await countActiveUses(promoCode, userId, target, transaction) >= promoCode.max_uses) {
+    throw new AppError('This promo code has reached its usage limit', 400, INVALID_CODE);
+  }
+
+  if (await countActiveUses(promoCode, userId, target, transaction, { user_id: userId }) >= promoCode.per_user_limit) {
+    throw new AppError('You have already used this promo code', 400, INVALID_CODE);
+  }
+};
+
+// Check a code against a ride or group and price it. Throws when the code cannot be used.
+const quotePromoCode = async (code, userId, { ride = null, group = null, amount }) => {
+  const promoCode = await PromoCode.findOne({
+    where: { code: String(code).trim().toUpperCase() }
+  });
+
+  if (!promoCode || !promoCode.is_active) {
+    throw new AppError('This promo code is not valid', 400, INVALID_CODE);
+  }
+
+  const now = new Date();
+  if (!promoCode.hasStarted(now)) {
+    throw new AppError('This promo code is not active yet', 400, INVALID_CODE);
+  }
+  if (promoCode.isExpired(now)) {
+    throw new AppError('This promo code has expired', 400, INVALID_CODE);
+  }
+
+  if (!appliesToListing(promoCode, { ride, group })) {
+    throw new AppError(`This promo code does not apply to this ${ride ? 'ride' : 'group'}`, 400, INVALID_CODE);
+  }
+
+  const target = getTarget({ ride, group });
+  await assertUsesLeft(promoCode, userId, target, null);
+
+  return {
+    promoCode,
+    target,
+    ...calculateDiscount(promoCode, amount)
+  };
+};
+
+// Payment metadata describing the discount, kept with the payment for receipts and refunds
+const toPaymentMetadata = (quote) => ({
+  promo_code_id: quote.promoCode.id,
+  code: quote.promoCode.code,
+  discount_type: quote.promoCode.discount_type,
+  discount_value: parseFloat(quote.promoCode.discount_value),
+  original_amount: quote.original_amount,
+  discount_amount: quote.discount_amount
+});
+
+// Record a use of a quoted code. With a payment it stays pending until the payment succeeds;
+// without one (the code covered the whole price) it counts straight away.
+const reservePromoCode = async (quote, userId, { payment = null } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    // Row lock so two riders cannot both take the last use
+    const promoCode = await PromoCode.findByPk(quote.promoCode.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!promoCode || !promoCode.is_active) {
+      throw new AppError('This promo code is not valid', 400, INVALID_CODE);
+    }
+
+    await assertUsesLeft(promoCode, userId, quote.target, transaction);
+
+    await PromoCodeRedemption.update(
+      { status: 'released' },
+      { where: { promo_code_id: promoCode.id, user_id: userId, status: 'pending', ...quote.target }, transaction }
+    );
+
+    const redemption = await PromoCodeRedemption.create({
+      promo_code_id: promoCode.id,
+      user_id: userId,
+      payment_id: payment ? payment.id : null,
+      ...quote.target,
+      original_amount: quote.original_amount,
+      discount_amount: quote.discount_amount,
+      final_amount: quote.final_amount,
+      status: payment ? 'pending' : 'redeemed',
+      redeemed_at: payment ? null : new Date()
+    }, { transaction });
+
+    if (!payment) {
+      await promoCode.increment('used_count', { transaction });
+    }
+
+    return redemption;
+  });
+};
+
+// Give back a counted use when the join it was reserved for did not go through
+const releasePromoRedemption = async (redemption) => {
+  return sequelize.transaction(async (transaction) => {
+    const [released] = await PromoCodeRedemption.update(
+      { status: 'released' },
+      { where: { id: redemption.id, status: 'redeemed' }, transaction }
+    );
+
+    if (released) {
+      await PromoCode.decrement('used_count', { where: { id: redemption.promo_code_id }, transaction });
+    }
+  });
+};
+
+// A code covering the full price still leaves a zero-amount payment, so the discount is on
+// record next to paid joins
+const recordCoveredPayment = async (redemption, quote, { payment_type, recipient_id = null, metadata = {} }) => {
+  const payment = await Payment.create({
+    user_id: redemption.user_id,
+    amount: 0,
+    payment_type,
+    ride_id: redemption.ride_id || null,
+    group_id: redemption.group_id || null,
+    recipient_id,
+    status: 'success',
+    processed_at: new Date(),
+    metadata: { ...metadata, promo: toPaymentMetadata(quote) }
+  });
+
+  await redemption.update({ payment_id: payment.id });
+  return payment;
+};
+
+// Called once a discounted payment succeeds. Safe to call more than once.
+const confirmPromoRedemption = async (payment) => {
+  const redemption = await PromoCodeRedemption.findOne({
+    where: { payment_id: payment.id, status: { [Op.ne]: 'redeemed' } }
+  });
+  if (!redemption) return null;
+
+  // A paid order counts even if a newer order had replaced it. The status check keeps the
+  // webhook and a manual verify from both counting the same payment.
+  const [updated] = await PromoCodeRedemption.update(
+    { status: 'redeemed', redeemed_at: new Date() },
+    { where: { id: redemption.id, status: { [Op.ne]: 'redeemed' } } }
+  );
+  if (!updated) return null;
+
+  await PromoCode.increment('used_count', { where: { id: redemption.promo_code_id } });
+
+  return redemption;
+};
+
+// The ride or group a payment is for, for quoting a code inside createPaymentOrder
+const findPromoTarget = async ({ payment_type, ride_id, group_id }) => {
+  if (payment_type === 'ride_fee' && ride_id) {
+    const ride = await Ride.findByPk(ride_id, { attributes: ['id', 'creator_id'] });
+    if (ride) return { ride };
+  }
+
+  if (payment_type === 'group_membership' && group_id) {
+    const group = await Group.findByPk(group_id, { attributes: ['id', 'admin_id'] });
+    if (group) return { group };
+  }
+
+  throw new AppError('Promo codes can only be used for ride fees and group memberships', 400, INVALID_CODE);
+};
+
+const assertCanCreateFor = async (userId, { scope, ride_id, group_id }) => {
+  if (scope === 'ride') {
+    const ride = await Ride.findByPk(ride_id, { attributes: ['id', 'creator_id'] });
+    if (!ride) {
+      throw new AppError('Ride not found', 404);
+    }
+    if (ride.creator_id !== userId) {
+      throw new AppError('Only the ride organiser can create promo codes for it', 403);
+    }
+  }
+
+  if (scope === 'group') {
+    const group = await Group.findByPk(group_id, { attributes: ['id', 'admin_id'] });
+    if (!group) {
+      throw new AppError('Group not found', 404);
+    }
+    if (group.admin_id !== userId) {
+      throw new AppError('Only the group admin can create promo codes for it', 403);
+    }
+  }
+};
+
+const createPromoCode = async (userId, data) => {
+  await assertCanCreateFor(userId, data);
+
+  const code = String(data.code).trim().toUpperCase();
+  if (await PromoCode.findOne({ where: { code } })) {
+    throw new AppError('This promo code is already taken', 409);
+  }
+
+  return PromoCode.create({
+    ...pickPromoCodeFields(data),
+    code,
+    created_by: userId,
+    scope: data.scope,
+    ride_id: data.scope === 'ride' ? data.ride_id : null,
+    group_id: data.scope === 'group' ? data.group_id : null
+  });
+};
+
+const getOwnPromoCode = async (promoCodeId, userId) => {
+  const promoCode = await PromoCode.findByPk(promoCodeId, {
+    include: [
+      { model: Ride, as: 'ride', attributes: ['id', 'title', 'ride_date'], required: false },
+      { model: Group, as: 'group', attributes: ['id', 'name'], required: false }
+    ]
+  });
+
+  if (!promoCode) {
+    throw new AppError('Promo code not found', 404);
+  }
+  if (promoCode.created_by !== userId) {
+    throw new AppError('You can only manage your own promo codes', 403);
+  }
+
+  return promoCode;
+};
+
+// The code with totals of what it has given away
+const getPromoCodeDetails = async (promoCodeId, userId) => {
+  const promoCode = await getOwnPromoCode(promoCodeId, userId);
+
+  const totals = await PromoCodeRedemption.findOne({
+    where: { promo_code_id: promoCode.id, status: 'redeemed' },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'redemptions'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('discount_amount')), 0), 'total_discount']
+    ],
+    raw: true
+  });
+
+  return {
+    ...promoCode.toJSON(),
+    stats: {
+      redemptions: parseInt(totals.redemptions) || 0,
+      total_discount: parseFloat(totals.total_discount) || 0
+    }
+  };
+};
+
+const getUserPromoCodes = (userId, { scope, ride_id, group_id, limit, offset }) => {
+  const where = { created_by: userId };
+  if (scope) where.scope = scope;
+  if (ride_id) where.ride_id = ride_id;
+  if (group_id) where.group_id = group_id;
+
+  return PromoCode.findAndCountAll({
+    where,
+    include: [
+      { model: Ride, as: 'ride', attributes: ['id', 'title', 'ride_date'], required: false },
+      { model: Group, as: 'group', attributes: ['id', 'name'], required: false }
+    ],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+// The code text and what it is for stay fixed; everything else can change
+const updatePromoCode = async (promoCodeId, userId, data) => {
+  const promoCode = await getOwnPromoCode(promoCodeId, userId);
+
+  // The request may change only one of the two, so check them together as they will be stored
+  const discountType = data.discount_type ?? promoCode.discount_type;
+  const discountValue = parseFloat(data.discount_value ?? promoCode.discount_value);
+  if (discountType === 'percentage' && discountValue > 100) {
+    throw new AppError('A percentage discount cannot be more than 100', 400);
+  }
+
+  await promoCode.update(pickPromoCodeFields(data));
+  return promoCode;
+};
+
+// Used codes are switched off instead, so past payments still point at them
+const deletePromoCode = async (promoCodeId, userId) => {
+  const promoCode = await getOwnPromoCode(promoCodeId, userId);
+
+  const redemptionCount = await PromoCodeRedemption.count({ where: { promo_code_id: promoCode.id } });
+  if (redemptionCount > 0) {
+    await promoCode.update({ is_active: false });
+    return { deactivated: true };
+  }
+
+  await promoCode.destroy();
+  return { deactivated: false };
+};
+
+module.exports = {
+  calculateDiscount,
+  quotePromoCode,
+  toPaymentMetadata,
+  reservePromoCode,
+  releasePromoRedemption,
+  recordCoveredPayment,
+  confirmPromoRedemption,
+  findPromoTarget,
+  createPromoCode,
+  getPromoCodeDetails,
+  getUserPromoCodes,
+  updatePromoCode,
+  deletePromoCode
+};
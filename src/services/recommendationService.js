@@ -0,0 +1,334 @@
+const { Op } = require('sequelize');
+const { Ride, User, Group, UserConnection, RideParticipant } = require('../models');
+const { distanceFrom, withinRadius } = require('../utils/geography');
+const { getBikeType } = require('./rideRequirementService');
+
+const DEFAULT_RADIUS_KM = 100;
+
+// Rides are scored in memory, so only the soonest this many candidates are considered
+const MAX_CANDIDATES = 300;
+
+// Past rides looked at for the rider's usual ride length
+const HISTORY_LIMIT = 50;
+
+// Points each signal can add; a ride the rider cannot join without a waiver loses them instead
+const WEIGHTS = {
+  proximity: 30,
+  friends: 25,
+  group: 15,
+  ride_length: 15,
+  experience: 10,
+  bike_type: 5
+};
+
+// Past the third friend, more friends no longer change the ranking
+const FRIENDS_FOR_FULL_SCORE = 3;
+
+// A ride this many times longer or shorter than usual gets no ride_length points
+const RIDE_LENGTH_TOLERANCE = 3;
+
+const friendAttributes = ['id', 'first_name', 'last_name', 'profile_picture'];
+
+const round = (value, places = 1) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const hasCoordinates = (location) => {
+  return location && !isNaN(parseFloat(location.latitude)) && !isNaN(parseFloat(location.longitude));
+};
+
+const getFriendIds = async (userId) => {
+  const connections = await UserConnection.findAll({
+    where: {
+      [Op.or]: [
+        { user_id: userId },
+        { connected_user_id: userId }
+      ],
+      status: 'accepted'
+    },
+    attributes: ['user_id', 'connected_user_id']
+  });
+
+  return connections.map(connection =>
+    connection.user_id === userId ? connection.connected_user_id : connection.user_id
+  );
+};
+
+// Everything the scores depend on besides the rides themselves
+const getRiderProfile = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'location', 'experience_level', 'bike_info'],
+    include: [{
+      model: Group,
+      as: 'joinedGroups',
+      through: { attributes: [] },
+      attributes: ['id', 'name']
+    }]
+  });
+
+  const participations = await RideParticipant.findAll({
+    where: { user_id: userId, status: { [Op.ne]: 'cancelled' } },
+    attributes: ['ride_id']
+  });
+  const joinedRideIds = participations.map(participation => participation.ride_id);
+
+  const pastRides = await Ride.findAll({
+    where: {
+      status: 'completed',
+      distance_km: { [Op.gt]: 0 },
+      [Op.or]: [
+        { creator_id: userId },
+        { id: { [Op.in]: joinedRideIds } }
+      ]
+    },
+    attributes: ['distance_km'],
+    order: [['ride_date', 'DESC']],
+    limit: HISTORY_LIMIT
+  });
+  const pastDistances = pastRides.map(ride => parseFloat(ride.distance_km));
+
+  return {
+    user,
+    friendIds: await getFriendIds(userId),
+    groups: new Map((user?.joinedGroups || []).map(group => [group.id, group.name])),
+    joinedRideIds,
+    usualDistanceKm: pastDistances.length > 0 ? median(pastDistances) : null
+  };
+};
+
+// Upcoming rides the rider can see and has not joined yet. With a location, only rides
+// nearby or with a friend or group connection make the cut.
+const findCandidates = async (userId, profile, origin, radiusKm, visibilityWhere) => {
+  const conditions = [visibilityWhere];
+  const attributes = ['id', 'group_id', 'distance_km', 'requirements', 'ride_date'];
+
+  const friendRideIds = profile.friendIds.length === 0 ? [] : (await RideParticipant.findAll({
+    where: { user_id: { [Op.in]: profile.friendIds }, status: { [Op.ne]: 'cancelled' } },
+    attributes: ['ride_id'],
+    include: [{ model: Ride, as: 'ride', attributes: [], where: { status: 'upcoming' } }]
+  })).map(participation => participation.ride_id);
+
+  if (origin) {
+    const startDistance = distanceFrom('Ride.start_point', origin.latitude, origin.longitude);
+    const waypointDistance = distanceFrom('Ride.waypoint_points', origin.latitude, origin.longitude);
+    attributes.push([startDistance, 'start_distance_m'], [waypointDistance, 'waypoint_distance_m']);
+
+    const related = [
+      withinRadius('Ride.start_point', origin.latitude, origin.longitude, radiusKm),
+      withinRadius('Ride.waypoint_points', origin.latitude, origin.longitude, radiusKm)
+    ];
+    if (profile.groups.size > 0) related.push({ group_id: { [Op.in]: [...profile.groups.keys()] } });
+    if (friendRideIds.length > 0) related.push({ id: { [Op.in]: friendRideIds } });
+
+    conditions.push({ [Op.or]: related });
+  }
+
+  if (profile.joinedRideIds.length > 0) {
+    conditions.push({ id: { [Op.notIn]: profile.joinedRideIds } });
+  }
+
+  const candidates = await Ride.findAll({
+    attributes,
+    where: {
+      status: 'upcoming',
+      ride_date: { [Op.gte]: new Date().toISOString().split('T')[0] },
+      creator_id: { [Op.ne]: userId },
+      [Op.and]: conditions
+    },
+    order: [['ride_date', 'ASC'], ['id', 'ASC']],
+    limit: MAX_CANDIDATES
+  });
+
+  if (candidates.length === 0) return { candidates, friendsByRide: new Map() };
+
+  // Friends already on each candidate, for the friends score and its reason
+  const friendsByRide = new Map();
+  if (profile.friendIds.length > 0) {
+    const friendParticipations = await RideParticipant.findAll({
+      where: {
+        ride_id: { [Op.in]: candidates.map(candidate => candidate.id) },
+        user_id: { [Op.in]: profile.friendIds },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      attributes: ['ride_id'],
+      include: [{ model: User, as: 'user', attributes: friendAttributes }]
+    });
+
+    friendParticipations.forEach(participation => {
+      const friends = friendsByRide.get(participation.ride_id) || [];
+      friends.push(participation.user);
+      friendsByRide.set(participation.ride_id, friends);
+    });
+  }
+
+  return { candidates, friendsByRide };
+};
+
+const scoreProximity = (candidate, radiusKm) => {
+  const startM = candidate.get('start_distance_m');
+  const waypointM = candidate.get('waypoint_distance_m');
+  if (startM === undefined || startM === null) return null;
+
+  const startKm = parseFloat(startM) / 1000;
+  const waypointKm = waypointM === null || waypointM === undefined ? Infinity : parseFloat(waypointM) / 1000;
+  const distanceKm = Math.min(startKm, waypointKm);
+  if (distanceKm > radiusKm) return null;
+
+  const place = startKm <= waypointKm ? 'Starts' : 'Passes';
+  return {
+    points: WEIGHTS.proximity * (1 - distanceKm / radiusKm),
+    reason: `${place} ${round(distanceKm)} km from you`
+  };
+};
+
+const scoreFriends = (friends) => {
+  if (!friends || friends.length === 0) return null;
+
+  return {
+    points: WEIGHTS.friends * Math.min(friends.length, FRIENDS_FOR_FULL_SCORE) / FRIENDS_FOR_FULL_SCORE,
+    reason: friends.length === 1
+      ? `Because ${friends[0].first_name} joined`
+      : `Because ${friends.length} friends joined`
+  };
+};
+
+const scoreGroup = (candidate, groups) => {
+  if (!candidate.group_id || !groups.has(candidate.group_id)) return null;
+
+  return {
+    points: WEIGHTS.group,
+    reason: `From your group ${groups.get(candidate.group_id)}`
+  };
+};
+
+// Full points for the rider's usual length, falling to none at RIDE_LENGTH_TOLERANCE times longer or shorter
+const scoreRideLength = (candidate, usualDistanceKm) => {
+  const distanceKm = parseFloat(candidate.distance_km);
+  if (!usualDistanceKm || !distanceKm) return null;
+
+  const closeness = 1 - Math.abs(Math.log(distanceKm / usualDistanceKm)) / Math.log(RIDE_LENGTH_TOLERANCE);
+  if (closeness <= 0) return null;
+
+  return {
+    points: WEIGHTS.ride_length * closeness,
+    reason: `${round(distanceKm, 0)} km, close to your usual ${round(usualDistanceKm, 0)} km`
+  };
+};
+
+// Rides at the rider's level score highest, easier ones less, and harder ones count against
+const scoreExperience = (candidate, user) => {
+  const required = candidate.requirements?.experience_level;
+  if (!required || !user?.experience_level) return null;
+
+  const gap = Ride.EXPERIENCE_LEVELS.indexOf(user.experience_level) - Ride.EXPERIENCE_LEVELS.indexOf(required);
+
+  if (gap < 0) return { points: -WEIGHTS.experience, reason: null };
+  if (gap === 0) return { points: WEIGHTS.experience, reason: `Pitched at your ${required} level` };
+  if (gap === 1) return { points: WEIGHTS.experience / 2, reason: null };
+  return null;
+};
+
+const scoreBikeType = (candidate, user) => {
+  const required = candidate.requirements?.bike_type;
+  const bikeType = user ? getBikeType(user) : null;
+  if (!required || required === 'Any' || !bikeType) return null;
+
+  return bikeType === required
+    ? { points: WEIGHTS.bike_type, reason: `Made for ${required} bikes like yours` }
+    : { points: -WEIGHTS.bike_type, reason: null };
+};
+
+// Score and reasons for one candidate; breakdown holds the points behind each signal
+const scoreCandidate = (candidate, profile, friends, radiusKm) => {
+  const signals = {
+    proximity: scoreProximity(candidate, radiusKm),
+    friends: scoreFriends(friends),
+    group: scoreGroup(candidate, profile.groups),
+    ride_length: scoreRideLength(candidate, profile.usualDistanceKm),
+    experience: scoreExperience(candidate, profile.user),
+    bike_type: scoreBikeType(candidate, profile.user)
+  };
+
+  const breakdown = Object.fromEntries(
+    Object.entries(signals).map(([signal, result]) => [signal, round(result ? result.points : 0)])
+  );
+
+  // Strongest reasons first
+  const reasons = Object.values(signals)
+    .filter(result => result && result.reason && result.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .map(result => result.reason);
+
+  return {
+    score: round(Object.values(breakdown).reduce((total, points) => total + points, 0)),
+    reasons,
+    breakdown,
+    friends_joined: friends || []
+  };
+};
+
+// Upcoming rides ranked for the rider, each with a recommendation { score, reasons, breakdown }.
+// latitude/longitude override the profile location; visibilityWhere limits what the rider may see.
+const getRecommendedRides = async (userId, {
+  latitude,
+  longitude,
+  radiusKm = DEFAULT_RADIUS_KM,
+  visibilityWhere = {},
+  include,
+  limit = 20,
+  offset = 0
+} = {}) => {
+  const profile = await getRiderProfile(userId);
+
+  const location = latitude !== undefined && longitude !== undefined
+    ? { latitude, longitude }
+    : profile.user?.location;
+  const origin = hasCoordinates(location)
+    ? { latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) }
+    : null;
+
+  const { candidates, friendsByRide } = await findCandidates(userId, profile, origin, radiusKm, visibilityWhere);
+
+  const ranked = candidates
+    .map(candidate => ({
+      id: candidate.id,
+      ride_date: candidate.ride_date,
+      recommendation: scoreCandidate(candidate, profile, friendsByRide.get(candidate.id), radiusKm)
+    }))
+    .sort((a, b) =>
+      b.recommendation.score - a.recommendation.score ||
+      String(a.ride_date).localeCompare(String(b.ride_date))
+    );
+
+  const page = ranked.slice(offset, offset + limit);
+  if (page.length === 0) return { count: ranked.length, rows: [] };
+
+  const rides = await Ride.findAll({
+    where: { id: { [Op.in]: page.map(entry => entry.id) } },
+    include
+  });
+  const ridesById = new Map(rides.map(ride => [ride.id, ride]));
+
+  return {
+    count: ranked.length,
+    rows: page
+      .filter(entry => ridesById.has(entry.id))
+      .map(entry => ({
+        ...ridesById.get(entry.id).toJSON(),
+        recommendation: entry.recommendation
+      }))
+  };
+};
+
+module.exports = {
+  getFriendIds,
+  scoreCandidate,
+  getRecommendedRides
+};
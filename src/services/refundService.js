@@ -0,0 +1,354 @@
+const { Op } = require('sequelize');
+const { cashfreeAPI } = require('../config/cashfree');
+const { Payment, PaymentRefund, Ride, User } = require('../models');
+const { notifyRideParticipants } = require('./notificationService');
+const { emitToUser } = require('../sockets/socketEmitter');
+const { createScheduler } = require('../utils/scheduler');
+
+// Share of the fee returned to a rider who leaves, by notice given before the ride.
+// Organiser cancellations and over-capacity payments are always refunded in full.
+const LEAVE_REFUND_POLICY = [
+  { minHoursBefore: 48, percentage: 100 },
+  { minHoursBefore: 24, percentage: 50 },
+  { minHoursBefore: 0, percentage: 0 }
+];
+
+const MAX_REFUND_ATTEMPTS = 3;
+
+// Processing refunds are re-checked with Cashfree when no webhook arrived in this window
+const REFUND_STATUS_CHECK_AFTER_MINUTES = 30;
+
+const DEFAULT_RETRY_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+const TRIGGER_DESCRIPTIONS = {
+  ride_cancelled: 'the ride was cancelled',
+  ride_full: 'the ride filled up before your payment completed',
+  participant_left: 'you left the ride'
+};
+
+const getLeaveRefundPercentage = (ride, now = new Date()) => {
+  const hoursBefore = (ride.getScheduledStart().getTime() - now.getTime()) / (60 * 60 * 1000);
+  const tier = LEAVE_REFUND_POLICY.find(t => hoursBefore >= t.minHoursBefore);
+  return tier ? tier.percentage : 0;
+};
+
+// Amount still refundable once refunds already issued, in flight or awaiting a retry are accounted for
+const getRefundableAmount = async (payment) => {
+  const refunds = await PaymentRefund.findAll({
+    where: { payment_id: payment.id }
+  });
+
+  const committed = refunds
+    .filter(refund => refund.isActive() || refund.attempts < MAX_REFUND_ATTEMPTS)
+    .reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+  return Math.max(0, Math.round((parseFloat(payment.amount) - committed) * 100) / 100);
+};
+
+const mapCashfreeRefundStatus = (refundStatus) => {
+  switch (refundStatus) {
+    case 'SUCCESS':
+      return 'success';
+    case 'CANCELLED':
+      return 'failed';
+    default:
+      // PENDING and ONHOLD settle later
+      return 'processing';
+  }
+};
+
+// Record a successful refund against its payment
+const settleRefund = async (refund) => {
+  const payment = await Payment.findByPk(refund.payment_id);
+  if (!payment) return;
+
+  const refundedAmount = parseFloat(payment.refund_amount || 0) + parseFloat(refund.amount);
+  const fullyRefunded = refundedAmount >= parseFloat(payment.amount);
+
+  await payment.update({
+    refund_amount: refundedAmount,
+    refund_reason: refund.reason,
+    refunded_at: new Date(),
+    status: fullyRefunded ? 'refunded' : payment.status
+  });
+};
+
+const applyRefundStatus = async (refund, status, gatewayData = {}) => {
+  const previousStatus = refund.status;
+
+  await refund.update({
+    status,
+    cashfree_refund_id: gatewayData.cf_refund_id ? String(gatewayData.cf_refund_id) : refund.cashfree_refund_id,
+    failure_reason: status === 'failed' ? (gatewayData.status_description || refund.failure_reason) : null,
+    gateway_response: { ...refund.gateway_response, ...gatewayData },
+    processed_at: status === 'success' ? new Date() : refund.processed_at
+  });
+
+  if (status === previousStatus) return refund;
+
+  if (status === 'success') {
+    await settleRefund(refund);
+  }
+
+  emitToUser(refund.user_id, 'refund_updated', {
+    refund_id: refund.id,
+    payment_id: refund.payment_id,
+    ride_id: refund.ride_id,
+    amount: parseFloat(refund.amount),
+    status
+  });
+
+  return refund;
+};
+
+// Send the refund to Cashfree. Failures are recorded on the refund and retried by the scheduler.
+const submitRefund = async (refund) => {
+  const payment = await Payment.findByPk(refund.payment_id);
+
+  if (!payment?.cashfree_order_id) {
+    await refund.update({
+      status: 'failed',
+      attempts: MAX_REFUND_ATTEMPTS,
+      failure_reason: 'Payment has no gateway order to refund'
+    });
+    return refund;
+  }
+
+  await refund.update({ attempts: refund.attempts + 1 });
+
+  try {
+    const response = await cashfreeAPI.post(`/orders/${payment.cashfree_order_id}/refunds`, {
+      refund_amount: parseFloat(refund.amount),
+      refund_id: refund.refund_reference,
+      refund_note: refund.reason?.slice(0, 100) || 'Ride refund'
+    });
+
+    console.log('Cashfree refund response:', response.data);
+    await applyRefundStatus(refund, mapCashfreeRefundStatus(response.data?.refund_status), response.data || {});
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    console.error(`Refund ${refund.id} failed:`, message);
+
+    await refund.update({ status: 'failed', failure_reason: message });
+  }
+
+  return refund;
+};
+
+const notifyRefund = async (refund, ride) => {
+  const user = await User.findByPk(refund.user_id);
+  if (!user) return;
+
+  const amount = parseFloat(refund.amount).toFixed(2);
+  const partial = refund.refund_percentage < 100 ? ` (${refund.refund_percentage}% of your fee)` : '';
+
+  await notifyRideParticipants(
+    [user],
+    `A refund of ₹${amount}${partial} for "${ride.title}" has been initiated because ${TRIGGER_DESCRIPTIONS[refund.trigger]}. It usually reaches your account within 5-7 working days.`
+  );
+};
+
+// The organiser has to settle a refund by hand once it can no longer be retried
+const notifyRefundFailure = async (refund, ride) => {
+  const [organiser, rider] = await Promise.all([
+    User.findByPk(ride.creator_id),
+    User.findByPk(refund.user_id)
+  ]);
+  if (!organiser) return;
+
+  const riderName = rider ? `${rider.first_name} ${rider.last_name}` : 'a rider';
+
+  emitToUser(organiser.id, 'refund_failed', {
+    refund_id: refund.id,
+    payment_id: refund.payment_id,
+    ride_id: ride.id,
+    user_id: refund.user_id,
+    amount: parseFloat(refund.amount),
+    failure_reason: refund.failure_reason
+  });
+
+  await notifyRideParticipants(
+    [organiser],
+    `A refund of ₹${parseFloat(refund.amount).toFixed(2)} to ${riderName} for "${ride.title}" could not be processed (${refund.failure_reason}). Please refund the rider directly.`
+  );
+};
+
+// Riders hear about a refund once it reaches the gateway; a failed one is retried silently
+// until the attempts run out, and then the organiser is told instead.
+const reportRefundOutcome = async (refund, ride) => {
+  try {
+    if (refund.status !== 'failed') {
+      await notifyRefund(refund, ride);
+    } else if (refund.attempts >= MAX_REFUND_ATTEMPTS) {
+      await notifyRefundFailure(refund, ride);
+    }
+  } catch (error) {
+    console.error(`Failed to send refund notification for ${refund.id}:`, error);
+  }
+};
+
+// Refund one ride_fee payment. percentage applies to the original amount, capped at what is still refundable.
+// Returns null when there is nothing left to refund.
+const refundPayment = async (payment, ride, { trigger, percentage = 100, reason = null }) => {
+  if (payment.status !== 'success') return null;
+
+  const refundable = await getRefundableAmount(payment);
+  const amount = Math.min(refundable, Math.round(parseFloat(payment.amount) * percentage) / 100);
+
+  if (amount <= 0) return null;
+
+  const refund = await PaymentRefund.create({
+    payment_id: payment.id,
+    user_id: payment.user_id,
+    ride_id: ride.id,
+    amount,
+    refund_reference: `RF${payment.id.replace(/-/g, '').slice(0, 8)}${Date.now().toString().slice(-8)}`,
+    trigger,
+    refund_percentage: percentage,
+    reason: reason || `Refund because ${TRIGGER_DESCRIPTIONS[trigger]}`
+  });
+
+  await submitRefund(refund);
+  await reportRefundOutcome(refund, ride);
+
+  return refund;
+};
+
+const summariseRefunds = (refunds) => ({
+  refunds_initiated: refunds.length,
+  refund_total: refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0)
+});
+
+// Full refund of every successful fee on a cancelled ride
+const refundCancelledRide = async (ride, reason = null) => {
+  const payments = await Payment.findAll({
+    where: { ride_id: ride.id, payment_type: 'ride_fee', status: 'success' }
+  });
+
+  const refunds = [];
+  for (const payment of payments) {
+    try {
+      const refund = await refundPayment(payment, ride, {
+        trigger: 'ride_cancelled',
+        reason: reason ? `Ride cancelled: ${reason}` : null
+      });
+      if (refund) refunds.push(refund);
+    } catch (error) {
+      console.error(`Failed to refund payment ${payment.id} for cancelled ride ${ride.id}:`, error);
+    }
+  }
+
+  if (refunds.length) {
+    console.log(`💸 Initiated ${refunds.length} refunds for cancelled ride ${ride.id}`);
+  }
+
+  return summariseRefunds(refunds);
+};
+
+// Payment completed after the last seat was taken
+const refundOverCapacityPayment = (payment, ride) => {
+  return refundPayment(payment, ride, { trigger: 'ride_full' });
+};
+
+// Policy-based refund for a rider leaving a paid ride
+const refundLeavingParticipant = async (ride, userId) => {
+  const payment = await Payment.findOne({
+    where: { ride_id: ride.id, user_id: userId, payment_type: 'ride_fee', status: 'success' },
+    order: [['processed_at', 'DESC']]
+  });
+
+  if (!payment) return null;
+
+  const percentage = getLeaveRefundPercentage(ride);
+  if (percentage === 0) return null;
+
+  return refundPayment(payment, ride, { trigger: 'participant_left', percentage });
+};
+
+const getPaymentRefunds = (paymentId) => {
+  return PaymentRefund.findAll({
+    where: { payment_id: paymentId },
+    order: [['created_at', 'ASC']]
+  });
+};
+
+// Refund status webhook from Cashfree
+const handleRefundWebhook = async (refundData) => {
+  const refund = await PaymentRefund.findOne({
+    where: { refund_reference: refundData.refund_id }
+  });
+
+  if (!refund) {
+    console.error('Refund not found for webhook refund_id:', refundData.refund_id);
+    return null;
+  }
+
+  await applyRefundStatus(refund, mapCashfreeRefundStatus(refundData.refund_status), refundData);
+  console.log(`✅ Refund ${refund.id} updated to status: ${refund.status}`);
+
+  return Payment.findByPk(refund.payment_id);
+};
+
+const syncRefundStatus = async (refund) => {
+  const payment = await Payment.findByPk(refund.payment_id);
+  if (!payment?.cashfree_order_id) return refund;
+
+  const response = await cashfreeAPI.get(`/orders/${payment.cashfree_order_id}/refunds/${refund.refund_reference}`);
+  return applyRefundStatus(refund, mapCashfreeRefundStatus(response.data?.refund_status), response.data || {});
+};
+
+// Retry failed refunds and catch up on processing refunds whose webhook never arrived
+const retryPendingRefunds = async () => {
+  const staleBefore = new Date(Date.now() - REFUND_STATUS_CHECK_AFTER_MINUTES * 60 * 1000);
+
+  const [failedRefunds, processingRefunds] = await Promise.all([
+    PaymentRefund.findAll({
+      where: { status: 'failed', attempts: { [Op.lt]: MAX_REFUND_ATTEMPTS } }
+    }),
+    PaymentRefund.findAll({
+      where: { status: 'processing', updated_at: { [Op.lt]: staleBefore } }
+    })
+  ]);
+
+  for (const refund of failedRefunds) {
+    await submitRefund(refund);
+
+    if (refund.status !== 'failed' || refund.attempts >= MAX_REFUND_ATTEMPTS) {
+      const ride = await Ride.findByPk(refund.ride_id);
+      if (ride) await reportRefundOutcome(refund, ride);
+    }
+  }
+
+  for (const refund of processingRefunds) {
+    try {
+      await syncRefundStatus(refund);
+    } catch (error) {
+      console.error(`Failed to check refund ${refund.id} status:`, error.response?.data?.message || error.message);
+    }
+  }
+
+  if (failedRefunds.length || processingRefunds.length) {
+    console.log(`💸 Refund retry: ${failedRefunds.length} resubmitted, ${processingRefunds.length} status checks`);
+  }
+};
+
+const retryScheduler = createScheduler(retryPendingRefunds, { label: 'Refund retry', runOnStart: false });
+
+const startRefundRetryScheduler = (intervalMs = DEFAULT_RETRY_INTERVAL_MS) => retryScheduler.start(intervalMs);
+
+const stopRefundRetryScheduler = () => retryScheduler.stop();
+
+module.exports = {
+  LEAVE_REFUND_POLICY,
+  MAX_REFUND_ATTEMPTS,
+  getLeaveRefundPercentage,
+  getRefundableAmount,
+  refundPayment,
+  refundCancelledRide,
+  refundOverCapacityPayment,
+  refundLeavingParticipant,
+  getPaymentRefunds,
+  handleRefundWebhook,
+  retryPendingRefunds,
+  startRefundRetryScheduler,
+  stopRefundRetryScheduler
+};
@@ -0,0 +1,215 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, User, RideParticipant, RideReview } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { cacheDel } = require('../config/redis');
+const { emitToUser } = require('../sockets/socketEmitter');
+
+// Reviews can be written for this long after a ride completes
+const REVIEW_WINDOW_DAYS = 14;
+
+const reviewUserAttributes = ['id', 'first_name', 'last_name', 'profile_picture'];
+
+// Creator plus everyone who joined, as user ids
+const getRideMemberIds = async (ride) => {
+  const participants = await RideParticipant.findAll({
+    where: { ride_id: ride.id, status: { [Op.ne]: 'cancelled' } },
+    attributes: ['user_id']
+  });
+
+  return [...new Set([ride.creator_id, ...participants.map(p => p.user_id)])];
+};
+
+const assertReviewWindowOpen = (ride, now = new Date()) => {
+  if (ride.status !== 'completed') {
+    throw new AppError('Rides can only be reviewed once they are completed', 400);
+  }
+
+  const completedAt = new Date(ride.completed_at || ride.getScheduledEnd());
+  const closesAt = new Date(completedAt.getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (now > closesAt) {
+    throw new AppError(`Reviews close ${REVIEW_WINDOW_DAYS} days after the ride`, 400);
+  }
+};
+
+// Recompute avg_rating and safetyScore from every review the user has received
+const refreshUserRating = async (userId) => {
+  const [aggregate] = await RideReview.findAll({
+    where: { reviewee_id: userId },
+    attributes: [
+      [sequelize.fn('AVG', sequelize.col('overall_rating')), 'avg_rating'],
+      [sequelize.fn('AVG', sequelize.col('riding_safety')), 'avg_safety']
+    ],
+    raw: true
+  });
+
+  await User.update(
+    {
+      avg_rating: parseFloat(aggregate?.avg_rating || 0).toFixed(2),
+      safetyScore: parseFloat(aggregate?.avg_safety || 0).toFixed(2)
+    },
+    { where: { id: userId } }
+  );
+
+  // Cached users carry stale ratings otherwise
+  await cacheDel(`user:${userId}`);
+};
+
+const submitReview = async (ride, reviewerId, { reviewee_id, punctuality, riding_safety, friendliness, comment = null }) => {
+  assertReviewWindowOpen(ride);
+
+  if (reviewee_id === reviewerId) {
+    throw new AppError('You cannot review yourself', 400);
+  }
+
+  const memberIds = await getRideMemberIds(ride);
+  if (!memberIds.includes(reviewerId)) {
+    throw new AppError('Only riders on this ride can leave reviews', 403);
+  }
+  if (!memberIds.includes(reviewee_id)) {
+    throw new AppError('You can only review people who were on this ride', 400);
+  }
+
+  let review;
+  try {
+    review = await RideReview.create({
+      ride_id: ride.id,
+      reviewer_id: reviewerId,
+      reviewee_id,
+      reviewee_role: reviewee_id === ride.creator_id ? 'organiser' : 'rider',
+      punctuality,
+      riding_safety,
+      friendliness,
+      comment: comment || null
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new AppError('You have already reviewed this rider for this ride', 400);
+    }
+    throw error;
+  }
+
+  await refreshUserRating(reviewee_id);
+
+  emitToUser(reviewee_id, 'review_received', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    review_id: review.id,
+    overall_rating: parseFloat(review.overall_rating)
+  });
+
+  return review;
+};
+
+// Organisers answer reviews of how they ran the ride. One reply, which can be edited.
+const replyToReview = async (ride, reviewId, userId, reply) => {
+  const review = await RideReview.findOne({
+    where: { id: reviewId, ride_id: ride.id }
+  });
+
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  if (review.reviewee_role !== 'organiser' || review.reviewee_id !== userId) {
+    throw new AppError('Only the organiser being reviewed can reply', 403);
+  }
+
+  await review.update({ reply, replied_at: new Date() });
+
+  emitToUser(review.reviewer_id, 'review_replied', {
+    ride_id: ride.id,
+    review_id: review.id
+  });
+
+  return review;
+};
+
+// Ride members the user has not reviewed yet, while the review window is open
+const getPendingReviewees = async (ride, userId) => {
+  assertReviewWindowOpen(ride);
+
+  const memberIds = await getRideMemberIds(ride);
+  if (!memberIds.includes(userId)) {
+    throw new AppError('Only riders on this ride can leave reviews', 403);
+  }
+
+  const written = await RideReview.findAll({
+    where: { ride_id: ride.id, reviewer_id: userId },
+    attributes: ['reviewee_id']
+  });
+  const reviewedIds = new Set(written.map(review => review.reviewee_id));
+
+  const pendingIds = memberIds.filter(id => id !== userId && !reviewedIds.has(id));
+  if (pendingIds.length === 0) return [];
+
+  const users = await User.findAll({
+    where: { id: { [Op.in]: pendingIds } },
+    attributes: reviewUserAttributes
+  });
+
+  return users.map(user => ({
+    ...user.toJSON(),
+    role: user.id === ride.creator_id ? 'organiser' : 'rider'
+  }));
+};
+
+const getRideReviews = (rideId, { limit, offset }) => {
+  return RideReview.findAndCountAll({
+    where: { ride_id: rideId },
+    include: [
+      { model: User, as: 'reviewer', attributes: reviewUserAttributes },
+      { model: User, as: 'reviewee', attributes: reviewUserAttributes }
+    ],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+const getUserReviews = (userId, { limit, offset }) => {
+  return RideReview.findAndCountAll({
+    where: { reviewee_id: userId },
+    include: [
+      { model: User, as: 'reviewer', attributes: reviewUserAttributes }
+    ],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+// Per-category averages for a user's profile
+const getUserReviewSummary = async (userId) => {
+  const [summary] = await RideReview.findAll({
+    where: { reviewee_id: userId },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'review_count'],
+      [sequelize.fn('AVG', sequelize.col('overall_rating')), 'avg_rating'],
+      [sequelize.fn('AVG', sequelize.col('punctuality')), 'punctuality'],
+      [sequelize.fn('AVG', sequelize.col('riding_safety')), 'riding_safety'],
+      [sequelize.fn('AVG', sequelize.col('friendliness')), 'friendliness']
+    ],
+    raw: true
+  });
+
+  const average = (value) => value === null || value === undefined ? null : parseFloat(parseFloat(value).toFixed(2));
+
+  return {
+    review_count: parseInt(summary?.review_count || 0),
+    avg_rating: average(summary?.avg_rating),
+    punctuality: average(summary?.punctuality),
+    riding_safety: average(summary?.riding_safety),
+    friendliness: average(summary?.friendliness)
+  };
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  submitReview,
+  replyToReview,
+  getPendingReviewees,
+  getRideReviews,
+  getUserReviews,
+  getUserReviewSummary,
+  refreshUserRating
+};
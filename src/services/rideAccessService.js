@@ -0,0 +1,43 @@
+const { User, Group } = require('../models');
+const { getRideRole } = require('./rideCrewService');
+
+// Helper function to check if user can access a specific ride
+const canUserAccessRide = async (ride, userId) => {
+  if (!ride) return false;
+
+  if (ride.visibility === 'public') return true;
+
+  if (!userId) return false;
+
+  if (ride.visibility === 'private') {
+    return ride.creator_id === userId;
+  }
+
+  if (ride.visibility === 'group_only' && ride.group_id) {
+    const userWithGroups = await User.findByPk(userId, {
+      include: [{
+        model: Group,
+        as: 'joinedGroups',
+        where: { id: ride.group_id },
+        through: { attributes: [] },
+        required: false
+      }]
+    });
+
+    return userWithGroups?.joinedGroups?.length > 0;
+  }
+
+  return false;
+};
+
+// Albums, itineraries and other ride content: anyone who can see the ride, plus its riders
+// and crew, who may be on a private ride
+const canUserViewRideContent = async (ride, userId) => {
+  if (await canUserAccessRide(ride, userId)) return true;
+  return !!await getRideRole(ride, userId);
+};
+
+module.exports = {
+  canUserAccessRide,
+  canUserViewRideContent
+};
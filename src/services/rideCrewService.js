@@ -0,0 +1,144 @@
+const { Op } = require('sequelize');
+const { User, RideParticipant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { emitToRide, emitToUser } = require('../sockets/socketEmitter');
+
+// The ride creator is always the organiser; everyone else gets their role from ride_participants
+const ORGANISER_ROLE = 'organiser';
+
+const CREW_ROLE_LABELS = {
+  organiser: 'Organiser',
+  co_organiser: 'Co-organiser',
+  lead: 'Lead rider',
+  sweep: 'Sweep rider',
+  medic: 'Medic'
+};
+
+// What each ride role may do. Controllers check permissions, never role names.
+const RIDE_ROLE_PERMISSIONS = {
+  organiser: [
+    'edit_ride',
+    'cancel_ride',
+    'delete_ride',
+    'manage_crew',
+    'manage_participants',
+    'run_ride',
+    'check_in',
+    'view_medical_info',
+    'manage_expenses',
+    'curate_album'
+  ],
+  co_organiser: [
+    'edit_ride',
+    'manage_participants',
+    'run_ride',
+    'check_in',
+    'view_medical_info',
+    'manage_expenses',
+    'curate_album'
+  ],
+  lead: ['run_ride', 'check_in'],
+  sweep: ['check_in'],
+  medic: ['view_medical_info'],
+  rider: []
+};
+
+const crewUserAttributes = ['id', 'first_name', 'last_name', 'profile_picture', 'phone_number'];
+
+const getActiveParticipant = (rideId, userId) => {
+  return RideParticipant.findOne({
+    where: { ride_id: rideId, user_id: userId, status: { [Op.ne]: 'cancelled' } }
+  });
+};
+
+// 'organiser', the participant's role, or null for people not on the ride
+const getRideRole = async (ride, userId) => {
+  if (!userId) return null;
+  if (ride.creator_id === userId) return ORGANISER_ROLE;
+
+  const participant = await getActiveParticipant(ride.id, userId);
+  return participant ? participant.role : null;
+};
+
+const roleHasPermission = (role, permission) => (RIDE_ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const getRidePermissions = (role) => RIDE_ROLE_PERMISSIONS[role] || [];
+
+const hasRidePermission = async (ride, userId, permission) => {
+  return roleHasPermission(await getRideRole(ride, userId), permission);
+};
+
+// Organiser plus every participant holding a crew role
+const getRideCrew = async (ride) => {
+  const [organiser, crew] = await Promise.all([
+    User.findByPk(ride.creator_id, { attributes: crewUserAttributes }),
+    RideParticipant.findAll({
+      where: {
+        ride_id: ride.id,
+        status: { [Op.ne]: 'cancelled' },
+        role: { [Op.in]: RideParticipant.CREW_ROLES }
+      },
+      include: [{ model: User, as: 'user', attributes: crewUserAttributes }],
+      order: [['role', 'ASC'], ['joined_at', 'ASC']]
+    })
+  ]);
+
+  return [
+    { role: ORGANISER_ROLE, label: CREW_ROLE_LABELS.organiser, user: organiser },
+    ...crew.map(member => ({
+      role: member.role,
+      label: CREW_ROLE_LABELS[member.role],
+      user: member.user
+    }))
+  ];
+};
+
+// Give a participant a crew role, or 'rider' to take it away again
+const assignCrewRole = async (ride, userId, role, assignedBy) => {
+  if (userId === ride.creator_id) {
+    throw new AppError('The ride creator is always the organiser', 400);
+  }
+
+  // Crew can still change mid-ride, e.g. when the sweep rider has to drop out
+  if (['completed', 'cancelled'].includes(ride.status)) {
+    throw new AppError(`Crew cannot be changed on ${ride.status} rides`, 400);
+  }
+
+  const participant = await getActiveParticipant(ride.id, userId);
+  if (!participant) {
+    throw new AppError('Crew roles can only be given to participants of this ride', 400);
+  }
+
+  const isCrew = role !== 'rider';
+  await participant.update({
+    role,
+    role_assigned_by: isCrew ? assignedBy : null
+  });
+
+  emitToRide(ride.id, 'ride_crew_updated', {
+    ride_id: ride.id,
+    user_id: userId,
+    role
+  });
+
+  emitToUser(userId, 'ride_role_assigned', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    role,
+    permissions: getRidePermissions(role)
+  });
+
+  return participant;
+};
+
+module.exports = {
+  ORGANISER_ROLE,
+  CREW_ROLE_LABELS,
+  RIDE_ROLE_PERMISSIONS,
+  getRideRole,
+  roleHasPermission,
+  getRidePermissions,
+  hasRidePermission,
+  getRideCrew,
+  assignCrewRole
+};
@@ -0,0 +1,152 @@
+const { Op } = require('sequelize');
+const { sequelize, Ride, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { cacheDel } = require('../config/redis');
+const { closeRideWaitlist } = require('./waitlistService');
+const { closeRideJoinRequests } = require('./joinRequestService');
+const { createScheduler } = require('../utils/scheduler');
+
+// Organisers may start a ride this long before its scheduled time
+const EARLY_START_WINDOW_HOURS = 2;
+
+// Ongoing rides are auto-completed this long after their scheduled end
+const AUTO_COMPLETE_GRACE_HOURS = 1;
+
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Credit totalRides and totalDistance to the creator and every participant
+const creditRideCompletion = async (ride, transaction) => {
+  const participants = await ride.getParticipants({
+    attributes: ['id'],
+    joinTableAttributes: [],
+    transaction
+  });
+
+  const userIds = [...new Set([ride.creator_id, ...participants.map(p => p.id)])];
+  const distance = parseFloat(ride.distance_km) || 0;
+
+  await User.increment(
+    { totalRides: 1, totalDistance: distance },
+    { where: { id: { [Op.in]: userIds } }, transaction }
+  );
+
+  return userIds;
+};
+
+// Move a ride to a new status, enforcing the Ride.STATUS_TRANSITIONS state machine.
+// The update is conditional on the status we read, so concurrent transitions
+// (e.g. the sweeper and an organiser) cannot both succeed.
+const transitionRideStatus = async (ride, status) => {
+  if (!ride.canTransitionTo(status)) {
+    throw new AppError(`Cannot move a ${ride.status} ride to ${status}`, 400);
+  }
+
+  const now = new Date();
+  const updates = { status };
+  if (status === 'ongoing') updates.started_at = now;
+  if (status === 'completed') updates.completed_at = now;
+
+  let creditedUserIds = [];
+
+  await sequelize.transaction(async (transaction) => {
+    const [affectedRows] = await Ride.update(updates, {
+      where: { id: ride.id, status: ride.status },
+      transaction
+    });
+
+    if (affectedRows === 0) {
+      throw new AppError('Ride status has changed, please refresh and try again', 409);
+    }
+
+    if (status === 'completed') {
+      creditedUserIds = await creditRideCompletion(ride, transaction);
+    }
+  });
+
+  // Cached users carry stale totals otherwise
+  await Promise.all(creditedUserIds.map(userId => cacheDel(`user:${userId}`)));
+
+  // Nobody can be promoted into a ride that has already left
+  if (status === 'ongoing') {
+    await closeRideWaitlist(ride.id);
+    await closeRideJoinRequests(ride.id);
+  }
+
+  return ride.reload();
+};
+
+const markRideStarted = async (ride, { now = new Date() } = {}) => {
+  const earliestStart = new Date(ride.getScheduledStart().getTime() - EARLY_START_WINDOW_HOURS * 60 * 60 * 1000);
+  if (now < earliestStart) {
+    throw new AppError(`Rides can only be started up to ${EARLY_START_WINDOW_HOURS} hours before their scheduled time`, 400);
+  }
+
+  return transitionRideStatus(ride, 'ongoing');
+};
+
+const markRideCompleted = async (ride) => {
+  return transitionRideStatus(ride, 'completed');
+};
+
+// Auto-start rides whose start time has passed and auto-complete rides past their end
+const runLifecycleSweep = async (now = new Date()) => {
+  const today = now.toISOString().split('T')[0];
+  const result = { started: [], completed: [], failed: [] };
+
+  const dueRides = await Ride.findAll({
+    where: {
+      status: 'upcoming',
+      ride_date: { [Op.lte]: today }
+    }
+  });
+
+  for (const ride of dueRides) {
+    if (ride.getScheduledStart() > now) continue;
+
+    try {
+      await transitionRideStatus(ride, 'ongoing');
+      result.started.push(ride.id);
+    } catch (error) {
+      console.error(`Failed to auto-start ride ${ride.id}:`, error.message);
+      result.failed.push(ride.id);
+    }
+  }
+
+  const ongoingRides = await Ride.findAll({ where: { status: 'ongoing' } });
+  const graceMs = AUTO_COMPLETE_GRACE_HOURS * 60 * 60 * 1000;
+
+  for (const ride of ongoingRides) {
+    if (ride.getScheduledEnd().getTime() + graceMs > now.getTime()) continue;
+
+    try {
+      await transitionRideStatus(ride, 'completed');
+      result.completed.push(ride.id);
+    } catch (error) {
+      console.error(`Failed to auto-complete ride ${ride.id}:`, error.message);
+      result.failed.push(ride.id);
+    }
+  }
+
+  if (result.started.length || result.completed.length) {
+    console.log(`🏍️ Ride lifecycle sweep: ${result.started.length} started, ${result.completed.length} completed`);
+  }
+
+  return result;
+};
+
+const lifecycleScheduler = createScheduler(runLifecycleSweep, { label: 'Ride lifecycle sweep' });
+
+const startRideLifecycleScheduler = (intervalMs = parseInt(process.env.RIDE_LIFECYCLE_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS) => lifecycleScheduler.start(intervalMs);
+
+const stopRideLifecycleScheduler = () => lifecycleScheduler.stop();
+
+module.exports = {
+  EARLY_START_WINDOW_HOURS,
+  AUTO_COMPLETE_GRACE_HOURS,
+  transitionRideStatus,
+  markRideStarted,
+  markRideCompleted,
+  runLifecycleSweep,
+  startRideLifecycleScheduler,
+  stopRideLifecycleScheduler
+};
@@ -0,0 +1,204 @@
+const { User, RideMedia } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { cloudinary, uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { emitToRide } = require('../sockets/socketEmitter');
+const { canUserViewRideContent } = require('./rideAccessService');
+const { getRideRole, hasRidePermission } = require('./rideCrewService');
+
+const mediaUserAttributes = ['id', 'first_name', 'last_name', 'profile_picture'];
+
+// Riders add to the album while the ride is on and once it is over
+const UPLOADABLE_STATUSES = ['ongoing', 'completed'];
+
+// Cloudinary reports EXIF GPS values as text, e.g. `12 deg 58' 13.20" N` or a plain decimal
+const parseExifCoordinate = (value, ref) => {
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim();
+  let degrees;
+
+  const dms = text.match(/^(\d+(?:\.\d+)?)\s*deg\s*(\d+(?:\.\d+)?)'\s*(\d+(?:\.\d+)?)"?\s*([NSEW])?$/i);
+  if (dms) {
+    degrees = parseFloat(dms[1]) + parseFloat(dms[2]) / 60 + parseFloat(dms[3]) / 3600;
+    ref = dms[4] || ref;
+  } else {
+    degrees = parseFloat(text);
+  }
+
+  if (isNaN(degrees)) return null;
+
+  const hemisphere = String(ref || '').charAt(0).toUpperCase();
+  return hemisphere === 'S' || hemisphere === 'W' ? -Math.abs(degrees) : degrees;
+};
+
+const parseExifLocation = (metadata) => {
+  const latitude = parseExifCoordinate(metadata.GPSLatitude, metadata.GPSLatitudeRef);
+  const longitude = parseExifCoordinate(metadata.GPSLongitude, metadata.GPSLongitudeRef);
+
+  if (latitude === null || longitude === null) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // Cameras without a fix often write 0,0
+  if (latitude === 0 && longitude === 0) return null;
+
+  return {
+    latitude: parseFloat(latitude.toFixed(6)),
+    longitude: parseFloat(longitude.toFixed(6))
+  };
+};
+
+// EXIF dates look like "2024:06:15 07:30:12" and carry no timezone unless OffsetTimeOriginal is set
+const parseExifDate = (metadata) => {
+  const match = String(metadata.DateTimeOriginal || '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const offset = /^[+-]\d{2}:\d{2}$/.test(metadata.OffsetTimeOriginal || '') ? metadata.OffsetTimeOriginal : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toMediaRecord = (result) => {
+  const metadata = result.image_metadata || {};
+  const isVideo = result.resource_type === 'video';
+
+  return {
+    media_type: isVideo ? 'video' : 'photo',
+    url: result.secure_url,
+    public_id: result.public_id,
+    thumbnail_url: isVideo
+      ? cloudinary.url(result.public_id, { resource_type: 'video', format: 'jpg', secure: true })
+      : null,
+    width: result.width || null,
+    height: result.height || null,
+    duration_seconds: isVideo ? result.duration || null : null,
+    location: parseExifLocation(metadata),
+    taken_at: parseExifDate(metadata)
+  };
+};
+
+// Anyone who can see the ride can see its album; riders on a private ride can too
+const canViewAlbum = (ride, userId) => canUserViewRideContent(ride, userId);
+
+const findMedia = async (ride, mediaId) => {
+  const media = await RideMedia.findOne({ where: { id: mediaId, ride_id: ride.id } });
+  if (!media) {
+    throw new AppError('Media not found', 404);
+  }
+  return media;
+};
+
+const getMediaWithUploader = (mediaId) => {
+  return RideMedia.findByPk(mediaId, {
+    include: [{ model: User, as: 'uploader', attributes: mediaUserAttributes }]
+  });
+};
+
+// In the order things happened on the ride; media without a capture time go last
+const getRideAlbum = (ride, { highlights, media_type, limit, offset }) => {
+  const where = { ride_id: ride.id };
+  if (highlights) where.is_highlight = true;
+  if (media_type) where.media_type = media_type;
+
+  return RideMedia.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'uploader', attributes: mediaUserAttributes }],
+    order: [['taken_at', 'ASC NULLS LAST'], ['created_at', 'ASC']],
+    limit,
+    offset
+  });
+};
+
+const uploadRideMedia = async (ride, userId, files, { caption }) => {
+  if (!await getRideRole(ride, userId)) {
+    throw new AppError('Only riders on this ride can add to its album', 403);
+  }
+
+  if (!UPLOADABLE_STATUSES.includes(ride.status)) {
+    throw new AppError('Photos and videos can be added once the ride has started', 400);
+  }
+
+  if (!files || files.length === 0) {
+    throw new AppError('Attach at least one photo or video as "media"', 400);
+  }
+
+  const results = await Promise.all(files.map(file =>
+    uploadToCloudinary(file, `ride-media/${ride.id}`, { image_metadata: true })
+  ));
+
+  const created = await RideMedia.bulkCreate(results.map(result => ({
+    ...toMediaRecord(result),
+    ride_id: ride.id,
+    uploaded_by: userId,
+    caption: caption || null
+  })));
+
+  const media = await RideMedia.findAll({
+    where: { id: created.map(item => item.id) },
+    include: [{ model: User, as: 'uploader', attributes: mediaUserAttributes }],
+    order: [['taken_at', 'ASC NULLS LAST'], ['created_at', 'ASC']]
+  });
+
+  emitToRide(ride.id, 'ride_media_added', {
+    ride_id: ride.id,
+    user_id: userId,
+    media
+  });
+
+  return media;
+};
+
+const updateMediaCaption = async (ride, mediaId, userId, caption) => {
+  const media = await findMedia(ride, mediaId);
+
+  if (media.uploaded_by !== userId) {
+    throw new AppError('You can only edit captions on your own uploads', 403);
+  }
+
+  await media.update({ caption: caption || null });
+  return getMediaWithUploader(media.id);
+};
+
+const setMediaHighlight = async (ride, mediaId, userId, isHighlight) => {
+  if (!await hasRidePermission(ride, userId, 'curate_album')) {
+    throw new AppError('Only the organiser or a co-organiser can pick highlights', 403);
+  }
+
+  const media = await findMedia(ride, mediaId);
+
+  await media.update({
+    is_highlight: isHighlight,
+    highlighted_by: isHighlight ? userId : null,
+    highlighted_at: isHighlight ? new Date() : null
+  });
+
+  return getMediaWithUploader(media.id);
+};
+
+const deleteRideMedia = async (ride, mediaId, userId) => {
+  const media = await findMedia(ride, mediaId);
+
+  if (media.uploaded_by !== userId && !await hasRidePermission(ride, userId, 'curate_album')) {
+    throw new AppError('You can only remove your own uploads', 403);
+  }
+
+  try {
+    await deleteFromCloudinary(media.public_id, {
+      resource_type: media.media_type === 'video' ? 'video' : 'image'
+    });
+  } catch (error) {
+    // The album entry goes either way; an orphaned file is only a storage cost
+    console.error('Failed to delete ride media from Cloudinary:', error.message);
+  }
+
+  await media.destroy();
+};
+
+module.exports = {
+  canViewAlbum,
+  getRideAlbum,
+  uploadRideMedia,
+  updateMediaCaption,
+  setMediaHighlight,
+  deleteRideMedia
+};
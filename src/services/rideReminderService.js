@@ -0,0 +1,141 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Ride, User, RideReminder } = require('../models');
+const { sendRideReminder } = require('./notificationService');
+const { createScheduler } = require('../utils/scheduler');
+
+// Hours before the ride start at which reminders go out.
+// Override per deployment with RIDE_REMINDER_OFFSETS_HOURS=24,2
+const DEFAULT_REMINDER_OFFSETS_HOURS = [24, 2];
+
+const DEFAULT_REMINDER_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const getReminderOffsets = () => {
+  if (!process.env.RIDE_REMINDER_OFFSETS_HOURS) return DEFAULT_REMINDER_OFFSETS_HOURS;
+
+  const offsets = process.env.RIDE_REMINDER_OFFSETS_HOURS
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+
+  if (offsets.length === 0) {
+    console.warn('⚠️  Invalid RIDE_REMINDER_OFFSETS_HOURS, using default reminder offsets');
+    return DEFAULT_REMINDER_OFFSETS_HOURS;
+  }
+
+  return [...new Set(offsets)];
+};
+
+// The reminder to send now: the smallest offset whose time has come.
+// After downtime only the closest reminder goes out instead of all missed ones at once.
+const getDueOffset = (ride, offsets, now) => {
+  const msUntilStart = ride.getScheduledStart().getTime() - now.getTime();
+  if (msUntilStart <= 0) return null;
+
+  const dueOffsets = offsets.filter(offset => msUntilStart <= offset * HOUR_MS);
+  return dueOffsets.length ? Math.min(...dueOffsets) : null;
+};
+
+// Insert first, send second: the unique index makes the row a claim,
+// so two instances (or a restart mid-run) cannot remind the same user twice
+const claimReminder = async (rideId, userId, offsetHours) => {
+  try {
+    return await RideReminder.create({ ride_id: rideId, user_id: userId, offset_hours: offsetHours });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+};
+
+const sendDueReminders = async (ride, offsetHours, now) => {
+  const participants = await ride.getParticipants({
+    attributes: ['id', 'first_name', 'phone_number', 'email'],
+    joinTableAttributes: []
+  });
+  const creator = await User.findByPk(ride.creator_id, {
+    attributes: ['id', 'first_name', 'phone_number', 'email']
+  });
+
+  const recipients = creator ? [creator, ...participants.filter(p => p.id !== creator.id)] : participants;
+  if (recipients.length === 0) return 0;
+
+  const alreadySent = await RideReminder.findAll({
+    where: { ride_id: ride.id, offset_hours: offsetHours },
+    attributes: ['user_id']
+  });
+  const sentUserIds = new Set(alreadySent.map(reminder => reminder.user_id));
+
+  // Riders who joined after the offset passed still get told the real time left
+  const hoursBeforeRide = Math.max(1, Math.round((ride.getScheduledStart().getTime() - now.getTime()) / HOUR_MS));
+
+  let sentCount = 0;
+  for (const user of recipients) {
+    if (sentUserIds.has(user.id)) continue;
+
+    const claim = await claimReminder(ride.id, user.id, offsetHours);
+    if (!claim) continue;
+
+    try {
+      await sendRideReminder(user, ride, hoursBeforeRide);
+      sentCount++;
+    } catch (error) {
+      // Release the claim so the next run tries again
+      console.error(`Failed to send ride reminder to user ${user.id} for ride ${ride.id}:`, error.message);
+      await claim.destroy();
+    }
+  }
+
+  return sentCount;
+};
+
+const runReminderSweep = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  const horizonDays = Math.ceil(Math.max(...offsets) / 24) + 1;
+
+  // Narrow by date in SQL, then compare exact start times
+  const rides = await Ride.findAll({
+    where: {
+      status: 'upcoming',
+      ride_date: {
+        [Op.between]: [
+          new Date(now.getTime() - DAY_MS).toISOString().split('T')[0],
+          new Date(now.getTime() + horizonDays * DAY_MS).toISOString().split('T')[0]
+        ]
+      }
+    }
+  });
+
+  let sentCount = 0;
+  for (const ride of rides) {
+    const offsetHours = getDueOffset(ride, offsets, now);
+    if (!offsetHours) continue;
+
+    try {
+      sentCount += await sendDueReminders(ride, offsetHours, now);
+    } catch (error) {
+      console.error(`Failed to send reminders for ride ${ride.id}:`, error);
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`⏰ Ride reminders: sent ${sentCount}`);
+  }
+
+  return sentCount;
+};
+
+const reminderScheduler = createScheduler(runReminderSweep, { label: 'Ride reminder sweep' });
+
+const startRideReminderScheduler = (intervalMs = parseInt(process.env.RIDE_REMINDER_INTERVAL_MS) || DEFAULT_REMINDER_INTERVAL_MS) => reminderScheduler.start(intervalMs);
+
+const stopRideReminderScheduler = () => reminderScheduler.stop();
+
+module.exports = {
+  getReminderOffsets,
+  getDueOffset,
+  runReminderSweep,
+  startRideReminderScheduler,
+  stopRideReminderScheduler
+};
@@ -0,0 +1,252 @@
+const { Op } = require('sequelize');
+const { User, RideParticipant, RideJoinRequest, RideWaitlist, RideRequirementWaiver, RideDocumentVerification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const EXPERIENCE_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+
+// Requirement keys organisers can waive, in the order they are checked
+const REQUIREMENT_KEYS = ['min_age', 'max_age', 'experience_level', 'bike_type', 'license_required', 'insurance_required'];
+
+// Profiles predate bike_type; fall back on the coarse bike_info.type where it maps cleanly
+const LEGACY_BIKE_TYPES = {
+  scooter: 'Scooter',
+  electric: 'Electric'
+};
+
+const DOCUMENT_LABELS = {
+  driving_license: 'driving license',
+  insurance: 'insurance'
+};
+
+const toDateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Age in whole years on the given date
+const getAgeOn = (dateOfBirth, onDate) => {
+  const birth = new Date(dateOfBirth);
+  const on = new Date(onDate);
+
+  const age = on.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayPassed = on.getUTCMonth() > birth.getUTCMonth()
+    || (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() >= birth.getUTCDate());
+
+  return birthdayPassed ? age : age - 1;
+};
+
+const getBikeType = (user) => {
+  const bikeInfo = user.bike_info || {};
+  return bikeInfo.bike_type || LEGACY_BIKE_TYPES[bikeInfo.type] || null;
+};
+
+// Document status for a required document: null when it was verified for this ride and is
+// valid on the ride date
+const getDocumentProblem = (user, documentKey, rideDate, verifications) => {
+  const document = user.documents?.[documentKey];
+  const label = DOCUMENT_LABELS[documentKey];
+
+  if (!document) {
+    return { actual: 'missing', message: `A verified ${label} is required for this ride` };
+  }
+
+  const verification = verifications.find(item => item.document === documentKey);
+  if (!verification || !verification.covers(document)) {
+    return { actual: 'unverified', message: `Your ${label} has not been verified yet` };
+  }
+
+  if (document.expires_on && toDateOnly(document.expires_on) < toDateOnly(rideDate)) {
+    return { actual: 'expired', message: `Your ${label} expires before the ride date` };
+  }
+
+  return null;
+};
+
+// Compare a rider profile against ride.requirements.
+// Returns every unmet requirement so the client can show them all at once.
+const evaluateRideRequirements = (ride, user, waiver = null, verifications = []) => {
+  const requirements = ride.requirements || {};
+  const unmet = [];
+
+  const minAge = requirements.min_age ? parseInt(requirements.min_age, 10) : null;
+  const maxAge = requirements.max_age ? parseInt(requirements.max_age, 10) : null;
+
+  if (minAge || maxAge) {
+    const age = user.date_of_birth ? getAgeOn(user.date_of_birth, ride.ride_date) : null;
+
+    if (minAge && (age === null || age < minAge)) {
+      unmet.push({
+        requirement: 'min_age',
+        required: minAge,
+        actual: age,
+        message: age === null
+          ? 'Add your date of birth to your profile to join this ride'
+          : `Riders must be at least ${minAge} years old`
+      });
+    }
+
+    if (maxAge && (age === null || age > maxAge)) {
+      unmet.push({
+        requirement: 'max_age',
+        required: maxAge,
+        actual: age,
+        message: age === null
+          ? 'Add your date of birth to your profile to join this ride'
+          : `Riders must be at most ${maxAge} years old`
+      });
+    }
+  }
+
+  if (requirements.experience_level) {
+    const requiredRank = EXPERIENCE_LEVELS.indexOf(requirements.experience_level);
+    const actualRank = EXPERIENCE_LEVELS.indexOf(user.experience_level);
+
+    if (requiredRank !== -1 && actualRank < requiredRank) {
+      unmet.push({
+        requirement: 'experience_level',
+        required: requirements.experience_level,
+        actual: user.experience_level || null,
+        message: `This ride needs ${requirements.experience_level} experience or above`
+      });
+    }
+  }
+
+  if (requirements.bike_type && requirements.bike_type !== 'Any') {
+    const bikeType = getBikeType(user);
+
+    if (bikeType !== requirements.bike_type) {
+      unmet.push({
+        requirement: 'bike_type',
+        required: requirements.bike_type,
+        actual: bikeType,
+        message: `This ride is for ${requirements.bike_type} bikes`
+      });
+    }
+  }
+
+  if (requirements.license_required) {
+    const problem = getDocumentProblem(user, 'driving_license', ride.ride_date, verifications);
+    if (problem) {
+      unmet.push({ requirement: 'license_required', required: true, ...problem });
+    }
+  }
+
+  if (requirements.insurance_required) {
+    const problem = getDocumentProblem(user, 'insurance', ride.ride_date, verifications);
+    if (problem) {
+      unmet.push({ requirement: 'insurance_required', required: true, ...problem });
+    }
+  }
+
+  const waived = waiver ? unmet.filter(item => waiver.waives(item.requirement)) : [];
+  const remaining = unmet.filter(item => !waived.includes(item));
+
+  return {
+    eligible: remaining.length === 0,
+    unmet: remaining,
+    waived: waived.map(item => item.requirement)
+  };
+};
+
+const getRequirementWaiver = (rideId, userId) => {
+  return RideRequirementWaiver.findOne({
+    where: { ride_id: rideId, user_id: userId }
+  });
+};
+
+const checkRideEligibility = async (ride, userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'date_of_birth', 'experience_level', 'bike_info', 'documents']
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [waiver, verifications] = await Promise.all([
+    getRequirementWaiver(ride.id, userId),
+    RideDocumentVerification.findAll({ where: { ride_id: ride.id, user_id: userId } })
+  ]);
+  return evaluateRideRequirements(ride, user, waiver, verifications);
+};
+
+// Organiser override for one rider; replaces any earlier waiver on the same ride
+const grantRequirementWaiver = async (ride, userId, grantedBy, { requirements = null, reason = null } = {}) => {
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const waiverData = {
+    requirements: requirements && requirements.length ? requirements : null,
+    reason,
+    granted_by: grantedBy
+  };
+
+  const existing = await getRequirementWaiver(ride.id, userId);
+
+  return existing
+    ? existing.update(waiverData)
+    : RideRequirementWaiver.create({ ...waiverData, ride_id: ride.id, user_id: userId });
+};
+
+// Riders an organiser deals with on this ride: on it, asking to join, or waiting for a place
+const isRideApplicant = async (ride, userId) => {
+  const [participant, joinRequest, waitlistEntry] = await Promise.all([
+    RideParticipant.findOne({ where: { ride_id: ride.id, user_id: userId, status: { [Op.ne]: 'cancelled' } } }),
+    RideJoinRequest.findOne({ where: { ride_id: ride.id, user_id: userId, status: { [Op.in]: ['pending', 'approved'] } } }),
+    RideWaitlist.findOne({ where: { ride_id: ride.id, user_id: userId, status: { [Op.in]: ['waiting', 'offered'] } } })
+  ]);
+
+  return !!(participant || joinRequest || waitlistEntry);
+};
+
+// An organiser has checked a rider's license or insurance for this ride. The check is tied to
+// the document they saw, so a different number or expiry date needs checking again.
+const verifyRiderDocument = async (ride, userId, documentKey, verifiedBy) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'documents'] });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!await isRideApplicant(ride, userId)) {
+    throw new AppError('Documents can only be verified for riders on this ride, asking to join it or on its waitlist', 400);
+  }
+
+  const document = user.documents?.[documentKey];
+  if (!document) {
+    throw new AppError(`This rider has not submitted a ${DOCUMENT_LABELS[documentKey]}`, 400);
+  }
+
+  const verificationData = {
+    document_number: document.number,
+    document_expires_on: document.expires_on || null,
+    verified_by: verifiedBy
+  };
+
+  const existing = await RideDocumentVerification.findOne({
+    where: { ride_id: ride.id, user_id: userId, document: documentKey }
+  });
+
+  return existing
+    ? existing.update(verificationData)
+    : RideDocumentVerification.create({ ...verificationData, ride_id: ride.id, user_id: userId, document: documentKey });
+};
+
+const revokeRequirementWaiver = async (ride, userId) => {
+  const deleted = await RideRequirementWaiver.destroy({
+    where: { ride_id: ride.id, user_id: userId }
+  });
+
+  if (!deleted) {
+    throw new AppError('No requirement waiver found for this user', 404);
+  }
+};
+
+module.exports = {
+  REQUIREMENT_KEYS,
+  getBikeType,
+  evaluateRideRequirements,
+  checkRideEligibility,
+  getRequirementWaiver,
+  grantRequirementWaiver,
+  revokeRequirementWaiver,
+  verifyRiderDocument
+};
@@ -0,0 +1,209 @@
+const { Op, fn, col, literal, where: sqlWhere } = require('sequelize');
+const { Ride } = require('../models');
+
+const SEARCH_CONFIG = 'english';
+
+// What a rider pays at least: the general price, else the cheaper pricing option
+const RIDE_PRICE_SQL = `(CASE WHEN "Ride"."is_paid" THEN COALESCE(
+  NULLIF("Ride"."price", 0),
+  LEAST(
+    NULLIF(NULLIF("Ride"."pricing_options"->>'with_bike', '')::numeric, 0),
+    NULLIF(NULLIF("Ride"."pricing_options"->>'without_bike', '')::numeric, 0)
+  ),
+  0
+) ELSE 0 END)`;
+
+const REMAINING_SLOTS_SQL = '("Ride"."max_participants" - "Ride"."current_participants")';
+
+// Bucket ranges include min and exclude max. Prices are compared as-is, whatever the currency.
+const PRICE_BUCKETS = [
+  { key: 'free', min: 0, max: 0.01 },
+  { key: 'under_500', min: 0.01, max: 500 },
+  { key: '500_1500', min: 500, max: 1500 },
+  { key: '1500_5000', min: 1500, max: 5000 },
+  { key: '5000_plus', min: 5000, max: null }
+];
+
+const DISTANCE_BUCKETS = [
+  { key: 'under_100', min: 0, max: 100 },
+  { key: '100_250', min: 100, max: 250 },
+  { key: '250_500', min: 250, max: 500 },
+  { key: '500_plus', min: 500, max: null }
+];
+
+const SORT_COLUMNS = {
+  ride_date: ['ride_date'],
+  price: [literal(RIDE_PRICE_SQL)],
+  distance_km: ['distance_km'],
+  remaining_slots: [literal(REMAINING_SLOTS_SQL)],
+  created_at: ['created_at']
+};
+
+// Query strings carry lists as "a,b" or as repeated keys
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// websearch syntax: quoted phrases, OR, and -excluded words
+const toTsQuery = (text) => fn('websearch_to_tsquery', SEARCH_CONFIG, text);
+
+const inRange = (expression, min, max) => {
+  const range = {};
+  if (min !== undefined && min !== null && min !== '') range[Op.gte] = parseFloat(min);
+  if (max !== undefined && max !== null && max !== '') range[Op.lte] = parseFloat(max);
+  return Object.getOwnPropertySymbols(range).length ? sqlWhere(expression, range) : null;
+};
+
+const requirementIn = (key, values) => ({
+  [Op.or]: values.map(value => ({ requirements: { [Op.contains]: { [key]: value } } }))
+});
+
+// One condition per facet, so each facet's counts can leave out its own filter
+const buildFilterConditions = (filters) => {
+  const conditions = {};
+
+  if (filters.q) {
+    conditions.q = sqlWhere(col('Ride.search_vector'), Op.match, toTsQuery(filters.q));
+  }
+
+  const amenities = toList(filters.amenities);
+  if (amenities.length) {
+    // Rides must offer every requested amenity
+    conditions.amenities = { amenities: { [Op.contains]: amenities } };
+  }
+
+  const experienceLevels = toList(filters.experience_level);
+  if (experienceLevels.length) {
+    conditions.experience_level = requirementIn('experience_level', experienceLevels);
+  }
+
+  const bikeTypes = toList(filters.bike_type);
+  if (bikeTypes.length) {
+    conditions.bike_type = requirementIn('bike_type', bikeTypes);
+  }
+
+  const price = inRange(literal(RIDE_PRICE_SQL), filters.price_min, filters.price_max);
+  if (price) conditions.price = price;
+
+  const distance = inRange(col('Ride.distance_km'), filters.distance_min, filters.distance_max);
+  if (distance) conditions.distance = distance;
+
+  // Multi-day rides match on any of their days
+  if (filters.date_from || filters.date_to) {
+    conditions.date = Ride.spansDates(filters.date_from, filters.date_to);
+  }
+
+  if (filters.min_slots) {
+    conditions.slots = sqlWhere(literal(REMAINING_SLOTS_SQL), Op.gte, parseInt(filters.min_slots));
+  }
+
+  if (filters.is_paid !== undefined) {
+    conditions.is_paid = { is_paid: String(filters.is_paid) === 'true' };
+  }
+
+  return conditions;
+};
+
+const combineWhere = (baseWhere, conditions, excludeFacet = null) => ({
+  [Op.and]: [
+    baseWhere,
+    ...Object.entries(conditions)
+      .filter(([facet]) => facet !== excludeFacet)
+      .map(([, condition]) => condition)
+  ]
+});
+
+const countFilter = (condition) => literal(`COUNT(*) FILTER (WHERE ${condition})`);
+
+const bucketCondition = (expression, { min, max }) => {
+  return max === null ? `${expression} >= ${min}` : `${expression} >= ${min} AND ${expression} < ${max}`;
+};
+
+// Each facet is counted over the results of every other filter, so picking one amenity
+// still shows how many rides the other amenities would add
+const FACETS = {
+  amenities: () => Ride.AMENITIES.map(amenity => ({
+    value: amenity,
+    condition: `"Ride"."amenities" @> '${JSON.stringify([amenity])}'::jsonb`
+  })),
+  experience_level: () => Ride.EXPERIENCE_LEVELS.map(level => ({
+    value: level,
+    condition: `"Ride"."requirements" @> '${JSON.stringify({ experience_level: level })}'::jsonb`
+  })),
+  bike_type: () => Ride.BIKE_TYPES.map(bikeType => ({
+    value: bikeType,
+    condition: `"Ride"."requirements" @> '${JSON.stringify({ bike_type: bikeType })}'::jsonb`
+  })),
+  price: () => PRICE_BUCKETS.map(bucket => ({
+    value: bucket.key,
+    min: bucket.min,
+    max: bucket.max,
+    condition: bucketCondition(RIDE_PRICE_SQL, bucket)
+  })),
+  distance: () => DISTANCE_BUCKETS.map(bucket => ({
+    value: bucket.key,
+    min: bucket.min,
+    max: bucket.max,
+    condition: bucketCondition('"Ride"."distance_km"', bucket)
+  }))
+};
+
+const countFacet = async (facet, baseWhere, conditions) => {
+  const options = FACETS[facet]();
+
+  const counts = await Ride.findOne({
+    attributes: options.map((option, index) => [countFilter(option.condition), `option_${index}`]),
+    where: combineWhere(baseWhere, conditions, facet),
+    raw: true
+  });
+
+  return options.map(({ condition, ...option }, index) => ({
+    ...option,
+    count: parseInt(counts[`option_${index}`]) || 0
+  }));
+};
+
+const getFacetCounts = async (baseWhere, conditions) => {
+  const facetNames = Object.keys(FACETS);
+  const counts = await Promise.all(facetNames.map(facet => countFacet(facet, baseWhere, conditions)));
+  return Object.fromEntries(facetNames.map((facet, index) => [facet, counts[index]]));
+};
+
+// baseWhere carries status and visibility; filters are the validated search query
+const searchRides = async (filters, { baseWhere = {}, include, limit = 20, offset = 0 } = {}) => {
+  const conditions = buildFilterConditions(filters);
+  const where = combineWhere(baseWhere, conditions);
+
+  const sort = filters.sort || (filters.q ? 'relevance' : 'ride_date');
+  const direction = filters.order || (sort === 'relevance' ? 'DESC' : 'ASC');
+  const order = sort === 'relevance' && filters.q
+    ? [[fn('ts_rank', col('Ride.search_vector'), toTsQuery(filters.q)), 'DESC'], ['ride_date', 'ASC']]
+    : [[...(SORT_COLUMNS[sort] || SORT_COLUMNS.ride_date), direction], ['id', 'ASC']];
+
+  // Page through ids first, then load the includes for just this page
+  const [{ count, rows: matches }, facets] = await Promise.all([
+    Ride.findAndCountAll({ attributes: ['id'], where, order, limit, offset }),
+    getFacetCounts(baseWhere, conditions)
+  ]);
+
+  if (matches.length === 0) return { count, rows: [], facets };
+
+  const rides = await Ride.findAll({
+    where: { id: { [Op.in]: matches.map(match => match.id) } },
+    include
+  });
+  const ridesById = new Map(rides.map(ride => [ride.id, ride]));
+
+  return {
+    count,
+    rows: matches.filter(match => ridesById.has(match.id)).map(match => ridesById.get(match.id)),
+    facets
+  };
+};
+
+module.exports = {
+  searchRides
+};
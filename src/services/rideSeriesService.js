@@ -0,0 +1,316 @@
+const { Op } = require('sequelize');
+const { sequelize, Ride, RideSeries } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyRideParticipants } = require('./notificationService');
+const { closeRideWaitlist } = require('./waitlistService');
+const { closeRideJoinRequests } = require('./joinRequestService');
+const { refundCancelledRide } = require('./refundService');
+const { applyRouteGeometryUpdate } = require('./routeGeometryService');
+const { createScheduler } = require('../utils/scheduler');
+
+// How far ahead occurrences exist as real rides that people can join
+const MATERIALIZE_AHEAD_DAYS = 56; // 8 weeks
+
+const DEFAULT_MATERIALIZE_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Copied from the series row rather than the template
+const SERIES_LEVEL_FIELDS = ['title', 'ride_time', 'group_id'];
+
+// Dates are handled as UTC 'YYYY-MM-DD' strings to match DATEONLY columns
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const parseDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+const addDays = (dateString, days) => toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+
+// nth weekday of a month, or the last one when weekOfMonth is -1
+const getNthWeekdayOfMonth = (year, month, dayOfWeek, weekOfMonth) => {
+  if (weekOfMonth === -1) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    const offset = (lastDay.getUTCDay() - dayOfWeek + 7) % 7;
+    return new Date(Date.UTC(year, month, lastDay.getUTCDate() - offset));
+  }
+
+  const firstDay = new Date(Date.UTC(year, month, 1));
+  const offset = (dayOfWeek - firstDay.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (weekOfMonth - 1) * 7));
+};
+
+// All dates the recurrence rule produces between fromDate and untilDate (inclusive)
+const getOccurrenceDates = (series, fromDate, untilDate) => {
+  const lowerBound = fromDate > series.starts_on ? fromDate : series.starts_on;
+  const upperBound = series.ends_on && series.ends_on < untilDate ? series.ends_on : untilDate;
+  const dates = [];
+
+  if (lowerBound > upperBound) return dates;
+
+  if (series.frequency === 'monthly') {
+    const cursor = parseDate(lowerBound);
+    cursor.setUTCDate(1);
+
+    while (toDateString(cursor) <= upperBound) {
+      const occurrence = toDateString(
+        getNthWeekdayOfMonth(cursor.getUTCFullYear(), cursor.getUTCMonth(), series.day_of_week, series.week_of_month)
+      );
+      if (occurrence >= lowerBound && occurrence <= upperBound) {
+        dates.push(occurrence);
+      }
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+
+    return dates;
+  }
+
+  // Anchor on the first matching weekday after starts_on so biweekly series keep their parity
+  const start = parseDate(series.starts_on);
+  const anchor = addDays(series.starts_on, (series.day_of_week - start.getUTCDay() + 7) % 7);
+  const stepDays = series.frequency === 'biweekly' ? 14 : 7;
+
+  for (let date = anchor; date <= upperBound; date = addDays(date, stepDays)) {
+    if (date >= lowerBound) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+const buildOccurrenceData = (series, occurrenceDate) => ({
+  ...series.ride_template,
+  title: series.title,
+  ride_time: series.ride_time,
+  group_id: series.group_id,
+  creator_id: series.creator_id,
+  ride_date: occurrenceDate,
+  series_id: series.id,
+  series_occurrence_date: occurrenceDate
+});
+
+// Create rides for every occurrence up to the materialization horizon.
+// Safe to run repeatedly - dates that already have a ride (even a cancelled
+// or deleted one) are skipped, so cancelled occurrences never come back.
+const materializeSeries = async (series, { now = new Date(), transaction } = {}) => {
+  if (!series.isActive()) return [];
+
+  const today = toDateString(now);
+  let horizon = toDateString(new Date(now.getTime() + MATERIALIZE_AHEAD_DAYS * DAY_MS));
+  if (series.ends_on && series.ends_on < horizon) horizon = series.ends_on;
+
+  let fromDate = series.materialized_until ? addDays(series.materialized_until, 1) : series.starts_on;
+  if (fromDate < today) fromDate = today;
+
+  const dates = getOccurrenceDates(series, fromDate, horizon);
+  if (dates.length === 0) {
+    if (!series.materialized_until || series.materialized_until < horizon) {
+      await series.update({ materialized_until: horizon }, { transaction });
+    }
+    return [];
+  }
+
+  const existingRides = await Ride.findAll({
+    where: { series_id: series.id, series_occurrence_date: { [Op.in]: dates } },
+    attributes: ['series_occurrence_date'],
+    paranoid: false,
+    transaction
+  });
+  const existingDates = new Set(existingRides.map(ride => ride.series_occurrence_date));
+
+  const created = [];
+  for (const date of dates) {
+    if (existingDates.has(date)) continue;
+
+    // Today's occurrence may already be in the past
+    if (new Date(`${date}T${series.ride_time}`) <= now) continue;
+
+    // Ride.create runs the usual Ride validation hooks on every occurrence
+    created.push(await Ride.create(buildOccurrenceData(series, date), { transaction }));
+  }
+
+  await series.update({ materialized_until: horizon }, { transaction });
+
+  return created;
+};
+
+// Top up every active series whose materialized window is behind the horizon
+const materializeDueSeries = async (now = new Date()) => {
+  const horizon = toDateString(new Date(now.getTime() + MATERIALIZE_AHEAD_DAYS * DAY_MS));
+
+  const dueSeries = await RideSeries.findAll({
+    where: {
+      status: 'active',
+      [Op.or]: [
+        { materialized_until: null },
+        { materialized_until: { [Op.lt]: horizon } }
+      ]
+    }
+  });
+
+  let createdCount = 0;
+  for (const series of dueSeries) {
+    try {
+      const created = await materializeSeries(series, { now });
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Failed to materialize ride series ${series.id}:`, error.message);
+    }
+  }
+
+  if (createdCount > 0) {
+    console.log(`🔁 Ride series: created ${createdCount} upcoming rides`);
+  }
+
+  return createdCount;
+};
+
+const cancelOccurrence = async (ride, message) => {
+  const participants = await ride.getParticipants({ joinTableAttributes: [] });
+
+  await ride.update({ status: 'cancelled' });
+  await closeRideWaitlist(ride.id);
+  await closeRideJoinRequests(ride.id);
+
+  if (participants.length > 0) {
+    await notifyRideParticipants(participants, message);
+  }
+
+  if (ride.is_paid) {
+    await refundCancelledRide(ride);
+  }
+};
+
+const getUpcomingOccurrences = (series, fromDate, { includeExceptions = true, transaction } = {}) => {
+  const where = {
+    series_id: series.id,
+    status: 'upcoming',
+    series_occurrence_date: { [Op.gte]: fromDate }
+  };
+  if (!includeExceptions) where.is_series_exception = false;
+
+  return Ride.findAll({
+    where,
+    order: [['series_occurrence_date', 'ASC']],
+    transaction
+  });
+};
+
+// Apply changes to the series and to every upcoming occurrence from fromDate on.
+// Occurrences edited individually ("this occurrence") keep their own values.
+const updateFutureOccurrences = async (series, updates, { fromDate } = {}) => {
+  if (!series.isActive()) {
+    throw new AppError('Cancelled series cannot be edited', 400);
+  }
+
+  const { ends_on: endsOn, ...rideUpdates } = updates;
+  const effectiveFrom = fromDate || toDateString(new Date());
+
+  const templateUpdates = { ...rideUpdates };
+  SERIES_LEVEL_FIELDS.forEach(field => delete templateUpdates[field]);
+
+  // Validates the new route once up front, before any occurrence is touched
+  const templateGeometry = applyRouteGeometryUpdate(series.ride_template, rideUpdates);
+
+  const seriesUpdates = {
+    ride_template: { ...series.ride_template, ...templateUpdates, ...templateGeometry }
+  };
+  SERIES_LEVEL_FIELDS.forEach(field => {
+    if (rideUpdates[field] !== undefined) seriesUpdates[field] = rideUpdates[field];
+  });
+
+  let droppedRides = [];
+  if (endsOn !== undefined) {
+    seriesUpdates.ends_on = endsOn;
+    // Pull the window back so extending the series again later re-materializes
+    if (endsOn && series.materialized_until && series.materialized_until > endsOn) {
+      seriesUpdates.materialized_until = endsOn;
+    }
+  }
+
+  const updatedRides = await sequelize.transaction(async (transaction) => {
+    await series.update(seriesUpdates, { transaction });
+
+    if (endsOn) {
+      droppedRides = await Ride.findAll({
+        where: {
+          series_id: series.id,
+          status: 'upcoming',
+          series_occurrence_date: { [Op.gt]: endsOn }
+        },
+        transaction
+      });
+    }
+
+    const droppedIds = new Set(droppedRides.map(ride => ride.id));
+    const occurrences = await getUpcomingOccurrences(series, effectiveFrom, { includeExceptions: false, transaction });
+
+    const updated = [];
+    for (const ride of occurrences) {
+      if (droppedIds.has(ride.id) || Object.keys(rideUpdates).length === 0) continue;
+      updated.push(await ride.update({
+        ...rideUpdates,
+        ...applyRouteGeometryUpdate(ride, rideUpdates)
+      }, { transaction }));
+    }
+
+    return updated;
+  });
+
+  for (const ride of updatedRides) {
+    const participants = await ride.getParticipants({ joinTableAttributes: [] });
+    if (participants.length > 0) {
+      await notifyRideParticipants(participants, `Ride "${ride.title}" has been updated. Check the app for details.`);
+    }
+  }
+
+  for (const ride of droppedRides) {
+    await cancelOccurrence(ride, `Ride "${ride.title}" has been cancelled because its series now ends earlier.`);
+  }
+
+  // Extending ends_on may open up new dates inside the horizon
+  const created = await materializeSeries(series);
+
+  return {
+    series,
+    updated_count: updatedRides.length,
+    cancelled_count: droppedRides.length,
+    created_count: created.length
+  };
+};
+
+// Stop the series and cancel every occurrence that has not started yet
+const cancelSeries = async (series, reason = null) => {
+  if (!series.isActive()) {
+    throw new AppError('This series has already been cancelled', 400);
+  }
+
+  await series.update({ status: 'cancelled', cancelled_at: new Date() });
+
+  const occurrences = await getUpcomingOccurrences(series, toDateString(new Date()));
+  const message = `The ride series "${series.title}" has been cancelled. ${reason ? `Reason: ${reason}` : ''}`;
+
+  for (const ride of occurrences) {
+    await cancelOccurrence(ride, message);
+  }
+
+  return occurrences.length;
+};
+
+const materializeScheduler = createScheduler(materializeDueSeries, { label: 'Ride series materialization' });
+
+const startRideSeriesScheduler = (intervalMs = parseInt(process.env.RIDE_SERIES_MATERIALIZE_INTERVAL_MS) || DEFAULT_MATERIALIZE_INTERVAL_MS) => materializeScheduler.start(intervalMs);
+
+const stopRideSeriesScheduler = () => materializeScheduler.stop();
+
+module.exports = {
+  MATERIALIZE_AHEAD_DAYS,
+  toDateString,
+  getOccurrenceDates,
+  materializeSeries,
+  materializeDueSeries,
+  getUpcomingOccurrences,
+  updateFutureOccurrences,
+  cancelSeries,
+  startRideSeriesScheduler,
+  stopRideSeriesScheduler
+};
@@ -0,0 +1,363 @@
+const { Op } = require('sequelize');
+const { sequelize, Ride, User, RideParticipant, RideWaitlist } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { getFriendIds } = require('./recommendationService');
+const { notifyRideParticipants } = require('./notificationService');
+const { emitToRide, emitToUser } = require('../sockets/socketEmitter');
+
+const SLOT_TYPES = RideParticipant.SLOT_TYPES;
+
+const SLOT_LABELS = {
+  own_bike: 'own-bike place',
+  pillion: 'pillion seat',
+  organiser_bike: 'organiser bike'
+};
+
+// Which price each kind of place pays. Pillion riders and riders on an organiser bike
+// come without a bike of their own.
+const SLOT_PRICING_OPTIONS = {
+  own_bike: 'with_bike',
+  pillion: 'without_bike',
+  organiser_bike: 'without_bike'
+};
+
+// A rider without a bike rides pillion when a seat is free, else on an organiser bike
+const BIKELESS_SLOT_ORDER = ['pillion', 'organiser_bike'];
+
+// Rejections share a code so the app can offer the waitlist or another kind of place
+const SLOT_UNAVAILABLE = 'SLOT_UNAVAILABLE';
+
+const riderAttributes = ['id', 'first_name', 'last_name', 'profile_picture', 'phone_number'];
+
+const getActiveParticipants = (rideId, transaction = null) => {
+  return RideParticipant.findAll({
+    where: { ride_id: rideId, status: { [Op.ne]: 'cancelled' } },
+    order: [['joined_at', 'ASC']],
+    transaction
+  });
+};
+
+// Waitlist offers hold a place of the kind the rider asked for until they claim it
+const getHeldOffers = (rideId, transaction = null) => {
+  return RideWaitlist.findAll({
+    where: { ride_id: rideId, status: 'offered' },
+    attributes: ['user_id', 'slot_type'],
+    transaction
+  });
+};
+
+// Capacity, taken and available places of each kind. Every kind is also limited by the
+// ride-wide max_participants; a null capacity means that is the only limit.
+// Places held for someone else's waitlist offer are not available; the rider's own are.
+const buildSlotAvailability = (ride, participants, heldOffers = [], userId = null) => {
+  const taken = Object.fromEntries(SLOT_TYPES.map(type => [type, 0]));
+  participants.forEach((participant) => {
+    taken[participant.slot_type] += 1;
+  });
+
+  const held = Object.fromEntries(SLOT_TYPES.map(type => [type, 0]));
+  heldOffers
+    .filter(offer => offer.user_id !== userId && SLOT_TYPES.includes(offer.slot_type))
+    .forEach((offer) => {
+      held[offer.slot_type] += 1;
+    });
+
+  const capacity = {
+    own_bike: ride.own_bike_slots ?? null,
+    pillion: participants.filter(participant => participant.slot_type === 'own_bike' && participant.offers_pillion).length,
+    organiser_bike: ride.organiser_bike_slots || 0
+  };
+
+  const ridePlaces = Math.max(ride.max_participants - ride.current_participants, 0);
+
+  return Object.fromEntries(SLOT_TYPES.map((type) => {
+    const free = capacity[type] === null
+      ? ridePlaces
+      : Math.min(Math.max(capacity[type] - taken[type] - held[type], 0), ridePlaces);
+
+    return [type, { capacity: capacity[type], taken: taken[type], available: free }];
+  }));
+};
+
+const getSlotAvailability = async (ride, { userId = null, transaction = null } = {}) => {
+  const [participants, heldOffers] = await Promise.all([
+    getActiveParticipants(ride.id, transaction),
+    getHeldOffers(ride.id, transaction)
+  ]);
+
+  return buildSlotAvailability(ride, participants, heldOffers, userId);
+};
+
+const isBikeOption = (pricingOption) => Object.values(SLOT_PRICING_OPTIONS).includes(pricingOption);
+
+// The kind of place a rider would get, or null when none is free. An explicit slot type wins;
+// otherwise the without-bike pricing option means a pillion seat or an organiser bike.
+const pickSlotType = (availability, { slotType = null, pricingOption = null } = {}) => {
+  if (slotType) {
+    return availability[slotType]?.available > 0 ? slotType : null;
+  }
+
+  if (pricingOption === 'without_bike') {
+    return BIKELESS_SLOT_ORDER.find(type => availability[type].available > 0) || null;
+  }
+
+  return availability.own_bike.available > 0 ? 'own_bike' : null;
+};
+
+// Same as pickSlotType, but explains why a place cannot be had
+const resolveSlotType = (availability, { slotType = null, pricingOption = null } = {}) => {
+  if (slotType && isBikeOption(pricingOption) && SLOT_PRICING_OPTIONS[slotType] !== pricingOption) {
+    throw new AppError(
+      `A ${SLOT_LABELS[slotType]} is booked with the ${SLOT_PRICING_OPTIONS[slotType]} pricing option`,
+      400,
+      'SLOT_PRICING_MISMATCH'
+    );
+  }
+
+  const picked = pickSlotType(availability, { slotType, pricingOption });
+  if (picked) return picked;
+
+  const wanted = slotType
+    ? `${SLOT_LABELS[slotType]}s are`
+    : pricingOption === 'without_bike' ? 'pillion seats or organiser bikes are' : 'own-bike places are';
+
+  throw new AppError(`No ${wanted} free on this ride. You can join the waitlist instead.`, 400, SLOT_UNAVAILABLE);
+};
+
+// The pricing option a kind of place pays, when the ride prices it
+const getSlotPricingOption = (ride, slotType) => {
+  const option = SLOT_PRICING_OPTIONS[slotType];
+  return parseFloat(ride.pricing_options?.[option]) > 0 ? option : null;
+};
+
+// A free seat for a pillion rider: an own-bike rider offering one and not carrying anyone yet.
+// Friends of the pillion rider come first, then whoever offered earliest.
+const findPillionHost = async (participants, pillionUserId) => {
+  const carrying = new Set(participants.map(participant => participant.pillion_host_id).filter(Boolean));
+  const hosts = participants.filter(participant =>
+    participant.slot_type === 'own_bike' &&
+    participant.offers_pillion &&
+    participant.user_id !== pillionUserId &&
+    !carrying.has(participant.user_id)
+  );
+
+  if (hosts.length === 0) return null;
+
+  const friendIds = await getFriendIds(pillionUserId);
+  return (hosts.find(host => friendIds.includes(host.user_id)) || hosts[0]).user_id;
+};
+
+const announcePillionMatch = async (ride, hostId, pillionUserId) => {
+  const [host, pillion] = await Promise.all([
+    User.findByPk(hostId, { attributes: riderAttributes }),
+    User.findByPk(pillionUserId, { attributes: riderAttributes })
+  ]);
+  if (!host || !pillion) return;
+
+  emitToUser(hostId, 'pillion_matched', { ride_id: ride.id, ride_title: ride.title, pillion });
+  emitToUser(pillionUserId, 'pillion_matched', { ride_id: ride.id, ride_title: ride.title, host });
+  emitToRide(ride.id, 'ride_slots_updated', { ride_id: ride.id, action: 'pillion_matched' });
+
+  await notifyRideParticipants([host], `${pillion.first_name} will ride pillion with you on "${ride.title}".`);
+  await notifyRideParticipants([pillion], `You will ride pillion with ${host.first_name} on "${ride.title}".`);
+};
+
+// Give every pillion rider still without a host a free seat, earliest joiner first
+const matchWaitingPillions = async (ride) => {
+  const matches = await sequelize.transaction(async (transaction) => {
+    await Ride.findByPk(ride.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const participants = await getActiveParticipants(ride.id, transaction);
+
+    const made = [];
+    for (const participant of participants.filter(p => p.needsPillionHost())) {
+      const hostId = await findPillionHost(participants, participant.user_id);
+      if (!hostId) break;
+
+      await participant.update({ pillion_host_id: hostId }, { transaction });
+      made.push({ hostId, pillionUserId: participant.user_id });
+    }
+    return made;
+  });
+
+  for (const { hostId, pillionUserId } of matches) {
+    await announcePillionMatch(ride, hostId, pillionUserId);
+  }
+
+  return matches;
+};
+
+// Add a rider to a ride in a place of the given kind. The ride row is locked so two riders
+// cannot both take the last place of a kind.
+const takeRideSlot = async (ride, user, { slotType = 'own_bike', offersPillion = false } = {}) => {
+  const participant = await sequelize.transaction(async (transaction) => {
+    const lockedRide = await Ride.findByPk(ride.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const [participants, heldOffers] = await Promise.all([
+      getActiveParticipants(ride.id, transaction),
+      getHeldOffers(ride.id, transaction)
+    ]);
+
+    if (participants.some(p => p.user_id === user.id)) {
+      throw new AppError('You have already joined this ride', 400);
+    }
+
+    const availability = buildSlotAvailability(lockedRide, participants, heldOffers, user.id);
+    resolveSlotType(availability, { slotType });
+
+    const created = await RideParticipant.create({
+      ride_id: ride.id,
+      user_id: user.id,
+      slot_type: slotType,
+      offers_pillion: slotType === 'own_bike' && !!offersPillion,
+      pillion_host_id: slotType === 'pillion' ? await findPillionHost(participants, user.id) : null
+    }, { transaction });
+
+    await lockedRide.increment('current_participants', { transaction });
+    return created;
+  });
+
+  if (participant.pillion_host_id) {
+    await announcePillionMatch(ride, participant.pillion_host_id, participant.user_id);
+  } else if (participant.offers_pillion) {
+    await matchWaitingPillions(ride);
+  }
+
+  return participant;
+};
+
+// Take a rider off a ride. Pillion riders they were carrying move to another free seat,
+// or wait for one and are told so.
+const releaseRideSlot = async (ride, userId) => {
+  const passengerIds = await sequelize.transaction(async (transaction) => {
+    await Ride.findByPk(ride.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const removed = await RideParticipant.destroy({ where: { ride_id: ride.id, user_id: userId }, transaction });
+    if (removed === 0) return [];
+
+    await ride.decrement('current_participants', { transaction });
+
+    const passengers = await RideParticipant.findAll({
+      where: { ride_id: ride.id, pillion_host_id: userId },
+      attributes: ['id', 'user_id'],
+      transaction
+    });
+    await RideParticipant.update(
+      { pillion_host_id: null },
+      { where: { ride_id: ride.id, pillion_host_id: userId }, transaction }
+    );
+
+    return passengers.map(passenger => passenger.user_id);
+  });
+
+  if (passengerIds.length === 0) return;
+
+  const rematched = new Set((await matchWaitingPillions(ride)).map(match => match.pillionUserId));
+  const stranded = await User.findAll({
+    where: { id: { [Op.in]: passengerIds.filter(id => !rematched.has(id)) } }
+  });
+
+  if (stranded.length > 0) {
+    await notifyRideParticipants(
+      stranded,
+      `Your pillion host has left "${ride.title}". You keep your place and will be matched as soon as another seat is offered.`
+    );
+  }
+};
+
+// An own-bike rider offers or withdraws a pillion seat. Withdrawing moves the rider they
+// carry to another free seat, and is refused when there is none.
+const setPillionOffer = async (ride, userId, offersPillion) => {
+  if (['completed', 'cancelled'].includes(ride.status)) {
+    throw new AppError(`Pillion seats cannot be changed on ${ride.status} rides`, 400);
+  }
+
+  const { participant, moved } = await sequelize.transaction(async (transaction) => {
+    await Ride.findByPk(ride.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const participants = await getActiveParticipants(ride.id, transaction);
+
+    const own = participants.find(p => p.user_id === userId);
+    if (!own) {
+      throw new AppError('Only participants of this ride can offer a pillion seat', 400);
+    }
+    if (own.slot_type !== 'own_bike') {
+      throw new AppError('Only riders on their own bike can offer a pillion seat', 400);
+    }
+
+    let passenger = null;
+    if (!offersPillion) {
+      passenger = participants.find(p => p.pillion_host_id === userId) || null;
+      if (passenger) {
+        own.offers_pillion = false;
+        const hostId = await findPillionHost(participants.filter(p => p.id !== passenger.id), passenger.user_id);
+        if (!hostId) {
+          throw new AppError('You are carrying a pillion rider and no other seat is free to move them to', 409);
+        }
+        await passenger.update({ pillion_host_id: hostId }, { transaction });
+      }
+    }
+
+    await own.update({ offers_pillion: offersPillion }, { transaction });
+    return { participant: own, moved: passenger };
+  });
+
+  if (moved) {
+    await announcePillionMatch(ride, moved.pillion_host_id, moved.user_id);
+  } else if (offersPillion) {
+    await matchWaitingPillions(ride);
+  }
+
+  emitToRide(ride.id, 'ride_slots_updated', { ride_id: ride.id, action: 'pillion_offer', user_id: userId });
+
+  return participant;
+};
+
+// Places of each kind, and who rides pillion with whom
+const getRideSlots = async (ride) => {
+  const [availability, pillions] = await Promise.all([
+    getSlotAvailability(ride),
+    RideParticipant.findAll({
+      where: { ride_id: ride.id, slot_type: 'pillion', status: { [Op.ne]: 'cancelled' } },
+      include: [
+        { model: User, as: 'user', attributes: riderAttributes },
+        { model: User, as: 'pillionHost', attributes: riderAttributes, required: false }
+      ],
+      order: [['joined_at', 'ASC']]
+    })
+  ]);
+
+  return {
+    availability,
+    pillion_pairs: pillions
+      .filter(pillion => pillion.pillionHost)
+      .map(pillion => ({ host: pillion.pillionHost, pillion: pillion.user })),
+    unmatched_pillions: pillions.filter(pillion => !pillion.pillionHost).map(pillion => pillion.user)
+  };
+};
+
+// Capacity changes must leave room for everyone already holding a place of that kind
+const assertCapacityCovers = async (ride, { own_bike_slots, organiser_bike_slots }) => {
+  const participants = await getActiveParticipants(ride.id);
+  const taken = (type) => participants.filter(participant => participant.slot_type === type).length;
+
+  if (own_bike_slots !== undefined && own_bike_slots !== null && own_bike_slots < taken('own_bike')) {
+    throw new AppError(`${taken('own_bike')} riders already hold own-bike places`, 400);
+  }
+  if (organiser_bike_slots !== undefined && organiser_bike_slots !== null && organiser_bike_slots < taken('organiser_bike')) {
+    throw new AppError(`${taken('organiser_bike')} riders are already on organiser bikes`, 400);
+  }
+};
+
+module.exports = {
+  SLOT_TYPES,
+  SLOT_PRICING_OPTIONS,
+  SLOT_UNAVAILABLE,
+  getSlotAvailability,
+  pickSlotType,
+  resolveSlotType,
+  getSlotPricingOption,
+  takeRideSlot,
+  releaseRideSlot,
+  setPillionOffer,
+  matchWaitingPillions,
+  getRideSlots,
+  assertCapacityCovers
+};
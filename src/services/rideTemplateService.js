@@ -0,0 +1,289 @@
+const { Op } = require('sequelize');
+const { Ride, RideTemplate, User, Group } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { applyRouteGeometry } = require('./routeGeometryService');
+
+// Ride fields a template or a clone carries over. The date is always picked anew,
+// and counters, status and lifecycle timestamps belong to the original ride only.
+const RIDE_TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'start_location',
+  'end_location',
+  'waypoints',
+  'route_polyline',
+  'estimated_duration_hours',
+  'ride_time',
+  'day_segments',
+  'max_participants',
+  'own_bike_slots',
+  'organiser_bike_slots',
+  'is_paid',
+  'price',
+  'pricing_options',
+  'currency',
+  'visibility',
+  'join_mode',
+  'requirements',
+  'emergency_contacts',
+  'amenities',
+  'rules'
+];
+
+// Changing any of these on a new ride invalidates the template's road path and duration
+const ROUTE_PATH_FIELDS = ['start_location', 'end_location', 'waypoints'];
+const DERIVED_ROUTE_FIELDS = ['route_polyline', 'estimated_duration_hours'];
+
+const omitEmpty = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+// Template fields from a ride or request body, in the shape POST /api/rides accepts
+const pickRideTemplateFields = (source) => {
+  const fields = omitEmpty(Object.fromEntries(RIDE_TEMPLATE_FIELDS.map(field => [field, source[field]])));
+
+  // TIME columns come back as HH:MM:SS
+  if (fields.ride_time) fields.ride_time = String(fields.ride_time).slice(0, 5);
+
+  // DECIMAL columns come back as strings
+  ['price', 'estimated_duration_hours'].forEach(field => {
+    if (fields[field] !== undefined) fields[field] = parseFloat(fields[field]);
+  });
+
+  if (fields.requirements) fields.requirements = omitEmpty(fields.requirements);
+  if (fields.pricing_options) fields.pricing_options = omitEmpty(fields.pricing_options);
+
+  return fields;
+};
+
+const isGroupAdmin = (group, userId) => group.admin_id === userId;
+
+const isGroupMember = async (group, userId) => isGroupAdmin(group, userId) || group.hasMember(userId);
+
+// Organisers copy their own rides; group admins can copy any ride of their group
+const canCopyRide = async (ride, userId) => {
+  if (ride.creator_id === userId) return true;
+  if (!ride.group_id) return false;
+
+  const group = await Group.findByPk(ride.group_id, { attributes: ['id', 'admin_id'] });
+  return !!group && isGroupAdmin(group, userId);
+};
+
+// Personal templates belong to their creator; group templates are managed by the group admin
+const canManageTemplate = async (template, userId) => {
+  if (!template.group_id) return template.creator_id === userId;
+
+  const group = await Group.findByPk(template.group_id, { attributes: ['id', 'admin_id'] });
+  return !!group && isGroupAdmin(group, userId);
+};
+
+// Any group member can use a group template
+const canUseTemplate = async (template, userId) => {
+  if (!template.group_id) return template.creator_id === userId;
+
+  const group = await Group.findByPk(template.group_id, { attributes: ['id', 'admin_id'] });
+  return !!group && isGroupMember(group, userId);
+};
+
+// Ids of groups the user administers or belongs to
+const getUserGroupIds = async (userId) => {
+  const [administered, user] = await Promise.all([
+    Group.findAll({ where: { admin_id: userId }, attributes: ['id'] }),
+    User.findByPk(userId, {
+      attributes: ['id'],
+      include: [{
+        model: Group,
+        as: 'joinedGroups',
+        attributes: ['id'],
+        through: { attributes: [] }
+      }]
+    })
+  ]);
+
+  return [...new Set([
+    ...administered.map(group => group.id),
+    ...(user?.joinedGroups || []).map(group => group.id)
+  ])];
+};
+
+const getTemplateForUser = async (templateId, userId, { manage = false } = {}) => {
+  const template = await RideTemplate.findByPk(templateId);
+  if (!template) {
+    throw new AppError('Ride template not found', 404);
+  }
+
+  const allowed = manage
+    ? await canManageTemplate(template, userId)
+    : await canUseTemplate(template, userId);
+
+  if (!allowed) {
+    throw new AppError(
+      manage ? 'Only the template owner or group admin can change this template' : 'You cannot use this ride template',
+      403
+    );
+  }
+
+  return template;
+};
+
+// Rides saved as templates must still pass ride creation once the template is used
+const getRideTemplateFields = async (rideId, userId) => {
+  const ride = await Ride.findByPk(rideId);
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+
+  if (!await canCopyRide(ride, userId)) {
+    throw new AppError('Only the ride organiser can save it as a template', 403);
+  }
+
+  const fields = pickRideTemplateFields(ride.get({ plain: true }));
+  const { error } = schemas.rideTemplateFields.validate(fields);
+  if (error) {
+    throw new AppError(`This ride cannot be saved as a template: ${error.message}`, 400);
+  }
+
+  return fields;
+};
+
+const createTemplate = async (userId, { name, description = null, group_id = null, ride_id, template }) => {
+  if (group_id) {
+    const group = await Group.findByPk(group_id, { attributes: ['id', 'admin_id'] });
+    if (!group) {
+      throw new AppError('Group not found', 404);
+    }
+    if (!isGroupAdmin(group, userId)) {
+      throw new AppError('Only the group admin can save group templates', 403);
+    }
+  }
+
+  const fields = ride_id
+    ? await getRideTemplateFields(ride_id, userId)
+    : pickRideTemplateFields(template);
+
+  return RideTemplate.create({
+    creator_id: userId,
+    group_id,
+    name,
+    description: description || null,
+    template: fields
+  });
+};
+
+const updateTemplate = async (templateId, userId, { name, description, template }) => {
+  const rideTemplate = await getTemplateForUser(templateId, userId, { manage: true });
+
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (description !== undefined) updates.description = description || null;
+  if (template !== undefined) updates.template = pickRideTemplateFields(template);
+
+  await rideTemplate.update(updates);
+  return rideTemplate;
+};
+
+const deleteTemplate = async (templateId, userId) => {
+  const rideTemplate = await getTemplateForUser(templateId, userId, { manage: true });
+  await rideTemplate.destroy();
+};
+
+// Personal templates plus those of every group the user is in
+const getUserTemplates = async (userId, { group_id, limit, offset }) => {
+  const groupIds = await getUserGroupIds(userId);
+
+  let where;
+  if (group_id) {
+    if (!groupIds.includes(group_id)) {
+      throw new AppError('You are not a member of this group', 403);
+    }
+    where = { group_id };
+  } else {
+    where = {
+      [Op.or]: [
+        { creator_id: userId, group_id: null },
+        { group_id: { [Op.in]: groupIds } }
+      ]
+    };
+  }
+
+  return RideTemplate.findAndCountAll({
+    where,
+    include: [
+      { model: Group, as: 'group', attributes: ['id', 'name'], required: false },
+      { model: User, as: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+    ],
+    order: [['last_used_at', 'DESC NULLS LAST'], ['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+// Fill in a new ride from a template. Fields sent with the request win; a new start,
+// end or waypoints drop the template's road path and duration so they are recomputed.
+const mergeTemplateIntoRide = (template, rideData) => {
+  const defaults = { ...template.template };
+
+  if (ROUTE_PATH_FIELDS.some(field => rideData[field] !== undefined)) {
+    DERIVED_ROUTE_FIELDS.forEach(field => delete defaults[field]);
+  }
+
+  if (template.group_id) defaults.group_id = template.group_id;
+
+  return { ...defaults, ...rideData };
+};
+
+const markTemplateUsed = (template) => template.update({ last_used_at: new Date() });
+
+// New upcoming ride from any earlier ride, completed and cancelled ones included.
+// The original is only read, so its frozen state does not matter.
+const cloneRide = async (ride, userId, { ride_date, ride_time, title }) => {
+  if (!await canCopyRide(ride, userId)) {
+    throw new AppError('Only the ride organiser can clone this ride', 403);
+  }
+
+  // Older rides may predate current validation, so the copy must pass ride creation again
+  const fields = {
+    ...pickRideTemplateFields(ride.get({ plain: true })),
+    ...(ride_time && { ride_time }),
+    ...(title && { title })
+  };
+  const { error } = schemas.rideTemplateFields.validate(fields);
+  if (error) {
+    throw new AppError(`This ride cannot be cloned: ${error.message}`, 400);
+  }
+
+  const rideData = {
+    ...fields,
+    cover_image: ride.cover_image,
+    group_id: ride.group_id,
+    creator_id: userId,
+    ride_date,
+    // A multi-day original keeps its length on the new dates
+    ...(ride.isMultiDay() && { end_date: ride.getEndDateFor(ride_date) })
+  };
+
+  if (rideData.visibility === 'group_only' && rideData.group_id) {
+    const group = await Group.findByPk(rideData.group_id, { attributes: ['id', 'admin_id'] });
+    if (!group || !await isGroupMember(group, userId)) {
+      throw new AppError('You are not a member of this group', 403);
+    }
+  }
+
+  Object.assign(rideData, applyRouteGeometry(rideData));
+
+  return Ride.create(rideData);
+};
+
+module.exports = {
+  RIDE_TEMPLATE_FIELDS,
+  pickRideTemplateFields,
+  getTemplateForUser,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getUserTemplates,
+  mergeTemplateIntoRide,
+  markTemplateUsed,
+  cloneRide
+};
@@ -0,0 +1,262 @@
+const { AppError } = require('../middleware/errorHandler');
+const { encodePolyline, getRidePath } = require('./routeGeometryService');
+
+// Unnamed routes get this many evenly spaced waypoints taken from the track
+const MAX_DERIVED_WAYPOINTS = 10;
+
+const ROUTE_FILE_FORMATS = ['gpx', 'kml'];
+
+const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+const decodeXmlText = (text) => {
+  if (!text) return '';
+
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity])
+    .trim();
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const getTagText = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+};
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`, 'i'));
+  return match ? match[1] : null;
+};
+
+const toPoint = (latitude, longitude, name = null) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  return name ? { latitude: lat, longitude: lng, name } : { latitude: lat, longitude: lng };
+};
+
+const detectFormat = (content, filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (ROUTE_FILE_FORMATS.includes(extension)) return extension;
+
+  if (/<gpx\b/i.test(content)) return 'gpx';
+  if (/<kml\b/i.test(content)) return 'kml';
+
+  return null;
+};
+
+const parseGpxPoints = (xml, tag) => {
+  const points = [];
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, attributes, body = ''] = match;
+    const point = toPoint(getAttribute(attributes, 'lat'), getAttribute(attributes, 'lon'), getTagText(body, 'name'));
+    if (point) points.push(point);
+  }
+
+  return points;
+};
+
+// Track points win over route points - a recorded track is the more detailed line
+const parseGpx = (xml) => {
+  const trackPoints = parseGpxPoints(xml, 'trkpt');
+
+  return {
+    name: getTagText(xml.replace(/<(wpt|trkpt|rtept)\b[\s\S]*?<\/\1>/gi, ''), 'name'),
+    track: trackPoints.length > 0 ? trackPoints : parseGpxPoints(xml, 'rtept'),
+    waypoints: parseGpxPoints(xml, 'wpt')
+  };
+};
+
+// KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+const parseKmlCoordinates = (text) => {
+  return decodeXmlText(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => {
+      const [longitude, latitude] = tuple.split(',');
+      return toPoint(latitude, longitude);
+    })
+    .filter(Boolean);
+};
+
+const parseKml = (xml) => {
+  const track = [];
+  const waypoints = [];
+  const placemarkPattern = /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/gi;
+  let match;
+
+  while ((match = placemarkPattern.exec(xml)) !== null) {
+    const placemark = match[1];
+    const name = getTagText(placemark, 'name');
+
+    const lineString = placemark.match(/<LineString\b[^>]*>([\s\S]*?)<\/LineString>/i);
+    if (lineString) {
+      track.push(...parseKmlCoordinates(getTagText(lineString[1], 'coordinates')));
+      continue;
+    }
+
+    // Google Earth tracks store "lon lat alt" in gx:coord elements
+    const gxCoords = [...placemark.matchAll(/<gx:coord>([\s\S]*?)<\/gx:coord>/gi)];
+    if (gxCoords.length > 0) {
+      gxCoords.forEach(([, coord]) => {
+        const [longitude, latitude] = decodeXmlText(coord).split(/\s+/);
+        const point = toPoint(latitude, longitude);
+        if (point) track.push(point);
+      });
+      continue;
+    }
+
+    const point = placemark.match(/<Point\b[^>]*>([\s\S]*?)<\/Point>/i);
+    if (point) {
+      const [coordinates] = parseKmlCoordinates(getTagText(point[1], 'coordinates'));
+      if (coordinates) waypoints.push({ ...coordinates, name });
+    }
+  }
+
+  return {
+    name: getTagText(xml.replace(/<Placemark\b[\s\S]*?<\/Placemark>/gi, ''), 'name'),
+    track,
+    waypoints
+  };
+};
+
+const toRideWaypoint = (point) => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  address: point.name || `${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}`
+});
+
+// Spread waypoints along the track when the file has no named ones
+const deriveWaypoints = (track) => {
+  const interior = track.slice(1, -1);
+  if (interior.length <= MAX_DERIVED_WAYPOINTS) return interior;
+
+  const step = interior.length / (MAX_DERIVED_WAYPOINTS + 1);
+  return Array.from({ length: MAX_DERIVED_WAYPOINTS }, (_, i) => interior[Math.round(step * (i + 1))]);
+};
+
+// Turn an uploaded GPX/KML file into the ride's route fields.
+// Distance and duration are left to the route geometry service.
+const parseRouteFile = (content, filename) => {
+  const format = detectFormat(content, filename);
+  if (!format) {
+    throw new AppError('Unsupported route file. Upload a GPX or KML file', 400);
+  }
+
+  const { name, track, waypoints } = format === 'gpx' ? parseGpx(content) : parseKml(content);
+
+  // A file with only waypoints still describes a route through them
+  const routePoints = track.length >= 2 ? track : waypoints;
+  if (routePoints.length < 2) {
+    throw new AppError('Route file must contain a track or at least two waypoints', 400);
+  }
+
+  const rideWaypoints = (waypoints.length > 0 && track.length >= 2 ? waypoints : deriveWaypoints(routePoints))
+    .map(toRideWaypoint);
+
+  return {
+    format,
+    name,
+    point_count: routePoints.length,
+    updates: {
+      waypoints: rideWaypoints,
+      route_polyline: encodePolyline(routePoints)
+    }
+  };
+};
+
+const getNamedPoints = (ride) => [
+  { ...ride.start_location, name: `Start: ${ride.start_location?.address || ''}` },
+  ...(ride.waypoints || []).map(waypoint => ({ ...waypoint, name: waypoint.address })),
+  { ...ride.end_location, name: `End: ${ride.end_location?.address || ''}` }
+].filter(point => point.latitude && point.longitude);
+
+const buildGpx = (ride) => {
+  const waypoints = getNamedPoints(ride)
+    .map(point => `  <wpt lat="${point.latitude}" lon="${point.longitude}"><name>${escapeXml(point.name)}</name></wpt>`)
+    .join('\n');
+
+  const trackPoints = getRidePath(ride)
+    .map(point => `      <trkpt lat="${point.latitude}" lon="${point.longitude}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Rider Management" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(ride.title)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints}
+  <trk>
+    <name>${escapeXml(ride.title)}</name>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
+
+const buildKml = (ride) => {
+  const placemarks = getNamedPoints(ride)
+    .map(point => `    <Placemark>
+      <name>${escapeXml(point.name)}</name>
+      <Point><coordinates>${point.longitude},${point.latitude}</coordinates></Point>
+    </Placemark>`)
+    .join('\n');
+
+  const coordinates = getRidePath(ride)
+    .map(point => `${point.longitude},${point.latitude}`)
+    .join(' ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(ride.title)}</name>
+${placemarks}
+    <Placemark>
+      <name>${escapeXml(ride.title)}</name>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+};
+
+const buildRouteFile = (ride, format) => ({
+  content: format === 'gpx' ? buildGpx(ride) : buildKml(ride),
+  contentType: CONTENT_TYPES[format]
+});
+
+module.exports = {
+  ROUTE_FILE_FORMATS,
+  parseRouteFile,
+  buildRouteFile
+};
@@ -0,0 +1,234 @@
+const { AppError } = require('../middleware/errorHandler');
+const { calculateDistance } = require('./locationService');
+const { encodePolyline, decodePolyline } = require('../utils/polyline');
+
+// Average riding speed per requirements.bike_type, including short stops.
+// Override per deployment with RIDE_SPEED_PROFILES_KMH='{"Scooter":30}'.
+const DEFAULT_SPEED_PROFILES_KMH = {
+  Any: 50,
+  Cruiser: 55,
+  Sport: 65,
+  Touring: 60,
+  Adventure: 50,
+  Scooter: 35,
+  Electric: 45
+};
+
+// A client distance for a polyline route may differ this much from ours
+const DISTANCE_TOLERANCE_RATIO = 0.15;
+const DISTANCE_TOLERANCE_MIN_KM = 1;
+
+// Without a polyline we only know the straight-line path through the waypoints,
+// so roads may legitimately be up to this many times longer
+const MAX_ROAD_DETOUR_FACTOR = 3;
+
+// Client durations must imply an average speed within this range of the profile
+const MIN_SPEED_RATIO = 0.3;
+const MAX_SPEED_RATIO = 1.5;
+
+// Fields that change the computed route
+const ROUTE_FIELDS = ['start_location', 'end_location', 'waypoints', 'route_polyline', 'distance_km', 'estimated_duration_hours', 'requirements'];
+
+let speedProfiles = null;
+
+const getSpeedProfiles = () => {
+  if (speedProfiles) return speedProfiles;
+
+  speedProfiles = { ...DEFAULT_SPEED_PROFILES_KMH };
+  if (process.env.RIDE_SPEED_PROFILES_KMH) {
+    try {
+      const overrides = JSON.parse(process.env.RIDE_SPEED_PROFILES_KMH);
+      Object.entries(overrides).forEach(([bikeType, speed]) => {
+        if (parseFloat(speed) > 0) speedProfiles[bikeType] = parseFloat(speed);
+      });
+    } catch (error) {
+      console.warn('⚠️  Invalid RIDE_SPEED_PROFILES_KMH, using default speed profiles:', error.message);
+    }
+  }
+
+  return speedProfiles;
+};
+
+const getAverageSpeedKmh = (bikeType) => {
+  const profiles = getSpeedProfiles();
+  return profiles[bikeType] || profiles.Any;
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+const roundTo = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+// Decode a client polyline, rejecting anything that is not a usable path
+const decodeRoutePolyline = (polyline) => {
+  let points;
+  try {
+    points = decodePolyline(polyline);
+  } catch (error) {
+    throw new AppError('route_polyline is not a valid encoded polyline', 400, 'ROUTE_INCONSISTENT');
+  }
+
+  const outOfRange = points.some(point =>
+    Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180
+  );
+  if (points.length < 2 || outOfRange) {
+    throw new AppError('route_polyline must describe a path of at least two valid points', 400, 'ROUTE_INCONSISTENT');
+  }
+
+  return points;
+};
+
+// Total length of a path in km
+const calculatePathDistance = (points) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += calculateDistance(
+      parseFloat(points[i - 1].latitude),
+      parseFloat(points[i - 1].longitude),
+      parseFloat(points[i].latitude),
+      parseFloat(points[i].longitude)
+    );
+  }
+  return distance;
+};
+
+// Straight-line path start -> waypoints -> end
+const getWaypointPath = (ride) => {
+  return [ride.start_location, ...(ride.waypoints || []), ride.end_location]
+    .filter(point => point?.latitude !== undefined && point?.longitude !== undefined)
+    .map(point => ({ latitude: parseFloat(point.latitude), longitude: parseFloat(point.longitude) }));
+};
+
+// Stored polyline if there is a valid one, otherwise the waypoint path
+const getRidePath = (ride) => {
+  if (ride.route_polyline) {
+    try {
+      return decodeRoutePolyline(ride.route_polyline);
+    } catch (error) {
+      console.error(`Invalid route polyline on ride ${ride.id}:`, error.message);
+    }
+  }
+
+  return getWaypointPath(ride);
+};
+
+const estimateDurationHours = (distanceKm, bikeType) => {
+  return distanceKm / getAverageSpeedKmh(bikeType);
+};
+
+const checkClientDistance = (clientDistance, computedDistance, fromPolyline) => {
+  if (fromPolyline) {
+    const tolerance = Math.max(computedDistance * DISTANCE_TOLERANCE_RATIO, DISTANCE_TOLERANCE_MIN_KM);
+    return Math.abs(clientDistance - computedDistance) <= tolerance;
+  }
+
+  // Road distance can never be shorter than the straight line
+  if (clientDistance < computedDistance - Math.max(computedDistance * DISTANCE_TOLERANCE_RATIO, DISTANCE_TOLERANCE_MIN_KM)) {
+    return false;
+  }
+
+  // Loops with no waypoints have no meaningful upper bound
+  if (computedDistance < DISTANCE_TOLERANCE_MIN_KM) return true;
+
+  return clientDistance <= computedDistance * MAX_ROAD_DETOUR_FACTOR;
+};
+
+const resolveDistance = (rideData) => {
+  const fromPolyline = !isEmptyValue(rideData.route_polyline);
+  const path = fromPolyline ? decodeRoutePolyline(rideData.route_polyline) : getWaypointPath(rideData);
+  const computedDistance = calculatePathDistance(path);
+
+  if (isEmptyValue(rideData.distance_km)) return computedDistance;
+
+  const clientDistance = parseFloat(rideData.distance_km);
+  if (isNaN(clientDistance) || !checkClientDistance(clientDistance, computedDistance, fromPolyline)) {
+    throw new AppError(
+      `distance_km (${rideData.distance_km}) does not match the route (computed ${roundTo(computedDistance, 2)} km)`,
+      400,
+      'ROUTE_INCONSISTENT'
+    );
+  }
+
+  // A polyline is the actual path - our figure wins. Otherwise the client knows the roads.
+  return fromPolyline ? computedDistance : clientDistance;
+};
+
+const resolveDuration = (distanceKm, bikeType, clientValue) => {
+  const estimatedDuration = estimateDurationHours(distanceKm, bikeType);
+  if (isEmptyValue(clientValue)) return estimatedDuration;
+
+  const clientDuration = parseFloat(clientValue);
+  const speed = getAverageSpeedKmh(bikeType);
+  const impliedSpeed = clientDuration > 0 ? distanceKm / clientDuration : Infinity;
+
+  const plausible = distanceKm === 0 ||
+    (impliedSpeed >= speed * MIN_SPEED_RATIO && impliedSpeed <= speed * MAX_SPEED_RATIO);
+
+  if (isNaN(clientDuration) || clientDuration <= 0 || !plausible) {
+    throw new AppError(
+      `estimated_duration_hours (${clientValue}) is not plausible for a ${roundTo(distanceKm, 2)} km ${bikeType} ride (expected about ${roundTo(estimatedDuration, 2)} hours)`,
+      400,
+      'ROUTE_INCONSISTENT'
+    );
+  }
+
+  return clientDuration;
+};
+
+// Compute distance_km and estimated_duration_hours for ride data, filling in
+// whatever the client left out and rejecting client values that do not fit the route.
+const applyRouteGeometry = (rideData) => {
+  const bikeType = rideData.requirements?.bike_type || 'Any';
+  const distanceKm = resolveDistance(rideData);
+
+  return {
+    distance_km: roundTo(distanceKm, 2),
+    estimated_duration_hours: roundTo(resolveDuration(distanceKm, bikeType, rideData.estimated_duration_hours), 2)
+  };
+};
+
+// Route fields for an update, merged with the stored ride. The path is only
+// recomputed when it changed; a polyline left over from an older path is dropped.
+const applyRouteGeometryUpdate = (ride, updates) => {
+  if (!ROUTE_FIELDS.some(field => updates[field] !== undefined)) return {};
+
+  const pathChanged = ['start_location', 'end_location', 'waypoints'].some(field => updates[field] !== undefined);
+  const distanceChanged = pathChanged || updates.route_polyline !== undefined || updates.distance_km !== undefined;
+  const bikeType = (updates.requirements || ride.requirements)?.bike_type || 'Any';
+
+  // Only the bike type or duration changed - keep the stored distance as is
+  if (!distanceChanged && !isEmptyValue(ride.distance_km)) {
+    const distanceKm = parseFloat(ride.distance_km);
+    return {
+      estimated_duration_hours: roundTo(resolveDuration(distanceKm, bikeType, updates.estimated_duration_hours), 2)
+    };
+  }
+
+  const merged = {
+    start_location: ride.start_location,
+    end_location: ride.end_location,
+    waypoints: ride.waypoints,
+    route_polyline: pathChanged && updates.route_polyline === undefined ? null : ride.route_polyline,
+    requirements: ride.requirements,
+    ...updates
+  };
+
+  const geometryUpdates = applyRouteGeometry(merged);
+  if (pathChanged && updates.route_polyline === undefined && ride.route_polyline) {
+    geometryUpdates.route_polyline = null;
+  }
+
+  return geometryUpdates;
+};
+
+module.exports = {
+  DEFAULT_SPEED_PROFILES_KMH,
+  encodePolyline,
+  decodePolyline,
+  decodeRoutePolyline,
+  calculatePathDistance,
+  getAverageSpeedKmh,
+  estimateDurationHours,
+  getRidePath,
+  applyRouteGeometry,
+  applyRouteGeometryUpdate
+};
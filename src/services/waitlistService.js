@@ -0,0 +1,390 @@
+const { Op } = require('sequelize');
+const { Ride, User, Payment, RideWaitlist } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { createPaymentOrder, resolveRidePricing } = require('./paymentService');
+const { getSlotAvailability, pickSlotType, getSlotPricingOption, takeRideSlot } = require('./rideSlotService');
+const { notifyRideParticipants } = require('./notificationService');
+const { emitToRide, emitToUser } = require('../sockets/socketEmitter');
+const { createScheduler } = require('../utils/scheduler');
+
+// How long a promoted user has to pay for a held slot.
+// Matches the 30 minute expiry createPaymentOrder puts on payment records.
+const CLAIM_WINDOW_MINUTES = 30;
+
+const DEFAULT_EXPIRY_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Slots that are free and not held for a waitlist offer
+const getAvailableSlots = async (ride) => {
+  const heldSlots = await RideWaitlist.countActiveOffers(ride.id);
+  return ride.max_participants - ride.current_participants - heldSlots;
+};
+
+const broadcastWaitlistUpdate = async (rideId, action, userId = null) => {
+  const [waitingCount, offeredCount] = await Promise.all([
+    RideWaitlist.count({ where: { ride_id: rideId, status: 'waiting' } }),
+    RideWaitlist.countActiveOffers(rideId)
+  ]);
+
+  emitToRide(rideId, 'waitlist_updated', {
+    ride_id: rideId,
+    action,
+    user_id: userId,
+    waiting_count: waitingCount,
+    offered_count: offeredCount,
+    timestamp: new Date()
+  });
+};
+
+// Cancel the payment order attached to an offer that is no longer valid
+const cancelOfferPayment = async (entry) => {
+  if (!entry.payment_id) return;
+
+  await Payment.update(
+    { status: 'cancelled', failure_reason: 'Waitlist offer no longer valid' },
+    { where: { id: entry.payment_id, status: 'pending' } }
+  );
+};
+
+const formatPaymentOrder = (payment) => ({
+  payment_id: payment.id,
+  order_id: payment.cashfree_order_id,
+  payment_session_id: payment.gateway_response?.payment_session_id,
+  cashfree_token: payment.gateway_response?.payment_session_id,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  pricing_option: payment.metadata?.pricing_option,
+  slot_type: payment.metadata?.slot_type,
+  expires_at: payment.expires_at
+});
+
+const createOfferPaymentOrder = async (ride, entry, pricingOption = entry.pricing_option) => {
+  // The held kind of place sets the price where the ride prices them separately
+  const pricing = resolveRidePricing(ride, getSlotPricingOption(ride, entry.slot_type) || pricingOption);
+
+  if (pricing.requiresSelection) {
+    return { requiresSelection: true, availableOptions: pricing.availableOptions };
+  }
+
+  if (!pricing.price || pricing.price <= 0) {
+    throw new AppError('Invalid pricing configuration for this ride', 500);
+  }
+
+  const paymentOrder = await createPaymentOrder({
+    user_id: entry.user_id,
+    amount: pricing.price,
+    payment_type: 'ride_fee',
+    ride_id: ride.id,
+    recipient_id: ride.creator_id,
+    metadata: {
+      pricing_option: pricing.pricingOption,
+      ride_title: ride.title,
+      selected_price: pricing.price,
+      slot_type: entry.slot_type,
+      waitlist_entry_id: entry.id
+    }
+  });
+
+  await entry.update({
+    payment_id: paymentOrder.payment_id,
+    pricing_option: pricing.pricingOption
+  });
+
+  return { paymentOrder: { ...paymentOrder, pricing_option: pricing.pricingOption } };
+};
+
+// Free rides: move the user straight into the ride
+const admitFromWaitlist = async (ride, entry) => {
+  const user = await User.findByPk(entry.user_id);
+  if (!user) {
+    await entry.update({ status: 'cancelled' });
+    return false;
+  }
+
+  await takeRideSlot(ride, user, { slotType: entry.slot_type || 'own_bike' });
+  await entry.update({ status: 'claimed', claimed_at: new Date() });
+
+  emitToUser(entry.user_id, 'waitlist_promoted', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    joined: true
+  });
+
+  await notifyRideParticipants([user], `A spot opened up! You have been added to ride "${ride.title}".`);
+  return true;
+};
+
+// Paid rides: hold the slot and open a payment order for the claim window
+const offerPaidSlot = async (ride, entry) => {
+  let paymentOrder = null;
+
+  try {
+    const result = await createOfferPaymentOrder(ride, entry);
+    paymentOrder = result.paymentOrder || null;
+  } catch (error) {
+    // The user can still claim the held slot, which retries the order
+    console.error(`Failed to create waitlist payment order for entry ${entry.id}:`, error.message);
+  }
+
+  emitToUser(entry.user_id, 'waitlist_offer', {
+    ride_id: ride.id,
+    ride_title: ride.title,
+    offer_expires_at: entry.offer_expires_at,
+    payment_required: true,
+    payment_order: paymentOrder
+  });
+
+  const user = await User.findByPk(entry.user_id);
+  if (user) {
+    await notifyRideParticipants(
+      [user],
+      `A spot opened up on ride "${ride.title}". Complete payment within ${CLAIM_WINDOW_MINUTES} minutes to claim it.`
+    );
+  }
+
+  return true;
+};
+
+// First user in the queue whose kind of place is free, with the place they would get
+const findNextPromotable = async (ride) => {
+  const waiting = await RideWaitlist.findAll({
+    where: { ride_id: ride.id, status: 'waiting' },
+    order: [['queued_at', 'ASC']]
+  });
+  if (waiting.length === 0) return null;
+
+  const availability = await getSlotAvailability(ride);
+  for (const entry of waiting) {
+    const slotType = pickSlotType(availability, { slotType: entry.slot_type, pricingOption: entry.pricing_option });
+    if (slotType) return { entry, slotType };
+  }
+
+  return null;
+};
+
+// Offer every free slot on a ride to the next users in the queue. Someone waiting for a
+// pillion seat does not block the people behind them when an own-bike place opens up.
+const promoteNextFromWaitlist = async (rideId) => {
+  const ride = await Ride.findByPk(rideId);
+  if (!ride || ride.status !== 'upcoming') return [];
+
+  const promoted = [];
+
+  while (await getAvailableSlots(ride) > 0) {
+    const promotable = await findNextPromotable(ride);
+    if (!promotable) break;
+
+    const { entry: next, slotType } = promotable;
+    const requestedSlotType = next.slot_type;
+    const now = new Date();
+    // Conditional update so two concurrent promotions cannot offer the same entry
+    const [affectedRows] = await RideWaitlist.update(
+      {
+        status: 'offered',
+        slot_type: slotType,
+        offered_at: now,
+        offer_expires_at: new Date(now.getTime() + CLAIM_WINDOW_MINUTES * 60 * 1000)
+      },
+      { where: { id: next.id, status: 'waiting' } }
+    );
+
+    if (affectedRows === 0) continue;
+    await next.reload();
+
+    try {
+      if (ride.is_paid) {
+        await offerPaidSlot(ride, next);
+      } else {
+        await admitFromWaitlist(ride, next);
+      }
+      promoted.push(next);
+    } catch (error) {
+      console.error(`Failed to promote waitlist entry ${next.id}:`, error);
+      await next.update({ status: 'waiting', slot_type: requestedSlotType, offered_at: null, offer_expires_at: null });
+      break;
+    }
+
+    await ride.reload();
+  }
+
+  if (promoted.length > 0) {
+    await broadcastWaitlistUpdate(rideId, 'promoted');
+  }
+
+  return promoted;
+};
+
+const joinWaitlist = async (ride, userId, pricingOption = null, slotType = null) => {
+  const existing = await RideWaitlist.findOne({
+    where: { ride_id: ride.id, user_id: userId }
+  });
+
+  if (existing?.isActive()) {
+    throw new AppError('You are already on the waitlist for this ride', 400);
+  }
+
+  // Riders can queue for a kind of place that is taken even while others are free
+  if (await getAvailableSlots(ride) > 0 &&
+      pickSlotType(await getSlotAvailability(ride, { userId }), { slotType, pricingOption })) {
+    throw new AppError('This ride still has open slots. Join the ride directly.', 400);
+  }
+
+  const entryData = {
+    status: 'waiting',
+    pricing_option: pricingOption,
+    slot_type: slotType,
+    queued_at: new Date(),
+    offered_at: null,
+    offer_expires_at: null,
+    claimed_at: null,
+    payment_id: null
+  };
+
+  const entry = existing
+    ? await existing.update(entryData)
+    : await RideWaitlist.create({ ...entryData, ride_id: ride.id, user_id: userId });
+
+  await broadcastWaitlistUpdate(ride.id, 'joined', userId);
+
+  return {
+    entry,
+    position: await RideWaitlist.getPosition(entry)
+  };
+};
+
+const leaveWaitlist = async (ride, userId) => {
+  const entry = await RideWaitlist.findOne({
+    where: {
+      ride_id: ride.id,
+      user_id: userId,
+      status: { [Op.in]: ['waiting', 'offered'] }
+    }
+  });
+
+  if (!entry) {
+    throw new AppError('You are not on the waitlist for this ride', 400);
+  }
+
+  const wasOffered = entry.status === 'offered';
+  await entry.update({ status: 'cancelled' });
+
+  await broadcastWaitlistUpdate(ride.id, 'left', userId);
+
+  // The held slot goes to the next person in line
+  if (wasOffered) {
+    await cancelOfferPayment(entry);
+    await promoteNextFromWaitlist(ride.id);
+  }
+
+  return entry;
+};
+
+// Return the pending payment order for an offer, creating one if needed
+const claimWaitlistOffer = async (ride, userId, pricingOption = null) => {
+  const entry = await RideWaitlist.findOne({
+    where: { ride_id: ride.id, user_id: userId, status: 'offered' }
+  });
+
+  if (!entry) {
+    throw new AppError('You do not have an open waitlist offer for this ride', 400);
+  }
+
+  if (entry.isOfferExpired()) {
+    await expireOffer(entry);
+    await promoteNextFromWaitlist(ride.id);
+    throw new AppError('Your waitlist offer has expired', 410);
+  }
+
+  if (!ride.is_paid) {
+    await admitFromWaitlist(ride, entry);
+    return { joined: true };
+  }
+
+  if (entry.payment_id && !pricingOption) {
+    const payment = await Payment.findByPk(entry.payment_id);
+    if (payment && payment.status === 'pending' && !payment.isExpired() && payment.cashfree_order_id) {
+      return { paymentOrder: formatPaymentOrder(payment) };
+    }
+  }
+
+  await cancelOfferPayment(entry);
+  return createOfferPaymentOrder(ride, entry, pricingOption || entry.pricing_option);
+};
+
+const expireOffer = async (entry) => {
+  const [affectedRows] = await RideWaitlist.update(
+    { status: 'expired' },
+    { where: { id: entry.id, status: 'offered' } }
+  );
+
+  if (affectedRows === 0) return false;
+
+  await cancelOfferPayment(entry);
+  emitToUser(entry.user_id, 'waitlist_offer_expired', {
+    ride_id: entry.ride_id
+  });
+
+  return true;
+};
+
+// Expire offers whose claim window has passed and pass their slots on
+const expireStaleOffers = async () => {
+  const staleEntries = await RideWaitlist.findAll({
+    where: {
+      status: 'offered',
+      offer_expires_at: { [Op.lt]: new Date() }
+    }
+  });
+
+  const rideIds = new Set();
+  for (const entry of staleEntries) {
+    if (await expireOffer(entry)) {
+      rideIds.add(entry.ride_id);
+    }
+  }
+
+  for (const rideId of rideIds) {
+    await broadcastWaitlistUpdate(rideId, 'offer_expired');
+    await promoteNextFromWaitlist(rideId);
+  }
+
+  return staleEntries.length;
+};
+
+// Close the waitlist when a ride is cancelled or starts
+const closeRideWaitlist = async (rideId) => {
+  const activeEntries = await RideWaitlist.findAll({
+    where: { ride_id: rideId, status: { [Op.in]: ['waiting', 'offered'] } }
+  });
+
+  if (activeEntries.length === 0) return 0;
+
+  await RideWaitlist.update(
+    { status: 'cancelled' },
+    { where: { ride_id: rideId, status: { [Op.in]: ['waiting', 'offered'] } } }
+  );
+
+  await Promise.all(activeEntries.map(cancelOfferPayment));
+  await broadcastWaitlistUpdate(rideId, 'closed');
+
+  return activeEntries.length;
+};
+
+const expiryScheduler = createScheduler(expireStaleOffers, { label: 'Waitlist offer expiry check', runOnStart: false });
+
+const startWaitlistExpiryScheduler = (intervalMs = DEFAULT_EXPIRY_CHECK_INTERVAL_MS) => expiryScheduler.start(intervalMs);
+
+const stopWaitlistExpiryScheduler = () => expiryScheduler.stop();
+
+module.exports = {
+  CLAIM_WINDOW_MINUTES,
+  getAvailableSlots,
+  formatPaymentOrder,
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  promoteNextFromWaitlist,
+  expireStaleOffers,
+  closeRideWaitlist,
+  startWaitlistExpiryScheduler,
+  stopWaitlistExpiryScheduler
+};
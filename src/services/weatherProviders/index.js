@@ -0,0 +1,44 @@
+const localWeatherProvider = require('./localWeatherProvider');
+const openMeteoWeatherProvider = require('./openMeteoWeatherProvider');
+
+// A weather provider is { name, getForecast(point, time) }. getForecast resolves to the forecast
+// for { latitude, longitude } at the given Date, or null when the provider has none that far out:
+// {
+//   time, condition ('clear' | 'cloudy' | 'fog' | 'rain' | 'snow' | 'storm'), summary,
+//   temperature_c, precipitation_mm, precipitation_probability, wind_speed_kmh, wind_gust_kmh, visibility_km
+// }
+// Values the provider does not report are null.
+const WEATHER_PROVIDERS = {
+  local: localWeatherProvider,
+  open_meteo: openMeteoWeatherProvider
+};
+
+const DEFAULT_WEATHER_PROVIDER = 'local';
+
+let provider = null;
+
+// Picked once per process with WEATHER_PROVIDER
+const getWeatherProvider = () => {
+  if (provider) return provider;
+
+  const name = process.env.WEATHER_PROVIDER || DEFAULT_WEATHER_PROVIDER;
+  provider = WEATHER_PROVIDERS[name];
+
+  if (!provider) {
+    console.warn(`⚠️  Unknown WEATHER_PROVIDER "${name}", using the ${DEFAULT_WEATHER_PROVIDER} provider`);
+    provider = WEATHER_PROVIDERS[DEFAULT_WEATHER_PROVIDER];
+  }
+
+  return provider;
+};
+
+// For tests and scripts that need a specific provider
+const setWeatherProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  WEATHER_PROVIDERS,
+  getWeatherProvider,
+  setWeatherProvider
+};
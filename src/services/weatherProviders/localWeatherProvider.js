@@ -0,0 +1,55 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { calculateDistance } = require('../locationService');
+
+// Forecasts come from a JSON file instead of a weather API, for development and tests.
+// Point WEATHER_FIXTURE_FILE at your own file to try out other conditions.
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, 'localForecast.json');
+
+const FORECAST_FIELDS = [
+  'condition',
+  'summary',
+  'temperature_c',
+  'precipitation_mm',
+  'precipitation_probability',
+  'wind_speed_kmh',
+  'wind_gust_kmh',
+  'visibility_km'
+];
+
+// Read on every call so edits to the file show up on the next refresh
+const loadFixture = async () => {
+  const file = process.env.WEATHER_FIXTURE_FILE || DEFAULT_FIXTURE_FILE;
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+};
+
+// The closest fixture location whose radius covers the point, otherwise the default forecast
+const findForecast = (fixture, { latitude, longitude }) => {
+  let closest = null;
+  let closestDistance = Infinity;
+
+  for (const location of fixture.locations || []) {
+    const distance = calculateDistance(latitude, longitude, location.latitude, location.longitude);
+    if (distance <= (location.radius_km || 50) && distance < closestDistance) {
+      closest = location;
+      closestDistance = distance;
+    }
+  }
+
+  return closest ? closest.forecast : fixture.default;
+};
+
+const getForecast = async (point, time) => {
+  const forecast = findForecast(await loadFixture(), point);
+  if (!forecast) return null;
+
+  return {
+    time: time.toISOString(),
+    ...Object.fromEntries(FORECAST_FIELDS.map(field => [field, forecast[field] ?? null]))
+  };
+};
+
+module.exports = {
+  name: 'local',
+  getForecast
+};
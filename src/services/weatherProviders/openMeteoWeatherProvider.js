@@ -0,0 +1,74 @@
+const axios = require('axios');
+
+// Open-Meteo needs no API key and forecasts up to 16 days ahead
+const openMeteoAPI = axios.create({
+  baseURL: process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com/v1',
+  timeout: 10000
+});
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'precipitation',
+  'precipitation_probability',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_gusts_10m',
+  'visibility'
+];
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const describeWeatherCode = (code) => {
+  if (code === 0) return { condition: 'clear', summary: 'Clear sky' };
+  if (code <= 3) return { condition: 'cloudy', summary: code === 3 ? 'Overcast' : 'Partly cloudy' };
+  if (code === 45 || code === 48) return { condition: 'fog', summary: 'Fog' };
+  if (code >= 51 && code <= 57) return { condition: 'rain', summary: 'Drizzle' };
+  if (code >= 61 && code <= 67) return { condition: 'rain', summary: code >= 65 ? 'Heavy rain' : 'Rain' };
+  if (code >= 71 && code <= 77) return { condition: 'snow', summary: code >= 75 ? 'Heavy snowfall' : 'Snowfall' };
+  if (code >= 80 && code <= 82) return { condition: 'rain', summary: code === 82 ? 'Violent rain showers' : 'Rain showers' };
+  if (code === 85 || code === 86) return { condition: 'snow', summary: 'Snow showers' };
+  if (code >= 95) return { condition: 'storm', summary: 'Thunderstorm' };
+  return { condition: 'cloudy', summary: 'Unknown' };
+};
+
+// Open-Meteo hours look like "2025-06-15T07:00" in UTC
+const toHour = (time) => time.toISOString().slice(0, 13) + ':00';
+
+const valueOrNull = (value) => (value === undefined || value === null ? null : value);
+
+const getForecast = async ({ latitude, longitude }, time) => {
+  const hour = toHour(time);
+
+  const response = await openMeteoAPI.get('/forecast', {
+    params: {
+      latitude,
+      longitude,
+      hourly: HOURLY_FIELDS.join(','),
+      timezone: 'GMT',
+      wind_speed_unit: 'kmh',
+      start_hour: hour,
+      end_hour: hour
+    }
+  });
+
+  const hourly = response.data?.hourly;
+  const index = hourly?.time ? hourly.time.indexOf(hour) : -1;
+  if (index === -1) return null;
+
+  const visibility = valueOrNull(hourly.visibility?.[index]);
+
+  return {
+    time: `${hour}:00.000Z`,
+    ...describeWeatherCode(hourly.weather_code?.[index]),
+    temperature_c: valueOrNull(hourly.temperature_2m?.[index]),
+    precipitation_mm: valueOrNull(hourly.precipitation?.[index]),
+    precipitation_probability: valueOrNull(hourly.precipitation_probability?.[index]),
+    wind_speed_kmh: valueOrNull(hourly.wind_speed_10m?.[index]),
+    wind_gust_kmh: valueOrNull(hourly.wind_gusts_10m?.[index]),
+    visibility_km: visibility === null ? null : visibility / 1000
+  };
+};
+
+module.exports = {
+  name: 'open_meteo',
+  getForecast
+};
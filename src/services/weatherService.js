@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const { Ride, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { emitToRide } = require('../sockets/socketEmitter');
+const { notifyRideParticipants } = require('./notificationService');
+const { calculateDistance } = require('./locationService');
+const { getWeatherProvider } = require('./weatherProviders');
+const { createScheduler } = require('../utils/scheduler');
+
+const DEFAULT_WEATHER_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Forecasts further out than this are too rough to be worth storing
+const DEFAULT_FORECAST_HORIZON_HOURS = 120;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How stale a snapshot may get, by hours left until the ride starts
+const REFRESH_SCHEDULE = [
+  { withinHours: 12, refreshHours: 1 },
+  { withinHours: 48, refreshHours: 3 },
+  { withinHours: Infinity, refreshHours: 12 }
+];
+
+// Anything at or past these is severe enough to warn riders about
+const SEVERE_THRESHOLDS = {
+  wind_gust_kmh: 60,
+  precipitation_mm: 10,
+  visibility_km: 0.5,
+  max_temperature_c: 42,
+  min_temperature_c: 0
+};
+
+const SEVERE_CONDITIONS = ['storm', 'snow'];
+
+const getForecastHorizonHours = () => {
+  return parseInt(process.env.WEATHER_FORECAST_HORIZON_HOURS) || DEFAULT_FORECAST_HORIZON_HOURS;
+};
+
+// Codes for each severe reading, so a snapshot can be compared with the previous one
+const getSevereAlerts = (forecast) => {
+  const alerts = [];
+  if (!forecast) return alerts;
+
+  if (SEVERE_CONDITIONS.includes(forecast.condition)) {
+    alerts.push({ code: forecast.condition, message: forecast.summary || forecast.condition });
+  }
+  if (forecast.wind_gust_kmh >= SEVERE_THRESHOLDS.wind_gust_kmh) {
+    alerts.push({ code: 'high_wind', message: `Wind gusts up to ${Math.round(forecast.wind_gust_kmh)} km/h` });
+  }
+  if (forecast.precipitation_mm >= SEVERE_THRESHOLDS.precipitation_mm) {
+    alerts.push({ code: 'heavy_rain', message: `${forecast.precipitation_mm} mm of rain per hour` });
+  }
+  if (forecast.visibility_km !== null && forecast.visibility_km !== undefined &&
+      forecast.visibility_km < SEVERE_THRESHOLDS.visibility_km) {
+    alerts.push({ code: 'low_visibility', message: `Visibility down to ${Math.round(forecast.visibility_km * 1000)} m` });
+  }
+  if (forecast.temperature_c >= SEVERE_THRESHOLDS.max_temperature_c) {
+    alerts.push({ code: 'extreme_heat', message: `${Math.round(forecast.temperature_c)}°C` });
+  }
+  if (forecast.temperature_c !== null && forecast.temperature_c !== undefined &&
+      forecast.temperature_c <= SEVERE_THRESHOLDS.min_temperature_c) {
+    alerts.push({ code: 'freezing', message: `${Math.round(forecast.temperature_c)}°C, watch for ice` });
+  }
+
+  return alerts;
+};
+
+// Start, waypoints and end, each with the time the group should be there.
+// Waypoint times assume a steady pace, split by straight-line distance along the route.
+const getForecastPoints = (ride) => {
+  const stops = [
+    { kind: 'start', ...ride.start_location },
+    ...(ride.waypoints || []).map(waypoint => ({ kind: 'waypoint', ...waypoint })),
+    { kind: 'end', ...ride.end_location }
+  ].filter(point => point.latitude !== undefined && point.longitude !== undefined);
+
+  const start = ride.getScheduledStart().getTime();
+  const duration = ride.getScheduledEnd().getTime() - start;
+
+  const legs = stops.map((point, index) => (index === 0 ? 0 : calculateDistance(
+    parseFloat(stops[index - 1].latitude),
+    parseFloat(stops[index - 1].longitude),
+    parseFloat(point.latitude),
+    parseFloat(point.longitude)
+  )));
+  const totalDistance = legs.reduce((total, leg) => total + leg, 0);
+
+  let travelled = 0;
+  return stops.map((point, index) => {
+    travelled += legs[index];
+    const progress = totalDistance > 0 ? travelled / totalDistance : index / Math.max(stops.length - 1, 1);
+
+    return {
+      kind: point.kind,
+      address: point.address || null,
+      latitude: parseFloat(point.latitude),
+      longitude: parseFloat(point.longitude),
+      time: new Date(start + progress * duration)
+    };
+  });
+};
+
+// A snapshot only applies while the route and start time are the ones it was taken for
+const snapshotMatchesRide = (snapshot, points, ride) => {
+  if (!snapshot || snapshot.ride_start !== ride.getScheduledStart().toISOString()) return false;
+  if (!Array.isArray(snapshot.points) || snapshot.points.length !== points.length) return false;
+
+  return points.every((point, index) =>
+    snapshot.points[index].latitude === point.latitude &&
+    snapshot.points[index].longitude === point.longitude
+  );
+};
+
+const isRefreshDue = (ride, now) => {
+  const hoursUntilStart = (ride.getScheduledStart().getTime() - now.getTime()) / HOUR_MS;
+  if (hoursUntilStart <= 0 || hoursUntilStart > getForecastHorizonHours()) return false;
+
+  const snapshot = ride.weather_conditions;
+  if (!snapshotMatchesRide(snapshot, getForecastPoints(ride), ride)) return true;
+
+  const { refreshHours } = REFRESH_SCHEDULE.find(step => hoursUntilStart <= step.withinHours);
+  return now.getTime() - new Date(snapshot.fetched_at).getTime() >= refreshHours * HOUR_MS;
+};
+
+const fetchPointForecast = async (provider, point) => {
+  try {
+    return await provider.getForecast(point, point.time);
+  } catch (error) {
+    console.error(`Weather forecast failed for ${point.latitude},${point.longitude}:`, error.message);
+    return null;
+  }
+};
+
+const buildSnapshot = async (ride, now) => {
+  const provider = getWeatherProvider();
+  const points = getForecastPoints(ride);
+
+  const forecasts = [];
+  for (const point of points) {
+    forecasts.push(await fetchPointForecast(provider, point));
+  }
+
+  const snapshotPoints = points.map((point, index) => ({
+    ...point,
+    time: point.time.toISOString(),
+    forecast: forecasts[index],
+    alerts: getSevereAlerts(forecasts[index])
+  }));
+
+  return {
+    provider: provider.name,
+    fetched_at: now.toISOString(),
+    ride_start: ride.getScheduledStart().toISOString(),
+    severe: snapshotPoints.some(point => point.alerts.length > 0),
+    points: snapshotPoints
+  };
+};
+
+// "kind:index:code" for every severe reading, e.g. "waypoint:2:heavy_rain"
+const getAlertKeys = (snapshot) => {
+  return (snapshot?.points || []).flatMap((point, index) =>
+    (point.alerts || []).map(alert => `${point.kind}:${index}:${alert.code}`)
+  );
+};
+
+const describePoint = (point) => {
+  const label = point.kind === 'waypoint' ? 'a waypoint' : `the ${point.kind}`;
+  return point.address ? `${label} (${point.address})` : label;
+};
+
+const getRideRecipients = async (ride) => {
+  const participants = await ride.getParticipants({
+    attributes: ['id', 'first_name', 'phone_number', 'email'],
+    through: { where: { status: { [Op.ne]: 'cancelled' } } },
+    joinTableAttributes: []
+  });
+  const creator = await User.findByPk(ride.creator_id, {
+    attributes: ['id', 'first_name', 'phone_number', 'email']
+  });
+
+  return creator ? [creator, ...participants.filter(p => p.id !== creator.id)] : participants;
+};
+
+// Riders hear about new severe readings, and once more when the last one clears
+const alertOnSevereChanges = async (ride, previous, snapshot) => {
+  const previousKeys = new Set(getAlertKeys(previous));
+  const newKeys = getAlertKeys(snapshot).filter(key => !previousKeys.has(key));
+  // Missing forecasts are not good news, so only a complete snapshot can clear a warning
+  const cleared = previousKeys.size > 0 && !snapshot.severe && snapshot.points.every(point => point.forecast);
+
+  if (newKeys.length === 0 && !cleared) return false;
+
+  let message;
+  if (newKeys.length > 0) {
+    const warnings = snapshot.points
+      .filter(point => point.alerts.length > 0)
+      .map(point => `${describePoint(point)}: ${point.alerts.map(alert => alert.message).join(', ')}`);
+    message = `Severe weather expected on your ride "${ride.title}". ${warnings.join('; ')}.`;
+  } else {
+    message = `Good news: the severe weather warning for your ride "${ride.title}" has cleared.`;
+  }
+
+  emitToRide(ride.id, 'ride_weather_alert', {
+    ride_id: ride.id,
+    severe: snapshot.severe,
+    message,
+    weather: snapshot
+  });
+
+  const recipients = await getRideRecipients(ride);
+  await notifyRideParticipants(recipients, message, `Weather update for ${ride.title}`);
+
+  return true;
+};
+
+const refreshRideWeather = async (ride, now = new Date()) => {
+  if (ride.status !== 'upcoming') {
+    throw new AppError('Weather is only forecast for upcoming rides', 400);
+  }
+
+  const previous = ride.weather_conditions;
+  const snapshot = await buildSnapshot(ride, now);
+  if (snapshot.points.every(point => !point.forecast)) {
+    throw new AppError('No weather forecast is available for this ride yet', 503);
+  }
+
+  // A forecast from before a route or time change says nothing about the new plan
+  const comparable = snapshotMatchesRide(previous, getForecastPoints(ride), ride) ? previous : null;
+
+  // silent: a forecast refresh is not an edit, so updated_at (and the calendar SEQUENCE) stay put
+  await ride.update({ weather_conditions: snapshot }, { silent: true });
+  await alertOnSevereChanges(ride, comparable, snapshot);
+
+  return snapshot;
+};
+
+const runWeatherSweep = async (now = new Date()) => {
+  const horizonDays = Math.ceil(getForecastHorizonHours() / 24) + 1;
+
+  // Narrow by date in SQL, then compare exact start times
+  const rides = await Ride.findAll({
+    where: {
+      status: 'upcoming',
+      ride_date: {
+        [Op.between]: [
+          new Date(now.getTime() - DAY_MS).toISOString().split('T')[0],
+          new Date(now.getTime() + horizonDays * DAY_MS).toISOString().split('T')[0]
+        ]
+      }
+    }
+  });
+
+  let refreshedCount = 0;
+  for (const ride of rides) {
+    if (!isRefreshDue(ride, now)) continue;
+
+    try {
+      await refreshRideWeather(ride, now);
+      refreshedCount++;
+    } catch (error) {
+      console.error(`Failed to refresh weather for ride ${ride.id}:`, error);
+    }
+  }
+
+  if (refreshedCount > 0) {
+    console.log(`🌦️  Ride weather: refreshed ${refreshedCount}`);
+  }
+
+  return refreshedCount;
+};
+
+const weatherScheduler = createScheduler(runWeatherSweep, { label: 'Ride weather sweep' });
+
+const startWeatherScheduler = (intervalMs = parseInt(process.env.WEATHER_REFRESH_INTERVAL_MS) || DEFAULT_WEATHER_INTERVAL_MS) => weatherScheduler.start(intervalMs);
+
+const stopWeatherScheduler = () => weatherScheduler.stop();
+
+module.exports = {
+  getForecastPoints,
+  getSevereAlerts,
+  isRefreshDue,
+  refreshRideWeather,
+  runWeatherSweep,
+  startWeatherScheduler,
+  stopWeatherScheduler
+};
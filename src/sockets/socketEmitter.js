@@ -0,0 +1,29 @@
+// Lets controllers and services push events to socket rooms without holding a reference to io
+let socketServer = null;
+
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+const emitToRoom = (room, event, payload) => {
+  if (!socketServer) return false;
+
+  try {
+    socketServer.to(room).emit(event, payload);
+    return true;
+  } catch (error) {
+    console.error(`Failed to emit ${event} to ${room}:`, error.message);
+    return false;
+  }
+};
+
+const emitToRide = (rideId, event, payload) => emitToRoom(`ride:${rideId}`, event, payload);
+
+const emitToUser = (userId, event, payload) => emitToRoom(`user:${userId}`, event, payload);
+
+module.exports = {
+  setSocketServer,
+  emitToRoom,
+  emitToRide,
+  emitToUser
+};
@@ -2,12 +2,34 @@ const jwt = require("jsonwebtoken");
 const { User, Chat, Ride, Group, UserConnection } = require("../models");
 const { cacheGet, cacheSet } = require("../config/redis");
 const { Op } = require("sequelize");
+const { getRideRole } = require("../services/rideCrewService");
+const { getItineraryReference } = require("../services/itineraryService");
+
+// Crew roles shown with live locations are re-read at most this often
+const RIDE_ROLE_CACHE_TTL_MS = 60 * 1000;
 
 const socketHandlers = (io) => {
   // In-memory caches for frequent lookups
   const connectionCache = new Map();
   const roomMembershipCache = new Map();
   const userCache = new Map();
+  const rideRoleCache = new Map();
+
+  // Lead and sweep riders are marked in the live-tracking view
+  const getCachedRideRole = async (rideId, userId) => {
+    const key = `${rideId}:${userId}`;
+    const cached = rideRoleCache.get(key);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) return cached.role;
+      rideRoleCache.delete(key);
+    }
+
+    const ride = await Ride.findByPk(rideId, { attributes: ["id", "creator_id"] });
+    const role = ride ? await getRideRole(ride, userId) : null;
+
+    rideRoleCache.set(key, { role, expiresAt: Date.now() + RIDE_ROLE_CACHE_TTL_MS });
+    return role;
+  };
 
   // Batch operations queue
   const messageBatch = [];
@@ -1322,6 +1344,48 @@ socket.on('get_recent_conversations', async () => {
           });
         }
 
+        // Ride chats share the ride's own itinerary - the card only references it
+        // and clients load the stops from GET /api/rides/:rideId/itinerary
+        if (chat_type === "ride") {
+          const ride = await Ride.findByPk(ride_id, { attributes: ["id", "title"] });
+          if (!ride) {
+            return socket.emit("itinerary_error", { message: "Ride not found" });
+          }
+
+          const reference = await getItineraryReference(ride);
+          const chat = await Chat.create({
+            message: message || `Shared itinerary: ${reference.title}`,
+            message_type: "itinerary",
+            chat_type,
+            sender_id: socket.userId,
+            ride_id,
+            metadata: {
+              itinerary: {
+                ...reference,
+                participants: [],
+                createdBy: socket.userId,
+                createdAt: new Date(),
+              },
+            },
+          });
+
+          const chatWithSender = await Chat.findByPk(chat.id, {
+            include: [
+              {
+                model: User,
+                as: "sender",
+                attributes: ["id", "first_name", "last_name", "profile_picture"],
+              },
+            ],
+          });
+
+          io.to(`ride:${ride_id}`).emit("new_message", chatWithSender);
+          return socket.emit("itinerary_shared", {
+            id: chat.id,
+            status: "success",
+          });
+        }
+
         // Validate itinerary data
         if (
           !itinerary ||
@@ -1446,8 +1510,9 @@ socket.on('get_recent_conversations', async () => {
         suggestion.reviewedAt = new Date().toISOString();
         suggestion.reviewedBy = socket.userId;
 
-        // If approved, apply the suggestion to the itinerary
-        if (action === "approve" && suggestion.type === "suggest_edit") {
+        // If approved, apply the suggestion to the itinerary. Ride itineraries
+        // are changed through their stops, so approval only records the decision there.
+        if (action === "approve" && suggestion.type === "suggest_edit" && itinerary.source !== "ride") {
           // Apply the suggested changes
           if (suggestion.data.title) itinerary.title = suggestion.data.title;
           if (suggestion.data.description)
@@ -1794,6 +1859,12 @@ socket.on('direct_edit_itinerary', async (data) => {
       });
     }
 
+    if (itinerary.source === 'ride') {
+      return socket.emit("direct_edit_error", {
+        message: "Edit ride itineraries through the ride's stops",
+      });
+    }
+
     // Apply the edit based on edit_type
     let updatedItinerary = { ...itinerary };
     let changeDescription = '';
@@ -2470,9 +2541,17 @@ socket.on('offer_fuel_help', async (data) => {
 
       if (ride_id) {
         clearTimeout(locationUpdateTimeout);
-        locationUpdateTimeout = setTimeout(() => {
+        locationUpdateTimeout = setTimeout(async () => {
+          let crewRole = null;
+          try {
+            crewRole = await getCachedRideRole(ride_id, socket.userId);
+          } catch (error) {
+            console.error("Ride role lookup error:", error);
+          }
+
           socket.to(`ride:${ride_id}`).emit("live_location_update", {
             user_id: socket.userId,
+            crew_role: crewRole,
             latitude,
             longitude,
             timestamp: new Date(),
@@ -2693,6 +2772,12 @@ socket.on('offer_fuel_help', async (data) => {
         userCache.delete(key);
       });
     }
+
+    // Drop expired ride roles that were never read again
+    const now = Date.now();
+    rideRoleCache.forEach((entry, key) => {
+      if (entry.expiresAt <= now) rideRoleCache.delete(key);
+    });
   }, 600000); // Clean up every 10 minutes
 
   // Helper function to check if user is online (optimized)
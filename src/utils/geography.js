@@ -0,0 +1,77 @@
+const { fn, col, cast } = require('sequelize');
+
+// GeoJSON values and query fragments for the PostGIS geography columns that mirror
+// the JSONB location fields ({ latitude, longitude, address }) on rides, groups and rentals
+
+const SRID = 4326;
+
+// Sequelize passes these to ST_GeomFromGeoJSON, which needs the CRS to tag the SRID
+const CRS = { type: 'name', properties: { name: `EPSG:${SRID}` } };
+
+const toCoordinates = (location) => {
+  const latitude = parseFloat(location?.latitude);
+  const longitude = parseFloat(location?.longitude);
+
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return [longitude, latitude];
+};
+
+// { latitude, longitude } -> GeoJSON Point, or null when the location is unusable
+const toGeographyPoint = (location) => {
+  const coordinates = toCoordinates(location);
+  return coordinates ? { type: 'Point', coordinates, crs: CRS } : null;
+};
+
+// [{ latitude, longitude }] -> GeoJSON MultiPoint, or null when there are no usable points
+const toGeographyMultiPoint = (locations) => {
+  const coordinates = (Array.isArray(locations) ? locations : [])
+    .map(toCoordinates)
+    .filter(Boolean);
+
+  return coordinates.length > 0 ? { type: 'MultiPoint', coordinates, crs: CRS } : null;
+};
+
+// [{ latitude, longitude }] path -> GeoJSON LineString, or null when there is no line to draw
+const toGeographyLineString = (points) => {
+  const coordinates = (Array.isArray(points) ? points : [])
+    .map(toCoordinates)
+    .filter(Boolean);
+
+  return coordinates.length >= 2 ? { type: 'LineString', coordinates, crs: CRS } : null;
+};
+
+// Geography literal for a query point
+const makePoint = (latitude, longitude) => {
+  return cast(fn('ST_SetSRID', fn('ST_MakePoint', parseFloat(longitude), parseFloat(latitude)), SRID), 'geography');
+};
+
+// Geography literal for a query path of at least two points
+const makeLine = (points) => {
+  const wkt = points.map(point => `${parseFloat(point.longitude)} ${parseFloat(point.latitude)}`).join(', ');
+  return cast(fn('ST_GeomFromText', `LINESTRING(${wkt})`, SRID), 'geography');
+};
+
+// Distance in metres from a geography column ("Model.column") to the point.
+// For a MultiPoint this is the distance to its nearest point.
+const distanceFrom = (column, latitude, longitude) => {
+  return fn('ST_Distance', col(column), makePoint(latitude, longitude));
+};
+
+// Where condition for rows within radiusKm of the point - uses the column's GiST index
+const withinRadius = (column, latitude, longitude, radiusKm) => {
+  return fn('ST_DWithin', col(column), makePoint(latitude, longitude), radiusKm * 1000);
+};
+
+module.exports = {
+  SRID,
+  toGeographyPoint,
+  toGeographyMultiPoint,
+  toGeographyLineString,
+  makePoint,
+  makeLine,
+  distanceFrom,
+  withinRadius
+};
@@ -187,14 +187,26 @@ const validatePasswordStrength = (password) => {
   };
 };
 
-// Generate QR code data for ride sharing
-const generateRideQRData = (rideId, creatorId) => {
+// HMAC over the QR payload so clients cannot forge or extend codes
+const signQRPayload = (payload) => {
+  const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+};
+
+// Generate QR code data for ride sharing and check-in
+const generateRideQRData = (rideId, creatorId, { type = 'ride_invitation', expiresInMinutes = null } = {}) => {
   const data = {
-    type: 'ride_invitation',
+    type,
     ride_id: rideId,
     creator_id: creatorId,
     timestamp: Date.now()
   };
+
+  if (expiresInMinutes) {
+    data.expires_at = data.timestamp + expiresInMinutes * 60 * 1000;
+  }
+
+  data.signature = signQRPayload(data);
   
   return Buffer.from(JSON.stringify(data)).toString('base64');
 };
@@ -209,6 +221,26 @@ const parseQRData = (qrData) => {
   }
 };
 
+// Parse QR code data and reject it if the signature is wrong or it has expired
+const verifyQRData = (qrData) => {
+  const data = parseQRData(qrData);
+  if (!data || typeof data.signature !== 'string') return null;
+
+  const { signature, ...payload } = data;
+  const expected = Buffer.from(signQRPayload(payload));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  if (payload.expires_at && Date.now() > payload.expires_at) {
+    return null;
+  }
+
+  return payload;
+};
+
 // Calculate ride fee based on distance and group size
 const calculateRideFee = (distance, baseRate = 5, participants = 1) => {
   const baseFee = distance * baseRate;
@@ -315,6 +347,7 @@ module.exports = {
   validatePasswordStrength,
   generateRideQRData,
   parseQRData,
+  verifyQRData,
   calculateRideFee,
   generateEmergencyCode,
   maskSensitiveInfo,
@@ -0,0 +1,74 @@
+// Google encoded polyline algorithm (precision 5), as used by route_polyline
+// https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+
+const encodeValue = (value) => {
+  let shifted = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+
+  while (shifted >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+    shifted >>= 5;
+  }
+
+  return encoded + String.fromCharCode(shifted + 63);
+};
+
+// Encode [{ latitude, longitude }] into a polyline string
+const encodePolyline = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  for (const point of points) {
+    const lat = Math.round(parseFloat(point.latitude) * factor);
+    const lng = Math.round(parseFloat(point.longitude) * factor);
+
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+
+  return encoded;
+};
+
+// Decode a polyline string into [{ latitude, longitude }]
+const decodePolyline = (encoded, precision = 5) => {
+  if (!encoded) return [];
+
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Invalid encoded polyline');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+
+  return points;
+};
+
+module.exports = {
+  encodePolyline,
+  decodePolyline
+};
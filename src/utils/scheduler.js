@@ -0,0 +1,41 @@
+// Background job run on an interval. A tick is skipped while the previous run is still
+// going, and a failed run is logged without stopping the schedule.
+const createScheduler = (job, { label, runOnStart = true }) => {
+  let timer = null;
+  let inProgress = false;
+
+  const tick = async () => {
+    if (inProgress) return;
+    inProgress = true;
+
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+    } finally {
+      inProgress = false;
+    }
+  };
+
+  const start = (intervalMs) => {
+    if (timer) return timer;
+
+    timer = setInterval(tick, intervalMs);
+    if (runOnStart) tick();
+
+    return timer;
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,38 @@
+const { schemas } = require('../../src/middleware/validation');
+
+describe('schemas.rideSearchQuery', () => {
+  const validate = (query) => schemas.rideSearchQuery.validate(query);
+
+  it.each([
+    ['price_max', { price_max: 500 }],
+    ['distance_max', { distance_max: 150 }],
+    ['date_to', { date_to: '2030-06-30' }]
+  ])('accepts %s without its lower bound', (field, query) => {
+    expect(validate(query).error).toBeUndefined();
+  });
+
+  it('accepts ranges whose upper bound is at or above the lower one', () => {
+    const { error } = validate({
+      price_min: 100,
+      price_max: 100,
+      distance_min: 50,
+      distance_max: 200,
+      date_from: '2030-06-01',
+      date_to: '2030-06-30'
+    });
+
+    expect(error).toBeUndefined();
+  });
+
+  it.each([
+    ['price', { price_min: 500, price_max: 100 }],
+    ['distance', { distance_min: 200, distance_max: 50 }],
+    ['date', { date_from: '2030-06-30', date_to: '2030-06-01' }]
+  ])('rejects an inverted %s range', (range, query) => {
+    expect(validate(query).error).toBeDefined();
+  });
+
+  it('rejects a negative upper bound on its own', () => {
+    expect(validate({ price_max: -1 }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,76 @@
+const { Ride } = require('../../src/models');
+
+const segment = (day, fields = {}) => ({
+  day,
+  start_location: { latitude: 12.0, longitude: 77.0, address: `Day ${day} start` },
+  end_location: { latitude: 12.5, longitude: 77.5, address: `Day ${day} end` },
+  ...fields
+});
+
+const buildRide = (fields) => Ride.build({
+  title: 'Test ride',
+  ride_date: '2030-06-01',
+  ride_time: '06:00',
+  max_participants: 10,
+  creator_id: '00000000-0000-0000-0000-000000000001',
+  ...fields
+});
+
+describe('Ride#getDayCount', () => {
+  it('is one day without an end date', () => {
+    expect(buildRide({}).getDayCount()).toBe(1);
+  });
+
+  it('counts both the first and the last day', () => {
+    expect(buildRide({ end_date: '2030-06-03' }).getDayCount()).toBe(3);
+  });
+
+  it('is one day when the end date is the ride date', () => {
+    expect(buildRide({ end_date: '2030-06-01' }).getDayCount()).toBe(1);
+  });
+
+  it('counts across a month boundary', () => {
+    expect(buildRide({ ride_date: '2030-01-30', end_date: '2030-02-02' }).getDayCount()).toBe(4);
+  });
+});
+
+describe('Ride#getStartedDayChanges', () => {
+  const previous = [segment(1), segment(2), segment(3)];
+
+  const ongoingRide = () => buildRide({
+    status: 'ongoing',
+    end_date: '2030-06-03',
+    day_segments: previous
+  });
+
+  it('allows any change before the ride is under way', () => {
+    const ride = buildRide({ status: 'upcoming', end_date: '2030-06-03', day_segments: previous });
+    const next = [segment(1, { title: 'Changed' }), segment(2), segment(3)];
+
+    expect(ride.getStartedDayChanges(previous, next, new Date('2030-06-02T12:00:00Z'))).toEqual([]);
+  });
+
+  it('reports changes to days that have begun', () => {
+    const next = [segment(1, { title: 'Changed' }), segment(2, { distance_km: 120 }), segment(3)];
+
+    expect(ongoingRide().getStartedDayChanges(previous, next, new Date('2030-06-02T12:00:00Z'))).toEqual([1, 2]);
+  });
+
+  it('allows changes to days still ahead', () => {
+    const next = [segment(1), segment(2), segment(3, { title: 'Rerouted' })];
+
+    expect(ongoingRide().getStartedDayChanges(previous, next, new Date('2030-06-02T12:00:00Z'))).toEqual([]);
+  });
+
+  it('treats removing a started day as a change', () => {
+    const next = [segment(2), segment(3)];
+
+    expect(ongoingRide().getStartedDayChanges(previous, next, new Date('2030-06-01T12:00:00Z'))).toEqual([1]);
+  });
+
+  it('ignores key order within a segment', () => {
+    const reordered = previous.map(({ day, end_location, start_location }) => ({ start_location, end_location, day }));
+
+    expect(ongoingRide().getStartedDayChanges(previous, reordered, new Date('2030-06-03T12:00:00Z'))).toEqual([]);
+  });
+});
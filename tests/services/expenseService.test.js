@@ -0,0 +1,143 @@
+jest.mock('../../src/config/redis', () => ({
+  cacheGet: jest.fn(),
+  cacheSet: jest.fn(),
+  cacheDel: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { RideParticipant, RideExpense, RideSettlement } = require('../../src/models');
+const { calculateShares, suggestTransfers, recordSettlement } = require('../../src/services/expenseService');
+
+const totalOf = (shares) => shares.reduce((total, share) => total + share.cents, 0);
+
+describe('calculateShares', () => {
+  it('splits evenly and hands leftover cents to the first users', () => {
+    const shares = calculateShares(1000, 'equal', [{ user_id: 'a' }, { user_id: 'b' }, { user_id: 'c' }]);
+
+    expect(shares.map(share => share.cents)).toEqual([334, 333, 333]);
+    expect(totalOf(shares)).toBe(1000);
+  });
+
+  it('splits by shares and keeps the units', () => {
+    const shares = calculateShares(1000, 'shares', [
+      { user_id: 'a', shares: 2 },
+      { user_id: 'b', shares: 1 }
+    ]);
+
+    expect(shares).toEqual([
+      { user_id: 'a', share_units: 2, cents: 667 },
+      { user_id: 'b', share_units: 1, cents: 333 }
+    ]);
+  });
+
+  it('takes exact amounts that add up to the total', () => {
+    const shares = calculateShares(1050, 'exact', [
+      { user_id: 'a', amount: 7.5 },
+      { user_id: 'b', amount: 3 }
+    ]);
+
+    expect(shares.map(share => share.cents)).toEqual([750, 300]);
+  });
+
+  it('rejects exact amounts that do not add up', () => {
+    expect(() => calculateShares(1000, 'exact', [
+      { user_id: 'a', amount: 5 },
+      { user_id: 'b', amount: 4 }
+    ])).toThrow('Exact split amounts add up to 9, not 10');
+  });
+
+  it('rejects a user listed twice', () => {
+    expect(() => calculateShares(1000, 'equal', [{ user_id: 'a' }, { user_id: 'a' }]))
+      .toThrow('Each user can only appear once in an expense split');
+  });
+
+  it('rejects shares that add up to zero', () => {
+    expect(() => calculateShares(1000, 'shares', [{ user_id: 'a', shares: 0 }]))
+      .toThrow('Expense shares must add up to more than zero');
+  });
+});
+
+describe('suggestTransfers', () => {
+  it('settles everyone in at most n - 1 transfers', () => {
+    const ledger = {
+      a: { net: 600 },
+      b: { net: -200 },
+      c: { net: -400 },
+      d: { net: 0 }
+    };
+
+    expect(suggestTransfers(ledger)).toEqual([
+      { from_user_id: 'c', to_user_id: 'a', cents: 400 },
+      { from_user_id: 'b', to_user_id: 'a', cents: 200 }
+    ]);
+  });
+
+  it('matches the largest debtor with the largest creditor first', () => {
+    const transfers = suggestTransfers({
+      a: { net: 500 },
+      b: { net: 300 },
+      c: { net: -700 },
+      d: { net: -100 }
+    });
+
+    expect(transfers).toEqual([
+      { from_user_id: 'c', to_user_id: 'a', cents: 500 },
+      { from_user_id: 'c', to_user_id: 'b', cents: 200 },
+      { from_user_id: 'd', to_user_id: 'b', cents: 100 }
+    ]);
+  });
+
+  it('suggests nothing when everyone is even', () => {
+    expect(suggestTransfers({ a: { net: 0 }, b: { net: 0 } })).toEqual([]);
+  });
+});
+
+describe('recordSettlement', () => {
+  const ride = { id: 'ride-1', creator_id: 'a', currency: 'INR' };
+
+  // a paid 1000 for a ride shared with b, so b owes a 500
+  beforeEach(() => {
+    jest.spyOn(RideParticipant, 'findAll').mockResolvedValue([{ user_id: 'b' }]);
+    jest.spyOn(RideExpense, 'findAll').mockResolvedValue([{
+      currency: 'INR',
+      amount: '1000.00',
+      paid_by: 'a',
+      shares: [{ user_id: 'a', amount: '500.00' }, { user_id: 'b', amount: '500.00' }]
+    }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockSettlements = ({ completed = [], open = [] }) => {
+    jest.spyOn(RideSettlement, 'findAll').mockImplementation(({ where }) => (
+      Promise.resolve(where.status === 'completed' ? completed : open)
+    ));
+  };
+
+  it('counts an open online settlement as paid', async () => {
+    mockSettlements({ open: [{ from_user_id: 'b', to_user_id: 'a', amount: '400.00' }] });
+
+    await expect(recordSettlement(ride, 'b', { method: 'cashfree', to_user_id: 'a', amount: 200 }))
+      .rejects.toThrow('At most 100 INR can be settled between these riders');
+  });
+
+  it('rejects a new settlement once open ones cover the debt', async () => {
+    mockSettlements({ open: [{ from_user_id: 'b', to_user_id: 'a', amount: '500.00' }] });
+
+    await expect(recordSettlement(ride, 'a', { method: 'manual', from_user_id: 'b', amount: 100 }))
+      .rejects.toThrow('There is no outstanding INR balance to settle between these riders');
+  });
+
+  it('allows what is left after completed settlements', async () => {
+    mockSettlements({ completed: [{ currency: 'INR', from_user_id: 'b', to_user_id: 'a', amount: '300.00' }] });
+    const create = jest.spyOn(RideSettlement, 'create').mockImplementation(async data => data);
+
+    await recordSettlement(ride, 'a', { method: 'manual', from_user_id: 'b', amount: 200 });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ from_user_id: 'b', to_user_id: 'a', amount: 200 }));
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../src/config/redis', () => ({
+  cacheGet: jest.fn(),
+  cacheSet: jest.fn(),
+  cacheDel: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+jest.mock('../../src/services/waitlistService', () => ({
+  getAvailableSlots: jest.fn(),
+  formatPaymentOrder: jest.fn(),
+  joinWaitlist: jest.fn()
+}));
+jest.mock('../../src/services/rideSlotService', () => ({
+  getSlotAvailability: jest.fn(),
+  pickSlotType: jest.fn(),
+  getSlotPricingOption: jest.fn(),
+  takeRideSlot: jest.fn()
+}));
+
+const { Ride, User, RideJoinRequest } = require('../../src/models');
+const { approveJoinRequest } = require('../../src/services/joinRequestService');
+const { getAvailableSlots, joinWaitlist } = require('../../src/services/waitlistService');
+const { getSlotAvailability, pickSlotType, takeRideSlot } = require('../../src/services/rideSlotService');
+
+const ORGANISER_ID = '00000000-0000-0000-0000-000000000001';
+const RIDER_ID = '00000000-0000-0000-0000-000000000002';
+
+const ride = Ride.build({
+  id: '00000000-0000-0000-0000-000000000010',
+  title: 'Test ride',
+  ride_date: '2030-06-01',
+  ride_time: '06:00',
+  max_participants: 10,
+  creator_id: ORGANISER_ID,
+  status: 'upcoming',
+  is_paid: false
+});
+
+const buildRequest = (status = 'pending') => {
+  const request = RideJoinRequest.build({
+    id: '00000000-0000-0000-0000-000000000020',
+    ride_id: ride.id,
+    user_id: RIDER_ID,
+    status
+  });
+  jest.spyOn(request, 'reload').mockResolvedValue(request);
+  return request;
+};
+
+describe('approveJoinRequest', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: RIDER_ID }));
+    jest.spyOn(RideJoinRequest, 'update').mockResolvedValue([1]);
+    getSlotAvailability.mockResolvedValue({});
+    pickSlotType.mockReturnValue('own_bike');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('joins the rider when a place is free', async () => {
+    jest.spyOn(RideJoinRequest, 'findOne').mockResolvedValue(buildRequest());
+    getAvailableSlots.mockResolvedValue(3);
+
+    const result = await approveJoinRequest(ride, '00000000-0000-0000-0000-000000000020', ORGANISER_ID);
+
+    expect(result.joined).toBe(true);
+    expect(takeRideSlot).toHaveBeenCalledWith(ride, expect.anything(), { slotType: 'own_bike' });
+    expect(joinWaitlist).not.toHaveBeenCalled();
+  });
+
+  it('puts the rider on the waitlist when the ride is full', async () => {
+    jest.spyOn(RideJoinRequest, 'findOne').mockResolvedValue(buildRequest());
+    getAvailableSlots.mockResolvedValue(0);
+    joinWaitlist.mockResolvedValue({ position: 3 });
+
+    const result = await approveJoinRequest(ride, '00000000-0000-0000-0000-000000000020', ORGANISER_ID);
+
+    expect(result).toEqual(expect.objectContaining({ joined: false, waitlistPosition: 3, paymentOrder: null }));
+    expect(joinWaitlist).toHaveBeenCalledWith(ride, RIDER_ID, undefined, undefined);
+    expect(takeRideSlot).not.toHaveBeenCalled();
+  });
+
+  it('puts the rider on the waitlist when no place of their kind is free', async () => {
+    jest.spyOn(RideJoinRequest, 'findOne').mockResolvedValue(buildRequest());
+    getAvailableSlots.mockResolvedValue(2);
+    pickSlotType.mockReturnValue(null);
+    joinWaitlist.mockResolvedValue({ position: 1 });
+
+    const result = await approveJoinRequest(ride, '00000000-0000-0000-0000-000000000020', ORGANISER_ID);
+
+    expect(result.waitlistPosition).toBe(1);
+    expect(takeRideSlot).not.toHaveBeenCalled();
+  });
+
+  it('rejects a request that was already approved', async () => {
+    jest.spyOn(RideJoinRequest, 'findOne').mockResolvedValue(buildRequest('approved'));
+
+    await expect(approveJoinRequest(ride, '00000000-0000-0000-0000-000000000020', ORGANISER_ID))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(RideJoinRequest.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects the second of two approvals racing on the same request', async () => {
+    jest.spyOn(RideJoinRequest, 'findOne').mockResolvedValue(buildRequest());
+    RideJoinRequest.update.mockResolvedValue([0]);
+
+    await expect(approveJoinRequest(ride, '00000000-0000-0000-0000-000000000020', ORGANISER_ID))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(takeRideSlot).not.toHaveBeenCalled();
+    expect(joinWaitlist).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+const { PromoCode } = require('../../src/models');
+const { calculateDiscount, updatePromoCode } = require('../../src/services/promoCodeService');
+
+describe('calculateDiscount', () => {
+  it('takes a percentage off', () => {
+    expect(calculateDiscount({ discount_type: 'percentage', discount_value: '20.00', max_discount: null }, 1500))
+      .toEqual({ original_amount: 1500, discount_amount: 300, final_amount: 1200 });
+  });
+
+  it('caps a percentage discount at max_discount', () => {
+    expect(calculateDiscount({ discount_type: 'percentage', discount_value: '50', max_discount: '200' }, 1000))
+      .toEqual({ original_amount: 1000, discount_amount: 200, final_amount: 800 });
+  });
+
+  it('takes a fixed amount off', () => {
+    expect(calculateDiscount({ discount_type: 'fixed', discount_value: '150.50', max_discount: null }, '999.99'))
+      .toEqual({ original_amount: 999.99, discount_amount: 150.5, final_amount: 849.49 });
+  });
+
+  it('never goes below zero', () => {
+    expect(calculateDiscount({ discount_type: 'fixed', discount_value: '500', max_discount: null }, 300))
+      .toEqual({ original_amount: 300, discount_amount: 300, final_amount: 0 });
+  });
+
+  it('rounds percentage discounts to the nearest paisa', () => {
+    expect(calculateDiscount({ discount_type: 'percentage', discount_value: '15', max_discount: null }, 333.33))
+      .toEqual({ original_amount: 333.33, discount_amount: 50, final_amount: 283.33 });
+  });
+});
+
+describe('updatePromoCode', () => {
+  const ownerId = '00000000-0000-0000-0000-000000000001';
+
+  const mockStoredCode = (fields) => {
+    const promoCode = PromoCode.build({
+      id: '00000000-0000-0000-0000-0000000000aa',
+      code: 'RIDE20',
+      created_by: ownerId,
+      scope: 'all',
+      ...fields
+    });
+    jest.spyOn(promoCode, 'update').mockResolvedValue(promoCode);
+    jest.spyOn(PromoCode, 'findByPk').mockResolvedValue(promoCode);
+    return promoCode;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects raising a stored percentage code above 100', async () => {
+    const promoCode = mockStoredCode({ discount_type: 'percentage', discount_value: 20 });
+
+    await expect(updatePromoCode(promoCode.id, ownerId, { discount_value: 250 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(promoCode.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects switching a large fixed code to a percentage', async () => {
+    const promoCode = mockStoredCode({ discount_type: 'fixed', discount_value: 250 });
+
+    await expect(updatePromoCode(promoCode.id, ownerId, { discount_type: 'percentage' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('lets a fixed code take off more than 100', async () => {
+    const promoCode = mockStoredCode({ discount_type: 'fixed', discount_value: 50 });
+
+    await updatePromoCode(promoCode.id, ownerId, { discount_value: 250 });
+
+    expect(promoCode.update).toHaveBeenCalledWith({ discount_value: 250 });
+  });
+});
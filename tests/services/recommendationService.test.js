@@ -0,0 +1,166 @@
+jest.mock('../../src/config/redis', () => ({
+  cacheGet: jest.fn(),
+  cacheSet: jest.fn(),
+  cacheDel: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { Ride, User } = require('../../src/models');
+const { scoreCandidate } = require('../../src/services/recommendationService');
+
+const GROUP_ID = '00000000-0000-0000-0000-000000000040';
+const RADIUS_KM = 100;
+
+// Built raw, like findAll builds candidates with their computed distance columns
+const buildCandidate = (fields = {}) => Ride.build({
+  id: '00000000-0000-0000-0000-000000000010',
+  group_id: null,
+  distance_km: null,
+  requirements: {},
+  start_distance_m: null,
+  waypoint_distance_m: null,
+  ...fields
+}, { raw: true });
+
+const profile = {
+  user: User.build({ experience_level: 'Advanced', bike_info: { bike_type: 'Cruiser' } }),
+  groups: new Map([[GROUP_ID, 'Hill Riders']]),
+  usualDistanceKm: 100
+};
+
+const friend = (firstName) => ({ id: firstName, first_name: firstName });
+
+const score = (fields, friends = []) => scoreCandidate(buildCandidate(fields), profile, friends, RADIUS_KM);
+
+describe('scoreCandidate', () => {
+  it('scores nothing without any signal', () => {
+    const result = score({});
+
+    expect(result.score).toBe(0);
+    expect(result.reasons).toEqual([]);
+  });
+
+  describe('proximity', () => {
+    it('scores rides starting nearby by how close they are', () => {
+      const result = score({ start_distance_m: 10000 });
+
+      expect(result.breakdown.proximity).toBe(27);
+      expect(result.reasons).toEqual(['Starts 10 km from you']);
+    });
+
+    it('uses a waypoint when it is closer than the start', () => {
+      const result = score({ start_distance_m: 80000, waypoint_distance_m: 20000 });
+
+      expect(result.breakdown.proximity).toBe(24);
+      expect(result.reasons).toEqual(['Passes 20 km from you']);
+    });
+
+    it('ignores rides outside the radius', () => {
+      expect(score({ start_distance_m: 150000 }).breakdown.proximity).toBe(0);
+    });
+  });
+
+  describe('friends', () => {
+    it('names a single friend', () => {
+      const result = score({}, [friend('Asha')]);
+
+      expect(result.breakdown.friends).toBe(8.3);
+      expect(result.reasons).toEqual(['Because Asha joined']);
+    });
+
+    it('stops adding points after three friends', () => {
+      const result = score({}, ['A', 'B', 'C', 'D', 'E'].map(friend));
+
+      expect(result.breakdown.friends).toBe(25);
+      expect(result.reasons).toEqual(['Because 5 friends joined']);
+    });
+  });
+
+  describe('group', () => {
+    it('scores rides from the rider\'s groups', () => {
+      const result = score({ group_id: GROUP_ID });
+
+      expect(result.breakdown.group).toBe(15);
+      expect(result.reasons).toEqual(['From your group Hill Riders']);
+    });
+
+    it('ignores other groups', () => {
+      expect(score({ group_id: '00000000-0000-0000-0000-000000000041' }).breakdown.group).toBe(0);
+    });
+  });
+
+  describe('ride length', () => {
+    it('gives full points for the usual length', () => {
+      const result = score({ distance_km: '100.00' });
+
+      expect(result.breakdown.ride_length).toBe(15);
+      expect(result.reasons).toEqual(['100 km, close to your usual 100 km']);
+    });
+
+    it('gives fewer points the further the length is from usual', () => {
+      expect(score({ distance_km: '120.00' }).breakdown.ride_length).toBe(12.5);
+    });
+
+    it('gives no points at three times the usual length', () => {
+      expect(score({ distance_km: '300.00' }).breakdown.ride_length).toBe(0);
+    });
+  });
+
+  describe('experience', () => {
+    it.each([
+      ['Advanced', 10],
+      ['Intermediate', 5],
+      ['Beginner', 0],
+      ['Expert', -10]
+    ])('scores a %s ride for an Advanced rider at %s', (level, points) => {
+      expect(score({ requirements: { experience_level: level } }).breakdown.experience).toBe(points);
+    });
+
+    it('only gives a reason for rides at the rider\'s level', () => {
+      expect(score({ requirements: { experience_level: 'Advanced' } }).reasons).toEqual(['Pitched at your Advanced level']);
+      expect(score({ requirements: { experience_level: 'Intermediate' } }).reasons).toEqual([]);
+    });
+  });
+
+  describe('bike type', () => {
+    it.each([
+      ['Cruiser', 5],
+      ['Sport', -5],
+      ['Any', 0]
+    ])('scores a ride for %s bikes at %s', (bikeType, points) => {
+      expect(score({ requirements: { bike_type: bikeType } }).breakdown.bike_type).toBe(points);
+    });
+  });
+
+  it('lists reasons strongest first', () => {
+    const result = score({
+      start_distance_m: 20000,
+      group_id: GROUP_ID,
+      distance_km: '120.00',
+      requirements: { experience_level: 'Advanced', bike_type: 'Cruiser' }
+    }, ['A', 'B', 'C'].map(friend));
+
+    expect(result.reasons).toEqual([
+      'Because 3 friends joined',
+      'Starts 20 km from you',
+      'From your group Hill Riders',
+      '120 km, close to your usual 100 km',
+      'Pitched at your Advanced level',
+      'Made for Cruiser bikes like yours'
+    ]);
+    expect(result.score).toBe(91.5);
+  });
+
+  it('leaves penalties out of the reasons', () => {
+    const result = score({
+      start_distance_m: 50000,
+      requirements: { experience_level: 'Expert', bike_type: 'Sport' }
+    });
+
+    expect(result.score).toBe(0);
+    expect(result.breakdown).toEqual(expect.objectContaining({ proximity: 15, experience: -10, bike_type: -5 }));
+    expect(result.reasons).toEqual(['Starts 50 km from you']);
+  });
+});
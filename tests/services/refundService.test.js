@@ -0,0 +1,66 @@
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { Ride, Payment, PaymentRefund } = require('../../src/models');
+const { getLeaveRefundPercentage, getRefundableAmount } = require('../../src/services/refundService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('getLeaveRefundPercentage', () => {
+  const ride = Ride.build({
+    title: 'Test ride',
+    ride_date: '2030-06-01',
+    ride_time: '06:00',
+    max_participants: 10,
+    creator_id: '00000000-0000-0000-0000-000000000001'
+  });
+  const hoursBefore = (hours) => new Date(ride.getScheduledStart().getTime() - hours * HOUR_MS);
+
+  it.each([
+    [72, 100],
+    [48, 100],
+    [47.99, 50],
+    [24, 50],
+    [23.99, 0],
+    [0, 0],
+    [-2, 0]
+  ])('refunds leaving %s hours before the ride at %s%%', (hours, percentage) => {
+    expect(getLeaveRefundPercentage(ride, hoursBefore(hours))).toBe(percentage);
+  });
+});
+
+describe('getRefundableAmount', () => {
+  const payment = Payment.build({ id: '00000000-0000-0000-0000-000000000030', amount: '1000.00' });
+  const refund = (status, amount, attempts = 1) => PaymentRefund.build({ status, amount, attempts });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is the full amount when nothing was refunded', async () => {
+    jest.spyOn(PaymentRefund, 'findAll').mockResolvedValue([]);
+
+    await expect(getRefundableAmount(payment)).resolves.toBe(1000);
+  });
+
+  it('holds back refunds that went through, are in flight or will be retried', async () => {
+    jest.spyOn(PaymentRefund, 'findAll').mockResolvedValue([
+      refund('success', '250.00'),
+      refund('processing', '100.50'),
+      refund('failed', '200.00', 1),
+      refund('failed', '300.00', 3)
+    ]);
+
+    await expect(getRefundableAmount(payment)).resolves.toBe(449.5);
+  });
+
+  it('never goes below zero', async () => {
+    jest.spyOn(PaymentRefund, 'findAll').mockResolvedValue([
+      refund('success', '1000.00'),
+      refund('pending', '500.00')
+    ]);
+
+    await expect(getRefundableAmount(payment)).resolves.toBe(0);
+  });
+});
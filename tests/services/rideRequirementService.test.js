@@ -0,0 +1,54 @@
+const { Ride, User, RideDocumentVerification } = require('../../src/models');
+const { evaluateRideRequirements } = require('../../src/services/rideRequirementService');
+
+const buildRide = (requirements) => Ride.build({
+  title: 'Test ride',
+  ride_date: '2030-06-01',
+  ride_time: '06:00',
+  max_participants: 10,
+  creator_id: '00000000-0000-0000-0000-000000000001',
+  requirements
+});
+
+const licenseVerification = (fields = {}) => RideDocumentVerification.build({
+  document: 'driving_license',
+  document_number: 'DL-123',
+  document_expires_on: '2031-01-01',
+  ...fields
+});
+
+describe('evaluateRideRequirements - documents', () => {
+  const ride = buildRide({ license_required: true });
+  const user = User.build({
+    documents: { driving_license: { number: 'DL-123', expires_on: '2031-01-01' } }
+  });
+
+  it('needs a submitted document', () => {
+    const { unmet } = evaluateRideRequirements(ride, User.build({ documents: {} }));
+
+    expect(unmet).toEqual([expect.objectContaining({ requirement: 'license_required', actual: 'missing' })]);
+  });
+
+  it('needs the document verified for the ride', () => {
+    const { unmet } = evaluateRideRequirements(ride, user);
+
+    expect(unmet).toEqual([expect.objectContaining({ requirement: 'license_required', actual: 'unverified' })]);
+  });
+
+  it('accepts a verification of the same document', () => {
+    expect(evaluateRideRequirements(ride, user, null, [licenseVerification()]).eligible).toBe(true);
+  });
+
+  it('ignores a verification of a different document', () => {
+    const verification = licenseVerification({ document_number: 'DL-OLD' });
+
+    expect(evaluateRideRequirements(ride, user, null, [verification]).unmet[0].actual).toBe('unverified');
+  });
+
+  it('rejects a verified document that expires before the ride', () => {
+    const expiring = User.build({ documents: { driving_license: { number: 'DL-123', expires_on: '2030-05-01' } } });
+    const verification = licenseVerification({ document_expires_on: '2030-05-01' });
+
+    expect(evaluateRideRequirements(ride, expiring, null, [verification]).unmet[0].actual).toBe('expired');
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../../src/config/redis', () => ({
+  cacheGet: jest.fn(),
+  cacheSet: jest.fn(),
+  cacheDel: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { Ride, RideSeries } = require('../../src/models');
+const { getOccurrenceDates, materializeSeries } = require('../../src/services/rideSeriesService');
+
+// 2030-06-01 is a Saturday
+const buildSeries = (fields) => RideSeries.build({
+  title: 'Sunday breakfast ride',
+  creator_id: '00000000-0000-0000-0000-000000000001',
+  ride_template: { max_participants: 10 },
+  day_of_week: 0,
+  ride_time: '06:00',
+  starts_on: '2030-06-01',
+  status: 'active',
+  ...fields
+});
+
+describe('getOccurrenceDates', () => {
+  it('keeps a biweekly series on the weeks of its first ride', () => {
+    const series = buildSeries({ frequency: 'biweekly' });
+
+    // The first Sunday is 2030-06-02, so 06-23 and 07-07 are off weeks
+    expect(getOccurrenceDates(series, '2030-06-20', '2030-07-20')).toEqual(['2030-06-30', '2030-07-14']);
+  });
+
+  it('picks the last weekday of each month', () => {
+    const series = buildSeries({ frequency: 'monthly', week_of_month: -1 });
+
+    expect(getOccurrenceDates(series, '2030-06-01', '2030-09-30')).toEqual([
+      '2030-06-30',
+      '2030-07-28',
+      '2030-08-25',
+      '2030-09-29'
+    ]);
+  });
+
+  it('stops at ends_on', () => {
+    const series = buildSeries({ frequency: 'weekly', ends_on: '2030-06-20' });
+
+    expect(getOccurrenceDates(series, '2030-06-01', '2030-07-31')).toEqual([
+      '2030-06-02',
+      '2030-06-09',
+      '2030-06-16'
+    ]);
+  });
+
+  it('has no dates when the window ends before the series starts', () => {
+    const series = buildSeries({ frequency: 'weekly' });
+
+    expect(getOccurrenceDates(series, '2030-05-01', '2030-05-31')).toEqual([]);
+  });
+});
+
+describe('materializeSeries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates rides up to ends_on and marks the series materialized to it', async () => {
+    const series = buildSeries({ frequency: 'weekly', ends_on: '2030-06-20' });
+    jest.spyOn(Ride, 'findAll').mockResolvedValue([]);
+    const create = jest.spyOn(Ride, 'create').mockImplementation(async (data) => data);
+    const update = jest.spyOn(series, 'update').mockResolvedValue(series);
+
+    const created = await materializeSeries(series, { now: new Date('2030-06-01T00:00:00Z') });
+
+    expect(created.map(ride => ride.ride_date)).toEqual(['2030-06-02', '2030-06-09', '2030-06-16']);
+    expect(create).toHaveBeenCalledTimes(3);
+    expect(update).toHaveBeenCalledWith({ materialized_until: '2030-06-20' }, expect.anything());
+  });
+
+  it('skips dates that already have a ride', async () => {
+    const series = buildSeries({ frequency: 'weekly', ends_on: '2030-06-20' });
+    jest.spyOn(Ride, 'findAll').mockResolvedValue([{ series_occurrence_date: '2030-06-09' }]);
+    jest.spyOn(Ride, 'create').mockImplementation(async (data) => data);
+    jest.spyOn(series, 'update').mockResolvedValue(series);
+
+    const created = await materializeSeries(series, { now: new Date('2030-06-01T00:00:00Z') });
+
+    expect(created.map(ride => ride.ride_date)).toEqual(['2030-06-02', '2030-06-16']);
+  });
+});
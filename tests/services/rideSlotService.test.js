@@ -0,0 +1,68 @@
+jest.mock('../../src/config/redis', () => ({
+  cacheGet: jest.fn(),
+  cacheSet: jest.fn(),
+  cacheDel: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { pickSlotType, resolveSlotType, SLOT_UNAVAILABLE } = require('../../src/services/rideSlotService');
+
+const availability = ({ own_bike = 0, pillion = 0, organiser_bike = 0 }) => ({
+  own_bike: { capacity: null, taken: 0, available: own_bike },
+  pillion: { capacity: pillion, taken: 0, available: pillion },
+  organiser_bike: { capacity: organiser_bike, taken: 0, available: organiser_bike }
+});
+
+describe('pickSlotType', () => {
+  it('defaults to an own-bike place', () => {
+    expect(pickSlotType(availability({ own_bike: 3, pillion: 1 }))).toBe('own_bike');
+  });
+
+  it('gives the asked-for kind when it is free', () => {
+    expect(pickSlotType(availability({ own_bike: 3, organiser_bike: 1 }), { slotType: 'organiser_bike' }))
+      .toBe('organiser_bike');
+  });
+
+  it('does not fall back when the asked-for kind is taken', () => {
+    expect(pickSlotType(availability({ own_bike: 3 }), { slotType: 'pillion' })).toBeNull();
+  });
+
+  it('prefers a pillion seat for riders without a bike', () => {
+    expect(pickSlotType(availability({ pillion: 1, organiser_bike: 1 }), { pricingOption: 'without_bike' }))
+      .toBe('pillion');
+  });
+
+  it('falls back to an organiser bike when no pillion seat is free', () => {
+    expect(pickSlotType(availability({ organiser_bike: 2 }), { pricingOption: 'without_bike' }))
+      .toBe('organiser_bike');
+  });
+
+  it('has nothing when the ride is full', () => {
+    expect(pickSlotType(availability({}))).toBeNull();
+    expect(pickSlotType(availability({}), { pricingOption: 'without_bike' })).toBeNull();
+  });
+});
+
+describe('resolveSlotType', () => {
+  it('returns the picked kind', () => {
+    expect(resolveSlotType(availability({ pillion: 1 }), { slotType: 'pillion', pricingOption: 'without_bike' }))
+      .toBe('pillion');
+  });
+
+  it('rejects a kind booked with the other pricing option', () => {
+    expect(() => resolveSlotType(availability({ pillion: 1 }), { slotType: 'pillion', pricingOption: 'with_bike' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'SLOT_PRICING_MISMATCH' }));
+  });
+
+  it('explains which kind is full', () => {
+    expect(() => resolveSlotType(availability({ own_bike: 2 }), { slotType: 'organiser_bike' }))
+      .toThrow('No organiser bikes are free on this ride. You can join the waitlist instead.');
+  });
+
+  it('marks a full ride as unavailable for riders without a bike', () => {
+    expect(() => resolveSlotType(availability({ own_bike: 2 }), { pricingOption: 'without_bike' }))
+      .toThrow(expect.objectContaining({ code: SLOT_UNAVAILABLE }));
+  });
+});
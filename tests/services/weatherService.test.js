@@ -0,0 +1,87 @@
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRideParticipants: jest.fn()
+}));
+
+const { Ride } = require('../../src/models');
+const { getForecastPoints, getSevereAlerts } = require('../../src/services/weatherService');
+const { WEATHER_PROVIDERS } = require('../../src/services/weatherProviders');
+
+const buildRide = (fields) => Ride.build({
+  title: 'Test ride',
+  ride_date: '2030-06-01',
+  ride_time: '06:00',
+  max_participants: 10,
+  creator_id: '00000000-0000-0000-0000-000000000001',
+  ...fields
+});
+
+describe('getSevereAlerts', () => {
+  it('has no alerts without a forecast', () => {
+    expect(getSevereAlerts(null)).toEqual([]);
+  });
+
+  it('has no alerts for the default local forecast', async () => {
+    const forecast = await WEATHER_PROVIDERS.local.getForecast({ latitude: 12.97, longitude: 77.59 }, new Date());
+
+    expect(forecast.condition).toBe('clear');
+    expect(getSevereAlerts(forecast)).toEqual([]);
+  });
+
+  it('flags every severe reading of the local Rohtang Pass forecast', async () => {
+    const forecast = await WEATHER_PROVIDERS.local.getForecast({ latitude: 32.37, longitude: 77.25 }, new Date());
+
+    expect(getSevereAlerts(forecast).map(alert => alert.code)).toEqual([
+      'snow',
+      'high_wind',
+      'low_visibility',
+      'freezing'
+    ]);
+  });
+
+  it('flags heavy rain and extreme heat', () => {
+    const alerts = getSevereAlerts({
+      condition: 'rain',
+      precipitation_mm: 12,
+      temperature_c: 44,
+      wind_gust_kmh: 10,
+      visibility_km: null
+    });
+
+    expect(alerts).toEqual([
+      { code: 'heavy_rain', message: '12 mm of rain per hour' },
+      { code: 'extreme_heat', message: '44°C' }
+    ]);
+  });
+});
+
+describe('getForecastPoints', () => {
+  it('times the start, waypoints and end along the route', () => {
+    const ride = buildRide({
+      estimated_duration_hours: 4,
+      start_location: { latitude: 12.0, longitude: 77.0, address: 'Start' },
+      waypoints: [{ latitude: 12.5, longitude: 77.0, address: 'Halfway' }],
+      end_location: { latitude: 13.0, longitude: 77.0, address: 'End' }
+    });
+
+    const points = getForecastPoints(ride);
+    const start = ride.getScheduledStart().getTime();
+
+    expect(points.map(point => point.kind)).toEqual(['start', 'waypoint', 'end']);
+    expect(points[0].time.getTime()).toBe(start);
+    expect(points[1].time.getTime()).toBeCloseTo(start + 2 * 60 * 60 * 1000, -3);
+    expect(points[2].time.getTime()).toBe(start + 4 * 60 * 60 * 1000);
+  });
+
+  it('skips stops without coordinates', () => {
+    const ride = buildRide({
+      start_location: { latitude: 12.0, longitude: 77.0, address: 'Start' },
+      waypoints: [{ address: 'Somewhere' }],
+      end_location: { latitude: 12.0, longitude: 77.0, address: 'Loop back' }
+    });
+
+    const points = getForecastPoints(ride);
+
+    expect(points.map(point => point.kind)).toEqual(['start', 'end']);
+    expect(points[1].time.getTime()).toBe(ride.getScheduledEnd().getTime());
+  });
+});
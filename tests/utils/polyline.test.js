@@ -0,0 +1,38 @@
+const { encodePolyline, decodePolyline } = require('../../src/utils/polyline');
+
+describe('polyline codec', () => {
+  // Example from the Google encoded polyline documentation
+  const documentedPoints = [
+    { latitude: 38.5, longitude: -120.2 },
+    { latitude: 40.7, longitude: -120.95 },
+    { latitude: 43.252, longitude: -126.453 }
+  ];
+  const documentedPolyline = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+  it('encodes the documented example', () => {
+    expect(encodePolyline(documentedPoints)).toBe(documentedPolyline);
+  });
+
+  it('decodes the documented example', () => {
+    expect(decodePolyline(documentedPolyline)).toEqual(documentedPoints);
+  });
+
+  it('round-trips points at precision 5', () => {
+    const points = [
+      { latitude: 12.97194, longitude: 77.59369 },
+      { latitude: 13.2, longitude: 75.7 },
+      { latitude: -33.86882, longitude: 151.20929 }
+    ];
+
+    expect(decodePolyline(encodePolyline(points))).toEqual(points);
+  });
+
+  it('handles an empty route', () => {
+    expect(encodePolyline([])).toBe('');
+    expect(decodePolyline('')).toEqual([]);
+  });
+
+  it('rejects a truncated polyline', () => {
+    expect(() => decodePolyline(documentedPolyline.slice(0, -1))).toThrow('Invalid encoded polyline');
+  });
+});